@@ -12,6 +12,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { generateVariations } from '../../llm/PromptTemplates.js';
 
 /**
  * エージェントの状態
@@ -36,6 +37,7 @@ export const AgentType = {
   COPY: 'CopyAgent',
   LOGO: 'LogoAgent',
   VISUAL: 'VisualAgent',
+  NAMING: 'NamingAgent',
   COORDINATOR: 'CoordinatorAgent',
   QUALITY_CONTROL: 'QualityControlAgent',
   DOCUMENTATION: 'DocumentationAgent',
@@ -60,6 +62,8 @@ export class BaseAgent extends EventEmitter {
    * @param {string} options.name - エージェント名
    * @param {Object} options.logger - ロガーインスタンス
    * @param {Object} options.knowledge - ナレッジベース
+   * @param {LLMProvider} [options.llm] - バリエーション生成に使う LLM プロバイダー (任意)
+   * @param {number} [options.llmVariations=3] - LLM で追加生成するバリエーション数
    */
   constructor(options = {}) {
     super();
@@ -74,6 +78,8 @@ export class BaseAgent extends EventEmitter {
     this.state = AgentState.IDLE;
     this.logger = options.logger;
     this.knowledge = options.knowledge;
+    this.llm = options.llm || null;
+    this.llmVariations = options.llmVariations ?? 3;
     this.metrics = {
       tasksProcessed: 0,
       successCount: 0,
@@ -152,11 +158,13 @@ export class BaseAgent extends EventEmitter {
    * - ログ出力
    *
    * @param {Object} input - 入力データ
+   * @param {Object} [options] - 実行オプション
+   * @param {string} [options.traceId] - 呼び出し側で採番したトレース ID (省略時は生成)
    * @returns {Promise<Object>} 処理結果
    */
-  async execute(input) {
+  async execute(input, options = {}) {
     const startTime = Date.now();
-    const traceId = this._generateTraceId();
+    const traceId = options.traceId || this._generateTraceId();
 
     try {
       this._setState(AgentState.PROCESSING);
@@ -186,7 +194,10 @@ export class BaseAgent extends EventEmitter {
       this._updateMetrics(startTime, false);
 
       this.logger.error(`[${this.name}] エラー発生`, { traceId, error });
-      this.emit('error', { traceId, error });
+      // リスナーのない 'error' は EventEmitter が例外にし、元のエラーを隠してしまう
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', { traceId, error });
+      }
 
       throw error;
     } finally {
@@ -258,6 +269,55 @@ export class BaseAgent extends EventEmitter {
     return `${this.type}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * LLM によるバリエーション生成
+   *
+   * options.llm 未設定時は何もしない。失敗時は警告ログを残し、
+   * テンプレート生成のみで処理を継続できるよう空配列を返す
+   *
+   * @protected
+   * @param {string} templateId - 共有プロンプトテンプレート ID
+   * @param {Object} variables - テンプレート変数
+   * @returns {Promise<{variations: Array, error: string|null}>}
+   */
+  async _generateLLMVariations(templateId, variables) {
+    if (!this.llm || this.llmVariations <= 0) {
+      return { variations: [], error: null };
+    }
+
+    try {
+      const variations = await generateVariations(this.llm, templateId, {
+        count: this.llmVariations,
+        ...variables
+      });
+      return { variations, error: null };
+    } catch (error) {
+      this.logger.warn(`[${this.name}] LLM バリエーション生成に失敗しました。テンプレート生成のみを使用します`, {
+        template: templateId,
+        error: error.message
+      });
+      return { variations: [], error: error.message };
+    }
+  }
+
+  /**
+   * LLM 利用状況のサマリー
+   *
+   * @protected
+   * @param {Array<{variations: Array, error: string|null}>} results - _generateLLMVariations の結果
+   * @returns {Object|null} LLM 未使用時は null
+   */
+  _summarizeLLMUsage(results) {
+    if (!this.llm) return null;
+
+    return {
+      provider: this.llm.name,
+      model: this.llm.model,
+      generated: results.reduce((sum, result) => sum + result.variations.length, 0),
+      errors: results.map(result => result.error).filter(Boolean)
+    };
+  }
+
   /**
    * エージェント情報取得
    *
@@ -16,6 +16,17 @@
  */
 
 import { BaseAgent, AgentType } from '../base/BaseAgent.js';
+import { PromptTemplateId } from '../../llm/PromptTemplates.js';
+import {
+  Locale,
+  Politeness,
+  detectLocale,
+  measureCopy,
+  findWordplay,
+  applyPoliteness,
+  assessCulturalFit,
+  checkCrossLocale
+} from '../../utils/LocaleUtils.js';
 
 /**
  * トーン戦略
@@ -42,6 +53,106 @@ export const VoiceArchetype = {
   SOPHISTICATED: 'sophisticated'    // 洗練された
 };
 
+/**
+ * コピーの配信チャネル
+ * @enum {string}
+ */
+export const CopyChannel = {
+  X: 'x',                   // X (Twitter)
+  LINKEDIN: 'linkedin',     // LinkedIn 投稿
+  INSTAGRAM: 'instagram',   // Instagram キャプション
+  EMAIL: 'email',           // メール件名・プレビューテキスト
+  APP_STORE: 'app-store',   // App Store / Google Play 説明文
+  PUSH: 'push'              // プッシュ通知
+};
+
+/**
+ * チャネル仕様
+ *
+ * - context: toneMap のコンテキスト
+ * - limits: フィールドごとの上限文字数 (超過分は切り詰める)
+ * - primary: _assess* で評価するフィールド
+ * - counting: 'weighted' は X の加重カウント (CJK 等は 2 文字扱い)
+ * - separator: 複数段落のフィールドでのパーツ区切り (既定は空行)
+ */
+const CHANNEL_SPECS = {
+  [CopyChannel.X]: {
+    context: 'marketing',
+    limits: { text: 280 },
+    primary: 'text',
+    counting: 'weighted',
+    separator: '\n',
+    hashtags: 2
+  },
+  [CopyChannel.LINKEDIN]: {
+    context: 'announcement',
+    limits: { text: 3000 },
+    primary: 'text',
+    hashtags: 3
+  },
+  [CopyChannel.INSTAGRAM]: {
+    context: 'marketing',
+    limits: { caption: 2200 },
+    primary: 'caption',
+    hashtags: 5,
+    maxHashtags: 30
+  },
+  [CopyChannel.EMAIL]: {
+    context: 'marketing',
+    limits: { subject: 40, preview: 90 },
+    primary: 'subject'
+  },
+  [CopyChannel.APP_STORE]: {
+    context: 'education',
+    limits: { subtitle: 30, promotionalText: 170, description: 4000 },
+    primary: 'subtitle'
+  },
+  [CopyChannel.PUSH]: {
+    context: 'announcement',
+    limits: { title: 50, body: 150 },
+    primary: 'title'
+  }
+};
+
+/**
+ * チャネル別の行動喚起 (丁寧体 / 常体)
+ */
+const CALLS_TO_ACTION = {
+  [CopyChannel.X]: { polite: '詳しくはプロフィールのリンクから', casual: 'プロフィールのリンクからチェック' },
+  [CopyChannel.LINKEDIN]: { polite: 'ご意見をコメントでお聞かせください', casual: 'コメントで感想を聞かせてね' },
+  [CopyChannel.INSTAGRAM]: { polite: '詳しくはプロフィールのリンクから', casual: 'プロフィールのリンクからチェックしてね' },
+  [CopyChannel.APP_STORE]: { polite: '今すぐダウンロードしてお試しください', casual: '今すぐダウンロードして試してみよう' }
+};
+
+/**
+ * 英語コピーのテンプレートと根拠 (Purpose は動詞句、例: 'build the future with technology you can trust')
+ */
+const EN_TEMPLATES = {
+  coreMessage: {
+    [ToneStrategy.DECLARATIVE]: [({ purpose }) => `We ${purpose}.`, 'Purposeを直接的に宣言'],
+    [ToneStrategy.ASPIRATIONAL]: [({ purpose, value }) => `Through ${value}, we ${purpose}.`, 'Valuesを通じてPurposeへの道筋を示す'],
+    [ToneStrategy.IMPERATIVE]: [({ purpose }) => `Let's ${purpose}, together.`, '行動への呼びかけで共感を喚起']
+  },
+  tagline: {
+    [ToneStrategy.DECLARATIVE]: [({ value }) => `${value[0].toUpperCase()}${value.slice(1)}, delivered.`, '価値の宣言で信頼を構築'],
+    [ToneStrategy.ASPIRATIONAL]: [({ purpose }) => `Together, we ${purpose}.`, '共感と参加を促す'],
+    [ToneStrategy.IMPERATIVE]: [({ purpose }) => `Let's ${purpose}.`, '行動を促す直接的表現']
+  }
+};
+
+/**
+ * 感情的共鳴を生む語 (ロケール別)
+ */
+const EMOTIONAL_WORDS = {
+  [Locale.JA]: ['実現', '共に', '未来', '信頼', '革新', '価値'],
+  [Locale.EN]: ['together', 'future', 'trust', 'innovat', 'value', 'deliver', 'realize', 'create']
+};
+
+/**
+ * 文化適合性の水準 (低い順)
+ */
+const CULTURAL_FIT_LEVELS = ['low', 'moderate', 'high'];
+
 /**
  * CopyAgent クラス
  *
@@ -55,6 +166,8 @@ export class CopyAgent extends BaseAgent {
    * @param {Object} options.logger - ロガー
    * @param {Object} options.knowledge - ナレッジベース
    * @param {Object} [options.variationCount] - 生成バリエーション数
+   * @param {LLMProvider} [options.llm] - 指定時は LLM 生成のバリエーションを追加
+   * @param {number} [options.llmVariations] - LLM で追加生成する件数
    */
   constructor(options = {}) {
     super({
@@ -81,14 +194,26 @@ export class CopyAgent extends BaseAgent {
    *
    * @param {Object} input - 入力データ
    * @param {Object} input.estack - E:Stack構造
-   * @param {string} [input.target] - 生成対象 ('all', 'voice', 'tone', 'coreMessage', 'tagline')
-   * @param {Object} [input.requirements] - 追加要件
+   * @param {string} [input.target] - 生成対象 ('all', 'voice', 'tone', 'coreMessage', 'tagline', 'channels')
+   * @param {CopyChannel[]} [input.channels] - チャネル別コピーの対象 (省略時は全チャネル)
+   * @param {Object} [input.requirements] - 追加要件 (hashtags: 追加のハッシュタグ)
+   * @param {Locale[]} [input.locales] - ロケール別のコアメッセージ・タグライン (例: ['ja', 'en'])
+   * @param {Politeness} [input.politeness] - 日本語コピーの丁寧さ (省略時は Voice の formality から決定)
+   * @param {Object} [input.localizedFoundation] - ロケール別の Foundation (例: { en: { purpose, values } })
    * @returns {Promise<Object>} コピー・トーン設計結果
    */
   async process(input) {
     this.logger.info('[CopyAgent] コピー・トーン設計開始', { input });
 
-    const { estack, target = 'all', requirements = {} } = input;
+    const {
+      estack,
+      target = 'all',
+      channels = Object.values(CopyChannel),
+      requirements = {},
+      locales = [],
+      politeness,
+      localizedFoundation = {}
+    } = input;
 
     if (!estack) {
       throw new Error('E:Stack 構造が必要です');
@@ -98,16 +223,36 @@ export class CopyAgent extends BaseAgent {
     const voiceDesign = await this._designVoice(estack, requirements);
     const toneMap = await this._createTonalityMap(estack, voiceDesign, requirements);
 
-    // コアメッセージ生成
+    // コアメッセージ生成 (テンプレート + LLM)
+    const llmResults = [];
     const coreMessages = target === 'all' || target === 'coreMessage'
-      ? await this._generateCoreMessages(estack, voiceDesign, this.variationCount)
+      ? [
+        ...await this._generateCoreMessages(estack, voiceDesign, this.variationCount),
+        ...await this._generateLLMCopy('coreMessage', estack, voiceDesign, llmResults)
+      ]
       : [];
 
-    // タグライン生成
+    // タグライン生成 (テンプレート + LLM)
     const taglines = target === 'all' || target === 'tagline'
-      ? await this._generateTaglines(estack, voiceDesign, this.variationCount)
+      ? [
+        ...await this._generateTaglines(estack, voiceDesign, this.variationCount),
+        ...await this._generateLLMCopy('tagline', estack, voiceDesign, llmResults)
+      ]
       : [];
 
+    // チャネル別コピー (文字数上限とコンテキストのトーンに合わせて調整)
+    const channelCopy = target === 'all' || target === 'channels'
+      ? await this._adaptToChannels(estack, voiceDesign, toneMap, channels, requirements)
+      : {};
+
+    // ロケール別コピー (丁寧さ・文化適合性・ロケール間の引き継ぎ検査)
+    const types = ['coreMessage', 'tagline'].filter(type => target === 'all' || target === type);
+    const { localized, crossLocale } = await this._localizeCopy(estack, voiceDesign, types, {
+      locales,
+      politeness,
+      localizedFoundation
+    });
+
     // ボイスガイドライン生成
     const voiceGuide = await this._generateVoiceGuide(voiceDesign, toneMap, estack);
 
@@ -116,10 +261,15 @@ export class CopyAgent extends BaseAgent {
       toneMap,
       coreMessages,
       taglines,
+      channelCopy,
+      localized,
+      crossLocale,
       voiceGuide,
       metadata: {
         variationCount: this.variationCount,
         target,
+        locales,
+        llm: this._summarizeLLMUsage(llmResults),
         protocol: 'Brand Principles Atlas v1.1',
         timestamp: new Date().toISOString(),
         agent: this.name
@@ -583,14 +733,30 @@ export class CopyAgent extends BaseAgent {
         rationale = 'デフォルト';
     }
 
+    return this._buildCoreMessage(content, strategy, rationale, voiceDesign);
+  }
+
+  /**
+   * コアメッセージ案の組み立て (特性評価付き)
+   *
+   * @private
+   * @param {string} content - 本文
+   * @param {string} strategy - 戦略
+   * @param {string} rationale - 根拠
+   * @param {Object} voiceDesign - Voice設計
+   * @param {string} [source='template'] - 生成元 ('template' | 'llm')
+   * @returns {Object}
+   */
+  _buildCoreMessage(content, strategy, rationale, voiceDesign, source = 'template') {
     return {
       type: 'coreMessage',
       content,
       strategy,
       rationale,
+      source,
       voiceAlignment: voiceDesign.archetype,
       characteristics: {
-        length: content.length,
+        length: this._measureCopyLength(content),
         clarity: this._assessClarity(content),
         memorability: this._assessMemorability(content),
         emotionalResonance: this._assessEmotionalResonance(content, voiceDesign)
@@ -668,21 +834,503 @@ export class CopyAgent extends BaseAgent {
         rationale = 'デフォルト';
     }
 
+    return this._buildTagline(content, strategy, rationale, voiceDesign);
+  }
+
+  /**
+   * タグライン案の組み立て (特性評価付き)
+   *
+   * @private
+   * @param {string} content - 本文
+   * @param {string} strategy - 戦略
+   * @param {string} rationale - 根拠
+   * @param {Object} voiceDesign - Voice設計
+   * @param {string} [source='template'] - 生成元 ('template' | 'llm')
+   * @returns {Object}
+   */
+  _buildTagline(content, strategy, rationale, voiceDesign, source = 'template') {
     return {
       type: 'tagline',
       content,
       strategy,
       rationale,
+      source,
       voiceAlignment: voiceDesign.archetype,
       characteristics: {
-        length: content.length,
+        length: this._measureCopyLength(content),
         memorability: this._assessMemorability(content),
         rhythm: this._assessRhythm(content),
-        culturalFit: this._assessCulturalFit(content)
+        culturalFit: this._assessCulturalFit(content, { kind: 'tagline' })
       }
     };
   }
 
+  /**
+   * ロケール別コピー生成
+   *
+   * 戦略ごとのコアメッセージ・タグラインをロケールごとに生成し、文化適合性レポートと
+   * 先頭ロケールを原文としたロケール間の引き継ぎ検査を付ける
+   *
+   * @private
+   * @param {Object} estack - E:Stack構造
+   * @param {Object} voiceDesign - Voice設計
+   * @param {string[]} types - 生成する種類 ('coreMessage' | 'tagline')
+   * @param {Object} options - ロケール設定
+   * @param {Locale[]} options.locales - 対象ロケール
+   * @param {Politeness} [options.politeness] - 日本語コピーの丁寧さ
+   * @param {Object} options.localizedFoundation - ロケール別の Foundation
+   * @returns {Promise<{localized: Object, crossLocale: Array}>}
+   */
+  async _localizeCopy(estack, voiceDesign, types, { locales, politeness, localizedFoundation }) {
+    const localized = {};
+    const foundations = {};
+
+    for (const locale of locales) {
+      if (!Object.values(Locale).includes(locale)) {
+        throw new Error(`未対応のロケールです: ${locale} (対応: ${Object.values(Locale).join(', ')})`);
+      }
+      if (politeness && !Object.values(Politeness).includes(politeness)) {
+        throw new Error(`未知の丁寧さです: ${politeness}`);
+      }
+
+      foundations[locale] = this._resolveLocalizedFoundation(estack.foundation, locale, localizedFoundation);
+      const level = locale === Locale.JA ? politeness || this._defaultPoliteness(voiceDesign) : null;
+
+      const copy = {};
+      for (const type of types) {
+        copy[type] = await this._generateLocalizedCopy(type, locale, foundations[locale], estack.structure, voiceDesign, level);
+      }
+
+      const coreMessages = copy.coreMessage || [];
+      const taglines = copy.tagline || [];
+      localized[locale] = {
+        locale,
+        politeness: level,
+        coreMessages,
+        taglines,
+        culturalFit: this._reportCulturalFit(locale, [...coreMessages, ...taglines], level)
+      };
+    }
+
+    return { localized, crossLocale: this._checkCrossLocale(localized, foundations) };
+  }
+
+  /**
+   * ロケールの Foundation を解決
+   *
+   * 元の Foundation が同じロケールならそのまま使い、それ以外は localizedFoundation を必須とする。
+   * どちらの場合も解決後の values が空なら生成できないためエラーにする
+   *
+   * @private
+   * @param {Object} foundation - Foundation Layer
+   * @param {Locale} locale - ロケール
+   * @param {Object} localizedFoundation - ロケール別の Foundation
+   * @returns {Object}
+   */
+  _resolveLocalizedFoundation(foundation, locale, localizedFoundation) {
+    const override = localizedFoundation[locale];
+    const resolved = { ...foundation, ...override };
+    const matchesLocale = (override?.purpose && override?.values?.length) || detectLocale(foundation.purpose) === locale;
+    if (matchesLocale && resolved.values?.length) {
+      return resolved;
+    }
+    throw new Error(`ロケール ${locale} の Foundation (localizedFoundation.${locale} の purpose と values) が必要です`);
+  }
+
+  /**
+   * Voice の formality から日本語の丁寧さを決定
+   *
+   * @private
+   * @param {Object} voiceDesign - Voice設計
+   * @returns {Politeness}
+   */
+  _defaultPoliteness(voiceDesign) {
+    return ['formal', 'formal-moderate'].includes(voiceDesign.characteristics.formality)
+      ? Politeness.POLITE
+      : Politeness.PLAIN;
+  }
+
+  /**
+   * 単一ロケールのコアメッセージまたはタグライン群を生成
+   *
+   * 日本語は既存テンプレートの文末を丁寧さに揃え、英語は EN_TEMPLATES から組み立てる
+   *
+   * @private
+   * @param {string} type - 'coreMessage' | 'tagline'
+   * @param {Locale} locale - ロケール
+   * @param {Object} foundation - ロケールの Foundation
+   * @param {Object} structure - Structure Layer
+   * @param {Object} voiceDesign - Voice設計
+   * @param {Politeness|null} politeness - 丁寧さ (日本語のみ)
+   * @returns {Promise<Array>}
+   */
+  async _generateLocalizedCopy(type, locale, foundation, structure, voiceDesign, politeness) {
+    const items = [];
+    const strategies = [
+      ToneStrategy.DECLARATIVE,
+      ToneStrategy.ASPIRATIONAL,
+      ToneStrategy.IMPERATIVE
+    ];
+    const build = type === 'coreMessage'
+      ? (...args) => this._buildCoreMessage(...args)
+      : (...args) => this._buildTagline(...args);
+
+    for (let i = 0; i < this.variationCount; i++) {
+      const strategy = strategies[i % strategies.length];
+      let content;
+      let rationale;
+
+      if (locale === Locale.JA) {
+        const base = type === 'coreMessage'
+          ? await this._generateSingleCoreMessage(foundation, structure, voiceDesign, strategy)
+          : await this._generateSingleTagline(foundation, voiceDesign, strategy);
+        content = applyPoliteness(base.content, politeness);
+        rationale = base.rationale;
+      } else {
+        const [template, templateRationale] = EN_TEMPLATES[type][strategy];
+        content = template({ purpose: foundation.purpose, value: foundation.values[0].toLowerCase() });
+        rationale = templateRationale;
+      }
+
+      items.push({
+        id: `${locale}-${type === 'coreMessage' ? 'core-message' : 'tagline'}-${i + 1}`,
+        index: i,
+        locale,
+        ...build(content, strategy, rationale, voiceDesign)
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * ロケールの文化適合性レポート
+   *
+   * 全体の水準は最も低いコピーの水準、スコアは平均
+   *
+   * @private
+   * @param {Locale} locale - ロケール
+   * @param {Array} items - コアメッセージ・タグライン
+   * @param {Politeness|null} politeness - 期待する丁寧さ
+   * @returns {Object} { locale, level, score, items: [{ id, level, score, issues }] }
+   */
+  _reportCulturalFit(locale, items, politeness) {
+    const results = items.map(item => {
+      const { level, score, issues } = assessCulturalFit(item.content, locale, { politeness, kind: item.type });
+      return { id: item.id, level, score, issues };
+    });
+
+    const level = results.reduce(
+      (lowest, result) => CULTURAL_FIT_LEVELS.indexOf(result.level) < CULTURAL_FIT_LEVELS.indexOf(lowest) ? result.level : lowest,
+      'high'
+    );
+    const score = results.length
+      ? Math.round(results.reduce((sum, result) => sum + result.score, 0) / results.length * 100) / 100
+      : 1;
+
+    return { locale, level, score, items: results };
+  }
+
+  /**
+   * ロケール間の引き継ぎ検査
+   *
+   * 先頭ロケールのコピーと他ロケールの同じ戦略のコピーを対にし、意味のずれと失われた言葉遊びを指摘する
+   *
+   * @private
+   * @param {Object} localized - ロケール → コピー
+   * @param {Object} foundations - ロケール → Foundation
+   * @returns {Array<Object>} { type, strategy, source, target, carriesOver, issues }
+   */
+  _checkCrossLocale(localized, foundations) {
+    const [sourceLocale, ...targetLocales] = Object.keys(localized);
+    const pairs = [];
+
+    for (const targetLocale of targetLocales) {
+      for (const key of ['coreMessages', 'taglines']) {
+        localized[sourceLocale][key].forEach((source, i) => {
+          const target = localized[targetLocale][key][i];
+          const issues = checkCrossLocale(
+            { locale: sourceLocale, text: source.content, foundation: foundations[sourceLocale] },
+            { locale: targetLocale, text: target.content, foundation: foundations[targetLocale] }
+          );
+          pairs.push({
+            type: source.type,
+            strategy: source.strategy,
+            source: source.id,
+            target: target.id,
+            carriesOver: issues.length === 0,
+            issues
+          });
+        });
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * チャネル別コピー生成
+   *
+   * 戦略ごと (コアメッセージ・タグラインと同じ) にチャネルのバリエーションを作る
+   *
+   * @private
+   * @param {Object} estack - E:Stack構造
+   * @param {Object} voiceDesign - Voice設計
+   * @param {Object} toneMap - Tonality Map
+   * @param {CopyChannel[]} channels - 対象チャネル
+   * @param {Object} requirements - 要件
+   * @returns {Promise<Object>} チャネル → バリエーション配列
+   */
+  async _adaptToChannels(estack, voiceDesign, toneMap, channels, requirements) {
+    const unknown = channels.filter(channel => !CHANNEL_SPECS[channel]);
+    if (unknown.length > 0) {
+      throw new Error(`未対応のチャネルです: ${unknown.join(', ')}`);
+    }
+
+    const { foundation, structure } = estack;
+    const strategies = [
+      ToneStrategy.DECLARATIVE,
+      ToneStrategy.ASPIRATIONAL,
+      ToneStrategy.IMPERATIVE
+    ];
+
+    // 戦略ごとのリード (コアメッセージ + タグライン) はチャネル間で共有
+    const leads = [];
+    for (let i = 0; i < this.variationCount; i++) {
+      const strategy = strategies[i % strategies.length];
+      const coreMessage = await this._generateSingleCoreMessage(foundation, structure, voiceDesign, strategy);
+      const tagline = await this._generateSingleTagline(foundation, voiceDesign, strategy);
+      leads.push({ strategy, coreMessage: coreMessage.content, tagline: tagline.content });
+    }
+
+    const hashtags = this._buildHashtags(foundation, requirements.hashtags);
+    const channelCopy = {};
+
+    for (const channel of channels) {
+      channelCopy[channel] = leads.map((lead, i) => ({
+        id: `${channel}-${i + 1}`,
+        index: i,
+        ...this._adaptToChannel(channel, lead, estack, voiceDesign, toneMap, hashtags)
+      }));
+    }
+
+    return channelCopy;
+  }
+
+  /**
+   * 単一チャネルのバリエーション生成
+   *
+   * @private
+   * @param {CopyChannel} channel - チャネル
+   * @param {{strategy: string, coreMessage: string, tagline: string}} lead - リード
+   * @param {Object} estack - E:Stack構造
+   * @param {Object} voiceDesign - Voice設計
+   * @param {Object} toneMap - Tonality Map
+   * @param {string[]} hashtags - ハッシュタグ候補
+   * @returns {Object}
+   */
+  _adaptToChannel(channel, lead, estack, voiceDesign, toneMap, hashtags) {
+    const spec = CHANNEL_SPECS[channel];
+    const tone = toneMap.contexts[spec.context];
+    const register = tone.formality === 'casual' ? 'casual' : 'polite';
+    const energetic = tone.energy === 'high';
+    const end = energetic ? '！' : '。';
+    const { values = [] } = estack.foundation;
+    const positioning = estack.structure?.positioning;
+    const positioningLine = positioning && (register === 'polite' ? `私たちは${positioning}です。` : `私たちは${positioning}。`);
+    const cta = CALLS_TO_ACTION[channel] ? `${CALLS_TO_ACTION[channel][register]}${end}` : null;
+    const tags = hashtags.slice(0, Math.min(spec.hashtags || 0, spec.maxHashtags || Infinity)).join(' ');
+    const valueLine = values.length > 0 ? `大切にしている価値: ${values.join(' / ')}` : null;
+
+    // 各フィールドは重要度順のパーツ。上限を超えると末尾のパーツから落とす
+    const parts = {
+      [CopyChannel.X]: {
+        text: [`${lead.tagline}${end}`, `${lead.coreMessage}${end}`, cta, tags]
+      },
+      [CopyChannel.LINKEDIN]: {
+        text: [
+          `${lead.coreMessage}${end}`,
+          positioningLine,
+          valueLine,
+          cta,
+          tags
+        ]
+      },
+      [CopyChannel.INSTAGRAM]: {
+        // 絵文字は高エネルギーかつフォーマルでないトーンのときだけ使う
+        caption: [
+          `${lead.tagline}${energetic && tone.formality !== 'formal' ? ' ✨' : ''}`,
+          `${lead.coreMessage}${end}`,
+          valueLine,
+          cta,
+          tags
+        ]
+      },
+      [CopyChannel.EMAIL]: {
+        subject: [energetic ? `${lead.tagline}${end}` : lead.tagline],
+        preview: [`${lead.coreMessage}${end}`, positioningLine]
+      },
+      [CopyChannel.APP_STORE]: {
+        subtitle: [lead.tagline],
+        promotionalText: [`${lead.coreMessage}${end}`, positioningLine],
+        description: [
+          `${lead.coreMessage}${end}`,
+          positioningLine,
+          values.length > 0 ? ['■ 大切にしている価値', ...values.map(value => `・${value}`)].join('\n') : null,
+          cta
+        ]
+      },
+      [CopyChannel.PUSH]: {
+        title: [lead.tagline],
+        body: [`${lead.coreMessage}${end}`]
+      }
+    }[channel];
+
+    const fields = {};
+    const lengths = {};
+    let truncated = false;
+
+    for (const [field, limit] of Object.entries(spec.limits)) {
+      const multiline = field === 'text' || field === 'caption' || field === 'description';
+      const separator = multiline ? spec.separator || '\n\n' : ' ';
+      const fitted = this._fitToLimit(parts[field].filter(Boolean), limit, separator, spec.counting);
+      fields[field] = fitted.text;
+      lengths[field] = this._measureLength(fitted.text, spec.counting);
+      truncated = truncated || fitted.truncated;
+    }
+
+    const primary = fields[spec.primary];
+
+    return {
+      type: 'channelCopy',
+      channel,
+      context: spec.context,
+      strategy: lead.strategy,
+      fields,
+      limits: { ...spec.limits },
+      lengths,
+      withinLimits: Object.entries(spec.limits).every(([field, limit]) => lengths[field] <= limit),
+      truncated,
+      tone: { ...tone },
+      voiceAlignment: voiceDesign.archetype,
+      characteristics: {
+        clarity: this._assessClarity(primary),
+        memorability: this._assessMemorability(primary),
+        rhythm: this._assessRhythm(primary),
+        emotionalResonance: this._assessEmotionalResonance(primary, voiceDesign),
+        culturalFit: this._assessCulturalFit(primary)
+      }
+    };
+  }
+
+  /**
+   * ハッシュタグ候補 (Values + 追加指定)
+   *
+   * @private
+   * @param {Object} foundation - Foundation Layer
+   * @param {string[]} [extra] - 追加のハッシュタグ
+   * @returns {string[]}
+   */
+  _buildHashtags(foundation, extra = []) {
+    const tags = [...extra, ...(foundation.values || [])]
+      .map(tag => String(tag).replace(/^#/, '').replace(/[\s\p{P}\p{S}]/gu, ''))
+      .filter(Boolean)
+      .map(tag => `#${tag}`);
+
+    return [...new Set(tags)];
+  }
+
+  /**
+   * パーツを上限文字数に収める
+   *
+   * 末尾 (重要度の低い) パーツから落とし、先頭パーツだけでも超える場合は「…」で切り詰める
+   *
+   * @private
+   * @param {string[]} parts - 重要度順のパーツ
+   * @param {number} limit - 上限文字数
+   * @param {string} separator - パーツの区切り
+   * @param {string} [counting] - 文字数の数え方
+   * @returns {{text: string, truncated: boolean}}
+   */
+  _fitToLimit(parts, limit, separator, counting) {
+    for (let count = parts.length; count > 0; count--) {
+      const text = parts.slice(0, count).join(separator);
+      if (this._measureLength(text, counting) <= limit) {
+        return { text, truncated: count < parts.length };
+      }
+    }
+
+    const chars = [...parts[0]];
+    while (chars.length > 0 && this._measureLength(`${chars.join('')}…`, counting) > limit) {
+      chars.pop();
+    }
+    return { text: `${chars.join('')}…`, truncated: true };
+  }
+
+  /**
+   * チャネルの数え方で文字数を計測
+   *
+   * 通常はコードポイント数。'weighted' は X の仕様に合わせ、
+   * Latin・一般句読点以外 (CJK・絵文字など) を 2 文字として数える
+   *
+   * @private
+   * @param {string} text - テキスト
+   * @param {string} [counting] - 'weighted' で X の加重カウント
+   * @returns {number}
+   */
+  _measureLength(text, counting) {
+    const codePoints = [...text];
+    if (counting !== 'weighted') {
+      return codePoints.length;
+    }
+
+    return codePoints.reduce((sum, char) => {
+      const code = char.codePointAt(0);
+      const light = code <= 0x10FF ||
+        (code >= 0x2000 && code <= 0x200D) ||
+        (code >= 0x2010 && code <= 0x201F) ||
+        (code >= 0x2032 && code <= 0x2037);
+      return sum + (light ? 1 : 2);
+    }, 0);
+  }
+
+  /**
+   * LLM によるコピーバリエーション生成
+   *
+   * options.llm 未設定時・失敗時は空配列 (テンプレート生成のみ)
+   *
+   * @private
+   * @param {string} type - 'coreMessage' | 'tagline'
+   * @param {Object} estack - E:Stack構造
+   * @param {Object} voiceDesign - Voice設計
+   * @param {Array} llmResults - 利用状況の記録先
+   * @returns {Promise<Array>}
+   */
+  async _generateLLMCopy(type, estack, voiceDesign, llmResults) {
+    if (!this.llm) return [];
+
+    const isTagline = type === 'tagline';
+    const result = await this._generateLLMVariations(
+      isTagline ? PromptTemplateId.TAGLINE_VARIATIONS : PromptTemplateId.CORE_MESSAGE_VARIATIONS,
+      {
+        foundation: estack.foundation,
+        structure: estack.structure,
+        voice: voiceDesign.archetype,
+        strategies: [ToneStrategy.DECLARATIVE, ToneStrategy.ASPIRATIONAL, ToneStrategy.IMPERATIVE]
+      }
+    );
+    llmResults.push(result);
+
+    const build = isTagline ? this._buildTagline : this._buildCoreMessage;
+    const prefix = isTagline ? 'tagline' : 'core-message';
+
+    return result.variations.map((variation, i) => ({
+      id: `${prefix}-llm-${i + 1}`,
+      index: this.variationCount + i,
+      ...build.call(this, variation.content, variation.strategy, variation.rationale, voiceDesign, 'llm')
+    }));
+  }
+
   /**
    * ボイスガイド生成
    *
@@ -750,14 +1398,14 @@ export class CopyAgent extends BaseAgent {
   }
 
   /**
-   * 明瞭性評価
+   * 明瞭性評価 (日本語は全角換算、英語は語数で計測)
    *
    * @private
    * @param {string} text - テキスト
    * @returns {string}
    */
   _assessClarity(text) {
-    const length = text.length;
+    const { length } = measureCopy(text);
     if (length < 20) return 'very-clear';
     if (length < 40) return 'clear';
     if (length < 80) return 'moderate';
@@ -772,27 +1420,28 @@ export class CopyAgent extends BaseAgent {
    * @returns {string}
    */
   _assessMemorability(text) {
-    const hasRhythm = /[、へをに]/.test(text);
-    const isShort = text.length < 30;
-    const hasRepetition = /(.{3,})\1/.test(text);
+    const { locale, length } = measureCopy(text);
+    const hasRhythm = locale === Locale.JA ? /[、へをに]/.test(text) : text.includes(',');
+    const isShort = length < 30;
+    const hasWordplay = findWordplay(text, locale).length > 0;
 
-    if ((hasRhythm || hasRepetition) && isShort) return 'high';
+    if ((hasRhythm || hasWordplay) && isShort) return 'high';
     if (isShort) return 'moderate';
     return 'low';
   }
 
   /**
-   * リズム評価
+   * リズム評価 (日本語は全角 1 文字、英語は音節で拍を数える)
    *
    * @private
    * @param {string} text - テキスト
    * @returns {string}
    */
   _assessRhythm(text) {
-    const syllables = text.length;
-    if (syllables <= 15) return 'excellent';
-    if (syllables <= 25) return 'good';
-    if (syllables <= 35) return 'moderate';
+    const { beats } = measureCopy(text);
+    if (beats <= 15) return 'excellent';
+    if (beats <= 25) return 'good';
+    if (beats <= 35) return 'moderate';
     return 'slow';
   }
 
@@ -805,8 +1454,8 @@ export class CopyAgent extends BaseAgent {
    * @returns {string}
    */
   _assessEmotionalResonance(text, voiceDesign) {
-    const emotionalWords = ['実現', '共に', '未来', '信頼', '革新', '価値'];
-    const hasEmotionalWords = emotionalWords.some(word => text.includes(word));
+    const lower = text.toLowerCase();
+    const hasEmotionalWords = EMOTIONAL_WORDS[detectLocale(text)].some(word => lower.includes(word));
 
     if (hasEmotionalWords && voiceDesign.characteristics.emotion !== 'controlled') {
       return 'high';
@@ -818,17 +1467,26 @@ export class CopyAgent extends BaseAgent {
   }
 
   /**
-   * 文化適合性評価
+   * 文化適合性評価 (詳細は LocaleUtils.assessCulturalFit)
    *
    * @private
    * @param {string} text - テキスト
-   * @returns {string}
+   * @param {Object} [options] - 評価設定 (politeness, kind)
+   * @returns {string} 'high' | 'moderate' | 'low'
+   */
+  _assessCulturalFit(text, options = {}) {
+    return assessCulturalFit(text, detectLocale(text), options).level;
+  }
+
+  /**
+   * コピーの文字数 (日本語は全角換算)
+   *
+   * @private
+   * @param {string} text - テキスト
+   * @returns {number}
    */
-  _assessCulturalFit(text) {
-    // 簡易実装: 日本語として自然かチェック
-    const hasUnnaturalPatterns = /[ぁ-んァ-ヶー一-龯]{20,}/.test(text);
-    if (hasUnnaturalPatterns) return 'low';
-    return 'high';
+  _measureCopyLength(text) {
+    return detectLocale(text) === Locale.JA ? measureCopy(text, Locale.JA).length : text.length;
   }
 }
 
@@ -13,6 +13,22 @@
  */
 
 import { BaseAgent, AgentType } from '../base/BaseAgent.js';
+import { PromptTemplateId } from '../../llm/PromptTemplates.js';
+import { Locale, measureCopy } from '../../utils/LocaleUtils.js';
+
+/**
+ * LLM 生成に対応するターゲットとテンプレート・戦略の対応
+ */
+const LLM_TARGETS = {
+  coreMessage: {
+    template: PromptTemplateId.CORE_MESSAGE_VARIATIONS,
+    strategies: ['purpose-driven', 'value-driven', 'persona-driven']
+  },
+  tagline: {
+    template: PromptTemplateId.TAGLINE_VARIATIONS,
+    strategies: ['declarative', 'aspirational', 'imperative']
+  }
+};
 
 /**
  * ExpressionAgent クラス
@@ -27,6 +43,8 @@ export class ExpressionAgent extends BaseAgent {
    * @param {Object} [options.logger] - ロガー
    * @param {Object} [options.knowledge] - ナレッジベース
    * @param {number} [options.branchCount] - 生成案数
+   * @param {LLMProvider} [options.llm] - 指定時は coreMessage / tagline に LLM 生成案を追加
+   * @param {number} [options.llmVariations] - LLM で追加生成する件数
    */
   constructor(options = {}) {
     super({
@@ -76,13 +94,13 @@ export class ExpressionAgent extends BaseAgent {
 
     // 各ターゲットの表現案生成
     const expressions = {};
+    const llmResults = [];
 
     for (const targetType of targets) {
-      expressions[targetType] = await this._generateBranches(
-        targetType,
-        estack,
-        branches
-      );
+      expressions[targetType] = [
+        ...await this._generateBranches(targetType, estack, branches),
+        ...await this._generateLLMBranches(targetType, estack, branches, llmResults)
+      ];
     }
 
     return {
@@ -90,6 +108,7 @@ export class ExpressionAgent extends BaseAgent {
       metadata: {
         branchCount: branches,
         targets,
+        llm: this._summarizeLLMUsage(llmResults),
         timestamp: new Date().toISOString(),
         agent: this.name
       }
@@ -118,6 +137,7 @@ export class ExpressionAgent extends BaseAgent {
       branches.push({
         id: `${targetType}-branch-${i + 1}`,
         index: i,
+        source: 'template',
         ...branch
       });
     }
@@ -125,6 +145,58 @@ export class ExpressionAgent extends BaseAgent {
     return branches;
   }
 
+  /**
+   * LLM による分岐案生成
+   *
+   * options.llm 未設定時・LLM 非対応ターゲット・失敗時は空配列
+   *
+   * @private
+   * @param {string} targetType - ターゲットタイプ
+   * @param {Object} estack - E:Stack構造
+   * @param {number} offset - テンプレート生成案の数 (index の開始位置)
+   * @param {Array} llmResults - 利用状況の記録先
+   * @returns {Promise<Array>} 分岐案の配列
+   */
+  async _generateLLMBranches(targetType, estack, offset, llmResults) {
+    const target = LLM_TARGETS[targetType];
+    if (!this.llm || !target) return [];
+
+    const { foundation, structure } = estack;
+    const result = await this._generateLLMVariations(target.template, {
+      foundation,
+      structure,
+      strategies: target.strategies
+    });
+    llmResults.push(result);
+
+    return result.variations.map((variation, i) => {
+      const content = variation.content;
+      const characteristics = targetType === 'tagline'
+        ? {
+          length: content.length,
+          tone: structure.tone?.voice || 'neutral',
+          memorability: this._assessMemorability(content),
+          rhythm: this._assessRhythm(content)
+        }
+        : {
+          length: content.length,
+          tone: structure.tone?.voice || 'neutral',
+          clarity: this._assessClarity(content)
+        };
+
+      return {
+        id: `${targetType}-llm-${i + 1}`,
+        index: offset + i,
+        type: targetType,
+        content,
+        strategy: variation.strategy,
+        rationale: variation.rationale,
+        source: 'llm',
+        characteristics
+      };
+    });
+  }
+
   /**
    * 単一表現案生成
    *
@@ -313,14 +385,14 @@ export class ExpressionAgent extends BaseAgent {
   }
 
   /**
-   * 明瞭性評価
+   * 明瞭性評価 (日本語は全角換算、英語は語数で計測)
    *
    * @private
    * @param {string} text - テキスト
    * @returns {string} 評価
    */
   _assessClarity(text) {
-    const length = text.length;
+    const { length } = measureCopy(text);
     if (length < 20) return 'very-clear';
     if (length < 40) return 'clear';
     return 'moderate';
@@ -334,8 +406,9 @@ export class ExpressionAgent extends BaseAgent {
    * @returns {string} 評価
    */
   _assessMemorability(text) {
-    const hasRhythm = text.includes('、') || text.includes('へ');
-    const isShort = text.length < 30;
+    const { locale, length } = measureCopy(text);
+    const hasRhythm = locale === Locale.JA ? /[、へ]/.test(text) : text.includes(',');
+    const isShort = length < 30;
 
     if (hasRhythm && isShort) return 'high';
     if (isShort) return 'moderate';
@@ -343,16 +416,16 @@ export class ExpressionAgent extends BaseAgent {
   }
 
   /**
-   * リズム評価
+   * リズム評価 (日本語は全角 1 文字、英語は音節で拍を数える)
    *
    * @private
    * @param {string} text - テキスト
    * @returns {string} 評価
    */
   _assessRhythm(text) {
-    const syllables = text.length; // 簡易実装
-    if (syllables <= 15) return 'good';
-    if (syllables <= 25) return 'moderate';
+    const { beats } = measureCopy(text);
+    if (beats <= 15) return 'good';
+    if (beats <= 25) return 'moderate';
     return 'slow';
   }
 
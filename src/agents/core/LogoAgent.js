@@ -12,6 +12,8 @@
  */
 
 import { BaseAgent, AgentType } from '../base/BaseAgent.js';
+import { PromptTemplateId } from '../../llm/PromptTemplates.js';
+import { LogoRenderer, LogoVariant } from '../../rendering/LogoRenderer.js';
 
 /**
  * 基本図形タイプ
@@ -54,6 +56,10 @@ export class LogoAgent extends BaseAgent {
    * @param {Object} [options.logger] - ロガー
    * @param {Object} [options.knowledge] - ナレッジベース
    * @param {number} [options.variationCount] - バリエーション数
+   * @param {LLMProvider} [options.llm] - 指定時は LLM でメタファー案を追加生成
+   * @param {number} [options.llmVariations] - LLM で追加生成する件数
+   * @param {boolean} [options.renderArtwork] - コンセプトごとに SVG を生成するか (デフォルト: true)
+   * @param {LogoRenderer} [options.renderer] - SVG レンダラー
    */
   constructor(options = {}) {
     super({
@@ -64,6 +70,8 @@ export class LogoAgent extends BaseAgent {
 
     this.options = options;
     this.variationCount = this.options.variationCount || 3;
+    this.renderArtwork = this.options.renderArtwork !== false;
+    this.renderer = this.options.renderer || new LogoRenderer();
     this.iafEngine = this._initializeIAFEngine();
   }
 
@@ -113,6 +121,7 @@ export class LogoAgent extends BaseAgent {
 
     // Phase 1: 意味抽出 (IAF Processor)
     const symbolism = await this._extractSymbolism(estack);
+    const llmResults = await this._addMetaphorVariations(symbolism, estack);
 
     // Phase 2: 形状設計 (Form Builder)
     const formDesigns = await this._generateFormDesigns(
@@ -134,6 +143,13 @@ export class LogoAgent extends BaseAgent {
       estack
     );
 
+    // Phase 4.5: SVG 描画 (Renderer)
+    if (this.renderArtwork) {
+      for (const concept of styledConcepts) {
+        concept.artwork = this.renderer.renderAll(concept);
+      }
+    }
+
     // Phase 5: 検証 (Evaluator)
     const validation = await this._validateLogoConcepts(
       styledConcepts,
@@ -148,6 +164,7 @@ export class LogoAgent extends BaseAgent {
       metadata: {
         protocol: this.iafEngine.protocol,
         variationCount: variations,
+        llm: this._summarizeLLMUsage(llmResults),
         timestamp: new Date().toISOString(),
         agent: this.name
       }
@@ -414,6 +431,39 @@ export class LogoAgent extends BaseAgent {
     return `${primaryValue}を核とし、${purpose}という方向性を持つビジュアルメタファー`;
   }
 
+  /**
+   * LLM によるメタファー案の追加
+   *
+   * options.llm 指定時のみ symbolism.metaphorVariations を設定する。
+   * 先頭はテンプレート合成のメタファー
+   *
+   * @private
+   * @param {Object} symbolism - 象徴性
+   * @param {Object} estack - E:Stack構造
+   * @returns {Promise<Array>} LLM 利用結果
+   */
+  async _addMetaphorVariations(symbolism, estack) {
+    if (!this.llm) return [];
+
+    const result = await this._generateLLMVariations(PromptTemplateId.LOGO_METAPHOR_VARIATIONS, {
+      foundation: estack.foundation,
+      structure: estack.structure,
+      shapes: [symbolism.primaryShape, ...symbolism.secondaryShapes]
+    });
+
+    symbolism.metaphorVariations = [
+      {
+        content: symbolism.metaphor,
+        strategy: symbolism.primaryShape,
+        rationale: 'Values と Purpose から合成',
+        source: 'template'
+      },
+      ...result.variations.map(variation => ({ ...variation, source: 'llm' }))
+    ];
+
+    return [result];
+  }
+
   /**
    * 形状設計 (Form Builder)
    *
@@ -815,7 +865,8 @@ export class LogoAgent extends BaseAgent {
       minSize: '16px',
       maxSize: 'scalable',
       clearSpace: 'minimum 1x logo height',
-      backgrounds: ['white', 'black', 'colored']
+      backgrounds: ['white', 'black', 'colored'],
+      variants: Object.values(LogoVariant)
     };
   }
 
@@ -0,0 +1,480 @@
+/**
+ * @file NamingAgent.js
+ * @description ネーミング生成エージェント
+ * @responsibilities
+ * - E:Stack の Values・LogoAgent のメタファー・ExpressionAgent の象徴からネーミング候補を生成
+ * - 造語 / 複合語 / 比喩 / 記述的 の 4 戦略によるクリエイティブ分岐
+ * - 発音しやすさ・長さ・記憶性の評価
+ * - ローカルの商標・ドメイン一覧との類似 (衝突) スクリーニング
+ *
+ * @module NamingAgent
+ * @version 1.0.0
+ */
+
+import { BaseAgent, AgentType } from '../base/BaseAgent.js';
+import { LogoAgent } from './LogoAgent.js';
+import { ExpressionAgent } from './ExpressionAgent.js';
+import { TrademarkScreener, CollisionRisk, normalizeMark, readMarksFile } from '../../protocols/TrademarkScreener.js';
+import { Locale, detectLocale, countSyllables, findWordplay } from '../../utils/LocaleUtils.js';
+
+/**
+ * ネーミング戦略
+ * @enum {string}
+ */
+export const NamingStrategy = {
+  COINED: 'coined',             // 造語 (語根の合成)
+  COMPOUND: 'compound',         // 複合語 (英単語の結合)
+  METAPHORICAL: 'metaphorical', // 比喩 (メタファー・象徴)
+  DESCRIPTIVE: 'descriptive'    // 記述的 (事業内容を表す)
+};
+
+/**
+ * 日本語キーワード → 英語の語根・単語
+ */
+const NAMING_LEXICON = {
+  '誠実': { roots: ['veri', 'fide'], words: ['True', 'Honest'] },
+  '信頼': { roots: ['cred', 'fida'], words: ['Trust', 'Bond'] },
+  '革新': { roots: ['nova', 'neo'], words: ['Nova', 'Leap'] },
+  '顧客': { roots: ['cura', 'ami'], words: ['Care', 'Ally'] },
+  '品質': { roots: ['qual', 'opti'], words: ['Craft', 'Prime'] },
+  '未来': { roots: ['futu', 'avan'], words: ['Future', 'Next'] },
+  '技術': { roots: ['tekn', 'mech'], words: ['Tech', 'Works'] },
+  '成長': { roots: ['cresc', 'vita'], words: ['Grow', 'Rise'] },
+  '調和': { roots: ['harmo', 'conc'], words: ['Harmony', 'Accord'] },
+  '創造': { roots: ['crea', 'gen'], words: ['Create', 'Spark'] },
+  '安心': { roots: ['secu', 'tuto'], words: ['Safe', 'Haven'] },
+  '挑戦': { roots: ['audi', 'vent'], words: ['Venture', 'Bold'] },
+  '自由': { roots: ['libe', 'aero'], words: ['Free', 'Open'] }
+};
+
+/**
+ * 象徴 (ExpressionAgent の symbolism / LogoAgent のメタファー) → 英単語
+ */
+const SYMBOL_LEXICON = {
+  '矢印': 'Arrow',
+  '前進': 'Forward',
+  '上昇': 'Ascent',
+  '曲線': 'Curve',
+  '円': 'Orbit',
+  '安定': 'Keel',
+  '三角': 'Delta',
+  '鋭角': 'Apex',
+  '螺旋': 'Helix',
+  '波': 'Wave',
+  'ジオメトリ': 'Prism',
+  '抽象': 'Form'
+};
+
+/**
+ * 記述的ネーミングの接尾語
+ */
+const DESCRIPTORS = ['Works', 'Labs', 'Partners'];
+
+/**
+ * 造語の接尾辞
+ */
+const COINED_SUFFIXES = ['a', 'on', 'ia', 'ly'];
+
+/**
+ * 総合スコアの重み
+ */
+const SCORE_WEIGHTS = {
+  pronounceability: 0.3,
+  length: 0.2,
+  memorability: 0.25,
+  distinctiveness: 0.25
+};
+
+/**
+ * 長さの理想範囲 (英字数)
+ */
+const IDEAL_LENGTH = { min: 4, max: 8 };
+
+/**
+ * NamingAgent クラス
+ *
+ * @extends BaseAgent
+ */
+export class NamingAgent extends BaseAgent {
+  /**
+   * @param {Object} options - エージェント設定
+   * @param {Object} options.logger - ロガー
+   * @param {number} [options.variationCount] - 戦略ごとの候補数
+   * @param {string} [options.marksFile] - 既存の商標・ドメイン一覧ファイル (readMarksFile の形式)
+   * @param {LogoAgent} [options.logoAgent] - メタファー合成に使う LogoAgent
+   * @param {ExpressionAgent} [options.expressionAgent] - 象徴推論に使う ExpressionAgent
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      type: AgentType.NAMING,
+      name: 'NamingAgent'
+    });
+
+    this.variationCount = options.variationCount || 3;
+    this.marksFile = options.marksFile || null;
+    this.logoAgent = options.logoAgent || new LogoAgent({ logger: options.logger, renderArtwork: false });
+    this.expressionAgent = options.expressionAgent || new ExpressionAgent({ logger: options.logger });
+  }
+
+  /**
+   * エージェントの初期化
+   *
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await super.initialize();
+    this.logger?.info(`[${this.name}] エージェント固有の初期化完了`);
+  }
+
+  /**
+   * メイン処理: ネーミング生成とスクリーニング
+   *
+   * @param {Object} input - 入力データ
+   * @param {Object} input.estack - E:Stack構造
+   * @param {NamingStrategy[]} [input.strategies] - 使用する戦略 (省略時は全戦略)
+   * @param {string[]} [input.marks] - 既存の商標名 (marksFile に追加して照合)
+   * @param {string[]} [input.domains] - 取得済みドメイン
+   * @param {string} [input.marksFile] - 既存の商標・ドメイン一覧ファイル (省略時はコンストラクタの設定)
+   * @returns {Promise<Object>} ネーミング候補 (総合スコア順、高リスクの候補は末尾)
+   */
+  async process(input) {
+    this.logger.info('[NamingAgent] ネーミング生成開始', { input });
+
+    const {
+      estack,
+      strategies = Object.values(NamingStrategy),
+      marks = [],
+      domains = [],
+      marksFile = this.marksFile
+    } = input;
+
+    if (!estack) {
+      throw new Error('E:Stack 構造が必要です');
+    }
+    for (const strategy of strategies) {
+      if (!Object.values(NamingStrategy).includes(strategy)) {
+        throw new Error(`未知のネーミング戦略です: ${strategy} (利用可能: ${Object.values(NamingStrategy).join(', ')})`);
+      }
+    }
+
+    const screener = await this._loadScreener(marksFile, marks, domains);
+    const sources = this._collectSources(estack);
+
+    const generated = strategies.flatMap(strategy => this._generateCandidates(strategy, sources));
+    const seen = new Set();
+    const candidates = generated
+      .filter(candidate => {
+        const key = normalizeMark(candidate.name);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(candidate => this._scoreCandidate(candidate, screener))
+      .sort((a, b) =>
+        (a.screening.risk === CollisionRisk.HIGH) - (b.screening.risk === CollisionRisk.HIGH) ||
+        b.scores.overall - a.scores.overall)
+      .map((candidate, index) => ({ id: `name-${index + 1}`, ...candidate }));
+
+    return {
+      candidates,
+      recommended: candidates
+        .filter(candidate => candidate.screening.risk === CollisionRisk.LOW && !candidate.screening.domainTaken)
+        .slice(0, 3)
+        .map(candidate => candidate.name),
+      sources: {
+        values: sources.values.map(({ value }) => value),
+        metaphor: sources.metaphor,
+        symbolism: sources.symbolism
+      },
+      screening: {
+        source: marksFile,
+        ...screener.size,
+        skipped: screener.skipped.length
+      },
+      metadata: {
+        strategies,
+        variationCount: this.variationCount,
+        timestamp: new Date().toISOString(),
+        agent: this.name
+      }
+    };
+  }
+
+  /**
+   * 商標スクリーナーを準備
+   *
+   * @private
+   * @param {string|null} marksFile - 一覧ファイル
+   * @param {string[]} marks - 追加の商標名
+   * @param {string[]} domains - 追加のドメイン
+   * @returns {Promise<TrademarkScreener>}
+   */
+  async _loadScreener(marksFile, marks, domains) {
+    const listed = marksFile ? await readMarksFile(marksFile) : { marks: [], domains: [] };
+    const screener = new TrademarkScreener({
+      marks: [...listed.marks, ...marks],
+      domains: [...listed.domains, ...domains]
+    });
+
+    if (screener.skipped.length > 0) {
+      this.logger.warn(`[NamingAgent] 比較できる文字を含まない商標・ドメインを ${screener.skipped.length} 件除外しました`, {
+        skipped: screener.skipped
+      });
+    }
+    if (screener.entries.length === 0) {
+      this.logger.warn('[NamingAgent] 商標・ドメイン一覧が指定されていません。類似スクリーニングは行われません');
+    }
+    return screener;
+  }
+
+  /**
+   * 生成の素材を収集
+   *
+   * - Values: NAMING_LEXICON の語根・単語 (英語の Value はそのまま使う)
+   * - メタファー: LogoAgent._synthesizeMetaphor に含まれるキーワード
+   * - 象徴: ExpressionAgent._inferSymbolism の象徴語
+   * - 記述: Purpose と Positioning に含まれるキーワード
+   *
+   * @private
+   * @param {Object} estack - E:Stack構造
+   * @returns {Object}
+   */
+  _collectSources(estack) {
+    const { foundation, structure = {} } = estack;
+
+    const values = (foundation.values || [])
+      .map(value => ({ value, ...this._lookupLexicon(value) }))
+      .filter(entry => entry.roots.length > 0);
+
+    const metaphor = this.logoAgent._synthesizeMetaphor(foundation, structure);
+    const symbolism = this.expressionAgent._inferSymbolism(foundation);
+
+    const symbols = symbolism.flatMap(symbol =>
+      Object.entries(SYMBOL_LEXICON).filter(([key]) => symbol.includes(key)).map(([key, word]) => ({ source: symbol, key, word })));
+
+    const keywords = text => Object.entries(NAMING_LEXICON)
+      .filter(([key]) => (text || '').includes(key))
+      .map(([key, entry]) => ({ key, word: entry.words[0] }));
+
+    return {
+      values,
+      metaphor,
+      metaphorWords: keywords(metaphor),
+      symbolism,
+      symbols,
+      descriptive: keywords(`${foundation.purpose || ''}${structure.positioning || ''}`)
+    };
+  }
+
+  /**
+   * Value を語彙表で引く (部分一致。英語の Value は語そのものを語根にする)
+   *
+   * @private
+   * @param {string} value - Value
+   * @returns {{roots: string[], words: string[]}}
+   */
+  _lookupLexicon(value) {
+    if (detectLocale(value) === Locale.EN) {
+      const word = value.replace(/[^A-Za-z]/g, '');
+      return word ? { roots: [word.slice(0, 4).toLowerCase()], words: [capitalize(word)] } : { roots: [], words: [] };
+    }
+
+    const entry = Object.entries(NAMING_LEXICON).find(([key]) => value.includes(key) || key.includes(value));
+    if (!entry) {
+      this.logger.debug?.(`[NamingAgent] 語彙表にない Value です: ${value}`);
+      return { roots: [], words: [] };
+    }
+    return entry[1];
+  }
+
+  /**
+   * 戦略ごとの候補生成
+   *
+   * @private
+   * @param {NamingStrategy} strategy - 戦略
+   * @param {Object} sources - 生成の素材
+   * @returns {Array<Object>} { name, strategy, rationale, sources }
+   */
+  _generateCandidates(strategy, sources) {
+    const candidates = [];
+    const add = (name, rationale, from) => {
+      if (name && !candidates.some(candidate => candidate.name === name)) {
+        candidates.push({ name, strategy, rationale, sources: from });
+      }
+    };
+    const { values, metaphorWords, symbols, descriptive } = sources;
+
+    switch (strategy) {
+      case NamingStrategy.COINED:
+        for (const [a, b] of pairs(values)) {
+          add(blend(a.roots[0], b.roots[0]), `「${a.value}」(${a.roots[0]}) と「${b.value}」(${b.roots[0]}) の語根を合成`, [a.value, b.value]);
+        }
+        for (const [i, entry] of values.entries()) {
+          const root = entry.roots[1] || entry.roots[0];
+          add(blend(root, COINED_SUFFIXES[i % COINED_SUFFIXES.length]), `「${entry.value}」の語根 ${root} に接尾辞を付加`, [entry.value]);
+        }
+        break;
+
+      case NamingStrategy.COMPOUND:
+        for (const [a, b] of pairs(values)) {
+          add(`${a.words[0]}${b.words[0]}`, `「${a.value}」と「${b.value}」を表す語の複合`, [a.value, b.value]);
+        }
+        for (const entry of values) {
+          if (entry.words[1]) {
+            add(`${entry.words[0]}${entry.words[1]}`, `「${entry.value}」を表す 2 語の複合`, [entry.value]);
+          }
+        }
+        break;
+
+      case NamingStrategy.METAPHORICAL:
+        for (const [i, symbol] of symbols.entries()) {
+          const keyword = metaphorWords[i % Math.max(metaphorWords.length, 1)];
+          if (keyword) {
+            add(`${keyword.word}${symbol.word}`, `メタファーの「${keyword.key}」と象徴「${symbol.source}」`, [keyword.key, symbol.source]);
+          }
+          add(symbol.word, `象徴「${symbol.source}」を名前にする`, [symbol.source]);
+        }
+        break;
+
+      case NamingStrategy.DESCRIPTIVE:
+        for (const [i, keyword] of descriptive.entries()) {
+          add(`${keyword.word}${DESCRIPTORS[i % DESCRIPTORS.length]}`, `Purpose / Positioning の「${keyword.key}」を事業の記述として使用`, [keyword.key]);
+        }
+        for (const [a, b] of pairs(descriptive)) {
+          add(`${a.word}${b.word}`, `「${a.key}」と「${b.key}」で事業内容を直接表す`, [a.key, b.key]);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    return candidates.slice(0, this.variationCount);
+  }
+
+  /**
+   * 候補の評価とスクリーニング
+   *
+   * @private
+   * @param {Object} candidate - 候補
+   * @param {TrademarkScreener} screener - 商標スクリーナー
+   * @returns {Object} scores / screening を付与した候補
+   */
+  _scoreCandidate(candidate, screener) {
+    const screening = screener.screen(candidate.name);
+    const scores = {
+      pronounceability: this._scorePronounceability(candidate.name),
+      length: this._scoreLength(candidate.name),
+      memorability: this._scoreMemorability(candidate.name),
+      distinctiveness: Math.round((1 - screening.similarity) * 100)
+    };
+    scores.overall = Math.round(
+      Object.entries(SCORE_WEIGHTS).reduce((sum, [key, weight]) => sum + scores[key] * weight, 0)
+    );
+
+    return { ...candidate, scores, screening };
+  }
+
+  /**
+   * 発音しやすさ (0-100)
+   *
+   * 3 文字以上の子音連続・3 文字以上の母音連続・母音比率の偏りを減点する
+   *
+   * @private
+   * @param {string} name - 名前
+   * @returns {number}
+   */
+  _scorePronounceability(name) {
+    const letters = normalizeMark(name).replace(/[0-9]/g, '');
+    if (!letters) return 0;
+
+    const consonantClusters = (letters.match(/[^aeiouy]{3,}/g) || []).length;
+    const vowelClusters = (letters.match(/[aeiou]{3,}/g) || []).length;
+    const vowelRatio = (letters.match(/[aeiouy]/g) || []).length / letters.length;
+    const ratioPenalty = Math.max(0, Math.abs(vowelRatio - 0.45) - 0.1) * 150;
+
+    return clamp(100 - consonantClusters * 20 - vowelClusters * 10 - ratioPenalty);
+  }
+
+  /**
+   * 長さ (0-100、4〜8 文字が満点)
+   *
+   * @private
+   * @param {string} name - 名前
+   * @returns {number}
+   */
+  _scoreLength(name) {
+    const length = normalizeMark(name).length;
+    const distance = Math.max(0, IDEAL_LENGTH.min - length, length - IDEAL_LENGTH.max);
+    return clamp(100 - distance * 12);
+  }
+
+  /**
+   * 記憶性 (0-100)
+   *
+   * 2〜3 音節・短さ・音の反復 (頭韻・脚韻)・特徴的な子音を加点する
+   *
+   * @private
+   * @param {string} name - 名前
+   * @returns {number}
+   */
+  _scoreMemorability(name) {
+    const letters = normalizeMark(name);
+    const syllables = countSyllables(letters);
+    const parts = name.split(/(?=[A-Z])/).join(' ');
+
+    let score = 40;
+    if (syllables >= 2 && syllables <= 3) score += 25;
+    else if (syllables === 1 || syllables === 4) score += 10;
+    if (letters.length <= IDEAL_LENGTH.max) score += 15;
+    if (findWordplay(parts, Locale.EN).length > 0 || /(..).*\1/.test(letters)) score += 10;
+    if (/[kvxz]/.test(letters)) score += 10;
+
+    return clamp(score);
+  }
+}
+
+/**
+ * 順序付きの組 (i < j)
+ *
+ * @param {Array} items - 要素
+ * @returns {Array<Array>}
+ */
+function pairs(items) {
+  return items.flatMap((a, i) => items.slice(i + 1).map(b => [a, b]));
+}
+
+/**
+ * 語根を合成 (境界の母音の重なりを 1 つにする)
+ *
+ * @param {string} a - 前半
+ * @param {string} b - 後半
+ * @returns {string}
+ */
+function blend(a, b) {
+  const joined = /[aeiou]$/.test(a) && /^[aeiou]/.test(b) ? `${a}${b.slice(1)}` : `${a}${b}`;
+  return capitalize(joined);
+}
+
+/**
+ * 先頭を大文字にする
+ *
+ * @param {string} word - 語
+ * @returns {string}
+ */
+function capitalize(word) {
+  return `${word.charAt(0).toUpperCase()}${word.slice(1).toLowerCase()}`;
+}
+
+/**
+ * 0〜100 に丸める
+ *
+ * @param {number} value - 値
+ * @returns {number}
+ */
+function clamp(value) {
+  return Math.round(Math.min(100, Math.max(0, value)));
+}
+
+export default NamingAgent;
@@ -13,6 +13,38 @@
 
 import { BaseAgent, AgentType } from '../base/BaseAgent.js';
 
+/**
+ * RSI モードを解除する入力完全性の閾値
+ * @type {number}
+ */
+export const RSI_COMPLETENESS_THRESHOLD = 0.7;
+
+/**
+ * E:Stack 必須フィールドと入力ソースの対応
+ *
+ * hearing / business のキーは _map*Layer が実際に参照する別名のみを列挙する
+ * (マッピングされない別名を数えると完全性だけが上がり、フィールドは null のままになる)
+ *
+ * @type {Object<string, Object<string, {hearing: string[], business: string[]}>>}
+ */
+export const ESTACK_FIELD_SOURCES = {
+  foundation: {
+    purpose: { hearing: ['purpose'], business: ['mission'] },
+    values: { hearing: ['values'], business: ['values'] },
+    notAxis: { hearing: ['notAxis'], business: ['notAxis'] }
+  },
+  structure: {
+    persona: { hearing: ['targetAudience'], business: ['targetMarket'] },
+    tone: { hearing: ['tone'], business: ['brandVoice'] },
+    positioning: { hearing: ['positioning'], business: ['positioning'] }
+  },
+  expression: {
+    coreMessage: { hearing: ['coreMessage'], business: ['keyMessage'] },
+    tagline: { hearing: ['tagline'], business: ['tagline'] },
+    visualIdentity: { hearing: ['visualIdentity'], business: ['visualIdentity'] }
+  }
+};
+
 /**
  * StructureAgent クラス
  *
@@ -92,6 +124,18 @@ export class StructureAgent extends BaseAgent {
     };
   }
 
+  /**
+   * 入力完全性評価
+   *
+   * RSI ヒアリングなど、処理前に不足フィールドを確認する用途向け
+   *
+   * @param {Object} input - 入力データ
+   * @returns {Object} 検証結果 (isComplete, completeness, missingFields)
+   */
+  evaluateCompleteness(input = {}) {
+    return this._validateInput(input);
+  }
+
   /**
    * 入力データ検証
    *
@@ -100,21 +144,15 @@ export class StructureAgent extends BaseAgent {
    * @returns {Object} 検証結果
    */
   _validateInput(input) {
-    const requiredFields = {
-      foundation: ['purpose', 'values', 'notAxis'],
-      structure: ['persona', 'tone', 'positioning'],
-      expression: ['coreMessage', 'tagline', 'visualIdentity']
-    };
-
     const missingFields = [];
     let totalFields = 0;
     let providedFields = 0;
 
-    for (const [layer, fields] of Object.entries(requiredFields)) {
-      for (const field of fields) {
+    for (const [layer, fields] of Object.entries(ESTACK_FIELD_SOURCES)) {
+      for (const [field, sources] of Object.entries(fields)) {
         totalFields++;
-        const hasField = input.hearing?.[field] ||
-                        input.business?.[field] ||
+        const hasField = sources.hearing.some(key => input.hearing?.[key]) ||
+                        sources.business.some(key => input.business?.[key]) ||
                         input.existing?.[layer]?.[field];
 
         if (hasField) {
@@ -128,7 +166,7 @@ export class StructureAgent extends BaseAgent {
     const completeness = providedFields / totalFields;
 
     return {
-      isComplete: completeness >= 0.7, // 70% 以上で完全とみなす
+      isComplete: completeness >= RSI_COMPLETENESS_THRESHOLD, // 70% 以上で完全とみなす
       completeness,
       missingFields
     };
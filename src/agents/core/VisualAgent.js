@@ -12,6 +12,16 @@
  */
 
 import { BaseAgent, AgentType } from '../base/BaseAgent.js';
+import {
+  WCAG_CONTRAST,
+  CVDType,
+  adjustLightness,
+  contrastRatio,
+  evaluateContrast,
+  simulateColorVision,
+  deltaE2000,
+  rotateHue
+} from '../../utils/ColorUtils.js';
 
 /**
  * ビジュアルシステムコンポーネント
@@ -39,6 +49,23 @@ export const SystemLayer = {
   GUIDELINES: 'guidelines'      // ガイドライン（使用法、原則）
 };
 
+/**
+ * コントラスト調整の刻み (HSL 明度ポイント) と上限回数
+ */
+const CONTRAST_ADJUST_STEP = 5;
+const CONTRAST_ADJUST_MAX_STEPS = 20;
+
+/**
+ * セマンティックカラーを判別可能とみなす最小 CIEDE2000 色差
+ */
+const DEFAULT_CVD_MIN_DISTANCE = 10;
+
+/**
+ * 代替色相を提案する際に維持を優先するセマンティックカラーの順序
+ * (error の赤は慣習的な意味が強いため最優先で維持)
+ */
+const SEMANTIC_HUE_PRIORITY = ['error', 'warning', 'success', 'info'];
+
 /**
  * VisualAgent クラス
  *
@@ -51,6 +78,8 @@ export class VisualAgent extends BaseAgent {
    * @param {Object} options - エージェント設定
    * @param {Object} options.logger - ロガー
    * @param {Object} options.knowledge - ナレッジベース
+   * @param {boolean} [options.autoAdjustContrast=true] - WCAG AA 未達のシェードを自動調整するか
+   * @param {number} [options.cvdMinDistance=10] - 色覚シミュレーション下で判別可能とみなす最小 ΔE00
    */
   constructor(options = {}) {
     super({
@@ -60,6 +89,8 @@ export class VisualAgent extends BaseAgent {
     });
 
     this.options = options;
+    this.autoAdjustContrast = options.autoAdjustContrast !== false;
+    this.cvdMinDistance = options.cvdMinDistance || DEFAULT_CVD_MIN_DISTANCE;
   }
 
   /**
@@ -184,18 +215,27 @@ export class VisualAgent extends BaseAgent {
     const baseColors = logoConcept?.styling?.colorPalette || this._inferBaseColors(foundation);
 
     // カラーパレット生成
-    const palette = this._generateColorPalette(baseColors, foundation, structure);
+    const generatedPalette = this._generateColorPalette(baseColors, foundation, structure);
 
     // 用途別カラー定義
-    const semantic = this._defineSemanticColors(palette);
+    const generatedSemantic = this._defineSemanticColors(generatedPalette);
+
+    // コントラスト自動調整
+    const { palette, semantic, adjustments } = this.autoAdjustContrast
+      ? this._adjustColorContrast(generatedPalette, generatedSemantic)
+      : { palette: generatedPalette, semantic: generatedSemantic, adjustments: [] };
+
+    // 色覚多様性シミュレーション
+    const colorVision = this._analyzeColorVision(palette, semantic);
 
     // アクセシビリティ検証
-    const accessibility = this._validateColorAccessibility(palette, semantic);
+    const accessibility = this._validateColorAccessibility(palette, semantic, adjustments, colorVision);
 
     return {
       palette,
       semantic,
       accessibility,
+      colorVision,
       usage: this._defineColorUsage(palette, semantic)
     };
   }
@@ -294,8 +334,7 @@ export class VisualAgent extends BaseAgent {
    * @returns {string}
    */
   _lightenColor(color, percent) {
-    // 簡易実装
-    return color;
+    return adjustLightness(color, percent);
   }
 
   /**
@@ -307,8 +346,7 @@ export class VisualAgent extends BaseAgent {
    * @returns {string}
    */
   _darkenColor(color, percent) {
-    // 簡易実装
-    return color;
+    return adjustLightness(color, -percent);
   }
 
   /**
@@ -347,30 +385,351 @@ export class VisualAgent extends BaseAgent {
     };
   }
 
+  /**
+   * 検証対象の前景色・背景色ペアを列挙
+   *
+   * - text-on-fill: contrast テキスト on main (ボタン等の塗り)
+   * - text-on-light: dark テキスト on 白背景 (リンク・強調テキスト)
+   * - text-on-tint: 本文色 on light (淡色背景上の本文)
+   * - ui-on-light: main on 白背景 (アイコン・境界線等の非テキスト UI、参考値)
+   *
+   * @private
+   * @param {Object} palette - カラーパレット
+   * @param {Object} semantic - セマンティックカラー
+   * @returns {Array<Object>}
+   */
+  _listContrastPairs(palette, semantic) {
+    const white = { path: 'palette.neutral.100', color: palette.neutral[100] };
+    const bodyText = { path: 'palette.neutral.900', color: palette.neutral[900] };
+    const groups = [
+      ...['primary', 'secondary', 'accent'].map(name => ({ scope: 'palette', name, shades: palette[name] })),
+      ...Object.entries(semantic).map(([name, shades]) => ({ scope: 'semantic', name, shades }))
+    ];
+
+    const shade = (group, key) => ({ path: `${group.scope}.${group.name}.${key}`, color: group.shades[key] });
+    const pairs = [
+      { id: 'neutral.bodyText', usage: 'text-on-light', required: 'AA', foreground: bodyText, background: white },
+      {
+        id: 'neutral.secondaryText',
+        usage: 'text-on-light',
+        required: 'AA',
+        foreground: { path: 'palette.neutral.600', color: palette.neutral[600] },
+        background: white
+      }
+    ];
+
+    for (const group of groups) {
+      pairs.push(
+        {
+          id: `${group.name}.textOnMain`,
+          usage: 'text-on-fill',
+          required: 'AA',
+          foreground: shade(group, 'contrast'),
+          background: shade(group, 'main')
+        },
+        {
+          id: `${group.name}.darkOnWhite`,
+          usage: 'text-on-light',
+          required: 'AA',
+          foreground: shade(group, 'dark'),
+          background: white
+        },
+        {
+          id: `${group.name}.textOnLight`,
+          usage: 'text-on-tint',
+          required: 'AA',
+          foreground: bodyText,
+          background: shade(group, 'light')
+        },
+        {
+          id: `${group.name}.mainOnWhite`,
+          usage: 'ui-on-light',
+          required: null,
+          foreground: shade(group, 'main'),
+          background: white
+        }
+      );
+    }
+
+    return pairs;
+  }
+
+  /**
+   * WCAG AA 未達のシェードを自動調整
+   *
+   * main はブランドカラーのため変更しない。
+   * - contrast: 白 / 黒のうちコントラストの高い方へ切り替え (必ず 4.5:1 以上になる)
+   * - dark: 白背景で 4.5:1 に達するまで暗くする
+   * - light: 本文色に対して 4.5:1 に達するまで明るくする
+   *
+   * @private
+   * @param {Object} palette - カラーパレット
+   * @param {Object} semantic - セマンティックカラー
+   * @returns {{palette: Object, semantic: Object, adjustments: Array<Object>}}
+   */
+  _adjustColorContrast(palette, semantic) {
+    const adjusted = {
+      palette: structuredClone(palette),
+      semantic: structuredClone(semantic)
+    };
+    const adjustments = [];
+    const white = palette.neutral[100];
+    const bodyText = palette.neutral[900];
+
+    const record = (scope, name, key, from, to, against) => {
+      adjustments.push({
+        path: `${scope}.${name}.${key}`,
+        from,
+        to,
+        before: evaluateContrast(from, against).label,
+        after: evaluateContrast(to, against).label
+      });
+    };
+
+    for (const scope of ['palette', 'semantic']) {
+      const names = scope === 'palette' ? ['primary', 'secondary', 'accent'] : Object.keys(adjusted.semantic);
+
+      for (const name of names) {
+        const shades = adjusted[scope][name];
+
+        if (contrastRatio(shades.contrast, shades.main) < WCAG_CONTRAST.AA.normal) {
+          const best = contrastRatio('#FFFFFF', shades.main) >= contrastRatio('#000000', shades.main)
+            ? '#FFFFFF'
+            : '#000000';
+          record(scope, name, 'contrast', shades.contrast, best, shades.main);
+          shades.contrast = best;
+        }
+
+        const dark = this._stepUntilContrast(shades.dark, white, color => this._darkenColor(color, CONTRAST_ADJUST_STEP));
+        if (dark !== shades.dark) {
+          record(scope, name, 'dark', shades.dark, dark, white);
+          shades.dark = dark;
+        }
+
+        const light = this._stepUntilContrast(shades.light, bodyText, color => this._lightenColor(color, CONTRAST_ADJUST_STEP));
+        if (light !== shades.light) {
+          record(scope, name, 'light', shades.light, light, bodyText);
+          shades.light = light;
+        }
+      }
+    }
+
+    return { ...adjusted, adjustments };
+  }
+
+  /**
+   * AA (通常テキスト) を満たすまで色を段階的に変化させる
+   *
+   * @private
+   * @param {string} color - 調整対象の色
+   * @param {string} against - 比較対象の色
+   * @param {function(string): string} step - 1 段階分の変換
+   * @returns {string}
+   */
+  _stepUntilContrast(color, against, step) {
+    let current = color;
+
+    for (let i = 0; i < CONTRAST_ADJUST_MAX_STEPS; i++) {
+      if (contrastRatio(current, against) >= WCAG_CONTRAST.AA.normal) break;
+      current = step(current);
+    }
+
+    return current;
+  }
+
   /**
    * カラーアクセシビリティ検証
    *
+   * パレット・セマンティックカラーの全ペアについて相対輝度からコントラスト比を計算し、
+   * AA / AAA を通常テキスト・大きいテキストそれぞれで判定する。
+   * 準拠レベルは required が設定されたテキスト用ペアのみで決定する
+   *
    * @private
    * @param {Object} palette - カラーパレット
    * @param {Object} semantic - セマンティックカラー
+   * @param {Array<Object>} [adjustments] - 自動調整の記録
+   * @param {Object} [colorVision] - 色覚シミュレーション結果
    * @returns {Object}
    */
-  _validateColorAccessibility(palette, semantic) {
+  _validateColorAccessibility(palette, semantic, adjustments = [], colorVision = null) {
+    const pairs = this._listContrastPairs(palette, semantic).map(pair => {
+      const result = evaluateContrast(pair.foreground.color, pair.background.color);
+      return {
+        ...pair,
+        ...result,
+        passes: pair.required ? result.aa.normal : result.aa.large
+      };
+    });
+
+    const required = pairs.filter(pair => pair.required);
+    const failures = pairs.filter(pair => !pair.passes);
+
+    let wcagCompliance = 'none';
+    if (required.every(pair => pair.aaa.normal)) {
+      wcagCompliance = 'AAA';
+    } else if (required.every(pair => pair.aa.normal)) {
+      wcagCompliance = 'AA';
+    }
+
+    const recommendations = failures.map(pair => pair.required
+      ? `${pair.foreground.path} on ${pair.background.path} は ${pair.label} で WCAG AA (4.5:1) 未達`
+      : `${pair.foreground.path} は白背景で ${pair.label} のため、アイコンや境界線には dark シェードを使用する`);
+
+    if (adjustments.length > 0) {
+      recommendations.push(`${adjustments.length} 件のシェードを WCAG AA を満たすよう自動調整済み`);
+    }
+    for (const pair of colorVision?.flagged || []) {
+      recommendations.push(
+        `${pair.pair.join(' / ')} は ${pair.failingSimulations.join(', ')} で判別困難 (ΔE00 ${pair.minDistance})`
+      );
+    }
+    recommendations.push('色のみに依存しない情報伝達を心がける');
+
     return {
-      wcagCompliance: 'AA',
-      contrastRatios: {
-        primaryOnWhite: '4.5:1',
-        primaryOnDark: '7:1',
-        textOnPrimary: '4.5:1'
+      wcagCompliance,
+      contrastRatios: Object.fromEntries(pairs.map(pair => [pair.id, pair.label])),
+      pairs,
+      summary: {
+        total: pairs.length,
+        required: required.length,
+        passingAA: required.filter(pair => pair.aa.normal).length,
+        passingAAA: required.filter(pair => pair.aaa.normal).length,
+        failures: failures.length
       },
-      colorBlindSafe: true,
-      recommendations: [
-        'すべての主要カラーは WCAG AA 基準を満たす',
-        '色のみに依存しない情報伝達を心がける'
-      ]
+      adjustments,
+      colorBlindSafe: colorVision ? colorVision.safe : null,
+      recommendations
     };
   }
 
+  /**
+   * 色覚多様性シミュレーションと判別性レポート
+   *
+   * P / D / T 型のシミュレーション下でセマンティックカラー (main) 同士の
+   * CIEDE2000 色差を計算し、cvdMinDistance 未満のペアを判別困難として報告する
+   *
+   * @private
+   * @param {Object} palette - カラーパレット
+   * @param {Object} semantic - セマンティックカラー
+   * @returns {Object}
+   */
+  _analyzeColorVision(palette, semantic) {
+    const visions = ['normal', ...Object.values(CVDType)];
+    const names = Object.keys(semantic);
+    const view = (hex, vision) => (vision === 'normal' ? hex : simulateColorVision(hex, vision));
+
+    const simulations = {};
+    for (const type of Object.values(CVDType)) {
+      simulations[type] = {
+        palette: Object.fromEntries(
+          ['primary', 'secondary', 'accent'].map(name => [name, view(palette[name].main, type)])
+        ),
+        semantic: Object.fromEntries(names.map(name => [name, view(semantic[name].main, type)]))
+      };
+    }
+
+    const pairs = [];
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const [a, b] = [names[i], names[j]];
+        const distances = Object.fromEntries(visions.map(vision => [
+          vision,
+          Math.round(deltaE2000(view(semantic[a].main, vision), view(semantic[b].main, vision)) * 100) / 100
+        ]));
+        const failingSimulations = visions.filter(vision => distances[vision] < this.cvdMinDistance);
+
+        pairs.push({
+          pair: [a, b],
+          distances,
+          minDistance: Math.min(...Object.values(distances)),
+          distinguishable: failingSimulations.length === 0,
+          failingSimulations
+        });
+      }
+    }
+
+    const flagged = pairs.filter(pair => !pair.distinguishable);
+
+    return {
+      method: 'Machado 2009 (severity 1.0) + CIEDE2000',
+      threshold: this.cvdMinDistance,
+      simulations,
+      pairs,
+      flagged,
+      suggestions: this._suggestDistinguishableHues(semantic, flagged, visions),
+      safe: flagged.length === 0
+    };
+  }
+
+  /**
+   * 判別困難なセマンティックカラーの代替色相を提案
+   *
+   * 優先度の低い側 (SEMANTIC_HUE_PRIORITY) の色相を回転させ、
+   * 全シミュレーション下で他の全セマンティックカラーと閾値以上離れる色を探す。
+   * 元の色から近い順 (色相の回転量が小さい順、同じ回転量では明度変更なしを優先) に試す
+   *
+   * @private
+   * @param {Object} semantic - セマンティックカラー
+   * @param {Array<Object>} flagged - 判別困難なペア
+   * @param {string[]} visions - 評価対象の色覚 ('normal' を含む)
+   * @returns {Array<Object>}
+   */
+  _suggestDistinguishableHues(semantic, flagged, visions) {
+    const current = Object.fromEntries(Object.entries(semantic).map(([name, shades]) => [name, shades.main]));
+    const view = (hex, vision) => (vision === 'normal' ? hex : simulateColorVision(hex, vision));
+    const rank = (name) => {
+      const index = SEMANTIC_HUE_PRIORITY.indexOf(name);
+      return index === -1 ? SEMANTIC_HUE_PRIORITY.length : index;
+    };
+    const minDistance = (name, candidate) => Math.min(...Object.keys(current)
+      .filter(other => other !== name)
+      .flatMap(other => visions.map(vision => deltaE2000(view(candidate, vision), view(current[other], vision)))));
+
+    const suggestions = [];
+    const handled = new Set();
+
+    for (const { pair } of flagged) {
+      const target = rank(pair[0]) >= rank(pair[1]) ? pair[0] : pair[1];
+      if (handled.has(target)) continue;
+      handled.add(target);
+
+      const from = current[target];
+      let found = null;
+
+      search:
+      for (let step = 1; step <= 12; step++) {
+        for (const lightness of [0, -15, 15]) {
+          for (const direction of [1, -1]) {
+            const hueShift = direction * step * 15;
+            const candidate = adjustLightness(rotateHue(from, hueShift), lightness);
+            const distance = minDistance(target, candidate);
+
+            if (distance >= this.cvdMinDistance) {
+              found = { to: candidate, hueShift, lightnessShift: lightness, minDistance: Math.round(distance * 100) / 100 };
+              break search;
+            }
+          }
+        }
+      }
+
+      if (found) {
+        current[target] = found.to;
+      }
+
+      suggestions.push({
+        target,
+        conflictsWith: pair.find(name => name !== target),
+        from,
+        ...(found || { to: null, hueShift: null, lightnessShift: null, minDistance: null }),
+        note: found
+          ? '全色覚シミュレーションで他のセマンティックカラーと判別可能'
+          : '色相変更のみでは判別できないため、アイコン・ラベルを併用する'
+      });
+    }
+
+    return suggestions;
+  }
+
   /**
    * カラー使用法定義
    *
@@ -911,7 +1270,7 @@ export class VisualAgent extends BaseAgent {
     return {
       principles: this._defineDesignPrinciples(estack),
       bestPractices: this._defineBestPractices(estack),
-      accessibility: this._defineAccessibilityGuidelines(),
+      accessibility: this._defineAccessibilityGuidelines(foundation.color.accessibility),
       responsiveness: this._defineResponsivenessGuidelines(foundation.grid),
       implementation: this._defineImplementationGuidelines()
     };
@@ -980,12 +1339,19 @@ export class VisualAgent extends BaseAgent {
   /**
    * アクセシビリティガイドライン定義
    *
+   * 準拠表記はカラー検証の実測結果に基づく
+   *
    * @private
+   * @param {Object} colorAccessibility - カラーアクセシビリティ検証結果
    * @returns {Object}
    */
-  _defineAccessibilityGuidelines() {
+  _defineAccessibilityGuidelines(colorAccessibility) {
+    const level = colorAccessibility?.wcagCompliance;
+
     return {
-      wcag: 'WCAG 2.1 Level AA 準拠',
+      wcag: level === 'AA' || level === 'AAA'
+        ? `WCAG 2.1 Level ${level} 準拠 (テキスト用カラーペア)`
+        : 'WCAG 2.1 Level AA 未達 (カラーペアの調整が必要)',
       contrast: {
         text: '4.5:1 以上',
         largeText: '3:1 以上',
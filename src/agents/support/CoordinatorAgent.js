@@ -6,11 +6,23 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Logger } from '../../utils/Logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Raised when a workflow step exceeds its `timeout_ms`
+ */
+export class StepTimeoutError extends Error {
+  constructor(stepName, timeoutMs) {
+    super(`Step timed out after ${timeoutMs}ms: ${stepName}`);
+    this.name = 'StepTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
 /**
  * CoordinatorAgent
  *
@@ -27,12 +39,19 @@ export class CoordinatorAgent {
       registryPath: options.registryPath || path.join(process.cwd(), '.miyabi/agent_registry.json'),
       workflowLogPath: options.workflowLogPath || path.join(process.cwd(), '.miyabi/logs/workflows.json'),
       maxRetries: options.maxRetries || 3,
+      maxConcurrency: options.maxConcurrency || 3,
+      resumeOnStartup: options.resumeOnStartup || false,
+      agentsDir: options.agentsDir || path.join(__dirname, '..'),
+      agentClasses: options.agentClasses || {},
+      logger: options.logger || new Logger({ name: 'CoordinatorAgent', file: false }),
       ...options
     };
 
     this.registry = null;
     this.workflows = [];
     this.activeWorkflows = new Map();
+    this.saveQueue = Promise.resolve();
+    this.executing = new Set();
   }
 
   /**
@@ -46,6 +65,10 @@ export class CoordinatorAgent {
     await this.loadWorkflows();
 
     console.log('✅ CoordinatorAgent initialized');
+
+    if (this.options.resumeOnStartup) {
+      await this.resumeAll();
+    }
   }
 
   /**
@@ -74,6 +97,13 @@ export class CoordinatorAgent {
       const content = await fs.readFile(this.options.workflowLogPath, 'utf-8');
       this.workflows = JSON.parse(content);
       console.log(`📋 Workflow log loaded: ${this.workflows.length} workflows`);
+
+      // Workflows still marked running were interrupted (crash, deploy) and can be resumed
+      for (const workflow of this.workflows) {
+        if (workflow.status === 'running') {
+          this.activeWorkflows.set(workflow.id, workflow);
+        }
+      }
     } catch (error) {
       if (error.code === 'ENOENT') {
         this.workflows = [];
@@ -88,11 +118,15 @@ export class CoordinatorAgent {
    * Save workflows
    */
   async saveWorkflows() {
-    await fs.writeFile(
+    // Parallel steps finish independently, so serialize writes to the log file
+    const write = () => fs.writeFile(
       this.options.workflowLogPath,
       JSON.stringify(this.workflows, null, 2),
       'utf-8'
     );
+
+    this.saveQueue = this.saveQueue.then(write, write);
+    await this.saveQueue;
   }
 
   /**
@@ -125,6 +159,7 @@ export class CoordinatorAgent {
       'copywriting': { category: 'core', agent: 'CopyAgent' },
       'logo_design': { category: 'core', agent: 'LogoAgent' },
       'visual_identity': { category: 'core', agent: 'VisualAgent' },
+      'brand_naming': { category: 'core', agent: 'NamingAgent' },
 
       // Quality operations
       'quality_control': { category: 'quality', agent: 'QualityControlAgent' }
@@ -264,19 +299,41 @@ export class CoordinatorAgent {
 
   /**
    * Create workflow
+   *
+   * Steps may declare `depends_on` (array of step ids). A step without
+   * `depends_on` depends on the previous step, so plain step lists keep
+   * running sequentially; `depends_on: []` marks an independent root step.
+   *
+   * Steps may also declare `retry` ({ max_attempts, backoff_ms, backoff_multiplier,
+   * max_backoff_ms, retryable_errors }), `timeout_ms` and `compensate` (id of an
+   * entry in `workflowDef.compensations`, run in reverse order if the workflow fails).
+   *
    * @param {Object} workflowDef - Workflow definition
+   * @param {number} [workflowDef.max_concurrency] - Parallel step limit for this workflow
+   * @param {Array} [workflowDef.compensations] - Compensation step definitions
    * @returns {Object} Workflow instance
+   * @throws {Error} When the step graph has duplicate ids, missing dependencies or cycles
    */
   async createWorkflow(workflowDef) {
+    const steps = this.normalizeWorkflowSteps(workflowDef.steps || []);
+    const compensations = (workflowDef.compensations || []).map((step, index) => ({
+      ...step,
+      id: step.id || step.name || `compensation_${index + 1}`
+    }));
+    this.validateCompensations(steps, compensations);
+
     const workflow = {
       id: this.generateWorkflowId(),
       name: workflowDef.name,
       description: workflowDef.description || '',
       created_at: new Date().toISOString(),
       status: 'created',
-      steps: workflowDef.steps || [],
+      steps,
+      max_concurrency: workflowDef.max_concurrency || this.options.maxConcurrency,
+      compensation_steps: compensations,
       current_step: 0,
       results: [],
+      compensations: [],
       metadata: workflowDef.metadata || {}
     };
 
@@ -290,6 +347,98 @@ export class CoordinatorAgent {
     return workflow;
   }
 
+  /**
+   * Normalize step ids and dependencies, then validate the step graph
+   * @param {Array} steps - Step definitions
+   * @returns {Array} Normalized steps
+   */
+  normalizeWorkflowSteps(steps) {
+    const normalized = steps.map((step, index) => ({
+      ...step,
+      id: step.id || step.name || `step_${index + 1}`
+    }));
+
+    normalized.forEach((step, index) => {
+      if (!Array.isArray(step.depends_on)) {
+        step.depends_on = index > 0 ? [normalized[index - 1].id] : [];
+      }
+    });
+
+    this.validateWorkflowGraph(normalized);
+
+    return normalized;
+  }
+
+  /**
+   * Validate workflow step graph
+   * @param {Array} steps - Normalized steps
+   * @returns {Array<string>} Step ids in topological order
+   * @throws {Error} When the graph is invalid
+   */
+  validateWorkflowGraph(steps) {
+    const ids = new Set();
+
+    for (const step of steps) {
+      if (ids.has(step.id)) {
+        throw new Error(`Duplicate step id: ${step.id}`);
+      }
+      ids.add(step.id);
+    }
+
+    for (const step of steps) {
+      for (const dep of step.depends_on || []) {
+        if (!ids.has(dep)) {
+          throw new Error(`Step '${step.id}' depends on unknown step '${dep}'`);
+        }
+      }
+    }
+
+    // Depth-first search with visiting/visited marks detects cycles
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const visiting = new Set();
+    const visited = new Set();
+    const order = [];
+
+    const visit = (id, trail) => {
+      if (visited.has(id)) return;
+
+      if (visiting.has(id)) {
+        const cycle = [...trail.slice(trail.indexOf(id)), id];
+        throw new Error(`Workflow contains a dependency cycle: ${cycle.join(' → ')}`);
+      }
+
+      visiting.add(id);
+      for (const dep of byId.get(id).depends_on || []) {
+        visit(dep, [...trail, id]);
+      }
+      visiting.delete(id);
+      visited.add(id);
+      order.push(id);
+    };
+
+    for (const step of steps) {
+      visit(step.id, []);
+    }
+
+    return order;
+  }
+
+  /**
+   * Validate that every `compensate` reference names a compensation step
+   * @param {Array} steps - Normalized steps
+   * @param {Array} compensations - Normalized compensation steps
+   * @throws {Error} When a step references an unknown compensation
+   */
+  validateCompensations(steps, compensations) {
+    const ids = new Set(compensations.map(step => step.id));
+
+    for (const step of steps) {
+      if (step.compensate && !ids.has(step.compensate)) {
+        throw new Error(`Step '${step.id}' references unknown compensation '${step.compensate}'`);
+      }
+    }
+  }
+
   /**
    * Generate workflow ID
    */
@@ -315,37 +464,18 @@ export class CoordinatorAgent {
     console.log(`ID: ${workflow.id}`);
     console.log(`Steps: ${workflow.steps.length}\n`);
 
+    if (this.executing.has(workflow.id)) {
+      throw new Error(`Workflow already executing: ${workflow.id}`);
+    }
+
+    this.executing.add(workflow.id);
     workflow.status = 'running';
-    workflow.started_at = new Date().toISOString();
+    workflow.started_at = workflow.started_at || new Date().toISOString();
 
     try {
-      for (let i = workflow.current_step; i < workflow.steps.length; i++) {
-        const step = workflow.steps[i];
-        workflow.current_step = i;
-
-        console.log(`\n[${i + 1}/${workflow.steps.length}] ${step.name}...`);
-
-        const stepResult = await this.executeWorkflowStep(workflow, step);
-
-        workflow.results.push({
-          step_index: i,
-          step_name: step.name,
-          timestamp: new Date().toISOString(),
-          success: stepResult.success,
-          result: stepResult.result,
-          error: stepResult.error || null
-        });
-
-        if (!stepResult.success) {
-          if (step.continue_on_error) {
-            console.log(`⚠️  Step failed but continuing: ${stepResult.error}`);
-          } else {
-            throw new Error(`Step failed: ${step.name} - ${stepResult.error}`);
-          }
-        }
-
-        await this.saveWorkflows();
-      }
+      // Persist the running status so a crash during the first step can still be resumed
+      await this.saveWorkflows();
+      await this.runWorkflowGraph(workflow);
 
       workflow.status = 'completed';
       workflow.completed_at = new Date().toISOString();
@@ -359,24 +489,357 @@ export class CoordinatorAgent {
 
       console.log(`\n❌ Workflow failed: ${error.message}`);
 
+      await this.compensateWorkflow(workflow);
+
       throw error;
     } finally {
+      this.executing.delete(workflow.id);
       await this.saveWorkflows();
     }
 
     return workflow;
   }
 
+  /**
+   * Resume interrupted or failed workflow
+   *
+   * Successful step results are kept and those steps are skipped; failed
+   * results are discarded so the steps run again. Each resume is recorded
+   * in `workflow.metadata.resumes`.
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {Object} Execution result
+   */
+  async resumeWorkflow(workflowId) {
+    const workflow = this.activeWorkflows.get(workflowId) ||
+                     this.workflows.find(w => w.id === workflowId);
+
+    if (!workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+
+    if (workflow.status === 'completed') {
+      throw new Error(`Workflow already completed: ${workflowId}`);
+    }
+
+    if (this.executing.has(workflow.id)) {
+      throw new Error(`Workflow already executing: ${workflowId}`);
+    }
+
+    // Logs written before dependency graphs existed have no depends_on
+    workflow.steps = this.normalizeWorkflowSteps(workflow.steps);
+
+    for (const result of workflow.results) {
+      result.step_id = this.getResultStepId(workflow, result);
+    }
+
+    // Compensated steps were rolled back, so they have to run again
+    const compensated = new Set(
+      (workflow.compensations || []).filter(c => c.success).map(c => c.step_id)
+    );
+    const completed = workflow.results.filter(r => r.success && !compensated.has(r.step_id));
+
+    workflow.metadata = workflow.metadata || {};
+    workflow.metadata.resumes = workflow.metadata.resumes || [];
+    workflow.metadata.resumes.push({
+      resumed_at: new Date().toISOString(),
+      previous_status: workflow.status,
+      skipped_steps: completed.map(r => r.step_id),
+      discarded_results: workflow.results.length - completed.length,
+      compensated_steps: [...compensated]
+    });
+
+    workflow.results = completed;
+    workflow.compensations = [];
+    workflow.current_step = completed.length;
+    delete workflow.error;
+    delete workflow.failed_at;
+
+    this.activeWorkflows.set(workflow.id, workflow);
+
+    console.log(`\n🔁 Resuming workflow: ${workflow.name} (${completed.length}/${workflow.steps.length} steps done)`);
+
+    return this.executeWorkflow(workflow.id);
+  }
+
+  /**
+   * Resolve the step id a result belongs to
+   *
+   * Results logged before step ids existed only carry step_index and step_name.
+   *
+   * @param {Object} workflow - Workflow instance with normalized steps
+   * @param {Object} result - Step result
+   * @returns {string|undefined} Step id
+   */
+  getResultStepId(workflow, result) {
+    if (result.step_id) return result.step_id;
+
+    const step = workflow.steps[result.step_index];
+    if (step && (!result.step_name || step.name === result.step_name)) {
+      return step.id;
+    }
+
+    return workflow.steps.find(s => s.name === result.step_name)?.id;
+  }
+
+  /**
+   * Resume every workflow interrupted while running
+   * @returns {Array<Object>} Resume outcome per workflow
+   */
+  async resumeAll() {
+    const interrupted = [...this.activeWorkflows.values()]
+      .filter(w => w.status === 'running' && !this.executing.has(w.id));
+    const outcomes = [];
+
+    for (const workflow of interrupted) {
+      try {
+        await this.resumeWorkflow(workflow.id);
+        outcomes.push({ id: workflow.id, status: workflow.status });
+      } catch (error) {
+        outcomes.push({ id: workflow.id, status: workflow.status, error: error.message });
+      }
+    }
+
+    if (interrupted.length > 0) {
+      console.log(`🔁 Resumed ${interrupted.length} interrupted workflow(s)`);
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Run workflow steps as a dependency graph
+   *
+   * Steps whose dependencies have settled are started as soon as a slot is
+   * free, up to `workflow.max_concurrency`. After a fatal step failure no new
+   * steps are started; running ones are awaited before the error is thrown.
+   *
+   * @param {Object} workflow - Workflow instance
+   */
+  async runWorkflowGraph(workflow) {
+    const limit = workflow.max_concurrency || this.options.maxConcurrency;
+    const settled = new Set(
+      workflow.results.filter(r => r.success).map(r => r.step_id)
+    );
+    const running = new Map();
+    let failure = null;
+
+    const isReady = step =>
+      !settled.has(step.id) &&
+      !running.has(step.id) &&
+      (step.depends_on || []).every(dep => settled.has(dep));
+
+    for (;;) {
+      if (!failure) {
+        for (const step of workflow.steps) {
+          if (running.size >= limit) break;
+
+          if (isReady(step)) {
+            running.set(
+              step.id,
+              this.runWorkflowStep(workflow, step).then(stepResult => ({ step, stepResult }))
+            );
+          }
+        }
+      }
+
+      if (running.size === 0) break;
+
+      const { step, stepResult } = await Promise.race(running.values());
+      running.delete(step.id);
+      settled.add(step.id);
+
+      if (!stepResult.success) {
+        if (step.continue_on_error) {
+          console.log(`⚠️  Step failed but continuing: ${stepResult.error}`);
+        } else if (!failure) {
+          failure = new Error(`Step failed: ${step.name} - ${stepResult.error}`);
+        }
+      }
+    }
+
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Run single workflow step, applying its retry policy, and record the result
+   * @param {Object} workflow - Workflow instance
+   * @param {Object} step - Step definition
+   * @returns {Promise<Object>} Step result
+   */
+  async runWorkflowStep(workflow, step) {
+    const index = workflow.steps.indexOf(step);
+    const policy = this.getRetryPolicy(step);
+    const startedAt = new Date().toISOString();
+    const startTime = Date.now();
+    let attempts = 0;
+    let stepResult;
+
+    console.log(`\n[${index + 1}/${workflow.steps.length}] ${step.name}...`);
+
+    for (;;) {
+      attempts++;
+      stepResult = await this.executeWorkflowStep(workflow, step);
+
+      if (
+        stepResult.success ||
+        attempts >= policy.max_attempts ||
+        !this.isRetryableError(stepResult, policy)
+      ) {
+        break;
+      }
+
+      const delay = this.getRetryDelay(policy, attempts);
+      console.log(`  ↻ Retry ${attempts}/${policy.max_attempts - 1} in ${delay}ms: ${stepResult.error}`);
+      await this.sleep(delay);
+    }
+
+    workflow.results.push({
+      step_index: index,
+      step_id: step.id,
+      step_name: step.name,
+      agent: stepResult.agent,
+      timestamp: new Date().toISOString(),
+      started_at: startedAt,
+      completed_at: new Date().toISOString(),
+      duration: Date.now() - startTime,
+      attempts,
+      success: stepResult.success,
+      result: stepResult.result,
+      error: stepResult.error || null
+    });
+    workflow.current_step = workflow.results.length;
+
+    await this.saveWorkflows();
+
+    return stepResult;
+  }
+
+  /**
+   * Resolve step retry policy
+   *
+   * Attempts are capped at `options.maxRetries + 1`.
+   *
+   * @param {Object} step - Step definition
+   * @returns {Object} Retry policy
+   */
+  getRetryPolicy(step) {
+    const retry = step.retry || {};
+
+    return {
+      max_attempts: Math.max(1, Math.min(retry.max_attempts || 1, this.options.maxRetries + 1)),
+      backoff_ms: retry.backoff_ms ?? 1000,
+      backoff_multiplier: retry.backoff_multiplier || 2,
+      max_backoff_ms: retry.max_backoff_ms || 30000,
+      retryable_errors: retry.retryable_errors || null
+    };
+  }
+
+  /**
+   * Check whether a failed attempt may be retried
+   *
+   * Without `retryable_errors` every error is retryable; otherwise the error
+   * name (e.g. 'StepTimeoutError') or code (e.g. 'ECONNRESET') must be listed.
+   *
+   * @param {Object} stepResult - Result of executeWorkflowStep
+   * @param {Object} policy - Retry policy
+   * @returns {boolean}
+   */
+  isRetryableError(stepResult, policy) {
+    if (!policy.retryable_errors) {
+      return true;
+    }
+
+    return policy.retryable_errors.includes(stepResult.error_name) ||
+           policy.retryable_errors.includes(stepResult.error_code);
+  }
+
+  /**
+   * Exponential backoff delay before the next attempt
+   * @param {Object} policy - Retry policy
+   * @param {number} attempt - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(policy, attempt) {
+    return Math.min(
+      policy.backoff_ms * Math.pow(policy.backoff_multiplier, attempt - 1),
+      policy.max_backoff_ms
+    );
+  }
+
+  /**
+   * Sleep
+   * @param {number} ms - Milliseconds
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Run compensation steps for completed steps in reverse completion order
+   * @param {Object} workflow - Workflow instance
+   */
+  async compensateWorkflow(workflow) {
+    const definitions = new Map((workflow.compensation_steps || []).map(step => [step.id, step]));
+    const stepsById = new Map(workflow.steps.map(step => [step.id, step]));
+    const alreadyCompensated = new Set((workflow.compensations || []).map(c => c.step_id));
+    const toCompensate = workflow.results
+      .filter(r => r.success && stepsById.get(r.step_id)?.compensate && !alreadyCompensated.has(r.step_id))
+      .reverse();
+
+    if (toCompensate.length === 0) {
+      return;
+    }
+
+    workflow.compensations = workflow.compensations || [];
+    console.log(`\n↩️  Compensating ${toCompensate.length} step(s)...`);
+
+    for (const completed of toCompensate) {
+      const step = stepsById.get(completed.step_id);
+      const compensation = definitions.get(step.compensate);
+
+      console.log(`  ↩️  ${compensation.name || compensation.id} (for ${step.name})`);
+
+      const compensationResult = await this.executeWorkflowStep(workflow, compensation);
+
+      workflow.compensations.push({
+        step_id: step.id,
+        compensation_id: compensation.id,
+        agent: compensationResult.agent,
+        timestamp: new Date().toISOString(),
+        duration: compensationResult.duration,
+        success: compensationResult.success,
+        error: compensationResult.error || null
+      });
+
+      if (!compensationResult.success) {
+        console.log(`  ⚠️  Compensation failed: ${compensationResult.error}`);
+      }
+    }
+
+    await this.saveWorkflows();
+  }
+
   /**
    * Execute workflow step
+   *
+   * Resolves the routed registry entry to an agent class, instantiates it
+   * and runs `step.method` (default: `execute`) with the step params.
+   * Params may reference earlier step outputs, e.g. `{{steps.structure.result.estack}}`.
    */
   async executeWorkflowStep(workflow, step) {
     const result = {
       success: false,
       result: null,
-      error: null
+      error: null,
+      agent: null,
+      duration: 0
     };
 
+    const startTime = Date.now();
+
     try {
       // Route task to agent
       const routing = this.routeTask({
@@ -389,27 +852,191 @@ export class CoordinatorAgent {
         throw new Error(`No agent available for step: ${step.name}`);
       }
 
+      result.agent = routing.selected_agent.name;
+
       console.log(`  Agent: ${routing.selected_agent.name}`);
       console.log(`  Confidence: ${(routing.confidence * 100).toFixed(0)}%`);
 
-      // In a real implementation, this would instantiate and execute the agent
-      // For now, we simulate success
-      result.result = {
-        agent: routing.selected_agent.name,
-        routing,
-        simulated: true,
-        message: `Step executed by ${routing.selected_agent.name}`
-      };
+      const input = this.resolveStepReferences(step.params || {}, this.buildReferenceContext(workflow));
+      const agent = await this.instantiateAgent(routing.selected_agent);
+      const method = step.method || 'execute';
+
+      if (typeof agent[method] !== 'function') {
+        throw new Error(`Agent ${routing.selected_agent.name} does not implement ${method}()`);
+      }
 
+      result.result = await this.withTimeout(agent[method](input), step);
       result.success = true;
 
     } catch (error) {
       result.error = error.message;
+      result.error_name = error.name;
+      result.error_code = error.code || null;
+    } finally {
+      result.duration = Date.now() - startTime;
     }
 
     return result;
   }
 
+  /**
+   * Resolve registry entry to agent class
+   * @param {Object} entry - Agent registry entry
+   * @returns {Promise<Function>} Agent class
+   */
+  async resolveAgentClass(entry) {
+    if (this.options.agentClasses[entry.name]) {
+      return this.options.agentClasses[entry.name];
+    }
+
+    // Registry file paths are machine-specific, so resolve from category + file name
+    const modulePath = path.join(
+      this.options.agentsDir,
+      entry.category,
+      `${entry.file_name || entry.name}.js`
+    );
+
+    const module = await import(pathToFileURL(modulePath).href);
+    const AgentClass = module[entry.name] || module.default;
+
+    if (typeof AgentClass !== 'function') {
+      throw new Error(`Agent class not exported: ${entry.name} (${modulePath})`);
+    }
+
+    return AgentClass;
+  }
+
+  /**
+   * Instantiate and initialize agent
+   * @param {Object} entry - Agent registry entry
+   * @returns {Promise<Object>} Initialized agent instance
+   */
+  async instantiateAgent(entry) {
+    const AgentClass = await this.resolveAgentClass(entry);
+
+    const agent = new AgentClass({
+      logger: this.options.logger,
+      knowledge: this.options.knowledge
+    });
+
+    // BaseAgent emits 'error' before rethrowing; without a listener the
+    // EventEmitter would replace the original error with ERR_UNHANDLED_ERROR
+    if (typeof agent.on === 'function') {
+      agent.on('error', () => {});
+    }
+
+    if (typeof agent.initialize === 'function') {
+      await agent.initialize();
+    }
+
+    return agent;
+  }
+
+  /**
+   * Reject with StepTimeoutError when the step declares `timeout_ms` and it elapses
+   * @param {Promise} promise - Step execution
+   * @param {Object} step - Step definition
+   * @returns {Promise<*>} Step output
+   */
+  async withTimeout(promise, step) {
+    if (!step.timeout_ms) {
+      return promise;
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new StepTimeoutError(step.name || step.id, step.timeout_ms)), step.timeout_ms);
+    });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Build reference context from completed step results
+   * @param {Object} workflow - Workflow instance
+   * @returns {Object} Context for `{{...}}` references
+   */
+  buildReferenceContext(workflow) {
+    const steps = {};
+
+    for (const stepResult of workflow.results) {
+      if (stepResult.success && stepResult.step_id) {
+        steps[stepResult.step_id] = {
+          agent: stepResult.agent,
+          result: stepResult.result
+        };
+      }
+    }
+
+    return {
+      steps,
+      workflow: {
+        id: workflow.id,
+        name: workflow.name,
+        metadata: workflow.metadata
+      }
+    };
+  }
+
+  /**
+   * Resolve `{{path}}` references in step params
+   *
+   * A string consisting of a single reference is replaced by the referenced
+   * value as-is; references embedded in longer strings are interpolated.
+   *
+   * @param {*} value - Params value
+   * @param {Object} context - Reference context
+   * @returns {*} Resolved value
+   */
+  resolveStepReferences(value, context) {
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+      if (whole) {
+        return this.lookupReference(whole[1], context);
+      }
+
+      return value.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (_match, ref) => {
+        const resolved = this.lookupReference(ref, context);
+        return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveStepReferences(item, context));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.resolveStepReferences(item, context)])
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Look up dotted reference path
+   * @param {string} ref - Reference path (e.g. steps.structure.result.estack)
+   * @param {Object} context - Reference context
+   * @returns {*} Referenced value
+   */
+  lookupReference(ref, context) {
+    const value = ref.split('.').reduce(
+      (current, key) => (current === null || current === undefined ? undefined : current[key]),
+      context
+    );
+
+    if (value === undefined) {
+      throw new Error(`Unresolved step reference: {{${ref}}}`);
+    }
+
+    return value;
+  }
+
   /**
    * Get workflow status
    */
@@ -433,7 +1060,8 @@ export class CoordinatorAgent {
       started_at: workflow.started_at,
       completed_at: workflow.completed_at,
       failed_at: workflow.failed_at,
-      error: workflow.error
+      error: workflow.error,
+      resume_count: workflow.metadata?.resumes?.length || 0
     };
   }
 
@@ -463,16 +1091,128 @@ export class CoordinatorAgent {
       active_workflows: this.activeWorkflows.size,
       by_status: {},
       registered_agents: this.registry ? this.registry.agents.filter(a => a.status === 'registered').length : 0,
-      total_agents: this.registry ? this.registry.agents.length : 0
+      total_agents: this.registry ? this.registry.agents.length : 0,
+      retries: { total: 0, retried_steps: 0 },
+      compensations: { total: 0, succeeded: 0, failed: 0 }
     };
 
     for (const workflow of this.workflows) {
       stats.by_status[workflow.status] = (stats.by_status[workflow.status] || 0) + 1;
+
+      for (const result of workflow.results || []) {
+        const retries = (result.attempts || 1) - 1;
+
+        if (retries > 0) {
+          stats.retries.total += retries;
+          stats.retries.retried_steps++;
+        }
+      }
+
+      for (const compensation of workflow.compensations || []) {
+        stats.compensations.total++;
+        stats.compensations[compensation.success ? 'succeeded' : 'failed']++;
+      }
     }
 
     return stats;
   }
 
+  /**
+   * Get recorded duration per step id (ms)
+   * @param {Object} workflow - Workflow instance
+   * @returns {Map<string, number>} Step durations
+   */
+  getStepDurations(workflow) {
+    const durations = new Map(workflow.steps.map(step => [step.id, 0]));
+
+    for (const result of workflow.results) {
+      durations.set(this.getResultStepId(workflow, result), result.duration || 0);
+    }
+
+    return durations;
+  }
+
+  /**
+   * Compute critical path (longest chain of dependent steps by duration)
+   * @param {Object} workflow - Workflow instance
+   * @returns {Object} { steps: Array<string>, duration: number }
+   */
+  computeCriticalPath(workflow) {
+    const durations = this.getStepDurations(workflow);
+    const byId = new Map(workflow.steps.map(step => [step.id, step]));
+    const distance = new Map();
+    const previous = new Map();
+
+    for (const id of this.validateWorkflowGraph(workflow.steps)) {
+      let best = null;
+
+      for (const dep of byId.get(id).depends_on || []) {
+        if (best === null || distance.get(dep) > distance.get(best)) {
+          best = dep;
+        }
+      }
+
+      distance.set(id, durations.get(id) + (best === null ? 0 : distance.get(best)));
+      previous.set(id, best);
+    }
+
+    let end = null;
+    for (const [id, total] of distance) {
+      if (end === null || total > distance.get(end)) {
+        end = id;
+      }
+    }
+
+    const steps = [];
+    for (let id = end; id !== null; id = previous.get(id)) {
+      steps.unshift(id);
+    }
+
+    return { steps, duration: end === null ? 0 : distance.get(end) };
+  }
+
+  /**
+   * List workflow branches (every root-to-leaf dependency chain) with timings
+   * @param {Object} workflow - Workflow instance
+   * @returns {Array<Object>} [{ steps: Array<string>, duration: number }]
+   */
+  getWorkflowBranches(workflow) {
+    const durations = this.getStepDurations(workflow);
+    const dependents = new Map(workflow.steps.map(step => [step.id, []]));
+
+    for (const step of workflow.steps) {
+      for (const dep of step.depends_on || []) {
+        dependents.get(dep).push(step.id);
+      }
+    }
+
+    const branches = [];
+    const walk = (id, trail) => {
+      const path = [...trail, id];
+      const next = dependents.get(id);
+
+      if (next.length === 0) {
+        branches.push({
+          steps: path,
+          duration: path.reduce((sum, stepId) => sum + durations.get(stepId), 0)
+        });
+        return;
+      }
+
+      for (const child of next) {
+        walk(child, path);
+      }
+    };
+
+    for (const step of workflow.steps) {
+      if (!step.depends_on || step.depends_on.length === 0) {
+        walk(step.id, []);
+      }
+    }
+
+    return branches;
+  }
+
   /**
    * Generate routing report
    */
@@ -533,7 +1273,27 @@ export class CoordinatorAgent {
     }
 
     report += `\nSteps: ${workflow.steps.length}\n`;
-    report += `Progress: ${workflow.current_step}/${workflow.steps.length}\n\n`;
+    report += `Progress: ${workflow.current_step}/${workflow.steps.length}\n`;
+
+    const resumes = workflow.metadata?.resumes || [];
+    if (resumes.length > 0) {
+      report += `Resumed: ${resumes.length} time(s), last at ${new Date(resumes[resumes.length - 1].resumed_at).toLocaleString()}\n`;
+    }
+
+    report += '\n';
+
+    if (workflow.results.length > 0) {
+      // Logs written before dependency graphs existed have no step ids or depends_on
+      const graph = { ...workflow, steps: this.normalizeWorkflowSteps(workflow.steps) };
+      const criticalPath = this.computeCriticalPath(graph);
+      report += `Critical Path: ${criticalPath.steps.join(' → ')} (${(criticalPath.duration / 1000).toFixed(1)}s)\n\n`;
+
+      report += 'Branch Timings:\n';
+      for (const branch of this.getWorkflowBranches(graph)) {
+        report += `   ${branch.steps.join(' → ')}: ${(branch.duration / 1000).toFixed(1)}s\n`;
+      }
+      report += '\n';
+    }
 
     if (workflow.results.length > 0) {
       report += 'Step Results:\n';
@@ -543,8 +1303,14 @@ export class CoordinatorAgent {
         const icon = result.success ? '✅' : '❌';
         report += `${icon} [${result.step_index + 1}] ${result.step_name}\n`;
 
-        if (result.result && result.result.agent) {
-          report += `   Agent: ${result.result.agent}\n`;
+        if (result.agent) {
+          report += `   Agent: ${result.agent}\n`;
+        }
+
+        report += `   Duration: ${((result.duration || 0) / 1000).toFixed(1)}s\n`;
+
+        if (result.attempts > 1) {
+          report += `   Attempts: ${result.attempts} (${result.attempts - 1} retries)\n`;
         }
 
         if (result.error) {
@@ -555,6 +1321,22 @@ export class CoordinatorAgent {
       }
     }
 
+    if (workflow.compensations && workflow.compensations.length > 0) {
+      report += 'Compensations:\n';
+      report += '-'.repeat(70) + '\n';
+
+      for (const compensation of workflow.compensations) {
+        const icon = compensation.success ? '↩️ ' : '❌';
+        report += `${icon} ${compensation.compensation_id} (for ${compensation.step_id})\n`;
+
+        if (compensation.error) {
+          report += `   Error: ${compensation.error}\n`;
+        }
+      }
+
+      report += '\n';
+    }
+
     report += '='.repeat(70) + '\n';
 
     return report;
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * @file brand-lint.js
+ * @description Brand-consistency linter for marketing copy
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import { BrandCopyLinter } from '../protocols/BrandCopyLinter.js';
+
+const OPTIONS_WITH_VALUE = ['--brand', '--context', '--format', '--max-warnings'];
+
+/**
+ * ファイル群を検査
+ *
+ * @param {BrandCopyLinter} linter - リンター
+ * @param {string[]} files - 対象ファイル
+ * @param {Object} [options] - 検査設定 (BrandCopyLinter.lint と同じ)
+ * @returns {Promise<Array<Object>>} ファイルごとの検査結果 (filePath 付き)
+ */
+export async function lintFiles(linter, files, options = {}) {
+  const results = [];
+  for (const filePath of files) {
+    const text = await fs.readFile(filePath, 'utf-8');
+    results.push({ filePath, ...linter.lint(text, options) });
+  }
+  return results;
+}
+
+/**
+ * 検査結果を `file:line:column` 形式で整形
+ *
+ * @param {Array<Object>} results - lintFiles の戻り値
+ * @returns {string}
+ */
+export function formatResults(results) {
+  const lines = [];
+  for (const { filePath, diagnostics } of results) {
+    for (const diagnostic of diagnostics) {
+      lines.push(
+        `${filePath}:${diagnostic.line}:${diagnostic.column}  ${diagnostic.severity.padEnd(7)}  ` +
+        `${diagnostic.message}  ${diagnostic.rule}`
+      );
+    }
+  }
+
+  const total = key => results.reduce((sum, result) => sum + result[key], 0);
+  const errors = total('errorCount');
+  const warnings = total('warningCount');
+  const infos = total('infoCount');
+
+  lines.push(errors + warnings + infos === 0
+    ? `✅ ${results.length} ファイルに問題はありません`
+    : `${errors ? '❌' : '⚠️ '} ${errors + warnings + infos} 件 (error ${errors} / warning ${warnings} / info ${infos})`);
+
+  return lines.join('\n');
+}
+
+/**
+ * CLI エントリーポイント
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : null;
+  };
+  const files = args.filter((arg, index) => !arg.startsWith('--') && !OPTIONS_WITH_VALUE.includes(args[index - 1]));
+
+  if (args.includes('--help') || files.length === 0 || !option('--brand')) {
+    console.log(`
+Brand Lint - 使用方法
+
+  npm run lint:copy -- --brand <file> [オプション] <file...>
+
+オプション:
+  --brand <file>         brandPackage (または CopyAgent の出力) の JSON
+  --context <name>       toneMap のコンテキスト (marketing, support, announcement, education, crisis)
+  --format <name>        出力形式: text (既定) / json
+  --max-warnings <n>     warning がこの件数を超えたら失敗にする
+  --help                 このヘルプを表示
+
+例:
+  npm run lint:copy -- --brand brand.json --context marketing copy/lp.md copy/mail.txt
+    `);
+    process.exit(args.includes('--help') ? 0 : 1);
+  }
+
+  try {
+    const brandPackage = JSON.parse(await fs.readFile(option('--brand'), 'utf-8'));
+    const linter = BrandCopyLinter.fromBrandPackage(brandPackage);
+    const results = await lintFiles(linter, files, { context: option('--context') });
+
+    console.log(option('--format') === 'json'
+      ? JSON.stringify(results, null, 2)
+      : formatResults(results));
+
+    const maxWarnings = option('--max-warnings');
+    const failed = results.some(result => !result.passed) ||
+      (maxWarnings !== null && results.reduce((sum, result) => sum + result.warningCount, 0) > Number(maxWarnings));
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ エラー:', error.message);
+    process.exit(2);
+  }
+}
+
+// CLI として実行された場合
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * @file rsi-hearing.js
+ * @description Terminal session for interactive RSI hearing
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import readline from 'readline';
+import dotenv from 'dotenv';
+import { RSIHearingSession } from '../orchestration/RSIHearingSession.js';
+import { Logger } from '../utils/Logger.js';
+
+dotenv.config();
+
+/**
+ * ターミナルでヒアリングを実行
+ *
+ * 空行でスキップ、":q" で中断。完全性が閾値に達した時点で終了する
+ *
+ * @param {RSIHearingSession} session - ヒアリングセッション
+ * @param {Object} [io] - 入出力ストリーム
+ * @param {NodeJS.ReadableStream} [io.input=process.stdin] - 入力
+ * @param {NodeJS.WritableStream} [io.output=process.stdout] - 出力
+ * @returns {Promise<{completed: boolean, aborted: boolean}>} 実行結果
+ */
+export async function runTerminalSession(session, { input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+  const write = text => output.write(`${text}\n`);
+  const percent = value => `${Math.round(value * 100)}%`;
+  let aborted = false;
+
+  write(`\n📋 RSI ヒアリング (現在の完全性: ${percent(session.completeness)} / 目標: ${percent(session.threshold)})`);
+  write('   空行でスキップ、":q" で中断\n');
+
+  try {
+    let question;
+
+    while ((question = session.nextQuestion())) {
+      write(`[${question.layer}] ${question.question}`);
+      write(`   ${question.hint}`);
+      output.write('> ');
+
+      const { value, done } = await lines.next();
+
+      if (done || value.trim() === ':q') {
+        aborted = true;
+        break;
+      }
+
+      if (value.trim() === '') {
+        session.skip(question.field);
+        write('   ⏭️  スキップしました\n');
+        continue;
+      }
+
+      const state = session.answer(question.field, value);
+      write(`   ✅ 完全性: ${percent(state.completeness)}\n`);
+    }
+  } finally {
+    rl.close();
+  }
+
+  if (session.isComplete) {
+    write(`🎉 完全性 ${percent(session.completeness)} に達しました`);
+  } else if (!aborted) {
+    write(`⚠️  質問は以上です (完全性 ${percent(session.completeness)})。不足分は RSI 推論で補完されます`);
+  }
+
+  return { completed: session.isComplete, aborted };
+}
+
+/**
+ * CLI エントリーポイント
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : null;
+  };
+
+  if (args.includes('help') || args.includes('--help')) {
+    console.log(`
+RSI Hearing - 使用方法
+
+オプション:
+  --input <file>   既存の入力 JSON (hearing / business / existing)
+  --out <file>     StructureAgent の出力を JSON で保存
+  --help           このヘルプを表示
+
+例:
+  npm run hearing
+  npm run hearing -- --input hearing.json --out estack.json
+    `);
+    return;
+  }
+
+  try {
+    const inputPath = option('--input');
+    const outPath = option('--out');
+    const initial = inputPath ? JSON.parse(await fs.readFile(inputPath, 'utf-8')) : {};
+
+    const session = new RSIHearingSession({
+      input: initial,
+      logger: new Logger({ name: 'RSIHearing', console: false, file: false })
+    });
+
+    const { aborted } = await runTerminalSession(session);
+
+    if (aborted) {
+      console.log('⏹️  ヒアリングを中断しました');
+      return;
+    }
+
+    const result = await session.finalize();
+
+    if (outPath) {
+      await fs.writeFile(outPath, JSON.stringify(result, null, 2), 'utf-8');
+      console.log(`💾 保存しました: ${outPath}`);
+    } else {
+      console.log(JSON.stringify(result.estack, null, 2));
+    }
+  } catch (error) {
+    console.error('❌ エラー:', error.message);
+    process.exit(1);
+  }
+}
+
+// CLI として実行された場合
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -4,8 +4,9 @@
  * @version 1.0.0
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import { MultiModelEvaluator } from './MultiModelEvaluator.js';
+import { AnthropicProvider } from '../llm/AnthropicProvider.js';
+import { PromptTemplateId, renderPrompt, generateFromTemplate } from '../llm/PromptTemplates.js';
 
 /**
  * AutoImprover クラス
@@ -17,6 +18,11 @@ export class AutoImprover {
    * @param {number} [options.maxAttempts] - 最大改善試行回数
    * @param {number} [options.targetScore] - 目標スコア
    * @param {string} [options.improvementModel] - 改善に使用する AI モデル
+   * @param {LLMProvider} [options.provider] - 改善に使用する LLM プロバイダー
+   *   (省略時は improvementModel の AnthropicProvider)
+   * @param {MultiModelEvaluator} [options.evaluator] - 改善案の評価器
+   * @param {string|Array|Object} [options.backends] - evaluator 省略時の評価バックエンド
+   *   (MultiModelEvaluator の backends。'heuristic' などで API キー無しに評価できる)
    */
   constructor(options = {}) {
     this.options = {
@@ -26,14 +32,15 @@ export class AutoImprover {
       ...options
     };
 
-    // Claude client for improvement
-    this.claude = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+    // LLM provider for improvement
+    this.provider = options.provider || new AnthropicProvider({
+      model: this.options.improvementModel
     });
 
     // Evaluator for scoring improved proposals
-    this.evaluator = new MultiModelEvaluator({
-      threshold: this.options.targetScore
+    this.evaluator = options.evaluator || new MultiModelEvaluator({
+      threshold: this.options.targetScore,
+      ...(options.backends && { backends: options.backends })
     });
   }
 
@@ -159,26 +166,16 @@ export class AutoImprover {
    * @param {number} attemptNumber - 試行回数
    * @returns {Promise<Object>} 改善された提案
    */
-  async generateImprovement(currentProposal, evaluation, rubricNames, attemptNumber) {
-    const prompt = this.buildImprovementPrompt(currentProposal, evaluation, rubricNames, attemptNumber);
-
-    const response = await this.claude.messages.create({
-      model: this.options.improvementModel,
-      max_tokens: 8192,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
-
-    const content = response.content[0].text;
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-
-    if (!jsonMatch) {
-      throw new Error('Failed to parse improved proposal JSON');
+  async generateImprovement(currentProposal, evaluation, _rubricNames, attemptNumber) {
+    try {
+      return await generateFromTemplate(
+        this.provider,
+        PromptTemplateId.PROPOSAL_IMPROVEMENT,
+        this._improvementVariables(currentProposal, evaluation, attemptNumber)
+      );
+    } catch (error) {
+      throw new Error(`Failed to parse improved proposal JSON: ${error.message}`);
     }
-
-    return JSON.parse(jsonMatch[0]);
   }
 
   /**
@@ -189,71 +186,28 @@ export class AutoImprover {
    * @param {number} attemptNumber - 試行回数
    * @returns {string} プロンプト
    */
-  buildImprovementPrompt(currentProposal, evaluation, rubricNames, attemptNumber) {
-    return `あなたはブランド戦略の専門家です。以下のブランド提案を評価結果に基づいて改善してください。
-
-【現在のブランド提案】
-${JSON.stringify(currentProposal, null, 2)}
-
-【評価結果】
-総合スコア: ${evaluation.score.overall}/100
-目標スコア: ${this.options.targetScore}
-承認: ${evaluation.approved ? 'はい' : 'いいえ'}
-信頼度: ${evaluation.score.confidence}
-モデル間一致度: ${(evaluation.score.agreement * 100).toFixed(1)}%
-
-【各モデルの評価】
-${evaluation.evaluations.map(e => `
-${e.model}:
-  - 総合スコア: ${e.overall}/100
-  - サマリー: ${e.summary || 'N/A'}
-`).join('\n')}
-
-【改善推奨事項】
-${evaluation.recommendations && evaluation.recommendations.length > 0
-    ? evaluation.recommendations.map(rec => `
-- [${rec.category} - ${rec.criterion}] スコア: ${rec.score}/100
-  理由: ${rec.reason}
-  ${rec.weaknesses && rec.weaknesses.length > 0 ? `弱点: ${rec.weaknesses.join(', ')}` : ''}
-`).join('\n')
-    : '特になし（全般的な改善が必要）'}
-
-【改善指示】
-1. 上記の評価結果と推奨事項を分析してください
-2. 低スコアの項目を重点的に改善してください
-3. 各評価者のフィードバックを統合して、バランスの取れた改善を行ってください
-4. ブランドの一貫性を保ちながら、独自性と差別化を強化してください
-5. 具体性を高め、抽象的な表現を減らしてください
-6. これは ${attemptNumber} 回目の改善試行です。前回の改善で不足していた点に特に注意してください
-
-【出力形式】
-元の提案と同じ JSON 構造で改善された提案を返してください。
-構造を変えず、内容のみを改善してください。
-
-\`\`\`json
-{
-  "brandName": "...",
-  "foundation": {
-    "purpose": "...",
-    "values": [...],
-    "stance": "..."
-  },
-  "structure": {
-    "coreMessage": "...",
-    "tagline": "..."
-  },
-  "expression": {
-    "logo": {
-      "concept": "...",
-      "colors": [...]
-    },
-    "visualIdentity": {
-      "typography": "...",
-      "imagery": "..."
-    }
+  buildImprovementPrompt(currentProposal, evaluation, _rubricNames, attemptNumber) {
+    return renderPrompt(
+      PromptTemplateId.PROPOSAL_IMPROVEMENT,
+      this._improvementVariables(currentProposal, evaluation, attemptNumber)
+    ).prompt;
   }
-}
-\`\`\``;
+
+  /**
+   * 改善テンプレートの変数を組み立て
+   * @private
+   * @param {Object} currentProposal - 現在の提案
+   * @param {Object} evaluation - 評価結果
+   * @param {number} attemptNumber - 試行回数
+   * @returns {Object} テンプレート変数
+   */
+  _improvementVariables(currentProposal, evaluation, attemptNumber) {
+    return {
+      proposal: currentProposal,
+      evaluation,
+      targetScore: this.options.targetScore,
+      attemptNumber
+    };
   }
 
   /**
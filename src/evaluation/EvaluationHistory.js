@@ -146,6 +146,45 @@ export class EvaluationHistory {
     });
   }
 
+  /**
+   * 人間のレビュー判断を記録
+   *
+   * 元の評価レコード (evaluationRecordId) にも判断の要約を書き込み、モデルのスコアと並べて追跡できるようにする
+   *
+   * @param {Object} reviewItem - ReviewQueue の判断済みレビュー項目
+   * @returns {Promise<string>} レコード ID
+   */
+  async addReviewDecision(reviewItem) {
+    await this.initialize();
+
+    const { decision } = reviewItem;
+    const evaluationRecord = this.history.find(r => r.id === reviewItem.evaluationRecordId);
+    if (evaluationRecord) {
+      evaluationRecord.review = {
+        reviewId: reviewItem.id,
+        status: decision.status,
+        reviewer: decision.reviewer,
+        decidedAt: decision.decidedAt
+      };
+    }
+
+    return await this.addRecord({
+      type: 'human_review',
+      reviewId: reviewItem.id,
+      proposalId: reviewItem.proposalId,
+      brandName: reviewItem.brandName,
+      evaluationRecordId: reviewItem.evaluationRecordId,
+      modelEvaluation: {
+        score: reviewItem.score,
+        approvalStatus: reviewItem.approvalStatus,
+        breakdown: reviewItem.breakdown
+      },
+      decision,
+      escalationLevel: reviewItem.escalationLevel,
+      events: reviewItem.events
+    });
+  }
+
   /**
    * レコード ID を生成
    * @returns {string} レコード ID
@@ -224,7 +263,10 @@ export class EvaluationHistory {
    * @returns {Promise<Object>} 統計情報
    */
   async getStatistics(filter = {}) {
-    const records = await this.getHistory(filter);
+    // レビュー判断はスコアを持たないため、スコア統計とは別に集計する
+    const allRecords = await this.getHistory(filter);
+    const reviews = allRecords.filter(r => r.type === 'human_review');
+    const records = allRecords.filter(r => r.type !== 'human_review');
 
     if (records.length === 0) {
       return {
@@ -286,7 +328,11 @@ export class EvaluationHistory {
       successRate: Math.round(successRate * 100) / 100,
       averageAttempts: Math.round(averageAttempts * 100) / 100,
       averageImprovement: Math.round(averageImprovement * 100) / 100,
-      confidenceDistribution
+      confidenceDistribution,
+      reviewDecisions: {
+        approved: reviews.filter(r => r.decision?.status === 'approved').length,
+        rejected: reviews.filter(r => r.decision?.status === 'rejected').length
+      }
     };
   }
 
@@ -299,9 +345,9 @@ export class EvaluationHistory {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    const records = await this.getHistory({
+    const records = (await this.getHistory({
       startDate: startDate.toISOString()
-    });
+    })).filter(r => r.type !== 'human_review');
 
     // 日別のスコア推移
     const dailyScores = {};
@@ -366,6 +412,13 @@ export class EvaluationHistory {
     report += `  Medium: ${stats.confidenceDistribution.medium}\n`;
     report += `  Low: ${stats.confidenceDistribution.low}\n\n`;
 
+    if (stats.reviewDecisions && stats.reviewDecisions.approved + stats.reviewDecisions.rejected > 0) {
+      report += '人間のレビュー判断:\n';
+      report += '-'.repeat(60) + '\n';
+      report += `  承認: ${stats.reviewDecisions.approved}\n`;
+      report += `  却下: ${stats.reviewDecisions.rejected}\n\n`;
+    }
+
     report += '='.repeat(60) + '\n';
 
     return report;
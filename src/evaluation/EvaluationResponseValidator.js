@@ -0,0 +1,319 @@
+/**
+ * @file EvaluationResponseValidator.js
+ * @description Rubric スキーマに基づくモデル評価応答のバリデータ
+ * @version 1.0.0
+ *
+ * schemas/rubrics.json の Rubric 定義 (JSON Schema draft-07 のうち $ref / allOf / type /
+ * required / minimum / maximum / items) で応答を検証し、補正できる違反は補正する。
+ * 補正できない違反 (評価項目の欠落、数値でないスコアなど) があれば valid: false
+ */
+
+/**
+ * 検証で見つかった問題の種類
+ * @enum {string}
+ */
+export const ValidationIssueType = {
+  UNPARSEABLE: 'unparseable',
+  NOT_AN_OBJECT: 'not-an-object',
+  MISSING_RUBRIC: 'missing-rubric',
+  MISSING_CRITERION: 'missing-criterion',
+  MISSING_FIELD: 'missing-field',
+  INVALID_TYPE: 'invalid-type',
+  OUT_OF_RANGE: 'out-of-range',
+  RESTRUCTURED: 'restructured'
+};
+
+/**
+ * 評価応答のうち Rubric 以外のキー
+ */
+const RESERVED_KEYS = ['overall', 'summary'];
+
+/**
+ * Rubric 評価の全スコアの平均
+ *
+ * @param {Object} evaluation - Rubric ごとの評価
+ * @returns {number}
+ */
+export function averageCriterionScore(evaluation) {
+  const scores = Object.entries(evaluation)
+    .filter(([key, rubric]) => !RESERVED_KEYS.includes(key) && rubric && typeof rubric === 'object')
+    .flatMap(([, rubric]) => Object.values(rubric).map(data => data?.score))
+    .filter(score => typeof score === 'number');
+
+  return scores.length > 0
+    ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+    : 0;
+}
+
+/**
+ * Evaluation Response Validator クラス
+ *
+ * @example
+ * const validator = new EvaluationResponseValidator(rubricsDocument);
+ * const { valid, evaluation, issues, missingCriteria } = validator.validate(response, ['BrandConsistencyRubric']);
+ */
+export class EvaluationResponseValidator {
+  /**
+   * @param {Object} rubricsDocument - schemas/rubrics.json の内容
+   */
+  constructor(rubricsDocument) {
+    this.definitions = rubricsDocument.definitions || {};
+    this.rubrics = rubricsDocument.rubrics || {};
+  }
+
+  /**
+   * 応答を検証・補正
+   *
+   * @param {*} response - モデルの評価応答
+   * @param {string[]} rubricNames - 評価を依頼した Rubric 名
+   * @returns {{valid: boolean, evaluation: Object, issues: Array<Object>, missingCriteria: string[]}}
+   *   issues は `{ path, type, message, coerced }`。coerced: false の問題が 1 つでもあれば valid: false
+   */
+  validate(response, rubricNames) {
+    const issues = [];
+    const missingCriteria = [];
+    const evaluation = {};
+
+    if (!isObject(response)) {
+      issues.push(issue('', ValidationIssueType.NOT_AN_OBJECT, `応答がオブジェクトではありません (${typeOf(response)})`, false));
+      return { valid: false, evaluation, issues, missingCriteria: this._allRequiredCriteria(rubricNames) };
+    }
+
+    for (const rubricName of rubricNames) {
+      const schema = this._resolve(this.rubrics[rubricName] || {});
+      let rubricResponse = response[rubricName];
+
+      // Rubric で包まずに評価項目を直接返した応答は Rubric の下に移す
+      if (rubricResponse === undefined) {
+        const flattened = Object.keys(schema.properties || {}).filter(criterion => criterion in response);
+        if (flattened.length > 0) {
+          rubricResponse = Object.fromEntries(flattened.map(criterion => [criterion, response[criterion]]));
+          issues.push(issue(rubricName, ValidationIssueType.RESTRUCTURED, `${rubricName} の評価項目がトップレベルにあったため移動しました`, true));
+        }
+      }
+
+      if (!isObject(rubricResponse)) {
+        issues.push(issue(rubricName, ValidationIssueType.MISSING_RUBRIC, `${rubricName} の評価がありません`, false));
+        missingCriteria.push(...this._requiredCriteria(rubricName).map(criterion => `${rubricName}.${criterion}`));
+        continue;
+      }
+
+      evaluation[rubricName] = {};
+      for (const [criterion, criterionSchema] of Object.entries(schema.properties || {})) {
+        const path = `${rubricName}.${criterion}`;
+        let value = rubricResponse[criterion];
+
+        if (value === undefined) {
+          if ((schema.required || []).includes(criterion)) {
+            issues.push(issue(path, ValidationIssueType.MISSING_CRITERION, `${path} の評価がありません`, false));
+            missingCriteria.push(path);
+          }
+          continue;
+        }
+
+        // スコアだけを返した評価項目は { score } として扱う
+        if (!isObject(value) && this._resolve(criterionSchema).properties?.score) {
+          issues.push(issue(path, ValidationIssueType.RESTRUCTURED, `${path} がスコアのみのため { score } に変換しました`, true));
+          value = { score: value };
+        }
+
+        evaluation[rubricName][criterion] = this._check(value, criterionSchema, path, issues);
+      }
+    }
+
+    for (const key of RESERVED_KEYS) {
+      if (response[key] !== undefined) {
+        evaluation[key] = key === 'overall'
+          ? this._check(response[key], { type: 'number', minimum: 0, maximum: 100 }, key, issues)
+          : response[key];
+      }
+    }
+
+    return {
+      valid: issues.every(entry => entry.coerced),
+      evaluation,
+      issues,
+      missingCriteria
+    };
+  }
+
+  /**
+   * JSON としてパースできなかった応答の検証結果
+   *
+   * @param {string} message - パースエラーのメッセージ
+   * @param {string[]} rubricNames - 評価を依頼した Rubric 名
+   * @returns {{valid: boolean, evaluation: Object, issues: Array<Object>, missingCriteria: string[]}}
+   */
+  unparseable(message, rubricNames) {
+    return {
+      valid: false,
+      evaluation: {},
+      issues: [issue('', ValidationIssueType.UNPARSEABLE, `応答を JSON としてパースできません (${message})`, false)],
+      missingCriteria: this._allRequiredCriteria(rubricNames)
+    };
+  }
+
+  /**
+   * 全 Rubric の必須評価項目 (`Rubric名.評価項目`)
+   *
+   * @private
+   * @param {string[]} rubricNames - Rubric 名
+   * @returns {string[]}
+   */
+  _allRequiredCriteria(rubricNames) {
+    return rubricNames.flatMap(rubricName =>
+      this._requiredCriteria(rubricName).map(criterion => `${rubricName}.${criterion}`)
+    );
+  }
+
+  /**
+   * Rubric の必須評価項目
+   *
+   * @private
+   * @param {string} rubricName - Rubric 名
+   * @returns {string[]}
+   */
+  _requiredCriteria(rubricName) {
+    return this._resolve(this.rubrics[rubricName] || {}).required || [];
+  }
+
+  /**
+   * $ref と allOf を展開したスキーマ
+   *
+   * @private
+   * @param {Object} schema - スキーマ
+   * @returns {Object}
+   */
+  _resolve(schema) {
+    if (schema.$ref) {
+      const name = schema.$ref.replace('#/definitions/', '');
+      const { $ref: _ref, ...rest } = schema;
+      return this._resolve({ ...this.definitions[name], ...rest });
+    }
+    if (schema.allOf) {
+      const { allOf, ...rest } = schema;
+      return allOf.map(part => this._resolve(part)).reduce((merged, part) => ({
+        ...merged,
+        ...part,
+        properties: { ...merged.properties, ...part.properties },
+        required: [...(merged.required || []), ...(part.required || [])]
+      }), rest);
+    }
+    return schema;
+  }
+
+  /**
+   * 値をスキーマで検証し、補正した値を返す (補正できない場合は undefined)
+   *
+   * @private
+   * @param {*} value - 値
+   * @param {Object} rawSchema - スキーマ
+   * @param {string} path - 値のパス
+   * @param {Array<Object>} issues - 見つかった問題の蓄積先
+   * @returns {*}
+   */
+  _check(value, rawSchema, path, issues) {
+    const schema = this._resolve(rawSchema);
+
+    switch (schema.type) {
+      case 'number': {
+        let number = value;
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number.parseFloat(value))) {
+          number = Number.parseFloat(value);
+          issues.push(issue(path, ValidationIssueType.INVALID_TYPE, `${path} を数値に変換しました ("${value}" → ${number})`, true));
+        }
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          issues.push(issue(path, ValidationIssueType.INVALID_TYPE, `${path} が数値ではありません (${typeOf(value)})`, false));
+          return undefined;
+        }
+        const clamped = Math.min(schema.maximum ?? Infinity, Math.max(schema.minimum ?? -Infinity, number));
+        if (clamped !== number) {
+          issues.push(issue(path, ValidationIssueType.OUT_OF_RANGE, `${path} が範囲外のため ${number} → ${clamped} に補正しました`, true));
+        }
+        return clamped;
+      }
+
+      case 'string':
+        if (typeof value === 'string') return value;
+        if (typeof value === 'number' || typeof value === 'boolean') {
+          issues.push(issue(path, ValidationIssueType.INVALID_TYPE, `${path} を文字列に変換しました`, true));
+          return String(value);
+        }
+        issues.push(issue(path, ValidationIssueType.INVALID_TYPE, `${path} が文字列ではありません (${typeOf(value)})`, false));
+        return undefined;
+
+      case 'array': {
+        let items = value;
+        if (!Array.isArray(value)) {
+          issues.push(issue(path, ValidationIssueType.INVALID_TYPE, `${path} を配列に変換しました`, true));
+          items = value === null ? [] : [value];
+        }
+        return items
+          .map((item, index) => schema.items ? this._check(item, schema.items, `${path}[${index}]`, issues) : item)
+          .filter(item => item !== undefined);
+      }
+
+      case 'object': {
+        if (!isObject(value)) {
+          issues.push(issue(path, ValidationIssueType.INVALID_TYPE, `${path} がオブジェクトではありません (${typeOf(value)})`, false));
+          return undefined;
+        }
+        const result = { ...value };
+        for (const field of schema.required || []) {
+          if (value[field] === undefined) {
+            issues.push(issue(`${path}.${field}`, ValidationIssueType.MISSING_FIELD, `${path}.${field} がありません`, false));
+          }
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+          if (value[field] === undefined) continue;
+          const checked = this._check(value[field], fieldSchema, `${path}.${field}`, issues);
+          if (checked === undefined) {
+            delete result[field];
+          } else {
+            result[field] = checked;
+          }
+        }
+        return result;
+      }
+
+      default:
+        return value;
+    }
+  }
+}
+
+/**
+ * 問題を作成
+ *
+ * @param {string} path - 値のパス
+ * @param {ValidationIssueType} type - 種類
+ * @param {string} message - メッセージ
+ * @param {boolean} coerced - 補正済み (応答を無効としない) か
+ * @returns {{path: string, type: string, message: string, coerced: boolean}}
+ */
+function issue(path, type, message, coerced) {
+  return { path, type, message, coerced };
+}
+
+/**
+ * プレーンオブジェクトか
+ *
+ * @param {*} value - 値
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * エラーメッセージ用の型名
+ *
+ * @param {*} value - 値
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+export default EvaluationResponseValidator;
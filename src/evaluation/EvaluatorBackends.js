@@ -0,0 +1,410 @@
+/**
+ * @file EvaluatorBackends.js
+ * @description Pluggable evaluator backends for MultiModelEvaluator
+ * @version 1.0.0
+ *
+ * すべてのバックエンドは同じインターフェースを持つ:
+ * - `name`: モデル名 (評価結果の model / 重みのキー)
+ * - `isAvailable()`: 実行可能か (API キーの有無など)
+ * - `evaluate({ proposal, rubrics, rubricNames })`: Rubric ごとの
+ *   `{ [rubricName]: { [criterion]: { score, reason, strengths, weaknesses } }, overall, summary }` を返す
+ * - `repair({ proposal, rubrics, rubricNames, response, errors })`: スキーマ違反の応答を修正して返す
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { AnthropicProvider } from '../llm/AnthropicProvider.js';
+import { OpenAIProvider } from '../llm/OpenAIProvider.js';
+import { GeminiProvider } from '../llm/GeminiProvider.js';
+import { MockLLMProvider } from '../llm/MockLLMProvider.js';
+import { PromptTemplateId, generateFromTemplate } from '../llm/PromptTemplates.js';
+import { EvaluationAgent } from '../agents/core/EvaluationAgent.js';
+import { Logger } from '../utils/Logger.js';
+import { averageCriterionScore } from './EvaluationResponseValidator.js';
+
+/**
+ * 組み込みバックエンドの種類
+ * @enum {string}
+ */
+export const EvaluatorBackendType = {
+  CLAUDE: 'claude',
+  GPT: 'gpt',
+  GEMINI: 'gemini',
+  MOCK: 'mock',
+  HEURISTIC: 'heuristic',
+  RECORDED: 'recorded'
+};
+
+/**
+ * Rubric の評価項目 → EvaluationAgent の評価軸
+ *
+ * 対応のない項目は項目名のまま EvaluationAgent._scoreCriterion に渡す (既定スコア)
+ */
+const CRITERION_MAPPING = {
+  foundationAlignment: ['consistency', 'authenticity'],
+  structureCoherence: ['clarity', 'consistency'],
+  expressionQuality: ['visual_impact', 'memorability'],
+  overallConsistency: ['consistency', 'tone_alignment'],
+  originality: ['differentiation'],
+  memorability: ['memorability'],
+  differentiation: ['differentiation'],
+  emotionalImpact: ['emotional_resonance'],
+  targetAudienceFit: ['cultural_fit', 'tone_alignment'],
+  competitivePositioning: ['differentiation'],
+  trendAlignment: ['emotional_resonance', 'scalability'],
+  scalability: ['scalability'],
+  implementationComplexity: ['clarity'],
+  resourceRequirements: ['scalability'],
+  timeToMarket: ['clarity'],
+  maintainability: ['consistency'],
+  brandExtensibility: ['scalability'],
+  channelAdaptability: ['scalability', 'clarity'],
+  culturalAdaptability: ['cultural_fit'],
+  futureProofing: ['scalability']
+};
+
+/**
+ * キー順に依存しない JSON 文字列化 (フィクスチャのキー生成用)
+ *
+ * @param {*} value - 値
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * 評価リクエストのフィンガープリント (提案と Rubric 名から決まる)
+ *
+ * @param {Object} proposal - ブランド提案
+ * @param {string[]} rubricNames - Rubric 名
+ * @returns {string}
+ */
+export function fingerprintRequest(proposal, rubricNames) {
+  return createHash('sha256')
+    .update(stableStringify({ proposal, rubricNames: [...rubricNames].sort() }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * 評価バックエンドの基底クラス
+ */
+export class EvaluatorBackend {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.name - モデル名
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Evaluator backend requires a name');
+    }
+    this.name = options.name;
+  }
+
+  /**
+   * 実行可能か
+   *
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * 提案を評価 (サブクラスで実装)
+   *
+   * @param {Object} request - 評価リクエスト
+   * @param {Object} request.proposal - ブランド提案
+   * @param {Object} request.rubrics - Rubric 定義 (名前 → 定義)
+   * @param {string[]} request.rubricNames - Rubric 名
+   * @returns {Promise<Object>}
+   */
+  async evaluate(_request) {
+    throw new Error(`${this.constructor.name}.evaluate() is not implemented`);
+  }
+
+  /**
+   * スキーマ違反の応答を修正 (既定では評価をやり直す)
+   *
+   * @param {Object} request - 評価リクエスト
+   * @param {*} request.response - スキーマ違反の応答
+   * @param {string[]} request.errors - スキーマ違反の内容
+   * @returns {Promise<Object>}
+   */
+  async repair(request) {
+    return this.evaluate(request);
+  }
+}
+
+/**
+ * LLM プロバイダーによる評価 (共有テンプレート proposal.evaluation)
+ */
+export class LLMEvaluatorBackend extends EvaluatorBackend {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.name - モデル名
+   * @param {import('../llm/LLMProvider.js').LLMProvider} options.provider - LLM プロバイダー
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.provider) {
+      throw new Error(`LLM evaluator backend "${this.name}" requires a provider`);
+    }
+    this.provider = options.provider;
+  }
+
+  isAvailable() {
+    return this.provider.isAvailable();
+  }
+
+  async evaluate({ proposal, rubrics }) {
+    return generateFromTemplate(this.provider, PromptTemplateId.PROPOSAL_EVALUATION, { proposal, rubrics });
+  }
+
+  async repair({ rubrics, response, errors }) {
+    return generateFromTemplate(this.provider, PromptTemplateId.PROPOSAL_EVALUATION_REPAIR, { rubrics, response, errors });
+  }
+}
+
+/**
+ * EvaluationAgent の _score* によるローカルの決定論的評価
+ *
+ * 提案のタグライン / コアメッセージ (無ければ Purpose) を候補とし、Rubric の各項目を
+ * 対応する評価軸 (CRITERION_MAPPING) の平均で 0-100 に換算する
+ */
+export class HeuristicEvaluatorBackend extends EvaluatorBackend {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string} [options.name='heuristic'] - モデル名
+   * @param {EvaluationAgent} [options.agent] - スコアリングに使う EvaluationAgent
+   * @param {Object} [options.logger] - EvaluationAgent を生成する場合のロガー
+   */
+  constructor(options = {}) {
+    super({ name: EvaluatorBackendType.HEURISTIC, ...options });
+    this.agent = options.agent || new EvaluationAgent({
+      logger: options.logger || new Logger({ name: 'HeuristicEvaluator', console: false, file: false })
+    });
+  }
+
+  async evaluate({ proposal, rubrics }) {
+    const candidate = {
+      content: proposal.tagline || proposal.coreMessage || proposal.structure?.coreMessage ||
+        proposal.foundation?.purpose || proposal.brandName || ''
+    };
+    const context = {
+      estack: proposal.estack || (proposal.foundation ? { foundation: proposal.foundation, structure: proposal.structure } : null)
+    };
+
+    const evaluation = {};
+    for (const [rubricName, rubric] of Object.entries(rubrics)) {
+      evaluation[rubricName] = {};
+
+      for (const criterion of Object.keys(rubric.properties || {})) {
+        const axes = CRITERION_MAPPING[criterion] || [criterion];
+        const axisScores = [];
+        for (const axis of axes) {
+          axisScores.push(await this.agent._scoreCriterion(candidate, axis, context));
+        }
+        const score = Math.round(axisScores.reduce((sum, value) => sum + value, 0) / axisScores.length * 10);
+
+        evaluation[rubricName][criterion] = {
+          score,
+          reason: `EvaluationAgent の評価軸 (${axes.join(', ')}) によるヒューリスティック評価`,
+          strengths: score >= 80 ? axes : [],
+          weaknesses: score < 70 ? axes : []
+        };
+      }
+    }
+
+    evaluation.overall = averageCriterionScore(evaluation);
+    evaluation.summary = 'EvaluationAgent のヒューリスティックによる決定論的評価';
+    return evaluation;
+  }
+}
+
+/**
+ * 記録済みの評価応答を再生するバックエンド
+ *
+ * フィクスチャは `{ "<fingerprint>": 評価応答 }` の JSON ファイル。
+ * source を指定すると未記録のリクエストを source で評価して記録し、save() で書き出す
+ */
+export class RecordedEvaluatorBackend extends EvaluatorBackend {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} [options.name='recorded'] - モデル名
+   * @param {string} [options.file] - フィクスチャファイル
+   * @param {Object} [options.fixtures] - フィクスチャ (file より優先)
+   * @param {EvaluatorBackend} [options.source] - 記録モードで実際に評価するバックエンド
+   */
+  constructor(options = {}) {
+    super({ name: EvaluatorBackendType.RECORDED, ...options });
+    this.file = options.file || null;
+    this.fixtures = options.fixtures || null;
+    this.source = options.source || null;
+  }
+
+  isAvailable() {
+    return Boolean(this.fixtures || this.file);
+  }
+
+  async evaluate({ proposal, rubrics, rubricNames = Object.keys(rubrics) }) {
+    const fixtures = await this._loadFixtures();
+    const key = fingerprintRequest(proposal, rubricNames);
+
+    if (fixtures[key]) {
+      return structuredClone(fixtures[key]);
+    }
+    if (!this.source) {
+      throw new Error(`No recorded evaluation for ${this.name} (fingerprint: ${key})`);
+    }
+
+    const response = await this.source.evaluate({ proposal, rubrics, rubricNames });
+    fixtures[key] = structuredClone(response);
+    return response;
+  }
+
+  /**
+   * 記録したフィクスチャをファイルに書き出す
+   *
+   * @returns {Promise<string>} 保存先
+   */
+  async save() {
+    if (!this.file) {
+      throw new Error('Recorded evaluator backend has no fixture file');
+    }
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify(await this._loadFixtures(), null, 2), 'utf-8');
+    return this.file;
+  }
+
+  /**
+   * フィクスチャを読み込み (ファイルが無い場合は空)
+   *
+   * @private
+   * @returns {Promise<Object>}
+   */
+  async _loadFixtures() {
+    if (this.fixtures) return this.fixtures;
+
+    try {
+      this.fixtures = this.file ? JSON.parse(await fs.readFile(this.file, 'utf-8')) : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT' || !this.source) throw error;
+      this.fixtures = {};
+    }
+    return this.fixtures;
+  }
+}
+
+/**
+ * バックエンドの種類 → ファクトリー
+ */
+const BACKEND_FACTORIES = new Map([
+  [EvaluatorBackendType.CLAUDE, options => new LLMEvaluatorBackend({
+    name: EvaluatorBackendType.CLAUDE,
+    ...options,
+    provider: options.provider || new AnthropicProvider({ maxTokens: 4096 })
+  })],
+  [EvaluatorBackendType.GPT, options => new LLMEvaluatorBackend({
+    name: EvaluatorBackendType.GPT,
+    ...options,
+    provider: options.provider || new OpenAIProvider({ maxTokens: 4096 })
+  })],
+  [EvaluatorBackendType.GEMINI, options => new LLMEvaluatorBackend({
+    name: EvaluatorBackendType.GEMINI,
+    ...options,
+    provider: options.provider || new GeminiProvider({ maxTokens: 4096 })
+  })],
+  [EvaluatorBackendType.MOCK, options => new LLMEvaluatorBackend({
+    name: EvaluatorBackendType.MOCK,
+    ...options,
+    provider: options.provider || new MockLLMProvider({ name: options.name || EvaluatorBackendType.MOCK, seed: options.seed })
+  })],
+  [EvaluatorBackendType.HEURISTIC, options => new HeuristicEvaluatorBackend(options)],
+  [EvaluatorBackendType.RECORDED, options => new RecordedEvaluatorBackend({
+    file: process.env.EVALUATOR_FIXTURES,
+    ...options
+  })]
+]);
+
+/**
+ * バックエンドの種類を登録 (既存の種類は上書き)
+ *
+ * @param {string} type - 種類
+ * @param {function(Object): EvaluatorBackend} factory - 設定を受け取りバックエンドを返す関数
+ */
+export function registerEvaluatorBackend(type, factory) {
+  BACKEND_FACTORIES.set(type, factory);
+}
+
+/**
+ * 登録済みの種類
+ *
+ * @returns {string[]}
+ */
+export function listEvaluatorBackends() {
+  return [...BACKEND_FACTORIES.keys()];
+}
+
+/**
+ * バックエンドを生成
+ *
+ * @param {string} type - 種類
+ * @param {Object} [options] - バックエンド設定 (name を指定すると別名のモデルとして扱う)
+ * @returns {EvaluatorBackend}
+ * @throws {Error} 未登録の種類の場合
+ */
+export function createEvaluatorBackend(type, options = {}) {
+  const factory = BACKEND_FACTORIES.get(type);
+  if (!factory) {
+    throw new Error(`Unknown evaluator backend: ${type} (${listEvaluatorBackends().join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * 設定からバックエンド群を解決
+ *
+ * - 配列: 種類名 (または EvaluatorBackend インスタンス) の並び
+ * - オブジェクト: モデル名 → 種類名 / { type, ...options } / EvaluatorBackend インスタンス
+ * - 文字列: カンマ区切りの種類名 (EVALUATOR_BACKENDS 環境変数の形式)
+ *
+ * @param {string|Array|Object} spec - 設定
+ * @returns {Object<string, EvaluatorBackend>} モデル名 → バックエンド
+ */
+export function resolveEvaluatorBackends(spec) {
+  const entries = typeof spec === 'string'
+    ? spec.split(',').map(type => type.trim()).filter(Boolean).map(type => [type, type])
+    : Array.isArray(spec)
+      ? spec.map(item => [item instanceof EvaluatorBackend ? item.name : item, item])
+      : Object.entries(spec || {});
+
+  return Object.fromEntries(entries.map(([name, item]) => {
+    if (item instanceof EvaluatorBackend) {
+      return [name, item];
+    }
+    const { type, ...options } = typeof item === 'string' ? { type: item } : item;
+    return [name, createEvaluatorBackend(type, { ...options, name })];
+  }));
+}
+
+export default {
+  EvaluatorBackendType,
+  EvaluatorBackend,
+  LLMEvaluatorBackend,
+  HeuristicEvaluatorBackend,
+  RecordedEvaluatorBackend,
+  registerEvaluatorBackend,
+  listEvaluatorBackends,
+  createEvaluatorBackend,
+  resolveEvaluatorBackends,
+  fingerprintRequest
+};
@@ -4,16 +4,63 @@
  * @version 1.0.0
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createConfiguredProviders } from '../llm/LLMProviderFactory.js';
+import { LLMResponseParseError } from '../llm/LLMProvider.js';
+import { LLMEvaluatorBackend, resolveEvaluatorBackends } from './EvaluatorBackends.js';
+import { EvaluationResponseValidator, averageCriterionScore } from './EvaluationResponseValidator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * 検証結果から評価結果に記録する項目を抜き出す
+ *
+ * @param {Object} validation - EvaluationResponseValidator.validate の結果
+ * @returns {{valid: boolean, issues: Array<Object>, missingCriteria: string[]}}
+ */
+function summarizeValidation({ valid, issues, missingCriteria }) {
+  return { valid, issues, missingCriteria };
+}
+
+/**
+ * 評価結果の評価項目を列挙
+ *
+ * @param {Object} evaluation - モデルの評価結果
+ * @returns {Array<[string, string, Object]>} [Rubric 名, 評価項目, 評価] (スコアが数値のもののみ)
+ */
+function criterionEntries(evaluation) {
+  return Object.entries(evaluation)
+    .filter(([key, rubric]) => !['overall', 'summary', 'model', 'validation'].includes(key) && rubric && typeof rubric === 'object')
+    .flatMap(([rubricName, rubric]) => Object.entries(rubric)
+      .filter(([, data]) => typeof data?.score === 'number')
+      .map(([criterion, data]) => [rubricName, criterion, data]));
+}
+
+/**
+ * スコア分布 (件数・平均・母標準偏差)
+ *
+ * @param {number[]} scores - スコア
+ * @returns {{samples: number, mean: number, stdDev: number}}
+ */
+function distribution(scores) {
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+  return { samples: scores.length, mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * 小数第 2 位に丸める
+ *
+ * @param {number} value - 値
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
  * Multi-Model Evaluator クラス
  * 複数の AI モデルを並列実行して評価を行う
@@ -21,35 +68,36 @@ const __dirname = path.dirname(__filename);
 export class MultiModelEvaluator {
   /**
    * @param {Object} options - 設定オプション
-   * @param {Object} [options.weights] - モデルごとの重み
+   * @param {Object} [options.weights] - モデルごとの重み (省略時は rubrics.json の modelWeights)
    * @param {number} [options.threshold] - 自動承認閾値
+   * @param {Object<string, LLMProvider>} [options.providers] - モデル名ごとの LLM プロバイダー
+   * @param {string|Array|Object} [options.backends] - 評価バックエンド (resolveEvaluatorBackends の形式。
+   *   providers より優先。省略時は EVALUATOR_BACKENDS 環境変数、それも無ければ API キーが設定済みの claude / gpt / gemini)
+   * @param {number} [options.timeout=60000] - モデルごとのタイムアウト (ms)
+   * @param {number} [options.retries=1] - モデルごとの再試行回数
+   * @param {number} [options.retryDelay=1000] - 再試行までの待機時間 (ms)
+   * @param {number} [options.quorum] - 判定に必要な最低モデル数 (既定: 過半数)
+   * @param {Object} [options.calibration] - スコア較正の設定
+   * @param {EvaluationHistory} [options.calibration.history] - 各モデルの過去スコアを持つ評価履歴
+   * @param {number} [options.calibration.minSamples] - 較正に必要な過去スコア数 (省略時は rubrics.json の calibration.minSamples)
    */
   constructor(options = {}) {
     this.options = {
-      weights: options.weights || {
-        claude: 0.4,  // Claude Sonnet 4.5 - 2025年9月29日リリース最新
-        gpt: 0.3,     // GPT-5 - 2025年8月7日リリース最新
-        gemini: 0.3   // Gemini 2.5 Pro - 2025年リリース最新（adaptive thinking搭載）
-      },
+      weights: null,
+      calibration: null,
       threshold: options.threshold || 90,
+      timeout: 60000,
+      retries: 1,
+      retryDelay: 1000,
       ...options
     };
 
-    // AI モデルクライアント初期化（API キーがある場合のみ）
-    this.claude = process.env.ANTHROPIC_API_KEY
-      ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY })
-      : null;
-
-    this.openai = process.env.OPENAI_API_KEY
-      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-      : null;
-
-    this.gemini = process.env.GOOGLE_API_KEY
-      ? new GoogleGenerativeAI(process.env.GOOGLE_API_KEY)
-      : null;
+    // 評価バックエンド初期化（LLM は API キーがある場合のみ）
+    this.backends = this._resolveBackends(options);
 
     // Rubrics 読み込み
     this.rubrics = null;
+    this.validator = null;
   }
 
   /**
@@ -61,6 +109,7 @@ export class MultiModelEvaluator {
     const rubricsPath = path.join(__dirname, 'schemas', 'rubrics.json');
     const content = await fs.readFile(rubricsPath, 'utf-8');
     this.rubrics = JSON.parse(content);
+    this.validator = new EvaluationResponseValidator(this.rubrics);
     return this.rubrics;
   }
 
@@ -77,76 +126,83 @@ export class MultiModelEvaluator {
     await this.loadRubrics();
 
     try {
-      // 利用可能なモデルで並列評価
-      const evaluationPromises = [];
-
-      if (this.claude) {
-        evaluationPromises.push(this.evaluateWithClaude(proposal, rubricNames));
-      }
-      if (this.openai) {
-        evaluationPromises.push(this.evaluateWithGPT(proposal, rubricNames));
+      // 利用可能なモデルで並列評価 (isAvailable() が false のバックエンドは呼び出さず skipped に記録)
+      const configured = Object.keys(this.backends);
+      const modelNames = configured.filter(modelName => this.backends[modelName].isAvailable());
+      const skipped = configured
+        .filter(modelName => !modelNames.includes(modelName))
+        .map(model => ({ model, reason: 'unavailable' }));
+
+      if (modelNames.length === 0) {
+        const detail = skipped.length > 0 ? ` (unavailable: ${skipped.map(m => m.model).join(', ')})` : '';
+        throw new Error(`No AI models available${detail}. Please configure API keys or EVALUATOR_BACKENDS.`);
       }
-      if (this.gemini) {
-        evaluationPromises.push(this.evaluateWithGemini(proposal, rubricNames));
+      for (const { model } of skipped) {
+        console.warn(`⚠️  ${model} is not available and was skipped`);
       }
 
-      if (evaluationPromises.length === 0) {
-        throw new Error('No AI models available. Please configure API keys.');
-      }
-
-      const evaluationResults = await Promise.all(evaluationPromises);
-
-      // overall が欠けている場合、または 0 の場合は各項目の平均を計算
-      const normalizeEvaluation = (evaluation) => {
-        if (evaluation.overall !== undefined && evaluation.overall > 0) return evaluation;
-
-        // Rubric 内の全スコアを収集
-        const scores = [];
-        for (const [key, value] of Object.entries(evaluation)) {
-          if (key === 'model' || key === 'summary' || key === 'overall') continue;
+      // 一部のモデルが失敗しても残りのモデルで評価を続ける
+      // (モデル名と結果を組にして保持し、配列の並び順に依存しない)
+      const settled = await Promise.allSettled(
+        modelNames.map(modelName => this._evaluateWithRetry(modelName, proposal, rubricNames))
+      );
 
-          // Rubric オブジェクトの場合（Claudeスタイル）
-          if (typeof value === 'object' && value !== null && !value.score) {
-            for (const [_criterion, data] of Object.entries(value)) {
-              if (data && typeof data === 'object' && data.score !== undefined) {
-                scores.push(data.score);
-              }
-            }
-          }
-          // 直接スコアの場合（GPTスタイル: foundationAlignment: {score, reason}）
-          else if (value && typeof value === 'object' && value.score !== undefined) {
-            scores.push(value.score);
+      const evaluationResults = [];
+      const missing = [];
+      const unparsed = [];
+      settled.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          evaluationResults.push(outcome.value);
+        } else {
+          const { message, attempts, validation } = outcome.reason;
+          console.warn(`⚠️  ${modelNames[index]} evaluation failed after ${attempts} attempt(s): ${message}`);
+          missing.push({ model: modelNames[index], error: message, attempts });
+          if (validation) {
+            unparsed.push({ model: modelNames[index], validation });
           }
         }
+      });
 
-        // 平均を計算
-        const overall = scores.length > 0
-          ? Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100) / 100
-          : 0;
-
-        return { ...evaluation, overall };
-      };
-
-      // モデル名を適切に設定
-      const modelNames = [];
-      if (this.claude) modelNames.push('claude');
-      if (this.openai) modelNames.push('gpt');
-      if (this.gemini) modelNames.push('gemini');
+      if (evaluationResults.length === 0) {
+        throw new Error(`All models failed: ${missing.map(m => `${m.model} (${m.error})`).join(', ')}`);
+      }
 
-      const evaluations = evaluationResults.map((result, index) =>
-        normalizeEvaluation({ model: modelNames[index], ...result })
-      );
+      // 利用できなかったバックエンドも構成済みのモデルとしてクォーラムの分母に含める
+      const quorum = this._checkQuorum(configured.length, evaluationResults.length);
+
+      // 応答は Rubric スキーマで検証・補正済み。overall が欠けている場合、または 0 の場合は各項目の平均
+      const evaluations = evaluationResults.map(({ model, result, validation }) => ({
+        ...result,
+        overall: result.overall > 0 ? result.overall : averageCriterionScore(result),
+        model,
+        validation
+      }));
+
+      // 修正しても Rubric スキーマを満たさなかった応答 (修正後もパースできず除外したモデルを含む)
+      const validationFailures = [...evaluations, ...unparsed]
+        .filter(evaluation => !evaluation.validation.valid)
+        .map(({ model, validation }) => ({
+          model,
+          repaired: validation.repaired,
+          missingCriteria: validation.missingCriteria,
+          issues: validation.issues.filter(issue => !issue.coerced)
+        }));
 
       // スコア統合
-      const finalScore = this.synthesizeScores(evaluations);
+      const calibration = await this.loadCalibration();
+      const finalScore = this.synthesizeScores(evaluations, { expected: configured.length, quorum, calibration });
 
-      // 閾値チェック
-      const approved = finalScore.overall >= actualThreshold;
+      // 閾値チェック (クォーラム未達の場合は判定しない)
+      const approved = quorum.met && finalScore.overall >= actualThreshold;
 
       return {
         approved,
         score: finalScore,
         evaluations,
+        missing,
+        skipped,
+        quorum,
+        validationFailures,
         threshold: actualThreshold,
         recommendations: approved ? [] : await this.generateRecommendations(evaluations, proposal)
       };
@@ -157,110 +213,182 @@ export class MultiModelEvaluator {
   }
 
   /**
-   * Claude による評価
+   * 評価バックエンドを解決
+   *
+   * @private
+   * @param {Object} options - コンストラクタの設定
+   * @returns {Object<string, EvaluatorBackend>} モデル名 → バックエンド
    */
-  async evaluateWithClaude(proposal, rubricNames) {
-    const rubricDefs = this.getRubricDefinitions(rubricNames);
-
-    const prompt = `あなたはブランド評価の専門家です。以下のブランド提案を評価してください。
-
-【評価対象ブランド提案】
-${JSON.stringify(proposal, null, 2)}
-
-【評価基準（Rubrics）】
-${JSON.stringify(rubricDefs, null, 2)}
-
-各評価項目について、0-100 のスコアと理由を提供してください。
-JSON 形式で返してください。
-
-レスポンス形式:
-{
-  "BrandConsistencyRubric": {
-    "foundationAlignment": {
-      "score": 85,
-      "reason": "...",
-      "strengths": ["...", "..."],
-      "weaknesses": ["..."]
-    },
-    ...
-  },
-  "overall": 82,
-  "summary": "..."
-}`;
-
-    const response = await this.claude.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 4096,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
+  _resolveBackends(options) {
+    if (options.backends) {
+      return resolveEvaluatorBackends(options.backends);
+    }
+    if (!options.providers && process.env.EVALUATOR_BACKENDS) {
+      return resolveEvaluatorBackends(process.env.EVALUATOR_BACKENDS);
+    }
 
-    const content = response.content[0].text;
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    const providers = options.providers || createConfiguredProviders();
+    return Object.fromEntries(
+      Object.entries(providers).map(([name, provider]) => [name, new LLMEvaluatorBackend({ name, provider })])
+    );
+  }
 
-    if (!jsonMatch) {
-      throw new Error('Claude response is not valid JSON');
+  /**
+   * タイムアウトと再試行付きの単一モデル評価
+   *
+   * @private
+   * @param {string} modelName - モデル名
+   * @param {Object} proposal - ブランド提案
+   * @param {string[]} rubricNames - 使用する Rubric 名の配列
+   * @returns {Promise<{model: string, result: Object, validation: Object, attempts: number}>}
+   * @throws {Error} すべての試行が失敗した場合 (attempts に試行回数)
+   */
+  async _evaluateWithRetry(modelName, proposal, rubricNames) {
+    const maxAttempts = Math.max(0, this.options.retries) + 1;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const { result, validation } = await this._withTimeout(
+          this._evaluateAndValidate(modelName, proposal, rubricNames),
+          this.options.timeout,
+          modelName
+        );
+        return { model: modelName, result, validation, attempts: attempt };
+      } catch (error) {
+        lastError = error instanceof Error ? error : new Error(String(error));
+        if (attempt < maxAttempts && this.options.retryDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.options.retryDelay));
+        }
+      }
     }
 
-    return JSON.parse(jsonMatch[0]);
+    lastError.attempts = maxAttempts;
+    throw lastError;
   }
 
   /**
-   * GPT-5 による評価（2025年8月7日リリース最新）
+   * 単一モデルで評価し、応答を Rubric スキーマで検証
+   *
+   * 補正できないスキーマ違反があるか、JSON としてパースできない応答であれば
+   * モデルに 1 度だけ修正を依頼する
+   *
+   * @private
+   * @param {string} modelName - モデル名
+   * @param {Object} proposal - ブランド提案
+   * @param {string[]} rubricNames - 使用する Rubric 名の配列
+   * @returns {Promise<{result: Object, validation: Object}>} 補正済みの評価と検証結果
+   * @throws {Error} 修正後の応答もパースできない場合 (validation に検証結果)
    */
-  async evaluateWithGPT(proposal, rubricNames) {
-    const rubricDefs = this.getRubricDefinitions(rubricNames);
-
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-5',  // 2025年8月7日リリース最新モデル
-      messages: [{
-        role: 'system',
-        content: 'あなたはブランド評価の専門家です。提供されたブランド提案を評価基準に基づいて評価してください。'
-      }, {
-        role: 'user',
-        content: `【評価対象ブランド提案】\n${JSON.stringify(proposal, null, 2)}\n\n【評価基準】\n${JSON.stringify(rubricDefs, null, 2)}\n\n各項目を 0-100 でスコアリングし、JSON 形式で返してください。`
-      }],
-      response_format: { type: 'json_object' }
-    });
+  async _evaluateAndValidate(modelName, proposal, rubricNames) {
+    const first = await this._requestValidated(
+      () => this.evaluateWithModel(modelName, proposal, rubricNames),
+      rubricNames
+    );
+
+    if (first.valid) {
+      return { result: first.evaluation, validation: { ...summarizeValidation(first), repaired: false } };
+    }
+
+    const errors = first.issues.filter(issue => !issue.coerced).map(issue => issue.message);
+    console.warn(`⚠️  ${modelName} returned an invalid evaluation, requesting a repair: ${errors.join(' / ')}`);
+
+    const second = await this._requestValidated(
+      () => this.backends[modelName].repair({
+        proposal,
+        rubrics: this.getRubricDefinitions(rubricNames),
+        rubricNames,
+        response: first.response,
+        errors
+      }),
+      rubricNames
+    );
+    const validation = { ...summarizeValidation(second), repaired: true, initialIssues: first.issues };
+
+    // スコアが 1 つも得られないため評価から除外する
+    if (second.unparsed) {
+      const error = new Error(`${modelName} returned unparseable JSON after a repair: ${second.unparsed}`);
+      error.validation = validation;
+      throw error;
+    }
 
-    return JSON.parse(response.choices[0].message.content);
+    return { result: second.evaluation, validation };
   }
 
   /**
-   * Gemini 2.5 Pro による評価（2025年リリース最新・adaptive thinking搭載）
+   * バックエンドを呼び出し、応答を Rubric スキーマで検証
+   *
+   * JSON としてパースできない応答は検証失敗として扱い、修正依頼用に元のテキストを response に残す
+   *
+   * @private
+   * @param {Function} request - バックエンド呼び出し
+   * @param {string[]} rubricNames - 使用する Rubric 名の配列
+   * @returns {Promise<Object>} 検証結果 + response (+ パースできなかった場合は unparsed にエラーメッセージ)
    */
-  async evaluateWithGemini(proposal, rubricNames) {
-    const rubricDefs = this.getRubricDefinitions(rubricNames);
-
-    const model = this.gemini.getGenerativeModel({
-      model: 'gemini-2.5-pro',  // 2025年リリース最新モデル（adaptive thinking搭載）
-      generationConfig: {
-        responseMimeType: 'application/json'
-      }
-    });
+  async _requestValidated(request, rubricNames) {
+    try {
+      const response = await request();
+      return { ...this.validator.validate(response, rubricNames), response };
+    } catch (error) {
+      if (!(error instanceof LLMResponseParseError)) throw error;
+      return { ...this.validator.unparseable(error.message, rubricNames), response: error.text, unparsed: error.message };
+    }
+  }
 
-    const prompt = `あなたはブランド評価の専門家です。以下のブランド提案を評価してください。
+  /**
+   * Promise にタイムアウトを設定
+   *
+   * @private
+   * @param {Promise} promise - 対象の Promise
+   * @param {number} ms - タイムアウト (ms)。0 以下は無制限
+   * @param {string} modelName - モデル名 (エラーメッセージ用)
+   * @returns {Promise}
+   */
+  _withTimeout(promise, ms, modelName) {
+    if (!(ms > 0)) return promise;
 
-【評価対象ブランド提案】
-${JSON.stringify(proposal, null, 2)}
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${modelName} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
 
-【評価基準】
-${JSON.stringify(rubricDefs, null, 2)}
+  /**
+   * クォーラム (判定に必要な最低モデル数) を確認
+   *
+   * 明示的に指定した quorum は構成モデル数より多くても下げない (その場合は常に未達)
+   *
+   * @private
+   * @param {number} expected - 構成済みのモデル数 (利用できずに呼び出さなかったモデルを含む)
+   * @param {number} available - 評価を返したモデル数
+   * @returns {{required: number, expected: number, available: number, met: boolean}}
+   */
+  _checkQuorum(expected, available) {
+    const required = this.options.quorum ?? Math.floor(expected / 2) + 1;
+    return { required, expected, available, met: available >= required };
+  }
 
-各項目を 0-100 でスコアリングし、以下の JSON 形式で返してください:
-{
-  "BrandConsistencyRubric": { ... },
-  "overall": number,
-  "summary": "..."
-}`;
+  /**
+   * 単一モデルによる評価
+   *
+   * @param {string} modelName - モデル名 (backends のキー)
+   * @param {Object} proposal - ブランド提案
+   * @param {string[]} rubricNames - 使用する Rubric 名の配列
+   * @returns {Promise<Object>} モデルの評価結果
+   */
+  async evaluateWithModel(modelName, proposal, rubricNames) {
+    const backend = this.backends[modelName];
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    if (!backend) {
+      throw new Error(`Unknown evaluation model: ${modelName}`);
+    }
 
-    return JSON.parse(text);
+    return backend.evaluate({
+      proposal,
+      rubrics: this.getRubricDefinitions(rubricNames),
+      rubricNames
+    });
   }
 
   /**
@@ -278,40 +406,217 @@ ${JSON.stringify(rubricDefs, null, 2)}
 
   /**
    * スコアを統合
+   *
+   * 各モデルの生スコアは評価項目の重み (Rubric の重み × criterionWeights) による加重平均。
+   * 較正データがあれば z-score で較正してから、モデルの重みで加重平均する。
+   * 評価を返したモデルが依頼数より少ない場合は confidence を 1 段階下げ、
+   * クォーラム未達の場合は low とする
+   *
    * @param {Array} evaluations - 各モデルの評価結果
+   * @param {Object} [context] - 統合の条件
+   * @param {number} [context.expected] - 構成済みのモデル数
+   * @param {Object} [context.quorum] - クォーラムの確認結果
+   * @param {Object} [context.calibration] - loadCalibration() の結果
    * @returns {Object} 統合スコア
    */
-  synthesizeScores(evaluations) {
-    const weights = this.options.weights;
+  synthesizeScores(evaluations, { expected = evaluations.length, quorum = null, calibration = null } = {}) {
+    const weights = this._modelWeights();
 
-    // 加重平均
-    let overallSum = 0;
-    let totalWeight = 0;
+    // 重みが未設定のモデル (heuristic など) は設定済みの重みの平均で扱う
+    const weightOf = model => weights[model] ?? this._defaultWeight();
 
-    for (const evaluation of evaluations) {
-      const weight = weights[evaluation.model] || 0;
-      const score = evaluation.overall || 0;
-      overallSum += score * weight;
-      totalWeight += weight;
-    }
+    const breakdown = evaluations.map(evaluation => {
+      const raw = this.weightedScore(evaluation);
+      const { score, applied } = this._calibrate(evaluation.model, raw, calibration);
+      return {
+        model: evaluation.model,
+        score,
+        raw,
+        calibrated: score,
+        calibrationApplied: applied,
+        weight: weightOf(evaluation.model)
+      };
+    });
 
-    const overall = totalWeight > 0 ? overallSum / totalWeight : 0;
+    // 加重平均
+    const totalWeight = breakdown.reduce((sum, entry) => sum + entry.weight, 0);
+    const overall = totalWeight > 0
+      ? breakdown.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight
+      : 0;
 
-    // モデル間の一致度を計算
-    const agreement = this.calculateAgreement(evaluations);
+    // モデル間の一致度を計算 (較正後のスコアで比較)
+    const agreement = this.calculateAgreement(breakdown.map(entry => ({ model: entry.model, overall: entry.score })));
 
     return {
-      overall: Math.round(overall * 100) / 100,
-      breakdown: evaluations.map(e => ({
-        model: e.model,
-        score: e.overall,
-        weight: weights[e.model]
-      })),
+      overall: round(overall),
+      breakdown,
+      weights: {
+        models: Object.fromEntries(breakdown.map(entry => [entry.model, entry.weight])),
+        criteria: this._criterionWeights(evaluations)
+      },
+      calibration: calibration && {
+        method: calibration.method,
+        minSamples: calibration.minSamples,
+        applied: breakdown.some(entry => entry.calibrationApplied)
+      },
       agreement,
-      confidence: agreement > 0.8 ? 'high' : agreement > 0.6 ? 'medium' : 'low'
+      coverage: round(evaluations.length / expected),
+      confidence: this._confidenceFor(agreement, evaluations.length < expected, quorum && !quorum.met)
     };
   }
 
+  /**
+   * 評価項目の重みによる 1 モデルの加重平均スコア
+   *
+   * 評価項目が 1 つも無い場合はモデルが返した overall
+   *
+   * @param {Object} evaluation - モデルの評価結果
+   * @returns {number}
+   */
+  weightedScore(evaluation) {
+    let sum = 0;
+    let total = 0;
+
+    for (const [rubricName, criterion, data] of criterionEntries(evaluation)) {
+      const weight = this._criterionWeight(rubricName, criterion);
+      sum += data.score * weight;
+      total += weight;
+    }
+
+    return total > 0 ? round(sum / total) : (evaluation.overall || 0);
+  }
+
+  /**
+   * EvaluationHistory から各モデルのスコア分布を読み込む
+   *
+   * @returns {Promise<Object|null>} 較正データ (較正しない場合は null)
+   */
+  async loadCalibration() {
+    const history = this.options.calibration?.history;
+    if (!history) return null;
+
+    await this.loadRubrics();
+    const minSamples = this.options.calibration.minSamples ?? this.rubrics.calibration?.minSamples ?? 5;
+
+    const samples = {};
+    for (const record of await history.getHistory({ type: 'single_evaluation' })) {
+      for (const entry of record.evaluation?.breakdown || []) {
+        const score = entry.raw ?? entry.score;
+        if (typeof score === 'number') {
+          (samples[entry.model] ||= []).push(score);
+        }
+      }
+    }
+
+    const models = Object.fromEntries(
+      Object.entries(samples).map(([model, scores]) => [model, distribution(scores)])
+    );
+
+    // 較正後の基準 = 十分な履歴を持つモデルの平均・標準偏差の平均
+    const eligible = Object.values(models).filter(stats => stats.samples >= minSamples && stats.stdDev > 0);
+    const reference = eligible.length > 0
+      ? {
+        mean: eligible.reduce((sum, stats) => sum + stats.mean, 0) / eligible.length,
+        stdDev: eligible.reduce((sum, stats) => sum + stats.stdDev, 0) / eligible.length
+      }
+      : null;
+
+    return { method: 'z-score', minSamples, models, reference };
+  }
+
+  /**
+   * モデルの生スコアを z-score で較正
+   *
+   * @private
+   * @param {string} model - モデル名
+   * @param {number} raw - 生スコア
+   * @param {Object|null} calibration - 較正データ
+   * @returns {{score: number, applied: boolean}}
+   */
+  _calibrate(model, raw, calibration) {
+    const stats = calibration?.models[model];
+
+    if (!calibration?.reference || !stats || stats.samples < calibration.minSamples || stats.stdDev === 0) {
+      return { score: raw, applied: false };
+    }
+
+    const z = (raw - stats.mean) / stats.stdDev;
+    const score = calibration.reference.mean + z * calibration.reference.stdDev;
+    return { score: round(Math.min(100, Math.max(0, score))), applied: true };
+  }
+
+  /**
+   * モデルの重み (options.weights、無ければ rubrics.json の modelWeights)
+   *
+   * @private
+   * @returns {Object<string, number>}
+   */
+  _modelWeights() {
+    if (this.options.weights) return this.options.weights;
+
+    const { description: _description, ...weights } = this.rubrics?.modelWeights || {};
+    return weights;
+  }
+
+  /**
+   * 評価項目の重み (Rubric の重み × criterionWeights。未設定はそれぞれ 1)
+   *
+   * @private
+   * @param {string} rubricName - Rubric 名
+   * @param {string} criterion - 評価項目
+   * @returns {number}
+   */
+  _criterionWeight(rubricName, criterion) {
+    const rubricWeight = this.rubrics?.weights?.[rubricName.replace(/Rubric$/, '')] ?? 1;
+    const criterionWeight = this.rubrics?.criterionWeights?.[rubricName]?.[criterion] ?? 1;
+    return Math.round(rubricWeight * criterionWeight * 1000) / 1000;
+  }
+
+  /**
+   * 評価に含まれる評価項目の重み一覧
+   *
+   * @private
+   * @param {Array} evaluations - 各モデルの評価結果
+   * @returns {Object<string, number>} `Rubric.criterion` → 重み
+   */
+  _criterionWeights(evaluations) {
+    const weights = {};
+    for (const evaluation of evaluations) {
+      for (const [rubricName, criterion] of criterionEntries(evaluation)) {
+        weights[`${rubricName}.${criterion}`] = this._criterionWeight(rubricName, criterion);
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * 一致度と欠けたモデルから信頼度を決定
+   *
+   * @private
+   * @param {number} agreement - モデル間の一致度
+   * @param {boolean} partial - 一部のモデルが評価を返さなかったか
+   * @param {boolean} belowQuorum - クォーラム未達か
+   * @returns {string} 'high' | 'medium' | 'low'
+   */
+  _confidenceFor(agreement, partial, belowQuorum) {
+    const levels = ['low', 'medium', 'high'];
+    if (belowQuorum) return levels[0];
+
+    const level = agreement > 0.8 ? 2 : agreement > 0.6 ? 1 : 0;
+    return levels[Math.max(0, level - (partial ? 1 : 0))];
+  }
+
+  /**
+   * 重み未設定のモデルの重み (設定済みの重みの平均。重みが 1 つも無ければ 1)
+   *
+   * @private
+   * @returns {number}
+   */
+  _defaultWeight() {
+    const values = Object.values(this._modelWeights());
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 1;
+  }
+
   /**
    * モデル間の一致度を計算
    * @param {Array} evaluations - 評価結果配列
@@ -345,7 +650,7 @@ ${JSON.stringify(rubricDefs, null, 2)}
     for (const evaluation of evaluations) {
       // 各 Rubric から低スコアの項目を抽出
       for (const [rubricName, rubricScores] of Object.entries(evaluation)) {
-        if (rubricName === 'overall' || rubricName === 'summary' || rubricName === 'model') continue;
+        if (['overall', 'summary', 'model', 'validation'].includes(rubricName)) continue;
 
         for (const [criterion, data] of Object.entries(rubricScores)) {
           if (data.score < 70) {
@@ -376,7 +681,7 @@ ${JSON.stringify(rubricDefs, null, 2)}
    * @returns {string} レポート
    */
   generateReport(evaluationResult) {
-    const { approved, score, threshold, recommendations } = evaluationResult;
+    const { approved, score, threshold, recommendations, missing = [], skipped = [], quorum } = evaluationResult;
 
     let report = '\n' + '='.repeat(60) + '\n';
     report += 'Evaluation Report\n';
@@ -386,13 +691,34 @@ ${JSON.stringify(rubricDefs, null, 2)}
     report += `Threshold: ${threshold}\n`;
     report += `Status: ${approved ? '✅ APPROVED' : '❌ NEEDS IMPROVEMENT'}\n`;
     report += `Confidence: ${score.confidence}\n`;
-    report += `Agreement: ${(score.agreement * 100).toFixed(1)}%\n\n`;
+    report += `Agreement: ${(score.agreement * 100).toFixed(1)}%\n`;
+    if (quorum) {
+      report += `Quorum: ${quorum.available}/${quorum.expected} models (required: ${quorum.required})${quorum.met ? '' : ' ❌ NOT MET'}\n`;
+    }
+    report += '\n';
 
-    report += 'Model Breakdown:\n';
+    report += `Calibration: ${score.calibration?.applied ? score.calibration.method : 'none'}\n\n`;
+
+    report += 'Model Breakdown (raw → calibrated):\n';
     report += '-'.repeat(60) + '\n';
+    const format = value => (value !== undefined ? value.toFixed(2) : 'N/A');
     for (const breakdown of score.breakdown) {
-      const scoreStr = breakdown.score !== undefined ? breakdown.score.toFixed(2) : 'N/A';
-      report += `  ${breakdown.model}: ${scoreStr} (weight: ${breakdown.weight})\n`;
+      const calibrated = breakdown.calibrationApplied ? format(breakdown.calibrated) : `${format(breakdown.calibrated)} (uncalibrated)`;
+      report += `  ${breakdown.model}: ${format(breakdown.raw)} → ${calibrated} (weight: ${breakdown.weight})\n`;
+    }
+    for (const { model, error } of missing) {
+      report += `  ${model}: MISSING (${error})\n`;
+    }
+    for (const { model, reason } of skipped) {
+      report += `  ${model}: SKIPPED (${reason})\n`;
+    }
+
+    if (score.weights && Object.keys(score.weights.criteria).length > 0) {
+      report += '\nCriterion Weights:\n';
+      report += '-'.repeat(60) + '\n';
+      for (const [criterion, weight] of Object.entries(score.weights.criteria)) {
+        report += `  ${criterion}: ${weight}\n`;
+      }
     }
 
     if (recommendations && recommendations.length > 0) {
@@ -0,0 +1,434 @@
+/**
+ * @file ReviewQueue.js
+ * @description Persistent human review queue for CONDITIONAL_APPROVAL results
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * レビューの状態
+ * @enum {string}
+ */
+export const ReviewStatus = {
+  PENDING: 'pending',
+  CLAIMED: 'claimed',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * 監査ログのイベント種別
+ * @enum {string}
+ */
+export const ReviewEventType = {
+  ENQUEUED: 'enqueued',
+  CLAIMED: 'claimed',
+  REASSIGNED: 'reassigned',
+  ESCALATED: 'escalated',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const OPEN_STATUSES = [ReviewStatus.PENDING, ReviewStatus.CLAIMED];
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * ReviewQueue クラス
+ * 自動承認されなかった評価結果を人間のレビュアーに回し、判断を EvaluationHistory に記録する
+ *
+ * @example
+ * const queue = new ReviewQueue({ history, escalationChain: ['brand-lead'] });
+ * const item = await queue.enqueue(approvalResult, { assignee: 'alice' });
+ * await queue.claim(item.id, 'alice');
+ * await queue.approve(item.id, 'alice', 'トーンの揺れは許容範囲');
+ */
+export class ReviewQueue {
+  /**
+   * @param {Object} options - 設定オプション
+   * @param {string} [options.storageDir] - キュー保存ディレクトリ
+   * @param {boolean} [options.autoSave] - 自動保存の有効化
+   * @param {EvaluationHistory} [options.history] - レビュー判断の記録先
+   * @param {number} [options.slaHours=24] - レビュー完了までの SLA (時間)
+   * @param {number} [options.escalationSlaHours=8] - エスカレーション後の SLA (時間)
+   * @param {string[]} [options.escalationChain] - エスカレーション先 (段階ごとのレビュアー)
+   * @param {function(): Date} [options.now] - 現在時刻 (テスト用)
+   */
+  constructor(options = {}) {
+    // undefined を明示的に渡されても既定値を使う (SLA が NaN になるのを防ぐ)
+    this.options = {
+      ...options,
+      storageDir: options.storageDir || path.join(__dirname, '../../data/review_queue'),
+      autoSave: options.autoSave ?? true,
+      slaHours: options.slaHours ?? 24,
+      escalationSlaHours: options.escalationSlaHours ?? 8,
+      escalationChain: options.escalationChain ?? [],
+      now: options.now ?? (() => new Date())
+    };
+
+    this.history = options.history || null;
+    this.items = [];
+    this.initialized = false;
+  }
+
+  /**
+   * キューを初期化 (保存済みのキューを読み込む)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(this.options.storageDir, { recursive: true });
+
+    try {
+      const content = await fs.readFile(this._queueFile(), 'utf-8');
+      this.items = JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.items = [];
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * 評価結果をレビュー待ちに追加
+   *
+   * @param {Object} result - ZeroHumanApproval.evaluate の結果
+   * @param {Object} [options] - 追加オプション
+   * @param {string} [options.assignee] - 担当レビュアー
+   * @param {string} [options.evaluationRecordId] - EvaluationHistory の評価レコード ID
+   * @param {number} [options.slaHours] - この項目の SLA (時間)
+   * @returns {Promise<Object>} レビュー項目
+   */
+  async enqueue(result, options = {}) {
+    await this.initialize();
+
+    const now = this.options.now();
+    const item = {
+      id: this._generateId(),
+      proposalId: result.proposalId,
+      brandName: result.brandName,
+      evaluationRecordId: options.evaluationRecordId || null,
+      approvalStatus: result.approvalDecision?.status,
+      reasoning: result.approvalDecision?.reasoning,
+      score: result.evaluation?.score?.overall,
+      breakdown: result.evaluation?.score?.breakdown || [],
+      status: ReviewStatus.PENDING,
+      assignee: options.assignee || null,
+      claimedBy: null,
+      createdAt: now.toISOString(),
+      dueAt: addHours(now, options.slaHours ?? this.options.slaHours).toISOString(),
+      escalationLevel: 0,
+      decision: null,
+      events: []
+    };
+
+    this._recordEvent(item, ReviewEventType.ENQUEUED, 'system', { to: item.assignee });
+    this.items.push(item);
+    await this._autoSave();
+
+    return item;
+  }
+
+  /**
+   * レビュー項目を取得
+   *
+   * @param {string} id - レビュー ID
+   * @returns {Promise<Object>}
+   * @throws {Error} 存在しない場合
+   */
+  async get(id) {
+    await this.initialize();
+
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) {
+      throw new Error(`Review item not found: ${id}`);
+    }
+    return item;
+  }
+
+  /**
+   * レビュー項目を一覧
+   *
+   * @param {Object} [filter] - フィルタ条件
+   * @param {ReviewStatus} [filter.status] - 状態
+   * @param {string} [filter.assignee] - 担当レビュアー
+   * @param {boolean} [filter.overdue] - SLA 超過の未完了項目のみ
+   * @returns {Promise<Array<Object>>} 期限の近い順
+   */
+  async list(filter = {}) {
+    await this.initialize();
+
+    const now = this.options.now();
+    return this.items
+      .filter(item => !filter.status || item.status === filter.status)
+      .filter(item => !filter.assignee || item.assignee === filter.assignee)
+      .filter(item => !filter.overdue || this._isOverdue(item, now))
+      .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  }
+
+  /**
+   * レビューを引き受ける
+   *
+   * @param {string} id - レビュー ID
+   * @param {string} reviewer - レビュアー
+   * @returns {Promise<Object>}
+   * @throws {Error} 完了済み・他のレビュアーが担当中の場合
+   */
+  async claim(id, reviewer) {
+    const item = await this._getOpen(id);
+
+    if (item.claimedBy === reviewer) return item;
+    if (item.claimedBy) {
+      throw new Error(`Review ${id} is already claimed by ${item.claimedBy}`);
+    }
+    if (item.assignee && item.assignee !== reviewer) {
+      throw new Error(`Review ${id} is assigned to ${item.assignee}`);
+    }
+
+    item.status = ReviewStatus.CLAIMED;
+    item.claimedBy = reviewer;
+    item.assignee = reviewer;
+    this._recordEvent(item, ReviewEventType.CLAIMED, reviewer);
+    await this._autoSave();
+
+    return item;
+  }
+
+  /**
+   * 承認
+   *
+   * @param {string} id - レビュー ID
+   * @param {string} reviewer - レビュアー (引き受け済みであること)
+   * @param {string} [comment] - コメント
+   * @returns {Promise<Object>}
+   */
+  async approve(id, reviewer, comment = '') {
+    return this._decide(id, reviewer, ReviewStatus.APPROVED, comment);
+  }
+
+  /**
+   * 却下
+   *
+   * @param {string} id - レビュー ID
+   * @param {string} reviewer - レビュアー (引き受け済みであること)
+   * @param {string} comment - 却下理由 (必須)
+   * @returns {Promise<Object>}
+   */
+  async reject(id, reviewer, comment) {
+    if (!comment) {
+      throw new Error('A comment is required to reject a review');
+    }
+    return this._decide(id, reviewer, ReviewStatus.REJECTED, comment);
+  }
+
+  /**
+   * 担当者を変更 (引き受けは解除される)
+   *
+   * @param {string} id - レビュー ID
+   * @param {string} assignee - 新しい担当レビュアー
+   * @param {Object} [options] - 追加オプション
+   * @param {string} [options.by='system'] - 変更した人
+   * @param {string} [options.comment] - 変更理由
+   * @returns {Promise<Object>}
+   */
+  async reassign(id, assignee, options = {}) {
+    const item = await this._getOpen(id);
+    const from = item.assignee;
+
+    item.status = ReviewStatus.PENDING;
+    item.assignee = assignee;
+    item.claimedBy = null;
+    this._recordEvent(item, ReviewEventType.REASSIGNED, options.by || 'system', { from, to: assignee, comment: options.comment });
+    await this._autoSave();
+
+    return item;
+  }
+
+  /**
+   * SLA を超過した未完了の項目をエスカレーション
+   *
+   * escalationChain の次の段階のレビュアーに担当を移し、escalationSlaHours の期限を設定する
+   * (チェーンの最後に達した後は担当者を変えずに期限だけ延長する)
+   *
+   * @returns {Promise<Array<Object>>} エスカレーションした項目
+   */
+  async checkSla() {
+    await this.initialize();
+
+    const now = this.options.now();
+    const escalated = [];
+
+    for (const item of this.items) {
+      if (!this._isOverdue(item, now)) continue;
+
+      const chain = this.options.escalationChain;
+      const from = item.assignee;
+      const to = chain[Math.min(item.escalationLevel, chain.length - 1)] || from;
+
+      item.escalationLevel++;
+      item.status = ReviewStatus.PENDING;
+      item.assignee = to;
+      item.claimedBy = null;
+      item.dueAt = addHours(now, this.options.escalationSlaHours).toISOString();
+      this._recordEvent(item, ReviewEventType.ESCALATED, 'system', {
+        from,
+        to,
+        comment: `SLA exceeded (level ${item.escalationLevel})`
+      });
+      escalated.push(item);
+    }
+
+    if (escalated.length > 0) {
+      await this._autoSave();
+    }
+    return escalated;
+  }
+
+  /**
+   * キューを保存
+   */
+  async save() {
+    await this.initialize();
+    await fs.writeFile(this._queueFile(), JSON.stringify(this.items, null, 2), 'utf-8');
+  }
+
+  /**
+   * 承認・却下を確定し、EvaluationHistory に記録
+   *
+   * @private
+   * @param {string} id - レビュー ID
+   * @param {string} reviewer - レビュアー
+   * @param {ReviewStatus} status - APPROVED | REJECTED
+   * @param {string} comment - コメント
+   * @returns {Promise<Object>}
+   */
+  async _decide(id, reviewer, status, comment) {
+    const item = await this._getOpen(id);
+
+    if (item.claimedBy !== reviewer) {
+      throw new Error(`Review ${id} must be claimed by ${reviewer} before a decision`);
+    }
+
+    // 履歴への記録が失敗したときに項目が確定済みで残らないよう、確定後の状態は写しで組み立てる
+    const decidedAt = this.options.now();
+    const decided = {
+      ...item,
+      status,
+      decision: {
+        status,
+        reviewer,
+        comment,
+        decidedAt: decidedAt.toISOString(),
+        withinSla: decidedAt.getTime() <= new Date(item.dueAt).getTime()
+      },
+      events: [...item.events]
+    };
+    this._recordEvent(decided, status === ReviewStatus.APPROVED ? ReviewEventType.APPROVED : ReviewEventType.REJECTED, reviewer, { comment });
+
+    if (this.history) {
+      decided.decision.historyRecordId = await this.history.addReviewDecision(decided);
+    }
+    Object.assign(item, decided);
+    await this._autoSave();
+
+    return item;
+  }
+
+  /**
+   * 未完了のレビュー項目を取得
+   *
+   * @private
+   * @param {string} id - レビュー ID
+   * @returns {Promise<Object>}
+   * @throws {Error} 完了済みの場合
+   */
+  async _getOpen(id) {
+    const item = await this.get(id);
+    if (!OPEN_STATUSES.includes(item.status)) {
+      throw new Error(`Review ${id} is already ${item.status}`);
+    }
+    return item;
+  }
+
+  /**
+   * SLA 超過の未完了項目か
+   *
+   * @private
+   * @param {Object} item - レビュー項目
+   * @param {Date} now - 現在時刻
+   * @returns {boolean}
+   */
+  _isOverdue(item, now) {
+    return OPEN_STATUSES.includes(item.status) && now.getTime() > new Date(item.dueAt).getTime();
+  }
+
+  /**
+   * 監査ログにイベントを追加
+   *
+   * @private
+   * @param {Object} item - レビュー項目
+   * @param {ReviewEventType} type - イベント種別
+   * @param {string} actor - 実行者
+   * @param {Object} [details] - from / to / comment
+   */
+  _recordEvent(item, type, actor, details = {}) {
+    const event = { type, actor, at: this.options.now().toISOString() };
+    for (const [key, value] of Object.entries(details)) {
+      if (value !== undefined && value !== null) event[key] = value;
+    }
+    item.events.push(event);
+  }
+
+  /**
+   * autoSave 有効時に保存
+   *
+   * @private
+   */
+  async _autoSave() {
+    if (this.options.autoSave) {
+      await this.save();
+    }
+  }
+
+  /**
+   * キューファイルのパス
+   *
+   * @private
+   * @returns {string}
+   */
+  _queueFile() {
+    return path.join(this.options.storageDir, 'queue.json');
+  }
+
+  /**
+   * レビュー ID を生成
+   *
+   * @private
+   * @returns {string}
+   */
+  _generateId() {
+    return `review_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+/**
+ * 時刻に時間を加算
+ *
+ * @param {Date} date - 基準時刻
+ * @param {number} hours - 時間
+ * @returns {Date}
+ */
+function addHours(date, hours) {
+  return new Date(date.getTime() + hours * HOUR);
+}
+
+/**
+ * デフォルトエクスポート
+ */
+export default ReviewQueue;
@@ -1,6 +1,7 @@
 import { Logger } from '../utils/Logger.js';
 import { MultiModelEvaluator } from './MultiModelEvaluator.js';
 import { EvaluationHistory } from './EvaluationHistory.js';
+import { ReviewQueue } from './ReviewQueue.js';
 
 const logger = new Logger('ZeroHumanApproval');
 
@@ -25,17 +26,24 @@ export class ZeroHumanApproval {
    * @param {number} [options.consensusThreshold=0.7] - 合意度閾値
    * @param {boolean} [options.enableHistory=true] - 履歴記録有効化
    * @param {Array<string>} [options.rubrics] - 評価基準リスト
+   * @param {string|Array|Object} [options.backends] - 評価バックエンド (MultiModelEvaluator の backends)
+   * @param {MultiModelEvaluator} [options.evaluator] - 評価器 (省略時は backends から生成)
+   * @param {EvaluationHistory} [options.history] - 評価履歴 (省略時は enableHistory に従って生成)
+   * @param {ReviewQueue|boolean} [options.reviewQueue] - CONDITIONAL_APPROVAL の送り先
+   *   (true の場合は評価履歴に判断を記録する ReviewQueue を生成)
    */
   constructor(options = {}) {
     this.config = {
       approvalThreshold: options.approvalThreshold || 90,
       consensusThreshold: options.consensusThreshold || 0.7,
       enableHistory: options.enableHistory !== false,
-      rubrics: options.rubrics || ['BrandConsistencyRubric']
+      rubrics: options.rubrics || ['BrandConsistencyRubric'],
+      backends: options.backends || null
     };
 
-    this.evaluator = null;
-    this.history = null;
+    this.evaluator = options.evaluator || null;
+    this.history = options.history || null;
+    this.reviewQueue = options.reviewQueue || null;
     this.initialized = false;
 
     // 統計
@@ -57,27 +65,36 @@ export class ZeroHumanApproval {
     try {
       logger.info('Initializing Zero-Human Approval Protocol...');
 
-      // MultiModelEvaluator 初期化
-      this.evaluator = new MultiModelEvaluator({
-        threshold: this.config.approvalThreshold,
-        weights: {
-          'claude-sonnet-4.5': 0.35,
-          'gpt-5': 0.35,
-          'gemini-2.5-pro': 0.30
-        },
-        consensusThreshold: this.config.consensusThreshold
-      });
-
-      await this.evaluator.loadRubrics();
-
-      // EvaluationHistory 初期化
-      if (this.config.enableHistory) {
+      // EvaluationHistory 初期化 (評価の記録とスコア較正に使用)
+      if (this.history) {
+        await this.history.initialize();
+      } else if (this.config.enableHistory) {
         this.history = new EvaluationHistory({
           autoSave: true
         });
         await this.history.initialize();
       }
 
+      // MultiModelEvaluator 初期化 (モデル・評価項目の重みは rubrics.json)
+      if (!this.evaluator) {
+        this.evaluator = new MultiModelEvaluator({
+          threshold: this.config.approvalThreshold,
+          consensusThreshold: this.config.consensusThreshold,
+          ...(this.history && { calibration: { history: this.history } }),
+          ...(this.config.backends && { backends: this.config.backends })
+        });
+      }
+
+      await this.evaluator.loadRubrics();
+
+      // ReviewQueue 初期化 (レビュー判断は評価履歴に記録)
+      if (this.reviewQueue === true) {
+        this.reviewQueue = new ReviewQueue({ history: this.history });
+      }
+      if (this.reviewQueue) {
+        await this.reviewQueue.initialize();
+      }
+
       this.initialized = true;
       logger.info('Zero-Human Approval Protocol initialized successfully');
       logger.info(`  Approval Threshold: ${this.config.approvalThreshold}`);
@@ -96,6 +113,8 @@ export class ZeroHumanApproval {
    * @async
    * @param {Object} proposal - ブランド提案
    * @param {Object} [options={}] - 評価オプション
+   * @param {string} [options.proposalId] - 提案 ID
+   * @param {string} [options.reviewer] - 人間のレビューに回す場合の担当レビュアー
    * @returns {Promise<Object>} 評価結果
    */
   async evaluate(proposal, options = {}) {
@@ -137,13 +156,25 @@ export class ZeroHumanApproval {
       this._updateStats(result, duration);
 
       // 履歴記録
+      let evaluationRecordId = null;
       if (this.history) {
-        await this.history.addEvaluation(proposal, evaluation, {
+        evaluationRecordId = await this.history.addEvaluation(proposal, evaluation, {
+          proposalId: result.proposalId,
           autoApproved: approvalDecision.autoApproved,
           approvalStatus: approvalDecision.status
         });
       }
 
+      // 条件付き承認は人間のレビュー待ちに回す
+      if (this.reviewQueue && approvalDecision.status === 'CONDITIONAL_APPROVAL') {
+        const review = await this.reviewQueue.enqueue(result, {
+          evaluationRecordId,
+          assignee: options.reviewer
+        });
+        result.review = { id: review.id, status: review.status, assignee: review.assignee, dueAt: review.dueAt };
+        logger.info(`  Queued for human review: ${review.id}`);
+      }
+
       logger.info(`Evaluation completed in ${duration}ms`);
       logger.info(`  Score: ${evaluation.score.overall}/100`);
       logger.info(`  Auto-Approved: ${approvalDecision.autoApproved ? 'YES' : 'NO'}`);
@@ -216,13 +247,17 @@ export class ZeroHumanApproval {
     const score = evaluation.score.overall;
     const consensus = evaluation.score.agreement;
     const confidence = evaluation.score.confidence;
+    const quorum = evaluation.quorum || null;
+    const missingModels = (evaluation.missing || []).map(m => m.model);
+    const skippedModels = (evaluation.skipped || []).map(m => m.model);
 
-    // 自動承認条件
+    // 自動承認条件 (クォーラム未達の評価は自動承認しない)
     const meetsScoreThreshold = score >= this.config.approvalThreshold;
     const meetsConsensusThreshold = consensus >= this.config.consensusThreshold;
+    const meetsQuorum = !quorum || quorum.met;
     const highConfidence = confidence === 'high';
 
-    const autoApproved = meetsScoreThreshold && meetsConsensusThreshold;
+    const autoApproved = meetsScoreThreshold && meetsConsensusThreshold && meetsQuorum;
 
     // ステータス決定
     let status;
@@ -231,6 +266,12 @@ export class ZeroHumanApproval {
     if (autoApproved) {
       status = 'AUTO_APPROVED';
       reasoning = `スコア ${score.toFixed(1)} が承認閾値 ${this.config.approvalThreshold} を超え、モデル間合意度 ${(consensus * 100).toFixed(1)}% が閾値 ${(this.config.consensusThreshold * 100).toFixed(1)}% を超えたため、自動承認されました。`;
+    } else if (meetsScoreThreshold && !meetsQuorum) {
+      status = 'CONDITIONAL_APPROVAL';
+      reasoning = `スコア ${score.toFixed(1)} は承認閾値を超えていますが、評価を返したモデルが ${quorum.available}/${quorum.expected} でクォーラム ${quorum.required} に達していません (${[
+        missingModels.length > 0 && `欠落: ${missingModels.join(', ')}`,
+        skippedModels.length > 0 && `利用不可: ${skippedModels.join(', ')}`
+      ].filter(Boolean).join(' / ')})。人間によるレビューを推奨します。`;
     } else if (meetsScoreThreshold && !meetsConsensusThreshold) {
       status = 'CONDITIONAL_APPROVAL';
       reasoning = `スコア ${score.toFixed(1)} は承認閾値を超えていますが、モデル間合意度 ${(consensus * 100).toFixed(1)}% が不十分です。人間によるレビューを推奨します。`;
@@ -257,6 +298,13 @@ export class ZeroHumanApproval {
           actual: consensus,
           met: meetsConsensusThreshold
         },
+        quorum: {
+          required: quorum?.required ?? null,
+          actual: quorum?.available ?? null,
+          missingModels,
+          skippedModels,
+          met: meetsQuorum
+        },
         confidence: {
           level: confidence,
           isHigh: highConfidence
@@ -404,6 +452,7 @@ export class ZeroHumanApproval {
     if (this.initialized) {
       this.evaluator = null;
       this.history = null;
+      this.reviewQueue = null;
       this.initialized = false;
       logger.info('Zero-Human Approval Protocol closed');
     }
@@ -9,8 +9,13 @@
  */
 
 import { config } from 'dotenv';
+import { ApiServer } from './server/ApiServer.js';
+import { Logger } from './utils/Logger.js';
 config();
 
+export { BrandPipeline, PipelineStage } from './orchestration/BrandPipeline.js';
+export { ApiServer } from './server/ApiServer.js';
+
 /**
  * システムバージョン情報
  */
@@ -35,11 +40,21 @@ async function main() {
 ===================================
   `);
 
-  // TODO: Milestone 1 完了後に CoordinatorAgent を起動
-  console.log('⚠️  システムは現在構築中です');
-  console.log('📋 実装計画: docs/IMPLEMENTATION_PLAN.md を参照');
-  console.log('🏗️  アーキテクチャ: docs/ARCHITECTURE.md を参照');
-  console.log('⚖️  憲法: docs/AGENTS.md を参照');
+  const server = new ApiServer({
+    logger: new Logger({ name: 'BrandBuilder' })
+  });
+
+  const port = await server.start();
+  console.log(`🌐 HTTP API: http://localhost:${port}`);
+  console.log('   POST /brands | GET /workflows/:id | POST /evaluate | GET /health');
+
+  // コンテナ停止時に処理中のリクエストを完了させてから終了
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
 }
 
 // モジュールとして直接実行された場合
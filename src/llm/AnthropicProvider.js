@@ -0,0 +1,59 @@
+/**
+ * @file AnthropicProvider.js
+ * @description Anthropic Messages API バックエンド
+ * @module AnthropicProvider
+ * @version 1.0.0
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * AnthropicProvider クラス
+ *
+ * @extends LLMProvider
+ */
+export class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string} [options.apiKey] - API キー (既定: ANTHROPIC_API_KEY)
+   * @param {Object} [options.client] - 差し替え用クライアント
+   * @param {string} [options.model] - モデル名
+   * @param {number} [options.maxTokens] - 最大出力トークン数
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.client = options.client || (apiKey ? new Anthropic({ apiKey }) : null);
+  }
+
+  get name() {
+    return 'anthropic';
+  }
+
+  get defaultModel() {
+    return 'claude-sonnet-4-5-20250929';
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  async _complete(request) {
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: request.maxTokens,
+      ...(request.system ? { system: request.system } : {}),
+      ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+      messages: [{ role: 'user', content: request.prompt }]
+    });
+
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+export default AnthropicProvider;
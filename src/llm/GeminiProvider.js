@@ -0,0 +1,59 @@
+/**
+ * @file GeminiProvider.js
+ * @description Google Gemini API バックエンド
+ * @module GeminiProvider
+ * @version 1.0.0
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * GeminiProvider クラス
+ *
+ * @extends LLMProvider
+ */
+export class GeminiProvider extends LLMProvider {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string} [options.apiKey] - API キー (既定: GOOGLE_API_KEY)
+   * @param {Object} [options.client] - 差し替え用クライアント
+   * @param {string} [options.model] - モデル名
+   * @param {number} [options.maxTokens] - 最大出力トークン数
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const apiKey = options.apiKey || process.env.GOOGLE_API_KEY;
+    this.client = options.client || (apiKey ? new GoogleGenerativeAI(apiKey) : null);
+  }
+
+  get name() {
+    return 'gemini';
+  }
+
+  get defaultModel() {
+    return 'gemini-2.5-pro';
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  async _complete(request) {
+    const model = this.client.getGenerativeModel({
+      model: this.model,
+      ...(request.system ? { systemInstruction: request.system } : {}),
+      generationConfig: {
+        maxOutputTokens: request.maxTokens,
+        ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+        ...(request.json ? { responseMimeType: 'application/json' } : {})
+      }
+    });
+
+    const result = await model.generateContent(request.prompt);
+    return result.response.text();
+  }
+}
+
+export default GeminiProvider;
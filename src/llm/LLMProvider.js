@@ -0,0 +1,203 @@
+/**
+ * @file LLMProvider.js
+ * @description LLM バックエンド共通インターフェース
+ * @responsibilities
+ * - Anthropic / OpenAI / Gemini / Mock で共通のリクエスト・レスポンス形式を定義
+ * - JSON 応答の抽出とパース
+ * - プロバイダー呼び出し失敗時のエラー正規化
+ *
+ * @module LLMProvider
+ * @version 1.0.0
+ */
+
+/**
+ * LLM 呼び出しエラー
+ */
+export class LLMProviderError extends Error {
+  /**
+   * @param {string} provider - プロバイダー名
+   * @param {string} message - エラーメッセージ
+   * @param {Error} [cause] - 元のエラー
+   */
+  constructor(provider, message, cause) {
+    super(`[${provider}] ${message}`);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.cause = cause;
+  }
+}
+
+/**
+ * JSON 応答のパースエラー
+ *
+ * 修正依頼に使えるよう、パースできなかった応答テキストを保持する
+ */
+export class LLMResponseParseError extends LLMProviderError {
+  /**
+   * @param {string} provider - プロバイダー名
+   * @param {string} message - エラーメッセージ
+   * @param {string} text - パースできなかった応答テキスト
+   * @param {Error} [cause] - 元のエラー
+   */
+  constructor(provider, message, text, cause) {
+    super(provider, message, cause);
+    this.name = 'LLMResponseParseError';
+    this.text = text;
+  }
+}
+
+/**
+ * LLM リクエスト
+ * @typedef {Object} LLMRequest
+ * @property {string} prompt - ユーザープロンプト
+ * @property {string} [system] - システムプロンプト
+ * @property {number} [maxTokens] - 最大出力トークン数
+ * @property {number} [temperature] - 温度
+ * @property {boolean} [json] - JSON 応答を要求するか
+ * @property {string} [template] - 生成元プロンプトテンプレート ID (Mock が参照)
+ * @property {Object} [variables] - テンプレート変数 (Mock が参照)
+ */
+
+/**
+ * LLM レスポンス
+ * @typedef {Object} LLMResponse
+ * @property {string} text - 応答テキスト
+ * @property {string} provider - プロバイダー名
+ * @property {string} model - モデル名
+ * @property {Object} [usage] - トークン使用量
+ */
+
+/**
+ * LLMProvider 基底クラス
+ *
+ * サブクラスは name と _complete() を実装する
+ */
+export class LLMProvider {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string} [options.model] - モデル名
+   * @param {number} [options.maxTokens=1024] - 既定の最大出力トークン数
+   * @param {number} [options.temperature] - 既定の温度
+   */
+  constructor(options = {}) {
+    if (new.target === LLMProvider) {
+      throw new Error('LLMProvider は抽象クラスです');
+    }
+
+    this.model = options.model || this.defaultModel;
+    this.maxTokens = options.maxTokens || 1024;
+    this.temperature = options.temperature;
+  }
+
+  /**
+   * プロバイダー名
+   * @type {string}
+   */
+  get name() {
+    throw new Error('name を実装してください');
+  }
+
+  /**
+   * 既定モデル名
+   * @type {string|undefined}
+   */
+  get defaultModel() {
+    return undefined;
+  }
+
+  /**
+   * 利用可能か (API キー・クライアントが揃っているか)
+   *
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * テキスト生成
+   *
+   * @param {LLMRequest} request - リクエスト
+   * @returns {Promise<LLMResponse>}
+   * @throws {LLMProviderError} 呼び出し失敗時
+   */
+  async complete(request) {
+    if (!request || typeof request.prompt !== 'string' || request.prompt === '') {
+      throw new LLMProviderError(this.name, 'prompt が指定されていません');
+    }
+
+    if (!this.isAvailable()) {
+      throw new LLMProviderError(this.name, 'プロバイダーが利用できません (API キー未設定)');
+    }
+
+    const normalized = {
+      ...request,
+      maxTokens: request.maxTokens || this.maxTokens,
+      temperature: request.temperature ?? this.temperature
+    };
+
+    try {
+      const text = await this._complete(normalized);
+      return { text, provider: this.name, model: this.model };
+    } catch (error) {
+      if (error instanceof LLMProviderError) throw error;
+      throw new LLMProviderError(this.name, error.message, error);
+    }
+  }
+
+  /**
+   * JSON 生成
+   *
+   * @param {LLMRequest} request - リクエスト
+   * @returns {Promise<Object>} パース済み JSON
+   * @throws {LLMResponseParseError} 応答が JSON でない場合
+   */
+  async completeJSON(request) {
+    const response = await this.complete({ ...request, json: true });
+
+    try {
+      return LLMProvider.parseJSON(response.text);
+    } catch (error) {
+      throw new LLMResponseParseError(this.name, `JSON 応答のパースに失敗しました: ${error.message}`, response.text, error);
+    }
+  }
+
+  /**
+   * バックエンド呼び出し
+   *
+   * @abstract
+   * @protected
+   * @param {LLMRequest} _request - 正規化済みリクエスト
+   * @returns {Promise<string>} 応答テキスト
+   */
+  async _complete(_request) {
+    throw new Error('_complete() を実装してください');
+  }
+
+  /**
+   * 応答テキストから JSON を抽出
+   *
+   * コードフェンスや前後の説明文を含む応答にも対応する
+   *
+   * @param {string} text - 応答テキスト
+   * @returns {Object|Array}
+   */
+  static parseJSON(text) {
+    const trimmed = String(text).trim();
+
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+      const candidate = fenced ? fenced[1] : trimmed.match(/[{[][\s\S]*[}\]]/)?.[0];
+
+      if (!candidate) {
+        throw new Error('JSON が見つかりません');
+      }
+
+      return JSON.parse(candidate);
+    }
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,72 @@
+/**
+ * @file LLMProviderFactory.js
+ * @description プロバイダー名から LLMProvider を生成するファクトリー
+ * @module LLMProviderFactory
+ * @version 1.0.0
+ */
+
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { OpenAIProvider } from './OpenAIProvider.js';
+import { GeminiProvider } from './GeminiProvider.js';
+import { MockLLMProvider } from './MockLLMProvider.js';
+
+/**
+ * プロバイダー名
+ * @enum {string}
+ */
+export const LLMProviderName = {
+  ANTHROPIC: 'anthropic',
+  OPENAI: 'openai',
+  GEMINI: 'gemini',
+  MOCK: 'mock'
+};
+
+const PROVIDERS = {
+  [LLMProviderName.ANTHROPIC]: AnthropicProvider,
+  [LLMProviderName.OPENAI]: OpenAIProvider,
+  [LLMProviderName.GEMINI]: GeminiProvider,
+  [LLMProviderName.MOCK]: MockLLMProvider
+};
+
+/**
+ * LLMProvider を生成
+ *
+ * @param {LLMProviderName} [name] - プロバイダー名 (既定: LLM_PROVIDER 環境変数)
+ * @param {Object} [options] - プロバイダー設定
+ * @returns {import('./LLMProvider.js').LLMProvider}
+ * @throws {Error} プロバイダー名が未指定または未知の場合
+ */
+export function createLLMProvider(name = process.env.LLM_PROVIDER, options = {}) {
+  if (!name) {
+    throw new Error('LLM プロバイダー名が指定されていません (LLM_PROVIDER)');
+  }
+
+  const Provider = PROVIDERS[name.toLowerCase()];
+
+  if (!Provider) {
+    throw new Error(`未知の LLM プロバイダー: ${name} (${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+/**
+ * API キーが設定済みの評価用プロバイダーを生成
+ *
+ * MultiModelEvaluator のモデル名 (claude / gpt / gemini) をキーとする
+ *
+ * @returns {Object<string, import('./LLMProvider.js').LLMProvider>}
+ */
+export function createConfiguredProviders() {
+  const candidates = {
+    claude: new AnthropicProvider({ maxTokens: 4096 }),
+    gpt: new OpenAIProvider({ maxTokens: 4096 }),
+    gemini: new GeminiProvider({ maxTokens: 4096 })
+  };
+
+  return Object.fromEntries(
+    Object.entries(candidates).filter(([, provider]) => provider.isAvailable())
+  );
+}
+
+export default createLLMProvider;
@@ -0,0 +1,228 @@
+/**
+ * @file MockLLMProvider.js
+ * @description オフライン用の決定論的 LLM バックエンド
+ * @responsibilities
+ * - API キー・ネットワーク無しでテストとローカル開発を実行可能にする
+ * - 同一リクエストに対して常に同一応答を返す (seed + テンプレート変数のハッシュ)
+ * - 共有プロンプトテンプレートごとに妥当な構造の JSON を合成
+ *
+ * @module MockLLMProvider
+ * @version 1.0.0
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+import { PromptTemplateId } from './PromptTemplates.js';
+
+/**
+ * 文字列の 32bit FNV-1a ハッシュ
+ *
+ * @param {string} text - 入力
+ * @returns {number}
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * シード付き疑似乱数生成器 (mulberry32)
+ *
+ * @param {number} seed - シード
+ * @returns {function(): number} 0 以上 1 未満を返す関数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const CORE_MESSAGE_PATTERNS = [
+  ({ purpose }) => purpose,
+  ({ purpose, value }) => `${value}を軸に、${purpose}`,
+  ({ purpose, value }) => `${value}から始まる、${purpose}という約束`,
+  ({ purpose }) => `私たちは、${purpose}ために存在する`
+];
+
+const TAGLINE_PATTERNS = [
+  ({ value }) => `${value}を、まっすぐに。`,
+  ({ value, secondValue }) => `${value}と${secondValue}を、ひとつに。`,
+  ({ value }) => `${value}が、明日を変える。`,
+  ({ value }) => `いつも、${value}のそばに。`
+];
+
+const METAPHOR_PATTERNS = [
+  ({ value, shape }) => `${value}を中心に広がる ${shape} の輪郭`,
+  ({ value, shape }) => `${shape} が重なり合い、${value}を形づくる構図`,
+  ({ value, purpose, shape }) => `${purpose}へ向かう ${shape} の軌跡に${value}を宿す`
+];
+
+/**
+ * バリエーション応答を合成
+ *
+ * @param {Object} variables - テンプレート変数
+ * @param {Array<Function>} patterns - 文面パターン
+ * @param {string[]} strategies - 戦略候補
+ * @param {function(): number} random - 乱数生成器
+ * @returns {Object}
+ */
+function mockVariations(variables, patterns, strategies, random) {
+  const { foundation = {}, count = 3 } = variables;
+  const values = foundation.values?.length ? foundation.values : ['価値'];
+  const purpose = foundation.purpose || 'ブランドの目的を実現する';
+  const offset = Math.floor(random() * patterns.length);
+
+  const variations = [];
+  for (let i = 0; i < count; i++) {
+    const value = values[(offset + i) % values.length];
+    const secondValue = values[(offset + i + 1) % values.length];
+    const strategy = strategies[i % strategies.length];
+    const pattern = patterns[(offset + i) % patterns.length];
+
+    variations.push({
+      content: pattern({ purpose, value, secondValue, shape: strategy }),
+      strategy,
+      rationale: `${value}を起点にした ${strategy} 案 (mock)`
+    });
+  }
+
+  return { variations };
+}
+
+/**
+ * 評価応答を合成
+ *
+ * @param {Object} variables - テンプレート変数
+ * @param {function(): number} random - 乱数生成器
+ * @returns {Object}
+ */
+function mockEvaluation(variables, random) {
+  const evaluation = {};
+  const scores = [];
+
+  for (const [rubricName, rubric] of Object.entries(variables.rubrics || {})) {
+    evaluation[rubricName] = {};
+
+    for (const criterion of Object.keys(rubric.properties || {})) {
+      const score = 70 + Math.round(random() * 25);
+      scores.push(score);
+      evaluation[rubricName][criterion] = {
+        score,
+        reason: `${criterion} は概ね基準を満たしています (mock)`,
+        strengths: [`${criterion} の方向性が明確`],
+        weaknesses: score < 80 ? [`${criterion} の具体性が不足`] : []
+      };
+    }
+  }
+
+  evaluation.overall = scores.length > 0
+    ? Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100) / 100
+    : 0;
+  evaluation.summary = 'Mock プロバイダーによる決定論的評価';
+
+  return evaluation;
+}
+
+/**
+ * MockLLMProvider クラス
+ *
+ * @extends LLMProvider
+ */
+export class MockLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {number} [options.seed=0] - 応答を変化させるシード
+   * @param {Object<string, Object|Function>} [options.responses] - テンプレート ID ごとの固定応答
+   * @param {string} [options.name='mock'] - プロバイダー名 (複数モデル評価の模擬用)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.seed = options.seed || 0;
+    this.responses = options.responses || {};
+    this.providerName = options.name || 'mock';
+    this.calls = [];
+  }
+
+  get name() {
+    return this.providerName;
+  }
+
+  get defaultModel() {
+    return 'mock-1';
+  }
+
+  async _complete(request) {
+    this.calls.push(request);
+
+    const key = request.template
+      ? `${request.template}:${JSON.stringify(request.variables ?? {})}`
+      : `${request.system ?? ''}:${request.prompt}`;
+    const random = createRandom(hash(`${this.seed}:${key}`));
+
+    if (request.template && this.responses[request.template] !== undefined) {
+      const fixed = this.responses[request.template];
+      const body = typeof fixed === 'function' ? await fixed(request) : fixed;
+      return typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const body = this._synthesize(request, random);
+
+    if (body === undefined) {
+      return request.json
+        ? JSON.stringify({ text: `mock:${hash(key).toString(16)}` })
+        : `mock:${hash(key).toString(16)}`;
+    }
+
+    return JSON.stringify(body);
+  }
+
+  /**
+   * テンプレートに応じた応答を合成
+   *
+   * @private
+   * @param {import('./LLMProvider.js').LLMRequest} request - リクエスト
+   * @param {function(): number} random - 乱数生成器
+   * @returns {Object|undefined} 未対応テンプレートの場合 undefined
+   */
+  _synthesize(request, random) {
+    const variables = request.variables || {};
+    const strategies = variables.strategies?.length ? variables.strategies : ['llm'];
+
+    switch (request.template) {
+      case PromptTemplateId.CORE_MESSAGE_VARIATIONS:
+        return mockVariations(variables, CORE_MESSAGE_PATTERNS, strategies, random);
+
+      case PromptTemplateId.TAGLINE_VARIATIONS:
+        return mockVariations(variables, TAGLINE_PATTERNS, strategies, random);
+
+      case PromptTemplateId.LOGO_METAPHOR_VARIATIONS:
+        return mockVariations(
+          variables,
+          METAPHOR_PATTERNS,
+          variables.shapes?.length ? variables.shapes : ['circle'],
+          random
+        );
+
+      case PromptTemplateId.PROPOSAL_EVALUATION:
+      case PromptTemplateId.PROPOSAL_EVALUATION_REPAIR:
+        return mockEvaluation(variables, random);
+
+      case PromptTemplateId.PROPOSAL_IMPROVEMENT:
+        return structuredClone(variables.proposal ?? {});
+
+      default:
+        return undefined;
+    }
+  }
+}
+
+export default MockLLMProvider;
@@ -0,0 +1,63 @@
+/**
+ * @file OpenAIProvider.js
+ * @description OpenAI Chat Completions API バックエンド
+ * @module OpenAIProvider
+ * @version 1.0.0
+ */
+
+import OpenAI from 'openai';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * OpenAIProvider クラス
+ *
+ * @extends LLMProvider
+ */
+export class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string} [options.apiKey] - API キー (既定: OPENAI_API_KEY)
+   * @param {Object} [options.client] - 差し替え用クライアント
+   * @param {string} [options.model] - モデル名
+   * @param {number} [options.maxTokens] - 最大出力トークン数
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.client = options.client || (apiKey ? new OpenAI({ apiKey }) : null);
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  get defaultModel() {
+    return 'gpt-5';
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  async _complete(request) {
+    const messages = [];
+
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_completion_tokens: request.maxTokens,
+      ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+      ...(request.json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return response.choices[0].message.content;
+  }
+}
+
+export default OpenAIProvider;
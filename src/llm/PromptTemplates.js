@@ -0,0 +1,336 @@
+/**
+ * @file PromptTemplates.js
+ * @description 全エージェント・評価器で共有するプロンプトテンプレート
+ * @responsibilities
+ * - テンプレート ID ごとのシステムプロンプト・本文・出力形式の一元管理
+ * - テンプレート変数からの LLMRequest 組み立て
+ * - バリエーション生成応答の正規化
+ *
+ * @module PromptTemplates
+ * @version 1.0.0
+ */
+
+/**
+ * テンプレート ID
+ * @enum {string}
+ */
+export const PromptTemplateId = {
+  CORE_MESSAGE_VARIATIONS: 'coreMessage.variations',
+  TAGLINE_VARIATIONS: 'tagline.variations',
+  LOGO_METAPHOR_VARIATIONS: 'logoMetaphor.variations',
+  PROPOSAL_EVALUATION: 'proposal.evaluation',
+  PROPOSAL_EVALUATION_REPAIR: 'proposal.evaluationRepair',
+  PROPOSAL_IMPROVEMENT: 'proposal.improvement'
+};
+
+const BRAND_COPYWRITER = 'あなたは E:Stack Method に精通したブランドコピーライターです。'
+  + 'Foundation (Purpose / Values / NOT Axis) から逸脱せず、自然な日本語で簡潔に表現してください。';
+
+const VARIATIONS_FORMAT = `以下の JSON 形式のみで返してください:
+{
+  "variations": [
+    { "content": "...", "strategy": "...", "rationale": "..." }
+  ]
+}`;
+
+/**
+ * ブランド文脈ブロックを組み立て
+ *
+ * @param {Object} foundation - Foundation Layer
+ * @param {Object} [structure] - Structure Layer
+ * @returns {string}
+ */
+function renderBrandContext(foundation = {}, structure = {}) {
+  const lines = [
+    `Purpose: ${foundation.purpose || '未設定'}`,
+    `Values: ${(foundation.values || []).join(' / ') || '未設定'}`
+  ];
+
+  if (foundation.notAxis?.length) {
+    lines.push(`NOT Axis (使わない方向性): ${foundation.notAxis.join(' / ')}`);
+  }
+  if (structure.persona?.description) {
+    lines.push(`Persona: ${structure.persona.description}`);
+  }
+  if (structure.tone?.voice) {
+    lines.push(`Tone: ${structure.tone.voice}`);
+  }
+  if (structure.positioning) {
+    const positioning = typeof structure.positioning === 'string'
+      ? structure.positioning
+      : structure.positioning.statement || JSON.stringify(structure.positioning);
+    lines.push(`Positioning: ${positioning}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * テンプレート定義
+ *
+ * render() はテンプレート変数からユーザープロンプトを生成する
+ */
+const TEMPLATES = {
+  [PromptTemplateId.CORE_MESSAGE_VARIATIONS]: {
+    system: BRAND_COPYWRITER,
+    maxTokens: 1024,
+    render: ({ foundation, structure, count = 3, strategies = [], voice }) => `以下のブランドのコアメッセージ案を ${count} 件生成してください。
+
+【ブランド】
+${renderBrandContext(foundation, structure)}
+${voice ? `Voice Archetype: ${voice}\n` : ''}
+【条件】
+- 1 文、80 文字以内
+- 戦略は次から選び strategy に記載: ${strategies.join(', ') || '自由'}
+- NOT Axis に該当する表現は使わない
+
+${VARIATIONS_FORMAT}`
+  },
+
+  [PromptTemplateId.TAGLINE_VARIATIONS]: {
+    system: BRAND_COPYWRITER,
+    maxTokens: 1024,
+    render: ({ foundation, structure, count = 3, strategies = [], voice }) => `以下のブランドのタグライン案を ${count} 件生成してください。
+
+【ブランド】
+${renderBrandContext(foundation, structure)}
+${voice ? `Voice Archetype: ${voice}\n` : ''}
+【条件】
+- 25 文字以内、リズムがよく記憶に残る表現
+- 戦略は次から選び strategy に記載: ${strategies.join(', ') || '自由'}
+- NOT Axis に該当する表現は使わない
+
+${VARIATIONS_FORMAT}`
+  },
+
+  [PromptTemplateId.LOGO_METAPHOR_VARIATIONS]: {
+    system: 'あなたはブランドアイデンティティを専門とするロゴデザイナーです。'
+      + '抽象的な価値観を、図形として描けるビジュアルメタファーに翻訳してください。',
+    maxTokens: 1024,
+    render: ({ foundation, structure, count = 3, shapes = [] }) => `以下のブランドのロゴ用ビジュアルメタファーを ${count} 件提案してください。
+
+【ブランド】
+${renderBrandContext(foundation, structure)}
+${shapes.length ? `候補シェイプ: ${shapes.join(', ')}\n` : ''}
+【条件】
+- content にメタファーを 1 文で記述
+- strategy には主に用いるシェイプを記載
+- rationale には Values との対応を記載
+
+${VARIATIONS_FORMAT}`
+  },
+
+  [PromptTemplateId.PROPOSAL_EVALUATION]: {
+    system: 'あなたはブランド評価の専門家です。提供されたブランド提案を評価基準に基づいて評価してください。',
+    maxTokens: 4096,
+    render: ({ proposal, rubrics }) => `以下のブランド提案を評価してください。
+
+【評価対象ブランド提案】
+${JSON.stringify(proposal, null, 2)}
+
+【評価基準（Rubrics）】
+${JSON.stringify(rubrics, null, 2)}
+
+各評価項目について、0-100 のスコアと理由を提供してください。
+JSON 形式で返してください。
+
+レスポンス形式:
+{
+  "BrandConsistencyRubric": {
+    "foundationAlignment": {
+      "score": 85,
+      "reason": "...",
+      "strengths": ["...", "..."],
+      "weaknesses": ["..."]
+    },
+    ...
+  },
+  "overall": 82,
+  "summary": "..."
+}`
+  },
+
+  [PromptTemplateId.PROPOSAL_EVALUATION_REPAIR]: {
+    system: 'あなたはブランド評価の専門家です。評価結果の JSON を評価基準のスキーマに合わせて修正してください。',
+    maxTokens: 4096,
+    render: ({ rubrics, response, errors }) => `先ほどの評価結果は評価基準（Rubrics）のスキーマを満たしていません。
+
+【評価基準（Rubrics）】
+${JSON.stringify(rubrics, null, 2)}
+
+【先ほどの評価結果】
+${typeof response === 'string' ? response : JSON.stringify(response, null, 2)}
+
+【スキーマ違反】
+${errors.map(error => `- ${error}`).join('\n')}
+
+すべての Rubric の全評価項目について 0-100 の数値スコアと理由を含め、
+評価内容は変えずに形式だけを修正した JSON のみを返してください。
+
+レスポンス形式:
+{
+  "BrandConsistencyRubric": {
+    "foundationAlignment": {
+      "score": 85,
+      "reason": "...",
+      "strengths": ["..."],
+      "weaknesses": ["..."]
+    },
+    ...
+  },
+  "overall": 82,
+  "summary": "..."
+}`
+  },
+
+  [PromptTemplateId.PROPOSAL_IMPROVEMENT]: {
+    system: 'あなたはブランド戦略の専門家です。',
+    maxTokens: 8192,
+    render: ({ proposal, evaluation, targetScore, attemptNumber }) => `以下のブランド提案を評価結果に基づいて改善してください。
+
+【現在のブランド提案】
+${JSON.stringify(proposal, null, 2)}
+
+【評価結果】
+総合スコア: ${evaluation.score.overall}/100
+目標スコア: ${targetScore}
+承認: ${evaluation.approved ? 'はい' : 'いいえ'}
+信頼度: ${evaluation.score.confidence}
+モデル間一致度: ${(evaluation.score.agreement * 100).toFixed(1)}%
+
+【各モデルの評価】
+${evaluation.evaluations.map(e => `
+${e.model}:
+  - 総合スコア: ${e.overall}/100
+  - サマリー: ${e.summary || 'N/A'}
+`).join('\n')}
+
+【改善推奨事項】
+${evaluation.recommendations && evaluation.recommendations.length > 0
+    ? evaluation.recommendations.map(rec => `
+- [${rec.category} - ${rec.criterion}] スコア: ${rec.score}/100
+  理由: ${rec.reason}
+  ${rec.weaknesses && rec.weaknesses.length > 0 ? `弱点: ${rec.weaknesses.join(', ')}` : ''}
+`).join('\n')
+    : '特になし（全般的な改善が必要）'}
+
+【改善指示】
+1. 上記の評価結果と推奨事項を分析してください
+2. 低スコアの項目を重点的に改善してください
+3. 各評価者のフィードバックを統合して、バランスの取れた改善を行ってください
+4. ブランドの一貫性を保ちながら、独自性と差別化を強化してください
+5. 具体性を高め、抽象的な表現を減らしてください
+6. これは ${attemptNumber} 回目の改善試行です。前回の改善で不足していた点に特に注意してください
+
+【出力形式】
+元の提案と同じ JSON 構造で改善された提案を返してください。
+構造を変えず、内容のみを改善してください。
+
+\`\`\`json
+{
+  "brandName": "...",
+  "foundation": {
+    "purpose": "...",
+    "values": [...],
+    "stance": "..."
+  },
+  "structure": {
+    "coreMessage": "...",
+    "tagline": "..."
+  },
+  "expression": {
+    "logo": {
+      "concept": "...",
+      "colors": [...]
+    },
+    "visualIdentity": {
+      "typography": "...",
+      "imagery": "..."
+    }
+  }
+}
+\`\`\``
+  }
+};
+
+/**
+ * テンプレート ID 一覧を取得
+ *
+ * @returns {string[]}
+ */
+export function listTemplates() {
+  return Object.keys(TEMPLATES);
+}
+
+/**
+ * テンプレートから LLMRequest を組み立て
+ *
+ * @param {PromptTemplateId} templateId - テンプレート ID
+ * @param {Object} [variables] - テンプレート変数
+ * @returns {import('./LLMProvider.js').LLMRequest}
+ * @throws {Error} 未知のテンプレート ID の場合
+ */
+export function renderPrompt(templateId, variables = {}) {
+  const template = TEMPLATES[templateId];
+
+  if (!template) {
+    throw new Error(`未知のプロンプトテンプレート: ${templateId}`);
+  }
+
+  return {
+    template: templateId,
+    variables,
+    system: template.system,
+    prompt: template.render(variables),
+    maxTokens: template.maxTokens
+  };
+}
+
+/**
+ * テンプレートを使って JSON を生成
+ *
+ * @param {import('./LLMProvider.js').LLMProvider} provider - LLM プロバイダー
+ * @param {PromptTemplateId} templateId - テンプレート ID
+ * @param {Object} [variables] - テンプレート変数
+ * @returns {Promise<Object>}
+ */
+export async function generateFromTemplate(provider, templateId, variables = {}) {
+  return provider.completeJSON(renderPrompt(templateId, variables));
+}
+
+/**
+ * バリエーション系テンプレートを実行し、応答を正規化
+ *
+ * 空の content は除外し、count 件に切り詰める
+ *
+ * @param {import('./LLMProvider.js').LLMProvider} provider - LLM プロバイダー
+ * @param {PromptTemplateId} templateId - テンプレート ID
+ * @param {Object} [variables] - テンプレート変数
+ * @returns {Promise<Array<{content: string, strategy: string, rationale: string}>>}
+ * @throws {Error} 応答に variations 配列が含まれない場合
+ */
+export async function generateVariations(provider, templateId, variables = {}) {
+  const result = await generateFromTemplate(provider, templateId, variables);
+  const variations = Array.isArray(result) ? result : result?.variations;
+
+  if (!Array.isArray(variations)) {
+    throw new Error(`${templateId} の応答に variations 配列がありません`);
+  }
+
+  return variations
+    .filter(item => item && typeof item.content === 'string' && item.content.trim() !== '')
+    .slice(0, variables.count ?? variations.length)
+    .map(item => ({
+      content: item.content.trim(),
+      strategy: item.strategy || 'llm',
+      rationale: item.rationale || ''
+    }));
+}
+
+export default {
+  PromptTemplateId,
+  listTemplates,
+  renderPrompt,
+  generateFromTemplate,
+  generateVariations
+};
@@ -0,0 +1,333 @@
+/**
+ * @file BrandPipeline.js
+ * @description コアエージェントを連結するエンドツーエンドのブランド構築パイプライン
+ * @responsibilities
+ * - StructureAgent → Copy/Logo → Visual → Evaluation の順次・並列実行
+ * - ステージ間での estack / logoConcept の受け渡し
+ * - ステージごとの所要時間とトレース ID の記録
+ * - 全成果物を単一のブランドパッケージに統合
+ *
+ * @module BrandPipeline
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { StructureAgent } from '../agents/core/StructureAgent.js';
+import { CopyAgent } from '../agents/core/CopyAgent.js';
+import { LogoAgent } from '../agents/core/LogoAgent.js';
+import { VisualAgent } from '../agents/core/VisualAgent.js';
+import { EvaluationAgent, EvaluationCategory } from '../agents/core/EvaluationAgent.js';
+
+/**
+ * パイプラインステージ
+ * @enum {string}
+ */
+export const PipelineStage = {
+  STRUCTURE: 'structure',
+  COPY: 'copy',
+  LOGO: 'logo',
+  VISUAL: 'visual',
+  EVALUATION: 'evaluation'
+};
+
+/**
+ * ステージ実行状態
+ * @enum {string}
+ */
+export const StageStatus = {
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * BrandPipeline クラス
+ *
+ * ヒアリング情報から E:Stack 構造、コピー、ロゴ、VI、評価までを
+ * 1 回の呼び出しで生成する
+ *
+ * @extends EventEmitter
+ */
+export class BrandPipeline extends EventEmitter {
+  /**
+   * @param {Object} options - パイプライン設定
+   * @param {Object} options.logger - ロガー
+   * @param {Object} [options.knowledge] - ナレッジベース
+   * @param {Object} [options.agents] - 差し替え用エージェントインスタンス (structure, copy, logo, visual, evaluation)
+   * @param {EvaluationCategory[]} [options.evaluationCategories] - 評価対象カテゴリ
+   * @param {LLMProvider} [options.llm] - Copy / Logo エージェントの LLM バリエーション生成に使うプロバイダー
+   * @param {number} [options.llmVariations] - LLM で追加生成する件数
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.logger) {
+      throw new Error('ロガーが設定されていません');
+    }
+
+    this.options = options;
+    this.logger = options.logger;
+    this.knowledge = options.knowledge;
+    this.evaluationCategories = options.evaluationCategories || [
+      EvaluationCategory.CORE_MESSAGE,
+      EvaluationCategory.TAGLINE,
+      EvaluationCategory.LOGO_CONCEPT
+    ];
+
+    const agentOptions = { logger: this.logger, knowledge: this.knowledge };
+    const creativeOptions = { ...agentOptions, llm: options.llm, llmVariations: options.llmVariations };
+    const agents = options.agents || {};
+
+    this.agents = {
+      [PipelineStage.STRUCTURE]: agents.structure || new StructureAgent(agentOptions),
+      [PipelineStage.COPY]: agents.copy || new CopyAgent(creativeOptions),
+      [PipelineStage.LOGO]: agents.logo || new LogoAgent(creativeOptions),
+      [PipelineStage.VISUAL]: agents.visual || new VisualAgent(agentOptions),
+      [PipelineStage.EVALUATION]: agents.evaluation || new EvaluationAgent(agentOptions)
+    };
+
+    this.initialized = false;
+  }
+
+  /**
+   * 全エージェントの初期化
+   *
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    for (const agent of Object.values(this.agents)) {
+      await agent.initialize();
+    }
+
+    this.initialized = true;
+    this.logger.info('[BrandPipeline] 初期化完了');
+  }
+
+  /**
+   * パイプライン実行
+   *
+   * @param {Object} input - 入力データ
+   * @param {Object} [input.hearing] - ヒアリング情報
+   * @param {Object} [input.business] - ビジネス要件
+   * @param {Object} [input.existing] - 既存の E:Stack 構造 (部分的)
+   * @param {Object} [input.requirements] - Copy/Logo/Visual への追加要件
+   * @returns {Promise<Object>} ブランドパッケージ
+   */
+  async run(input = {}) {
+    await this.initialize();
+
+    const runId = this._generateRunId();
+    const startTime = Date.now();
+    const stages = [];
+    const run = { runId, stages };
+    const requirements = input.requirements || {};
+
+    this.logger.info('[BrandPipeline] パイプライン実行開始', { runId });
+    this.emit('started', { runId });
+
+    // Stage 1: E:Stack 構造分析
+    const structureResult = await this._runStage(run, PipelineStage.STRUCTURE, {
+      hearing: input.hearing,
+      business: input.business,
+      existing: input.existing
+    });
+    const { estack } = structureResult;
+
+    // Stage 2: コピーとロゴは相互に依存しないため並列実行
+    const [copyResult, logoResult] = await Promise.all([
+      this._runStage(run, PipelineStage.COPY, { estack, requirements }),
+      this._runStage(run, PipelineStage.LOGO, { estack, requirements })
+    ]);
+    const logoConcept = this._selectLogoConcept(logoResult);
+
+    // Stage 3: ロゴコンセプトを継承したビジュアルシステム設計
+    const visualResult = await this._runStage(run, PipelineStage.VISUAL, {
+      estack,
+      logoConcept,
+      requirements
+    });
+
+    // Stage 4: 候補案の ToT 評価
+    const evaluation = await this._runEvaluationStage(run, {
+      estack,
+      copyResult,
+      logoResult
+    });
+
+    const totalDuration = Date.now() - startTime;
+
+    const brandPackage = {
+      estack,
+      structure: {
+        validation: structureResult.validation,
+        metadata: structureResult.metadata
+      },
+      copy: {
+        voiceDesign: copyResult.voiceDesign,
+        toneMap: copyResult.toneMap,
+        voiceGuide: copyResult.voiceGuide,
+        coreMessages: copyResult.coreMessages,
+        taglines: copyResult.taglines
+      },
+      logo: {
+        symbolism: logoResult.symbolism,
+        concepts: logoResult.concepts,
+        selectedConcept: logoConcept,
+        validation: logoResult.validation,
+        designPrinciples: logoResult.designPrinciples
+      },
+      visual: {
+        visualSystem: visualResult.visualSystem,
+        guidelines: visualResult.guidelines,
+        viGuideline: visualResult.viGuideline
+      },
+      evaluation
+    };
+
+    this.logger.info('[BrandPipeline] パイプライン実行完了', { runId, totalDuration });
+    this.emit('completed', { runId, totalDuration });
+
+    return {
+      runId,
+      brandPackage,
+      stages,
+      metadata: {
+        totalDuration,
+        stageCount: stages.length,
+        rsiMode: structureResult.metadata?.rsiMode || false,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * 単一ステージ実行
+   *
+   * エージェントの execute() を呼び出し、所要時間とトレース ID を記録する
+   *
+   * エージェントは run() 間で共有されるため、トレース ID はイベントから拾わず
+   * 実行 ID から採番して execute() に渡す
+   *
+   * @private
+   * @param {Object} run - 実行コンテキスト ({ runId, stages })
+   * @param {PipelineStage} stage - ステージ名
+   * @param {Object} input - エージェント入力
+   * @param {string} [label] - 同一ステージ内の識別ラベル
+   * @returns {Promise<Object>} エージェント出力
+   */
+  async _runStage(run, stage, input, label = null) {
+    const agent = this.agents[stage];
+    const record = {
+      stage,
+      label,
+      agent: agent.name,
+      status: null,
+      traceId: [run.runId, stage, label].filter(Boolean).join('/'),
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      duration: 0,
+      error: null
+    };
+    run.stages.push(record);
+
+    this.emit('stageStarted', { stage, label });
+    const startTime = Date.now();
+
+    try {
+      const result = await agent.execute(input, { traceId: record.traceId });
+
+      record.status = StageStatus.COMPLETED;
+      this.emit('stageCompleted', { stage, label, duration: Date.now() - startTime });
+
+      return result;
+    } catch (error) {
+      record.status = StageStatus.FAILED;
+      record.error = error.message;
+      this.emit('stageFailed', { stage, label, error });
+
+      throw new Error(`パイプラインステージ失敗: ${stage} - ${error.message}`);
+    } finally {
+      record.duration = Date.now() - startTime;
+      record.completedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * 評価ステージ実行
+   *
+   * @private
+   * @param {Object} run - 実行コンテキスト ({ runId, stages })
+   * @param {Object} context - 評価コンテキスト
+   * @returns {Promise<Object>} カテゴリ別評価結果
+   */
+  async _runEvaluationStage(run, context) {
+    const candidatesByCategory = {
+      [EvaluationCategory.CORE_MESSAGE]: context.copyResult.coreMessages,
+      [EvaluationCategory.TAGLINE]: context.copyResult.taglines,
+      [EvaluationCategory.LOGO_CONCEPT]: context.logoResult.concepts
+    };
+
+    const evaluation = {};
+
+    for (const category of this.evaluationCategories) {
+      const candidates = candidatesByCategory[category];
+
+      if (!candidates || candidates.length === 0) {
+        this.logger.warn(`[BrandPipeline] 評価対象なし: ${category}`);
+        continue;
+      }
+
+      const result = await this._runStage(run, PipelineStage.EVALUATION, {
+        candidates,
+        category,
+        context: { estack: context.estack }
+      }, category);
+
+      evaluation[category] = {
+        bestCandidate: result.bestCandidate,
+        summary: result.summary,
+        evaluations: result.evaluations
+      };
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * 検証スコアが最も高いロゴコンセプトを選定
+   *
+   * @private
+   * @param {Object} logoResult - LogoAgent の出力
+   * @returns {Object|null} ロゴコンセプト
+   */
+  _selectLogoConcept(logoResult) {
+    const concepts = logoResult.concepts || [];
+    const validations = logoResult.validation?.validations || [];
+
+    if (concepts.length === 0) {
+      return null;
+    }
+
+    const best = validations.reduce(
+      (top, current) => (!top || current.score > top.score ? current : top),
+      null
+    );
+
+    return concepts.find(concept => concept.id === best?.conceptId) || concepts[0];
+  }
+
+  /**
+   * 実行 ID 生成
+   *
+   * @private
+   * @returns {string} 実行 ID
+   */
+  _generateRunId() {
+    return `RUN-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+  }
+}
+
+export default BrandPipeline;
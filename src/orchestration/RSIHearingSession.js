@@ -0,0 +1,293 @@
+/**
+ * @file RSIHearingSession.js
+ * @description 不完全なブランド入力を対話的に補完する RSI ヒアリングセッション
+ * @responsibilities
+ * - 不足している Foundation / Structure / Expression フィールドの質問生成と優先順位付け
+ * - 回答の逐次受付と入力完全性 (completeness) の再計算
+ * - 完全性が閾値 (0.7) に達した時点でのヒアリング終了
+ * - 補完済み入力による StructureAgent 実行
+ *
+ * @module RSIHearingSession
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { StructureAgent, RSI_COMPLETENESS_THRESHOLD } from '../agents/core/StructureAgent.js';
+
+/**
+ * 回答形式
+ * @enum {string}
+ */
+export const AnswerType = {
+  TEXT: 'text',
+  LIST: 'list'
+};
+
+/**
+ * ヒアリング質問定義
+ *
+ * priority が小さいほど先に質問する。Foundation → Structure → Expression の順に、
+ * 他エージェントへ委譲される tagline / visualIdentity は最後に回す
+ *
+ * @type {Object<string, Object>}
+ */
+export const HEARING_QUESTIONS = {
+  'foundation.purpose': {
+    priority: 1,
+    type: AnswerType.TEXT,
+    question: 'このブランドは何のために存在しますか？（パーパス）',
+    hint: '例: 信頼できる技術で未来をつくる'
+  },
+  'foundation.values': {
+    priority: 2,
+    type: AnswerType.LIST,
+    question: '大切にしている価値観を挙げてください',
+    hint: 'カンマまたは読点区切りで複数入力 (例: 誠実さ、革新性)'
+  },
+  'foundation.notAxis': {
+    priority: 3,
+    type: AnswerType.LIST,
+    question: 'ブランドとして絶対にやらないこと・避けたい印象は何ですか？（NOT 軸）',
+    hint: 'カンマまたは読点区切りで複数入力 (例: 妥協、誇張)'
+  },
+  'structure.persona': {
+    priority: 4,
+    type: AnswerType.TEXT,
+    question: '主なターゲットはどのような人ですか？',
+    hint: '例: DX に悩む中小企業の経営者',
+    toValue: answer => ({ description: answer })
+  },
+  'structure.positioning': {
+    priority: 5,
+    type: AnswerType.TEXT,
+    question: '競合と比べたときの独自の立ち位置は何ですか？',
+    hint: '例: 中小企業向けの信頼できる DX パートナー'
+  },
+  'structure.tone': {
+    priority: 6,
+    type: AnswerType.TEXT,
+    question: 'ブランドの話し方・トーンを一言で表すと？',
+    hint: '例: professional / friendly / 誠実で落ち着いた',
+    toValue: answer => ({ voice: answer })
+  },
+  'expression.coreMessage': {
+    priority: 7,
+    type: AnswerType.TEXT,
+    question: '顧客に最も伝えたいメッセージは何ですか？',
+    hint: '例: 技術で、経営の不安を確信に変える'
+  },
+  'expression.tagline': {
+    priority: 8,
+    type: AnswerType.TEXT,
+    question: '既にタグライン案があれば教えてください',
+    hint: '未定の場合はスキップ (CopyAgent が生成します)'
+  },
+  'expression.visualIdentity': {
+    priority: 9,
+    type: AnswerType.TEXT,
+    question: 'ロゴや色など、既存のビジュアル要素があれば教えてください',
+    hint: '未定の場合はスキップ (LogoAgent / VisualAgent が生成します)'
+  }
+};
+
+/**
+ * RSIHearingSession クラス
+ *
+ * StructureAgent の RSI モードで推論に頼る代わりに、
+ * 不足フィールドを質問して入力を補完する
+ *
+ * @extends EventEmitter
+ * @example
+ * const session = new RSIHearingSession({ logger, input: { hearing } });
+ * let question;
+ * while ((question = session.nextQuestion())) {
+ *   session.answer(question.field, await ask(question.question));
+ * }
+ * const result = await session.finalize();
+ */
+export class RSIHearingSession extends EventEmitter {
+  /**
+   * @param {Object} options - セッション設定
+   * @param {Object} [options.input] - 初期入力 (hearing, business, existing)
+   * @param {StructureAgent} [options.agent] - 完全性評価・最終実行に使う StructureAgent
+   * @param {Object} [options.logger] - ロガー (agent 未指定時は必須)
+   * @param {number} [options.threshold=0.7] - ヒアリング終了の完全性閾値
+   */
+  constructor(options = {}) {
+    super();
+
+    this.agent = options.agent || new StructureAgent({ logger: options.logger });
+    this.threshold = options.threshold ?? RSI_COMPLETENESS_THRESHOLD;
+    this.input = structuredClone(options.input || {});
+    this.skipped = new Set();
+    this.history = [];
+    this.assessment = this.agent.evaluateCompleteness(this.input);
+  }
+
+  /**
+   * 現在の入力完全性 (0-1)
+   * @type {number}
+   */
+  get completeness() {
+    return this.assessment.completeness;
+  }
+
+  /**
+   * 完全性が閾値に達したか
+   * @type {boolean}
+   */
+  get isComplete() {
+    return this.assessment.completeness >= this.threshold;
+  }
+
+  /**
+   * 未回答の質問一覧 (優先順位順)
+   *
+   * @returns {Array<Object>} 質問 (field, layer, key, priority, type, question, hint)
+   */
+  getQuestions() {
+    return this.assessment.missingFields
+      .filter(field => HEARING_QUESTIONS[field] && !this.skipped.has(field))
+      .map(field => {
+        const [layer, key] = field.split('.');
+        const { priority, type, question, hint } = HEARING_QUESTIONS[field];
+        return { field, layer, key, priority, type, question, hint };
+      })
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * 次の質問
+   *
+   * @returns {Object|null} 質問 (閾値到達済み、または質問が残っていない場合は null)
+   */
+  nextQuestion() {
+    if (this.isComplete) {
+      return null;
+    }
+
+    return this.getQuestions()[0] || null;
+  }
+
+  /**
+   * 回答受付
+   *
+   * 回答は existing の該当レイヤーに格納し、完全性を再計算する
+   *
+   * @param {string} field - フィールド (例: 'foundation.purpose')
+   * @param {string|string[]|Object} answer - 回答
+   * @returns {Object} 回答後の状態 (field, completeness, isComplete, nextQuestion)
+   * @throws {Error} 未知のフィールド、または空の回答
+   */
+  answer(field, answer) {
+    const definition = HEARING_QUESTIONS[field];
+
+    if (!definition) {
+      throw new Error(`未知のヒアリング項目です: ${field}`);
+    }
+
+    const value = this._normalizeAnswer(definition, answer);
+    const [layer, key] = field.split('.');
+    const before = this.completeness;
+
+    this.input.existing = this.input.existing || {};
+    this.input.existing[layer] = { ...this.input.existing[layer], [key]: value };
+    this.skipped.delete(field);
+    this.assessment = this.agent.evaluateCompleteness(this.input);
+
+    this.history.push({
+      field,
+      answer: value,
+      completenessBefore: before,
+      completenessAfter: this.completeness,
+      answeredAt: new Date().toISOString()
+    });
+
+    const state = {
+      field,
+      completeness: this.completeness,
+      isComplete: this.isComplete,
+      nextQuestion: this.nextQuestion()
+    };
+
+    this.emit('answered', state);
+
+    if (this.isComplete && before < this.threshold) {
+      this.emit('complete', { completeness: this.completeness });
+    }
+
+    return state;
+  }
+
+  /**
+   * 質問をスキップ
+   *
+   * @param {string} field - フィールド
+   * @returns {Object|null} 次の質問
+   */
+  skip(field) {
+    this.skipped.add(field);
+    return this.nextQuestion();
+  }
+
+  /**
+   * 補完済み入力の取得
+   *
+   * @returns {Object} StructureAgent への入力
+   */
+  toInput() {
+    return structuredClone(this.input);
+  }
+
+  /**
+   * 補完済み入力で StructureAgent を実行
+   *
+   * @returns {Promise<Object>} StructureAgent の出力 (metadata.hearing にヒアリング記録を付与)
+   */
+  async finalize() {
+    const result = await this.agent.execute(this.toInput());
+
+    return {
+      ...result,
+      metadata: {
+        ...result.metadata,
+        hearing: {
+          answered: this.history.map(entry => entry.field),
+          skipped: [...this.skipped],
+          inputCompleteness: this.completeness
+        }
+      }
+    };
+  }
+
+  /**
+   * 回答の正規化
+   *
+   * @private
+   * @param {Object} definition - 質問定義
+   * @param {*} answer - 回答
+   * @returns {*} フィールド値
+   */
+  _normalizeAnswer(definition, answer) {
+    if (typeof answer !== 'string') {
+      if (answer === null || answer === undefined || (Array.isArray(answer) && answer.length === 0)) {
+        throw new Error('回答が空です');
+      }
+      return answer;
+    }
+
+    const trimmed = answer.trim();
+
+    if (trimmed === '') {
+      throw new Error('回答が空です');
+    }
+
+    if (definition.type === AnswerType.LIST) {
+      return trimmed.split(/[,、，]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    return definition.toValue ? definition.toValue(trimmed) : trimmed;
+  }
+}
+
+export default RSIHearingSession;
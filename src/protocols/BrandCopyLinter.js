@@ -0,0 +1,407 @@
+/**
+ * Brand Copy Linter
+ *
+ * CopyAgent の voiceDesign / toneMap と E:Stack の NOT Axis をもとに、
+ * マーケティングコピー (Web ページ・メール・SNS 投稿など) のブランド一貫性を検査する
+ *
+ * @module BrandCopyLinter
+ * @version 1.0.0
+ */
+
+import { CopyAgent } from '../agents/core/CopyAgent.js';
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * 検査ルール
+ * @enum {string}
+ */
+export const LintRule = {
+  BANNED_PHRASE: 'banned-phrase',
+  TONE_DRIFT: 'tone-drift',
+  LINGUISTIC_STYLE: 'linguistic-style',
+  CLARITY: 'clarity'
+};
+
+/**
+ * 診断の重大度
+ * @enum {string}
+ */
+export const LintSeverity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/**
+ * 形式性・エネルギーの段階 (toneMap / characteristics の値 → 数値)
+ */
+const FORMALITY_LEVELS = { casual: 0, moderate: 1, 'formal-moderate': 2, formal: 3 };
+const ENERGY_LEVELS = { low: 0, moderate: 1, 'moderate-high': 2, high: 3 };
+
+/**
+ * 誇張表現を避けるべき感情トーン
+ */
+const CALM_EMOTIONS = ['controlled', 'steady', 'subtle', 'empathetic'];
+
+/**
+ * くだけた表現 (文末・スラング)
+ */
+const CASUAL_EXPRESSION = new RegExp([
+  '(?:だよね|だよ|じゃん|だね|よね|っす|ちゃう|でしょ)(?=[。！？!?\\s\\p{Extended_Pictographic}]|$)',
+  'マジ|ヤバ[いくそ]?|やば[いくそ]?|めっちゃ|ガチ|ぶっちゃけ|ワンチャン|[wｗ]{2,}'
+].join('|'), 'gu');
+const HYPERBOLE = /(絶対に?|最高|最強|圧倒的|革命的|驚異的|史上最|完璧|ナンバーワン|No\.1)/g;
+const EXCLAMATION = /[!！]/g;
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const REPEATED_PUNCTUATION = /[!！?？]{2,}|。{2,}|、{2,}/g;
+const HALF_WIDTH_PUNCTUATION = /(?<=[ぁ-んァ-ヶ一-龯])[,.](?=[ぁ-んァ-ヶ一-龯\s]|$)/g;
+
+const POLITE_ENDING = /(です|ます|ました|でした|ません|ましょう|ください)$/;
+const PLAIN_ENDING = /(だ|である|だった|であった|ではない|のだ)$/;
+const SENTENCE = /[^。！？!?]+[。！？!?]*/g;
+
+/**
+ * 短文を推奨する文体で許容する 1 文の長さ
+ */
+const SHORT_SENTENCE_LENGTH = 40;
+
+/**
+ * Brand Copy Linter クラス
+ *
+ * 位置は 1 始まりの行・列 (列は UTF-16 コード単位。エディタの表示と一致する)
+ *
+ * @example
+ * const linter = BrandCopyLinter.fromBrandPackage(brandPackage);
+ * const { diagnostics } = linter.lint(text, { context: 'marketing' });
+ */
+export class BrandCopyLinter {
+  /**
+   * @param {Object} options - 設定
+   * @param {Object} options.voiceDesign - CopyAgent の voiceDesign
+   * @param {Object} [options.toneMap] - CopyAgent の toneMap (tone-drift 検査に必要)
+   * @param {string[]} [options.notAxis] - E:Stack の NOT Axis
+   * @param {Array<string|{phrase: string, reason: string}>} [options.bannedPhrases] - 追加の禁止表現
+   * @param {string[]} [options.flagClarity] - 指摘する _assessClarity の評価
+   * @param {CopyAgent} [options.copyAgent] - 明瞭性評価に使う CopyAgent
+   * @param {Object} [options.logger] - CopyAgent を生成する場合のロガー
+   */
+  constructor(options = {}) {
+    if (!options.voiceDesign) {
+      throw new Error('voiceDesign が必要です');
+    }
+
+    this.voiceDesign = options.voiceDesign;
+    this.toneMap = options.toneMap || null;
+    this.flagClarity = options.flagClarity || ['complex'];
+    this.copyAgent = options.copyAgent || new CopyAgent({
+      logger: options.logger || new Logger({ name: 'BrandCopyLinter', console: false, file: false })
+    });
+    this.bannedPhrases = this._collectBannedPhrases(options.notAxis || [], options.bannedPhrases || []);
+  }
+
+  /**
+   * BrandPipeline の brandPackage (または CopyAgent の出力) から生成
+   *
+   * @param {Object} brandPackage - ブランドパッケージ
+   * @param {Object} [options] - 追加設定
+   * @returns {BrandCopyLinter}
+   */
+  static fromBrandPackage(brandPackage, options = {}) {
+    const copy = brandPackage.copy || brandPackage;
+    return new BrandCopyLinter({
+      voiceDesign: copy.voiceDesign,
+      toneMap: copy.toneMap || copy.voiceGuide?.tonalityMap,
+      notAxis: brandPackage.estack?.foundation?.notAxis,
+      ...options
+    });
+  }
+
+  /**
+   * 利用可能なコンテキスト (toneMap.contexts のキー)
+   *
+   * @returns {string[]}
+   */
+  get contexts() {
+    return Object.keys(this.toneMap?.contexts || {});
+  }
+
+  /**
+   * テキストを検査
+   *
+   * @param {string} text - 検査対象のコピー
+   * @param {Object} [options] - 検査設定
+   * @param {string} [options.context] - toneMap のコンテキスト (marketing, support など)
+   * @returns {{context: string|null, diagnostics: Array<Object>, errorCount: number, warningCount: number, infoCount: number, passed: boolean}}
+   */
+  lint(text, { context = null } = {}) {
+    if (context && !this.toneMap?.contexts?.[context]) {
+      throw new Error(`未知のコンテキストです: ${context} (利用可能: ${this.contexts.join(', ') || 'なし'})`);
+    }
+
+    const lines = String(text).split(/\r?\n/);
+    const sentences = this._splitSentences(lines);
+    const diagnostics = [
+      ...this._checkBannedPhrases(lines),
+      ...this._checkTone(lines, context),
+      ...this._checkLinguisticStyle(lines, sentences),
+      ...this._checkClarity(sentences)
+    ].sort((a, b) => a.line - b.line || a.column - b.column);
+
+    const count = severity => diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+    const errorCount = count(LintSeverity.ERROR);
+
+    return {
+      context,
+      diagnostics,
+      errorCount,
+      warningCount: count(LintSeverity.WARNING),
+      infoCount: count(LintSeverity.INFO),
+      passed: errorCount === 0
+    };
+  }
+
+  /**
+   * 禁止表現 (NOT Axis・Don'ts の「」内の語・追加指定) を収集
+   *
+   * @private
+   * @param {string[]} notAxis - NOT Axis
+   * @param {Array<string|Object>} extra - 追加の禁止表現
+   * @returns {Array<{phrase: string, reason: string}>}
+   */
+  _collectBannedPhrases(notAxis, extra) {
+    const phrases = new Map();
+    const add = (phrase, reason) => {
+      const trimmed = phrase?.trim();
+      if (trimmed && !phrases.has(trimmed.toLowerCase())) {
+        phrases.set(trimmed.toLowerCase(), { phrase: trimmed, reason });
+      }
+    };
+
+    notAxis.forEach(phrase => add(phrase, 'NOT Axis (ブランドが否定する価値)'));
+    for (const dont of this.voiceDesign.donts || []) {
+      for (const [, phrase] of dont.matchAll(/「([^」]+)」/g)) {
+        add(phrase, `Don't: ${dont}`);
+      }
+    }
+    extra.forEach(entry => (typeof entry === 'string'
+      ? add(entry, '禁止表現リスト')
+      : add(entry.phrase, entry.reason || '禁止表現リスト')));
+
+    return [...phrases.values()];
+  }
+
+  /**
+   * 行を文に分割 (位置情報付き)
+   *
+   * @private
+   * @param {string[]} lines - 行
+   * @returns {Array<{text: string, line: number, column: number}>}
+   */
+  _splitSentences(lines) {
+    const sentences = [];
+    lines.forEach((content, index) => {
+      for (const match of content.matchAll(SENTENCE)) {
+        const leading = match[0].length - match[0].trimStart().length;
+        const text = match[0].trim();
+        if (text) {
+          sentences.push({ text, line: index + 1, column: match.index + leading + 1 });
+        }
+      }
+    });
+    return sentences;
+  }
+
+  /**
+   * 正規表現の一致箇所ごとに診断を生成
+   *
+   * @private
+   * @param {string[]} lines - 行
+   * @param {RegExp} pattern - グローバルな正規表現
+   * @param {Function} build - 一致文字列 → { rule, severity, message }
+   * @returns {Array<Object>}
+   */
+  _matchAll(lines, pattern, build) {
+    const diagnostics = [];
+    lines.forEach((content, index) => {
+      for (const match of content.matchAll(pattern)) {
+        diagnostics.push(this._diagnostic(build(match[0]), index + 1, match.index + 1, match[0]));
+      }
+    });
+    return diagnostics;
+  }
+
+  /**
+   * 診断オブジェクトを生成
+   *
+   * @private
+   * @param {{rule: string, severity: string, message: string}} finding - 指摘内容
+   * @param {number} line - 行 (1 始まり)
+   * @param {number} column - 列 (1 始まり)
+   * @param {string} excerpt - 該当箇所
+   * @returns {Object}
+   */
+  _diagnostic(finding, line, column, excerpt) {
+    return {
+      ...finding,
+      line,
+      column,
+      endLine: line,
+      endColumn: column + excerpt.length,
+      excerpt
+    };
+  }
+
+  /**
+   * 禁止表現の検査
+   *
+   * @private
+   * @param {string[]} lines - 行
+   * @returns {Array<Object>}
+   */
+  _checkBannedPhrases(lines) {
+    return this.bannedPhrases.flatMap(({ phrase, reason }) => {
+      const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return this._matchAll(lines, new RegExp(escaped, 'gi'), found => ({
+        rule: LintRule.BANNED_PHRASE,
+        severity: LintSeverity.ERROR,
+        message: `禁止表現「${found}」が含まれています (${reason})`
+      }));
+    });
+  }
+
+  /**
+   * トーンの検査
+   *
+   * コンテキスト指定時は toneMap のトーンとのずれ (tone-drift)、
+   * 未指定時は Voice の基本特性からの逸脱 (linguistic-style) として報告する
+   *
+   * @private
+   * @param {string[]} lines - 行
+   * @param {string|null} context - コンテキスト
+   * @returns {Array<Object>}
+   */
+  _checkTone(lines, context) {
+    const characteristics = this.voiceDesign.characteristics || {};
+    const target = context
+      ? { ...this.toneMap.contexts[context], rule: LintRule.TONE_DRIFT, label: `コンテキスト「${context}」` }
+      : {
+        formality: characteristics.formality,
+        emotion: characteristics.emotion,
+        rule: LintRule.LINGUISTIC_STYLE,
+        label: 'ブランドの Voice'
+      };
+
+    const warn = message => ({ rule: target.rule, severity: LintSeverity.WARNING, message });
+    const diagnostics = [];
+
+    if ((FORMALITY_LEVELS[target.formality] ?? 1) >= FORMALITY_LEVELS['formal-moderate']) {
+      diagnostics.push(...this._matchAll(lines, CASUAL_EXPRESSION, found =>
+        warn(`${target.label}は ${target.formality} なトーンですが、くだけた表現「${found}」があります`)));
+    }
+
+    if (CALM_EMOTIONS.includes(target.emotion)) {
+      diagnostics.push(...this._matchAll(lines, HYPERBOLE, found =>
+        warn(`${target.label}は ${target.emotion} な感情表現ですが、誇張表現「${found}」があります`)));
+    }
+
+    const energy = ENERGY_LEVELS[target.energy];
+    if (energy === ENERGY_LEVELS.low) {
+      diagnostics.push(...this._matchAll(lines, EXCLAMATION, () =>
+        warn(`${target.label}は落ち着いたトーン (energy: low) のため感嘆符は使いません`)));
+    }
+    if (energy !== undefined && energy <= ENERGY_LEVELS.moderate) {
+      diagnostics.push(...this._matchAll(lines, EMOJI, () =>
+        warn(`${target.label} (energy: ${target.energy}) では絵文字を使いません`)));
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * linguisticStyle (語彙・文構造・句読点) の検査
+   *
+   * @private
+   * @param {string[]} lines - 行
+   * @param {Array<Object>} sentences - 文
+   * @returns {Array<Object>}
+   */
+  _checkLinguisticStyle(lines, sentences) {
+    const style = this.voiceDesign.linguisticStyle || {};
+    const warn = message => ({ rule: LintRule.LINGUISTIC_STYLE, severity: LintSeverity.WARNING, message });
+    const diagnostics = [];
+
+    // 感嘆符・強調を活用する文体以外では記号の連続を指摘
+    if (!/感嘆符|強調/.test(style.punctuation || '')) {
+      diagnostics.push(...this._matchAll(lines, REPEATED_PUNCTUATION, found =>
+        warn(`記号の連続「${found}」は句読点の方針 (${style.punctuation || '標準的な句読点'}) に合いません`)));
+    }
+    diagnostics.push(...this._matchAll(lines, HALF_WIDTH_PUNCTUATION, found => ({
+      rule: LintRule.LINGUISTIC_STYLE,
+      severity: LintSeverity.INFO,
+      message: `日本語の文中では半角の「${found}」ではなく全角の句読点を使います`
+    })));
+
+    // 文末は「です・ます」調と「だ・である」調の多い方に揃える
+    const ending = sentence => sentence.text.replace(/[。！？!?」』）)]+$/, '');
+    const polite = sentences.filter(sentence => POLITE_ENDING.test(ending(sentence)));
+    const plain = sentences.filter(sentence => PLAIN_ENDING.test(ending(sentence)));
+    if (polite.length && plain.length) {
+      const [minority, majorityLabel] = polite.length >= plain.length
+        ? [plain, '「です・ます」調']
+        : [polite, '「だ・である」調'];
+      for (const sentence of minority) {
+        diagnostics.push(this._diagnostic(
+          warn(`文末が混在しています。${majorityLabel}に揃えてください (${style.sentenceStructure || '文構造'})`),
+          sentence.line,
+          sentence.column,
+          sentence.text
+        ));
+      }
+    }
+
+    if (/短文/.test(style.sentenceStructure || '')) {
+      for (const sentence of sentences) {
+        if (sentence.text.length >= SHORT_SENTENCE_LENGTH && !this.flagClarity.includes(this._clarityOf(sentence))) {
+          diagnostics.push(this._diagnostic(
+            warn(`${sentence.text.length} 文字の文は文構造の方針 (${style.sentenceStructure}) に対して長すぎます`),
+            sentence.line,
+            sentence.column,
+            sentence.text
+          ));
+        }
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * 明瞭性の検査 (CopyAgent._assessClarity)
+   *
+   * @private
+   * @param {Array<Object>} sentences - 文
+   * @returns {Array<Object>}
+   */
+  _checkClarity(sentences) {
+    return sentences
+      .filter(sentence => this.flagClarity.includes(this._clarityOf(sentence)))
+      .map(sentence => this._diagnostic({
+        rule: LintRule.CLARITY,
+        severity: LintSeverity.WARNING,
+        message: `明瞭性が低い文です (${this._clarityOf(sentence)}, ${sentence.text.length} 文字)。分割を検討してください`
+      }, sentence.line, sentence.column, sentence.text));
+  }
+
+  /**
+   * 文の明瞭性評価
+   *
+   * @private
+   * @param {{text: string}} sentence - 文
+   * @returns {string}
+   */
+  _clarityOf(sentence) {
+    return this.copyAgent._assessClarity(sentence.text);
+  }
+}
+
+export default BrandCopyLinter;
@@ -0,0 +1,467 @@
+/**
+ * Design Token Exporter
+ *
+ * VisualAgent のビジュアルシステム (カラー・タイプスケール・スペーシング・
+ * エレベーション・コンポーネント仕様) を実装で使えるデザイントークン形式に変換する
+ *
+ * トークン名は値ではなく構造上のキーのみから決まり、出力は常にパス順に並ぶため、
+ * 同じ構造からは実行ごとに同じ名前・順序のトークンが生成される
+ *
+ * @module DesignTokenExporter
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * 出力形式
+ * @enum {string}
+ */
+export const TokenFormat = {
+  CSS: 'css',
+  SCSS: 'scss',
+  TAILWIND: 'tailwind',
+  STYLE_DICTIONARY: 'style-dictionary',
+  W3C: 'w3c'
+};
+
+/**
+ * 形式ごとの既定ファイル名
+ */
+const FORMAT_FILES = {
+  [TokenFormat.CSS]: 'tokens.css',
+  [TokenFormat.SCSS]: '_tokens.scss',
+  [TokenFormat.TAILWIND]: 'tailwind.config.js',
+  [TokenFormat.STYLE_DICTIONARY]: 'tokens.style-dictionary.json',
+  [TokenFormat.W3C]: 'tokens.json'
+};
+
+/**
+ * コンポーネント仕様のキーとトークン名の対応
+ */
+const COMPONENT_NAMES = {
+  buttons: 'button',
+  inputs: 'input',
+  cards: 'card',
+  navigation: 'navigation',
+  feedback: 'feedback'
+};
+
+const GENERATED_NOTICE = 'Generated by DesignTokenExporter. Do not edit directly.';
+
+/**
+ * camelCase を kebab-case に変換
+ *
+ * @param {string} segment - パス要素
+ * @returns {string}
+ */
+function kebab(segment) {
+  return String(segment).replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * トークンパスの比較 (数値セグメントは数値順)
+ *
+ * @param {string[]} a - パス
+ * @param {string[]} b - パス
+ * @returns {number}
+ */
+function comparePaths(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+
+    const na = Number(a[i]);
+    const nb = Number(b[i]);
+    if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return a.length - b.length;
+}
+
+/**
+ * 値からトークン種別を推定 (コンポーネント仕様用)
+ *
+ * @param {*} value - 値
+ * @returns {string}
+ */
+function inferType(value) {
+  if (typeof value === 'number') return 'number';
+  if (/^#[0-9a-f]{3,8}$/i.test(value)) return 'color';
+  if (/^-?\d*\.?\d+(px|rem|em|%)$/.test(value) || value === '0') return 'dimension';
+  if (/rgba?\(/.test(value) && /\dpx/.test(value)) return 'shadow';
+  return 'string';
+}
+
+/**
+ * ネストしたオブジェクトの葉をパス付きで列挙
+ *
+ * @param {Object} object - 対象
+ * @param {string[]} prefix - パスの接頭辞
+ * @returns {Array<{path: string[], value: *}>}
+ */
+function flatten(object, prefix) {
+  return Object.entries(object).flatMap(([key, value]) => (
+    value !== null && typeof value === 'object'
+      ? flatten(value, [...prefix, key])
+      : [{ path: [...prefix, key], value }]
+  ));
+}
+
+/**
+ * CSS の box-shadow を W3C shadow 値に変換
+ *
+ * @param {string} value - box-shadow
+ * @returns {Array<Object>}
+ */
+function parseShadow(value) {
+  if (value === 'none') {
+    return [{ color: '#00000000', offsetX: '0px', offsetY: '0px', blur: '0px', spread: '0px' }];
+  }
+
+  return value.split(/,(?![^(]*\))/).map(layer => {
+    const colorMatch = layer.match(/rgba?\(([^)]+)\)|#[0-9a-f]{3,8}/i);
+    const lengths = layer.replace(colorMatch?.[0] || '', '').trim().split(/\s+/)
+      .map(length => (length === '0' ? '0px' : length));
+    let color = colorMatch?.[0] || '#000000';
+
+    if (colorMatch?.[1]) {
+      const [r, g, b, a = 1] = colorMatch[1].split(',').map(Number);
+      color = `#${[r, g, b, Math.round(a * 255)].map(c => c.toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+    }
+
+    return {
+      color,
+      offsetX: lengths[0] || '0px',
+      offsetY: lengths[1] || '0px',
+      blur: lengths[2] || '0px',
+      spread: lengths[3] || '0px'
+    };
+  });
+}
+
+/**
+ * フォントスタックを配列に分解
+ *
+ * @param {string} value - CSS font-family
+ * @param {boolean} [unquote=false] - 引用符を外すか
+ * @returns {string[]}
+ */
+function splitFontStack(value, unquote = false) {
+  return value.split(',')
+    .map(family => family.trim())
+    .map(family => (unquote ? family.replace(/^["']|["']$/g, '') : family));
+}
+
+/**
+ * DesignTokenExporter クラス
+ */
+export class DesignTokenExporter {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string} [options.prefix] - CSS / SCSS 変数名の接頭辞 (例: 'brand' → --brand-color-primary-main)
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+  }
+
+  /**
+   * ビジュアルシステムからトークン一覧を抽出
+   *
+   * VisualAgent の出力全体・visualSystem・viGuideline のいずれも受け付ける
+   *
+   * @param {Object} source - VisualAgent の出力
+   * @returns {Array<{path: string[], name: string, value: *, type: string}>} パス順のトークン
+   * @throws {Error} foundation が見つからない場合
+   */
+  extractTokens(source) {
+    const system = source?.visualSystem || source;
+    const foundation = system?.foundation;
+
+    if (!foundation?.color) {
+      throw new Error('ビジュアルシステムの foundation がありません');
+    }
+
+    const tokens = [];
+    const add = (tokenPath, value, type) => {
+      tokens.push({ path: tokenPath.map(String), name: this.tokenName(tokenPath), value, type });
+    };
+
+    const { palette, semantic = {} } = foundation.color;
+    for (const [group, shades] of Object.entries({ ...palette, ...semantic })) {
+      for (const [shade, value] of Object.entries(shades)) {
+        add(['color', group, shade], value, 'color');
+      }
+    }
+
+    const typography = foundation.typography;
+    if (typography) {
+      for (const [key, value] of Object.entries(typography.fontFamily || {})) {
+        add(['font', 'family', key], value, 'fontFamily');
+      }
+      for (const [key, value] of Object.entries(typography.fontWeights || {})) {
+        add(['font', 'weight', key], value, 'fontWeight');
+      }
+      for (const [key, value] of Object.entries(typography.spacing?.letterSpacing || {})) {
+        add(['font', 'letterSpacing', key], value, 'dimension');
+      }
+      for (const [key, value] of Object.entries(typography.spacing?.paragraphSpacing || {})) {
+        add(['font', 'paragraphSpacing', key], value, 'dimension');
+      }
+      for (const [style, spec] of Object.entries(typography.typeScale || {})) {
+        add(['typography', style, 'fontSize'], spec.size, 'dimension');
+        add(['typography', style, 'lineHeight'], spec.lineHeight, 'number');
+        add(['typography', style, 'fontWeight'], spec.weight, 'fontWeight');
+      }
+    }
+
+    for (const [key, value] of Object.entries(foundation.spacing?.scale || {})) {
+      add(['spacing', key], value, 'dimension');
+    }
+    for (const [key, value] of Object.entries(foundation.elevation?.levels || {})) {
+      add(['shadow', key], value, 'shadow');
+    }
+    for (const [key, value] of Object.entries(foundation.grid?.breakpoints || {})) {
+      add(['breakpoint', key], value, 'dimension');
+    }
+
+    for (const [key, spec] of Object.entries(system.components || {})) {
+      const component = COMPONENT_NAMES[key] || key;
+      for (const leaf of flatten(spec, ['component', component])) {
+        add(leaf.path, leaf.value, inferType(leaf.value));
+      }
+    }
+
+    return tokens.sort((a, b) => comparePaths(a.path, b.path));
+  }
+
+  /**
+   * トークンパスから変数名を生成
+   *
+   * @param {string[]} tokenPath - パス
+   * @returns {string} 例: color-primary-main
+   */
+  tokenName(tokenPath) {
+    return [this.prefix, ...tokenPath].filter(segment => segment !== '').map(kebab).join('-');
+  }
+
+  /**
+   * 指定形式で出力
+   *
+   * @param {Object} source - VisualAgent の出力
+   * @param {TokenFormat} format - 出力形式
+   * @returns {string}
+   * @throws {Error} 未対応の形式の場合
+   */
+  export(source, format) {
+    const tokens = this.extractTokens(source);
+
+    switch (format) {
+      case TokenFormat.CSS:
+        return this.toCSS(tokens);
+      case TokenFormat.SCSS:
+        return this.toSCSS(tokens);
+      case TokenFormat.TAILWIND:
+        return `/** ${GENERATED_NOTICE} */\n/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify(this.toTailwindConfig(tokens), null, 2)};\n`;
+      case TokenFormat.STYLE_DICTIONARY:
+        return `${JSON.stringify(this.toStyleDictionary(tokens), null, 2)}\n`;
+      case TokenFormat.W3C:
+        return `${JSON.stringify(this.toW3C(tokens), null, 2)}\n`;
+      default:
+        throw new Error(`未対応のトークン形式: ${format}`);
+    }
+  }
+
+  /**
+   * 全形式を出力
+   *
+   * @param {Object} source - VisualAgent の出力
+   * @param {TokenFormat[]} [formats] - 出力形式 (既定: 全形式)
+   * @returns {Object<string, string>} ファイル名 → 内容
+   */
+  exportAll(source, formats = Object.values(TokenFormat)) {
+    return Object.fromEntries(formats.map(format => [FORMAT_FILES[format], this.export(source, format)]));
+  }
+
+  /**
+   * 全形式をディレクトリに保存
+   *
+   * @param {Object} source - VisualAgent の出力
+   * @param {string} directory - 出力先ディレクトリ
+   * @param {TokenFormat[]} [formats] - 出力形式 (既定: 全形式)
+   * @returns {Promise<string[]>} 書き出したファイルパス
+   */
+  async save(source, directory, formats) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const files = this.exportAll(source, formats);
+    const written = [];
+
+    for (const [fileName, content] of Object.entries(files)) {
+      const filePath = path.join(directory, fileName);
+      await fs.writeFile(filePath, content, 'utf-8');
+      written.push(filePath);
+    }
+
+    return written;
+  }
+
+  /**
+   * CSS カスタムプロパティ
+   *
+   * @param {Array<Object>} tokens - トークン
+   * @returns {string}
+   */
+  toCSS(tokens) {
+    const lines = tokens.map(token => `  --${token.name}: ${token.value};`);
+    return `/* ${GENERATED_NOTICE} */\n:root {\n${lines.join('\n')}\n}\n`;
+  }
+
+  /**
+   * SCSS 変数とカテゴリ別マップ
+   *
+   * @param {Array<Object>} tokens - トークン
+   * @returns {string}
+   */
+  toSCSS(tokens) {
+    const scssValue = (value) => (String(value).includes(',') ? `(${value})` : value);
+    const variables = tokens.map(token => `$${token.name}: ${scssValue(token.value)};`);
+
+    const groups = new Map();
+    for (const token of tokens) {
+      const [category, ...rest] = token.path;
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(`  '${rest.map(kebab).join('-')}': $${token.name}`);
+    }
+
+    const maps = [...groups].map(([category, entries]) => (
+      `$${this.tokenName([category])}: (\n${entries.join(',\n')}\n);`
+    ));
+
+    return `// ${GENERATED_NOTICE}\n\n${variables.join('\n')}\n\n${maps.join('\n\n')}\n`;
+  }
+
+  /**
+   * Tailwind CSS の theme.extend 設定
+   *
+   * main シェードは DEFAULT として出力 (bg-primary で参照可能)。
+   * screens は 0 を除いて値の小さい順
+   *
+   * @param {Array<Object>} tokens - トークン
+   * @returns {{theme: {extend: Object}}}
+   */
+  toTailwindConfig(tokens) {
+    const extend = {
+      colors: {},
+      fontFamily: {},
+      fontSize: {},
+      fontWeight: {},
+      letterSpacing: {},
+      spacing: {},
+      boxShadow: {},
+      screens: {}
+    };
+    const typography = {};
+
+    for (const token of tokens) {
+      const [category, first, second] = token.path;
+      const key = `${category}.${first}`;
+
+      if (category === 'color') {
+        extend.colors[first] = extend.colors[first] || {};
+        extend.colors[first][second === 'main' ? 'DEFAULT' : second] = token.value;
+      } else if (key === 'font.family') {
+        extend.fontFamily[second] = splitFontStack(token.value);
+      } else if (key === 'font.weight') {
+        extend.fontWeight[second] = String(token.value);
+      } else if (key === 'font.letterSpacing') {
+        extend.letterSpacing[second] = token.value;
+      } else if (category === 'typography') {
+        typography[first] = { ...typography[first], [second]: token.value };
+      } else if (category === 'spacing') {
+        extend.spacing[first] = token.value;
+      } else if (category === 'shadow') {
+        extend.boxShadow[first] = token.value;
+      } else if (category === 'breakpoint' && parseFloat(token.value) > 0) {
+        extend.screens[first] = token.value;
+      }
+    }
+
+    // min-width のメディアクエリは小さい順に並べる必要がある
+    extend.screens = Object.fromEntries(
+      Object.entries(extend.screens).sort(([, a], [, b]) => parseFloat(a) - parseFloat(b))
+    );
+
+    for (const [style, spec] of Object.entries(typography)) {
+      extend.fontSize[style] = [
+        spec.fontSize,
+        { lineHeight: String(spec.lineHeight), fontWeight: String(spec.fontWeight) }
+      ];
+    }
+
+    return {
+      theme: {
+        extend: Object.fromEntries(Object.entries(extend).filter(([, value]) => Object.keys(value).length > 0))
+      }
+    };
+  }
+
+  /**
+   * Style Dictionary 形式 ({ value, type } の入れ子)
+   *
+   * @param {Array<Object>} tokens - トークン
+   * @returns {Object}
+   */
+  toStyleDictionary(tokens) {
+    return this._nest(tokens, token => ({ value: token.value, type: token.type }));
+  }
+
+  /**
+   * W3C Design Tokens 形式 ($value / $type の入れ子、Figma Tokens で読み込み可能)
+   *
+   * @param {Array<Object>} tokens - トークン
+   * @returns {Object}
+   */
+  toW3C(tokens) {
+    return this._nest(tokens, token => {
+      switch (token.type) {
+        case 'fontFamily':
+          return { $type: 'fontFamily', $value: splitFontStack(token.value, true) };
+        case 'shadow':
+          return { $type: 'shadow', $value: parseShadow(token.value) };
+        case 'dimension':
+          return { $type: 'dimension', $value: token.value === '0' ? '0px' : token.value };
+        case 'string':
+          return { $value: token.value };
+        default:
+          return { $type: token.type, $value: token.value };
+      }
+    });
+  }
+
+  /**
+   * トークン一覧をパスに沿って入れ子のオブジェクトにする
+   *
+   * @private
+   * @param {Array<Object>} tokens - トークン
+   * @param {function(Object): Object} leaf - 葉の生成関数
+   * @returns {Object}
+   */
+  _nest(tokens, leaf) {
+    const root = {};
+
+    for (const token of tokens) {
+      let node = root;
+      for (const segment of token.path.slice(0, -1)) {
+        node[segment] = node[segment] || {};
+        node = node[segment];
+      }
+      node[token.path[token.path.length - 1]] = leaf(token);
+    }
+
+    return root;
+  }
+}
+
+export default DesignTokenExporter;
@@ -0,0 +1,343 @@
+/**
+ * E:Stack Diff
+ *
+ * ブランド改訂間の E:Stack 構造をレイヤー単位で比較し、三者マージを行う
+ *
+ * @module EStackDiff
+ * @version 1.0.0
+ */
+
+/**
+ * 変更種別
+ * @enum {string}
+ */
+export const ChangeType = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+/**
+ * マージ競合時の優先側
+ * @enum {string}
+ */
+export const MergePreference = {
+  OURS: 'ours',
+  THEIRS: 'theirs'
+};
+
+/**
+ * E:Stack レイヤー
+ */
+const LAYERS = ['foundation', 'structure', 'expression'];
+
+/**
+ * E:Stack Diff クラス
+ *
+ * 文字列配列 (values, notAxis など) は集合として比較し、
+ * オブジェクト (tone, persona など) はキーごとに再帰的に比較する
+ *
+ * @example
+ * const differ = new EStackDiff();
+ * const diff = differ.diff(previous, revised);
+ * const { merged, conflicts } = differ.merge(base, strategistEdit, regenerated);
+ */
+export class EStackDiff {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string[]} [options.ignore=['metadata']] - 比較しないトップレベルキー
+   */
+  constructor(options = {}) {
+    this.ignore = new Set(options.ignore || ['metadata']);
+  }
+
+  /**
+   * 2 つの E:Stack 構造を比較
+   *
+   * @param {Object} before - 変更前
+   * @param {Object} after - 変更後
+   * @returns {Object} { changes, layers, highlights, summary, hasChanges }
+   */
+  diff(before = {}, after = {}) {
+    const changes = [];
+
+    for (const key of this._keys(before, after)) {
+      if (!this.ignore.has(key)) {
+        this._diffValue(before[key], after[key], [key], changes);
+      }
+    }
+
+    const layers = Object.fromEntries(
+      LAYERS.map(layer => [layer, changes.filter(change => change.layer === layer)])
+    );
+
+    const summary = {
+      added: changes.filter(change => change.type === ChangeType.ADDED).length,
+      removed: changes.filter(change => change.type === ChangeType.REMOVED).length,
+      changed: changes.filter(change => change.type === ChangeType.CHANGED).length
+    };
+
+    return {
+      changes,
+      layers,
+      highlights: this._highlights(changes),
+      summary,
+      hasChanges: changes.length > 0
+    };
+  }
+
+  /**
+   * 三者マージ
+   *
+   * base からの変更が片側のみなら採用し、両側が異なる変更をした箇所は競合とする。
+   * 文字列配列は両側の追加・削除を合成するため競合しない
+   *
+   * @param {Object} base - 共通の祖先 (前回生成版)
+   * @param {Object} ours - ストラテジストの編集版
+   * @param {Object} theirs - 再生成版
+   * @param {Object} [options] - マージ設定
+   * @param {MergePreference} [options.prefer='ours'] - 競合時に merged へ採用する側
+   * @returns {Object} { merged, conflicts, hasConflicts }
+   */
+  merge(base = {}, ours = {}, theirs = {}, options = {}) {
+    const prefer = options.prefer || MergePreference.OURS;
+    const conflicts = [];
+    const merged = {};
+
+    for (const key of this._keys(base, ours, theirs)) {
+      const value = this.ignore.has(key)
+        ? (theirs[key] !== undefined ? theirs[key] : ours[key])
+        : this._mergeValue(base[key], ours[key], theirs[key], [key], conflicts, prefer);
+
+      if (value !== undefined) {
+        merged[key] = this._clone(value);
+      }
+    }
+
+    return {
+      merged,
+      conflicts,
+      hasConflicts: conflicts.length > 0
+    };
+  }
+
+  /**
+   * 差分のテキスト表示
+   *
+   * @param {Object} diff - diff() の結果
+   * @returns {string}
+   */
+  format(diff) {
+    if (!diff.hasChanges) {
+      return '変更なし';
+    }
+
+    const lines = [];
+
+    for (const layer of LAYERS) {
+      if (diff.layers[layer].length === 0) continue;
+
+      lines.push(`[${layer}]`);
+
+      for (const change of diff.layers[layer]) {
+        const path = change.path.join('.');
+
+        if (change.type === ChangeType.ADDED) {
+          lines.push(`  + ${path}: ${this._display(change.value)}`);
+        } else if (change.type === ChangeType.REMOVED) {
+          lines.push(`  - ${path}: ${this._display(change.value)}`);
+        } else {
+          lines.push(`  ~ ${path}: ${this._display(change.before)} → ${this._display(change.after)}`);
+        }
+      }
+    }
+
+    const others = diff.changes.filter(change => !LAYERS.includes(change.layer));
+    for (const change of others) {
+      lines.push(`  ${change.type}: ${change.path.join('.')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 値の再帰比較
+   *
+   * @private
+   * @param {*} before - 変更前
+   * @param {*} after - 変更後
+   * @param {string[]} path - パス
+   * @param {Array} changes - 変更の出力先
+   */
+  _diffValue(before, after, path, changes) {
+    if (this._equal(before, after)) {
+      return;
+    }
+
+    const record = (type, fields) => changes.push({ path, layer: path[0], field: path[1] || null, type, ...fields });
+
+    if (this._isStringSet(before) && this._isStringSet(after)) {
+      for (const item of after) {
+        if (!before.includes(item)) record(ChangeType.ADDED, { value: item });
+      }
+      for (const item of before) {
+        if (!after.includes(item)) record(ChangeType.REMOVED, { value: item });
+      }
+      return;
+    }
+
+    if (this._isPlainObject(before) && this._isPlainObject(after)) {
+      for (const key of this._keys(before, after)) {
+        this._diffValue(before[key], after[key], [...path, key], changes);
+      }
+      return;
+    }
+
+    if (this._isEmpty(before)) {
+      record(ChangeType.ADDED, { value: after });
+    } else if (this._isEmpty(after)) {
+      record(ChangeType.REMOVED, { value: before });
+    } else {
+      record(ChangeType.CHANGED, { before, after });
+    }
+  }
+
+  /**
+   * 値の三者マージ
+   *
+   * @private
+   * @param {*} base - 祖先
+   * @param {*} ours - 編集版
+   * @param {*} theirs - 再生成版
+   * @param {string[]} path - パス
+   * @param {Array} conflicts - 競合の出力先
+   * @param {MergePreference} prefer - 競合時の優先側
+   * @returns {*} マージ結果
+   */
+  _mergeValue(base, ours, theirs, path, conflicts, prefer) {
+    if (this._equal(ours, theirs)) return ours;
+    if (this._equal(base, ours)) return theirs;
+    if (this._equal(base, theirs)) return ours;
+
+    if (this._isStringSet(ours) && this._isStringSet(theirs)) {
+      const ancestor = this._isStringSet(base) ? base : [];
+      const removed = new Set([
+        ...ancestor.filter(item => !ours.includes(item)),
+        ...ancestor.filter(item => !theirs.includes(item))
+      ]);
+
+      return [...new Set([...ours, ...theirs])].filter(item => !removed.has(item));
+    }
+
+    if (this._isPlainObject(ours) && this._isPlainObject(theirs)) {
+      const ancestor = this._isPlainObject(base) ? base : {};
+      const merged = {};
+
+      for (const key of this._keys(ancestor, ours, theirs)) {
+        const value = this._mergeValue(ancestor[key], ours[key], theirs[key], [...path, key], conflicts, prefer);
+        if (value !== undefined) merged[key] = value;
+      }
+
+      return merged;
+    }
+
+    conflicts.push({ path, layer: path[0], field: path[1] || null, base, ours, theirs });
+
+    return prefer === MergePreference.THEIRS ? theirs : ours;
+  }
+
+  /**
+   * ハイライト (values / notAxis の増減、tone / positioning の変更)
+   *
+   * @private
+   * @param {Array} changes - 変更一覧
+   * @returns {Object}
+   */
+  _highlights(changes) {
+    const items = (field, type) => changes
+      .filter(change => change.layer === 'foundation' && change.field === field && change.type === type)
+      .map(change => change.value);
+    const touched = field => changes.filter(change => change.layer === 'structure' && change.field === field);
+
+    return {
+      valuesAdded: items('values', ChangeType.ADDED),
+      valuesRemoved: items('values', ChangeType.REMOVED),
+      notAxisAdded: items('notAxis', ChangeType.ADDED),
+      notAxisRemoved: items('notAxis', ChangeType.REMOVED),
+      toneChanges: touched('tone'),
+      positioningChanges: touched('positioning')
+    };
+  }
+
+  /**
+   * キーの和集合
+   *
+   * @private
+   * @param {...Object} objects - オブジェクト
+   * @returns {string[]}
+   */
+  _keys(...objects) {
+    return [...new Set(objects.flatMap(object => (this._isPlainObject(object) ? Object.keys(object) : [])))];
+  }
+
+  /**
+   * 深い等価判定
+   *
+   * @private
+   */
+  _equal(a, b) {
+    if (this._isEmpty(a) && this._isEmpty(b)) return true;
+    return JSON.stringify(this._sortKeys(a)) === JSON.stringify(this._sortKeys(b));
+  }
+
+  /**
+   * キー順を正規化 (比較用)
+   *
+   * @private
+   */
+  _sortKeys(value) {
+    if (Array.isArray(value)) return value.map(item => this._sortKeys(item));
+    if (!this._isPlainObject(value)) return value;
+
+    return Object.fromEntries(
+      Object.keys(value).sort().map(key => [key, this._sortKeys(value[key])])
+    );
+  }
+
+  /**
+   * @private
+   */
+  _isEmpty(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  /**
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   */
+  _isStringSet(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+
+  /**
+   * @private
+   */
+  _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * @private
+   */
+  _display(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+}
+
+export default EStackDiff;
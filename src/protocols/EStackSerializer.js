@@ -0,0 +1,434 @@
+/**
+ * E:Stack Serializer
+ *
+ * E:Stack 構造を人が編集できる YAML / Markdown ブランドブック形式に変換する
+ *
+ * @module EStackSerializer
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { StructureAgent } from '../agents/core/StructureAgent.js';
+
+/**
+ * シリアライズ形式
+ * @enum {string}
+ */
+export const EStackFormat = {
+  YAML: 'yaml',
+  MARKDOWN: 'markdown'
+};
+
+/**
+ * E:Stack レイヤーと Markdown 見出しの対応
+ *
+ * ここにないフィールドはキー名をそのまま見出しにする
+ */
+const LAYER_SECTIONS = {
+  foundation: {
+    title: 'Foundation',
+    fields: { purpose: 'Purpose', values: 'Values', notAxis: 'NOT Axis' }
+  },
+  structure: {
+    title: 'Structure',
+    fields: { persona: 'Persona', tone: 'Tone', positioning: 'Positioning' }
+  },
+  expression: {
+    title: 'Expression',
+    fields: { coreMessage: 'Core Message', tagline: 'Tagline', visualIdentity: 'Visual Identity' }
+  }
+};
+
+/**
+ * Markdown で null を表す表記
+ */
+const EMPTY_MARKER = '_未設定_';
+
+/**
+ * E:Stack Serializer クラス
+ *
+ * @example
+ * const serializer = new EStackSerializer({ logger });
+ * const text = serializer.toMarkdown(estack, { title: 'Acme' });
+ * const { estack, warnings } = serializer.fromMarkdown(text);
+ */
+export class EStackSerializer {
+  /**
+   * @param {Object} options - 設定
+   * @param {Object} [options.logger] - ロガー (agent 未指定時は必須)
+   * @param {StructureAgent} [options.agent] - 検証に使う StructureAgent
+   */
+  constructor(options = {}) {
+    this.agent = options.agent || new StructureAgent({ logger: options.logger });
+  }
+
+  /**
+   * YAML 形式にシリアライズ
+   *
+   * @param {Object} estack - E:Stack 構造
+   * @returns {string} YAML 文字列
+   */
+  toYAML(estack) {
+    this._assertObject(estack);
+
+    return '# E:Stack Method v5.1 brand structure\n' +
+      yaml.dump(this._orderLayers(estack), { lineWidth: -1, noRefs: true });
+  }
+
+  /**
+   * YAML 形式をパース
+   *
+   * @param {string} text - YAML 文字列
+   * @returns {Object} { estack, validation, warnings }
+   * @throws {Error} YAML 構文エラー時
+   */
+  fromYAML(text) {
+    let estack;
+
+    try {
+      estack = yaml.load(text);
+    } catch (error) {
+      throw new Error(`E:Stack YAML の構文エラー: ${error.message}`);
+    }
+
+    this._assertObject(estack);
+
+    return this._validate(estack, []);
+  }
+
+  /**
+   * Markdown ブランドブック形式にシリアライズ
+   *
+   * @param {Object} estack - E:Stack 構造
+   * @param {Object} [options] - オプション
+   * @param {string} [options.title] - ブランド名
+   * @returns {string} Markdown 文字列
+   */
+  toMarkdown(estack, options = {}) {
+    this._assertObject(estack);
+
+    const lines = [];
+    const frontMatter = {};
+
+    if (options.title) frontMatter.title = options.title;
+    if (estack.metadata) frontMatter.metadata = estack.metadata;
+
+    if (Object.keys(frontMatter).length > 0) {
+      lines.push('---', yaml.dump(frontMatter, { lineWidth: -1 }).trimEnd(), '---', '');
+    }
+
+    lines.push(`# Brand Book${options.title ? `: ${options.title}` : ''}`, '');
+
+    for (const [layer, section] of Object.entries(LAYER_SECTIONS)) {
+      lines.push(`## ${section.title}`, '');
+
+      for (const [field, value] of Object.entries(estack[layer] || {})) {
+        lines.push(`### ${section.fields[field] || field}`, '', this._renderValue(value), '');
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Markdown ブランドブック形式をパース
+   *
+   * @param {string} text - Markdown 文字列
+   * @returns {Object} { estack, validation, warnings, title }
+   * @throws {Error} フロントマターまたは YAML コードブロックの構文エラー時
+   */
+  fromMarkdown(text) {
+    const warnings = [];
+    const estack = {};
+    let body = text.replace(/\r\n/g, '\n');
+    let title = null;
+
+    const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n/);
+    if (frontMatter) {
+      let meta;
+      try {
+        meta = yaml.load(frontMatter[1]) || {};
+      } catch (error) {
+        throw new Error(`E:Stack Markdown のフロントマターの構文エラー: ${error.message}`);
+      }
+      title = meta.title || null;
+      if (meta.metadata) estack.metadata = meta.metadata;
+      body = body.slice(frontMatter[0].length);
+    }
+
+    const layerByTitle = Object.fromEntries(
+      Object.entries(LAYER_SECTIONS).map(([layer, section]) => [section.title.toLowerCase(), layer])
+    );
+
+    let layer = null;
+    let field = null;
+    let buffer = [];
+    let inFence = false;
+
+    const flush = () => {
+      if (layer && field) {
+        try {
+          estack[layer][field] = this._parseValue(buffer.join('\n'));
+        } catch (error) {
+          throw new Error(`E:Stack Markdown の構文エラー (${layer}.${field}): ${error.message}`);
+        }
+      }
+      buffer = [];
+    };
+
+    body.split('\n').forEach((line, index) => {
+      if (line.startsWith('```')) {
+        inFence = !inFence;
+      }
+
+      // コードブロック内の "#" は YAML コメントなので見出しとして扱わない
+      const heading = !inFence && line.match(/^(#{1,3})\s+(.+?)\s*$/);
+
+      if (!heading) {
+        if (field) {
+          buffer.push(line);
+        } else if (line.trim() !== '') {
+          warnings.push(`${index + 1} 行目: 見出しの外にあるテキストは無視されます`);
+        }
+        return;
+      }
+
+      flush();
+      const [, hashes, label] = heading;
+
+      if (hashes === '#') {
+        title = title || label.replace(/^Brand Book:?\s*/, '') || null;
+        layer = null;
+        field = null;
+      } else if (hashes === '##') {
+        layer = layerByTitle[label.toLowerCase()] || null;
+        field = null;
+
+        if (layer) {
+          estack[layer] = estack[layer] || {};
+        } else {
+          warnings.push(`${index + 1} 行目: 不明なレイヤー "${label}" は無視されます`);
+        }
+      } else if (layer) {
+        field = this._fieldForHeading(layer, label);
+      } else {
+        field = null;
+      }
+    });
+
+    flush();
+
+    const result = this._validate(estack, warnings);
+    return { ...result, title };
+  }
+
+  /**
+   * 形式を指定してシリアライズ
+   *
+   * @param {Object} estack - E:Stack 構造
+   * @param {EStackFormat} format - 形式
+   * @param {Object} [options] - toMarkdown のオプション
+   * @returns {string}
+   */
+  serialize(estack, format, options = {}) {
+    if (format === EStackFormat.YAML) return this.toYAML(estack);
+    if (format === EStackFormat.MARKDOWN) return this.toMarkdown(estack, options);
+    throw new Error(`未対応の形式です: ${format}`);
+  }
+
+  /**
+   * 形式を指定してパース
+   *
+   * @param {string} text - テキスト
+   * @param {EStackFormat} format - 形式
+   * @returns {Object} { estack, validation, warnings }
+   */
+  parse(text, format) {
+    if (format === EStackFormat.YAML) return this.fromYAML(text);
+    if (format === EStackFormat.MARKDOWN) return this.fromMarkdown(text);
+    throw new Error(`未対応の形式です: ${format}`);
+  }
+
+  /**
+   * ファイルへ保存 (拡張子 .yaml / .yml / .md で形式を判定)
+   *
+   * @param {string} filePath - 保存先
+   * @param {Object} estack - E:Stack 構造
+   * @param {Object} [options] - toMarkdown のオプション
+   * @returns {Promise<void>}
+   */
+  async save(filePath, estack, options = {}) {
+    await fs.writeFile(filePath, this.serialize(estack, this._formatForPath(filePath), options), 'utf-8');
+  }
+
+  /**
+   * ファイルから読み込み (拡張子 .yaml / .yml / .md で形式を判定)
+   *
+   * @param {string} filePath - 読み込み元
+   * @returns {Promise<Object>} { estack, validation, warnings }
+   */
+  async load(filePath) {
+    const text = await fs.readFile(filePath, 'utf-8');
+    return this.parse(text, this._formatForPath(filePath));
+  }
+
+  /**
+   * StructureAgent._validateEStack による検証
+   *
+   * @private
+   * @param {Object} estack - E:Stack 構造
+   * @param {string[]} parseWarnings - パース時の警告
+   * @returns {Object} { estack, validation, warnings }
+   */
+  _validate(estack, parseWarnings) {
+    const validation = this.agent._validateEStack({
+      foundation: estack.foundation,
+      structure: estack.structure,
+      expression: estack.expression
+    });
+
+    return {
+      estack,
+      validation,
+      warnings: [...parseWarnings, ...validation.warnings]
+    };
+  }
+
+  /**
+   * 値を Markdown に描画
+   *
+   * 文字列は段落、文字列配列は箇条書き、フラットなオブジェクトは
+   * "- **key**: value" 形式、それ以外は YAML コードブロックにする。
+   * 段落のままでは別の型に読み戻される文字列 ("- " で始まるなど) と
+   * 空の配列・オブジェクトも YAML コードブロックにする
+   *
+   * @private
+   * @param {*} value - フィールド値
+   * @returns {string}
+   */
+  _renderValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return EMPTY_MARKER;
+    }
+
+    if (typeof value === 'string' && this._parseValue(value) === value) {
+      return value;
+    }
+
+    if (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string')) {
+      return value.map(item => `- ${item}`).join('\n');
+    }
+
+    if (
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      Object.keys(value).length > 0 &&
+      Object.values(value).every(item => typeof item === 'string')
+    ) {
+      return Object.entries(value).map(([key, item]) => `- **${key}**: ${item}`).join('\n');
+    }
+
+    return '```yaml\n' + yaml.dump(value, { lineWidth: -1 }).trimEnd() + '\n```';
+  }
+
+  /**
+   * Markdown セクション本文を値に変換
+   *
+   * @private
+   * @param {string} text - セクション本文
+   * @returns {*} フィールド値
+   */
+  _parseValue(text) {
+    const trimmed = text.trim();
+
+    if (trimmed === '' || trimmed === EMPTY_MARKER) {
+      return null;
+    }
+
+    const fence = trimmed.match(/^```ya?ml\n([\s\S]*?)\n```$/);
+    if (fence) {
+      return yaml.load(fence[1]);
+    }
+
+    const lines = trimmed.split('\n').filter(line => line.trim() !== '');
+
+    if (lines.every(line => /^- \*\*[^*]+\*\*:/.test(line))) {
+      return Object.fromEntries(lines.map(line => {
+        const [, key, item] = line.match(/^- \*\*([^*]+)\*\*:\s*(.*)$/);
+        return [key, item];
+      }));
+    }
+
+    if (lines.every(line => line.startsWith('- '))) {
+      return lines.map(line => line.slice(2).trim());
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * 見出しからフィールド名を取得
+   *
+   * @private
+   * @param {string} layer - レイヤー
+   * @param {string} label - 見出し
+   * @returns {string} フィールド名
+   */
+  _fieldForHeading(layer, label) {
+    const entry = Object.entries(LAYER_SECTIONS[layer].fields)
+      .find(([, heading]) => heading.toLowerCase() === label.toLowerCase());
+
+    return entry ? entry[0] : label;
+  }
+
+  /**
+   * レイヤー順 (foundation, structure, expression, metadata) に並べ替え
+   *
+   * @private
+   * @param {Object} estack - E:Stack 構造
+   * @returns {Object}
+   */
+  _orderLayers(estack) {
+    const ordered = {};
+
+    for (const key of [...Object.keys(LAYER_SECTIONS), 'metadata', ...Object.keys(estack)]) {
+      if (estack[key] !== undefined && !(key in ordered)) {
+        ordered[key] = estack[key];
+      }
+    }
+
+    return ordered;
+  }
+
+  /**
+   * 拡張子から形式を判定
+   *
+   * @private
+   * @param {string} filePath - ファイルパス
+   * @returns {EStackFormat}
+   */
+  _formatForPath(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.yaml' || ext === '.yml') return EStackFormat.YAML;
+    if (ext === '.md' || ext === '.markdown') return EStackFormat.MARKDOWN;
+
+    throw new Error(`拡張子から形式を判定できません: ${filePath}`);
+  }
+
+  /**
+   * Object 検証
+   *
+   * @private
+   * @param {*} estack - E:Stack 構造
+   */
+  _assertObject(estack) {
+    if (!estack || typeof estack !== 'object' || Array.isArray(estack)) {
+      throw new Error('E:Stack は Object である必要があります');
+    }
+  }
+}
+
+export default EStackSerializer;
@@ -0,0 +1,277 @@
+/**
+ * Trademark Screener
+ *
+ * ローカルの既存商標・ドメイン一覧と照合し、ネーミング候補の類似 (衝突) リスクを判定する。
+ * 綴りの近さ (編集距離) と音の近さ (簡易フォネティックキー) の両方で比較し、オフラインで動作する
+ *
+ * @module TrademarkScreener
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * 衝突リスク
+ * @enum {string}
+ */
+export const CollisionRisk = {
+  HIGH: 'high',
+  MODERATE: 'moderate',
+  LOW: 'low'
+};
+
+/**
+ * リスク判定の類似度しきい値
+ */
+const RISK_THRESHOLDS = { [CollisionRisk.HIGH]: 0.85, [CollisionRisk.MODERATE]: 0.7 };
+
+/**
+ * 音が同じでも綴りが違う場合の減衰 (同音は完全一致より弱い衝突として扱う)
+ */
+const PHONETIC_WEIGHT = 0.9;
+
+/**
+ * フォネティックキーが短すぎると偶然一致しやすいため、この長さ未満は音の比較をしない
+ */
+const MIN_PHONETIC_KEY = 3;
+
+/**
+ * 綴り → 音の置換 (先頭から順に適用)
+ */
+const PHONETIC_RULES = [
+  [/^kn|^gn|^pn|^wr/, m => m[1]],
+  [/ph/g, 'f'],
+  [/ck/g, 'k'],
+  [/gh/g, ''],
+  [/sch/g, 'sk'],
+  [/sh|ch/g, 'X'],
+  [/th/g, '0'],
+  [/c(?=[eiy])/g, 's'],
+  [/qu/g, 'kw'],
+  [/[cq]/g, 'k'],
+  [/x/g, 'ks'],
+  [/z/g, 's'],
+  [/dg(?=[eiy])/g, 'j'],
+  [/v/g, 'f'],
+  [/(?<!^)[wyh](?![aeiou])/g, '']
+];
+
+/**
+ * 比較用に正規化 (NFKC 後の小文字の英数字のみ。ドメインは TLD を除く)
+ *
+ * 英数字を含まない商標 (ソニー など) は NFKC 正規化した文字・数字をそのまま残し、
+ * 綴り (編集距離) だけで比較する
+ *
+ * @param {string} value - 商標名・ドメイン
+ * @returns {string}
+ */
+export function normalizeMark(value) {
+  const lower = String(value).normalize('NFKC').toLowerCase().trim();
+  const base = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(lower) ? lower.replace(/^www\./, '').split('.')[0] : lower;
+  return base.replace(/[^a-z0-9]/g, '') || base.replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * 編集距離 (Levenshtein)
+ *
+ * @param {string} a - 文字列
+ * @param {string} b - 文字列
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 編集距離を 0〜1 の類似度に変換
+ *
+ * @param {string} a - 文字列
+ * @param {string} b - 文字列
+ * @returns {number}
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * 簡易フォネティックキー (Metaphone 系)
+ *
+ * 綴りの揺れ (ph/f, c/k, v/f など) を吸収し、先頭以外の母音と連続する同じ子音を落とす
+ *
+ * @param {string} value - 名前
+ * @returns {string}
+ */
+export function phoneticKey(value) {
+  // 置換規則は英語の綴り向けのため、ラテン文字以外はキーを作らない
+  let key = normalizeMark(value).replace(/[^a-z]/g, '');
+  for (const [pattern, replacement] of PHONETIC_RULES) {
+    key = key.replace(pattern, replacement);
+  }
+  return key
+    .replace(/(?<!^)[aeiou]/g, '')
+    .replace(/(.)\1+/g, '$1')
+    .toUpperCase();
+}
+
+/**
+ * 既存の商標・ドメイン一覧ファイルを読み込む
+ *
+ * - .json: { "marks": [...], "domains": [...] } または商標名の配列
+ * - それ以外: 1 行 1 件のテキスト (# 以降はコメント、ドット区切りの行はドメイン)
+ *
+ * @param {string} filePath - ファイルパス
+ * @returns {Promise<{marks: string[], domains: string[]}>}
+ */
+export async function readMarksFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(content);
+    return Array.isArray(data)
+      ? { marks: data, domains: [] }
+      : { marks: data.marks || [], domains: data.domains || [] };
+  }
+
+  const lines = content.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+  const isDomain = line => /^[\w-]+(\.[\w-]+)+$/.test(line);
+  return {
+    marks: lines.filter(line => !isDomain(line)),
+    domains: lines.filter(isDomain)
+  };
+}
+
+/**
+ * Trademark Screener クラス
+ *
+ * @example
+ * const screener = await TrademarkScreener.fromFile('marks.txt');
+ * const { risk, collisions } = screener.screen('Verinova');
+ */
+export class TrademarkScreener {
+  /**
+   * @param {Object} [options] - 設定
+   * @param {string[]} [options.marks] - 既存の商標名
+   * @param {string[]} [options.domains] - 取得済みドメイン
+   * @param {number} [options.maxCollisions] - 報告する衝突の最大件数
+   */
+  constructor(options = {}) {
+    const entries = [
+      ...(options.marks || []).map(value => this._toEntry(value, 'mark')),
+      ...(options.domains || []).map(value => this._toEntry(value, 'domain'))
+    ];
+    this.entries = entries.filter(entry => entry.normalized);
+    // 記号だけの行など、比較できる文字が残らないものは照合対象から外して記録する
+    this.skipped = entries.filter(entry => !entry.normalized).map(entry => entry.value);
+    this.maxCollisions = options.maxCollisions || 5;
+  }
+
+  /**
+   * ローカルファイルから生成 (形式は readMarksFile を参照)
+   *
+   * @param {string} filePath - ファイルパス
+   * @param {Object} [options] - 追加設定
+   * @returns {Promise<TrademarkScreener>}
+   */
+  static async fromFile(filePath, options = {}) {
+    return new TrademarkScreener({ ...options, ...await readMarksFile(filePath) });
+  }
+
+  /**
+   * 照合対象の件数
+   *
+   * @returns {{marks: number, domains: number}}
+   */
+  get size() {
+    return {
+      marks: this.entries.filter(entry => entry.type === 'mark').length,
+      domains: this.entries.filter(entry => entry.type === 'domain').length
+    };
+  }
+
+  /**
+   * 名前を照合
+   *
+   * @param {string} name - ネーミング候補
+   * @returns {{similarity: number, risk: CollisionRisk, domainTaken: boolean, collisions: Array<Object>}}
+   */
+  screen(name) {
+    const normalized = normalizeMark(name);
+    const key = phoneticKey(name);
+
+    const matches = this.entries.map(entry => {
+      const spelling = similarity(normalized, entry.normalized);
+      const phonetic = key.length >= MIN_PHONETIC_KEY && entry.key.length >= MIN_PHONETIC_KEY
+        ? similarity(key, entry.key)
+        : 0;
+      return {
+        value: entry.value,
+        type: entry.type,
+        spelling: round(spelling),
+        phonetic: round(phonetic),
+        similarity: round(Math.max(spelling, phonetic * PHONETIC_WEIGHT))
+      };
+    }).sort((a, b) => b.similarity - a.similarity);
+
+    const top = matches[0]?.similarity || 0;
+    return {
+      similarity: top,
+      risk: this._riskFor(top),
+      domainTaken: this.entries.some(entry => entry.type === 'domain' && entry.normalized === normalized),
+      collisions: matches
+        .filter(match => match.similarity >= RISK_THRESHOLDS[CollisionRisk.MODERATE])
+        .slice(0, this.maxCollisions)
+        .map(match => ({ ...match, risk: this._riskFor(match.similarity) }))
+    };
+  }
+
+  /**
+   * 照合用エントリを作成
+   *
+   * @private
+   * @param {string} value - 商標名・ドメイン
+   * @param {string} type - 'mark' | 'domain'
+   * @returns {Object}
+   */
+  _toEntry(value, type) {
+    return { value, type, normalized: normalizeMark(value), key: phoneticKey(value) };
+  }
+
+  /**
+   * 類似度からリスクを判定
+   *
+   * @private
+   * @param {number} value - 類似度
+   * @returns {CollisionRisk}
+   */
+  _riskFor(value) {
+    if (value >= RISK_THRESHOLDS[CollisionRisk.HIGH]) return CollisionRisk.HIGH;
+    if (value >= RISK_THRESHOLDS[CollisionRisk.MODERATE]) return CollisionRisk.MODERATE;
+    return CollisionRisk.LOW;
+  }
+}
+
+/**
+ * 小数第 2 位に丸める
+ *
+ * @param {number} value - 値
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default TrademarkScreener;
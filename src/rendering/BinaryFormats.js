@@ -0,0 +1,206 @@
+/**
+ * @file BinaryFormats.js
+ * @description 外部依存なしのバイナリ形式エンコーダー
+ * @responsibilities
+ * - CRC-32 の算出
+ * - RGBA ビットマップの PNG エンコード
+ * - 複数サイズ PNG を格納した ICO の生成
+ * - ZIP アーカイブの生成 (タイムスタンプ固定で同じ入力から同じバイト列)
+ *
+ * @module BinaryFormats
+ * @version 1.0.0
+ */
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * ZIP エントリの固定日時 (1980-01-01 00:00, MS-DOS 形式)
+ */
+const ZIP_DOS_TIME = 0;
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (ISO-HDLC) を算出
+ *
+ * @param {Buffer|Uint8Array} data - 対象データ
+ * @returns {number} 符号なし 32bit 整数
+ */
+export function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * PNG チャンクを生成
+ *
+ * @param {string} type - チャンク種別 (4 文字)
+ * @param {Buffer} payload - チャンクデータ
+ * @returns {Buffer}
+ */
+function pngChunk(type, payload) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(payload.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), payload]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * RGBA ビットマップを PNG (8bit, truecolor + alpha) にエンコード
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} bitmap - 行優先の RGBA ピクセル
+ * @returns {Buffer}
+ */
+export function encodePNG({ width, height, data }) {
+  if (data.length !== width * height * 4) {
+    throw new Error(`ビットマップのサイズが一致しません: ${width}x${height} に対して ${data.length} バイト`);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // color type: RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  // 各行の先頭にフィルタ種別 0 (None) を付与
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * PNG 画像を格納した ICO ファイルを生成
+ *
+ * @param {Array<{size: number, png: Buffer}>} images - 正方形 PNG (1〜256px)
+ * @returns {Buffer}
+ */
+export function encodeICO(images) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(1, 2); // type: icon
+  header.writeUInt16LE(images.length, 4);
+
+  const directory = Buffer.alloc(16 * images.length);
+  let offset = header.length + directory.length;
+
+  images.forEach(({ size, png }, index) => {
+    if (size < 1 || size > 256) {
+      throw new Error(`ICO に格納できるサイズは 1〜256px です: ${size}px`);
+    }
+    const entry = index * 16;
+    directory[entry] = size === 256 ? 0 : size;     // width (0 = 256)
+    directory[entry + 1] = size === 256 ? 0 : size; // height
+    directory[entry + 2] = 0;                       // palette colors
+    directory[entry + 3] = 0;                       // reserved
+    directory.writeUInt16LE(1, entry + 4);          // color planes
+    directory.writeUInt16LE(32, entry + 6);         // bits per pixel
+    directory.writeUInt32LE(png.length, entry + 8);
+    directory.writeUInt32LE(offset, entry + 12);
+    offset += png.length;
+  });
+
+  return Buffer.concat([header, directory, ...images.map(image => image.png)]);
+}
+
+/**
+ * ZIP アーカイブを生成
+ *
+ * 圧縮して小さくならないエントリ (PNG など) は無圧縮で格納する。
+ * 日時は固定値のため、同じエントリからは常に同じアーカイブになる
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} entries - 格納するファイル
+ * @returns {Buffer}
+ */
+export function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf-8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf-8');
+    const deflated = zlib.deflateRawSync(data, { level: 9 });
+    const stored = deflated.length >= data.length;
+    const payload = stored ? data : deflated;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4);               // version needed
+    local.writeUInt16LE(0x0800, 6);           // flags: UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);   // method
+    local.writeUInt16LE(ZIP_DOS_TIME, 10);
+    local.writeUInt16LE(ZIP_DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(payload.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);               // extra length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);             // version made by
+    central.writeUInt16LE(20, 6);             // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(ZIP_DOS_TIME, 12);
+    central.writeUInt16LE(ZIP_DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(payload.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);        // local header offset
+
+    localParts.push(local, name, payload);
+    centralParts.push(central, name);
+    offset += local.length + name.length + payload.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+export default {
+  crc32,
+  encodePNG,
+  encodeICO,
+  createZip
+};
@@ -0,0 +1,512 @@
+/**
+ * @file GuidelineSiteGenerator.js
+ * @description ブランドガイドラインの静的 HTML サイト生成
+ * @responsibilities
+ * - VisualAgent の VI ガイドライン・CopyAgent の voiceGuide / toneMap・ロゴコンセプトの統合
+ * - カラースウォッチとコントラストバッジ、タイプ見本、スペーシング、コンポーネントのプレビュー
+ * - Voice の Do / Don't とロゴ使用ルールの掲載
+ * - 外部アセットに依存しない単一 HTML (CSS・SVG をインライン化) と PDF 出力用の印刷スタイル
+ *
+ * @module GuidelineSiteGenerator
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { evaluateContrast } from '../utils/ColorUtils.js';
+import { DesignTokenExporter, TokenFormat } from '../protocols/DesignTokenExporter.js';
+import { LogoRenderer, LogoVariant } from './LogoRenderer.js';
+
+/**
+ * サイトのセクション (ナビゲーション順)
+ * @enum {string}
+ */
+export const GuidelineSection = {
+  LOGO: 'logo',
+  COLOR: 'color',
+  TYPOGRAPHY: 'typography',
+  SPACING: 'spacing',
+  COMPONENTS: 'components',
+  VOICE: 'voice'
+};
+
+const SECTION_TITLES = {
+  [GuidelineSection.LOGO]: 'ロゴ',
+  [GuidelineSection.COLOR]: 'カラー',
+  [GuidelineSection.TYPOGRAPHY]: 'タイポグラフィ',
+  [GuidelineSection.SPACING]: 'スペーシングとエレベーション',
+  [GuidelineSection.COMPONENTS]: 'コンポーネント',
+  [GuidelineSection.VOICE]: 'ボイス & トーン'
+};
+
+const SITE_STYLES = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; font-family: var(--font-family-primary); color: var(--color-neutral-900); background: #FFFFFF; line-height: 1.6; }
+header.site-header { padding: 3rem 2rem 2rem; background: var(--color-primary-main); color: var(--color-primary-contrast); }
+header.site-header h1 { margin: 0 0 0.5rem; font-size: 2.5rem; }
+header.site-header .values { display: flex; gap: 0.5rem; flex-wrap: wrap; padding: 0; list-style: none; }
+header.site-header .values li { padding: 0.125rem 0.75rem; border: 1px solid currentColor; border-radius: 999px; }
+nav.toc { position: sticky; top: 0; z-index: 1; display: flex; gap: 1.5rem; padding: 0.75rem 2rem; background: #FFFFFF; border-bottom: 1px solid var(--color-neutral-300); }
+nav.toc a { color: var(--color-primary-dark); text-decoration: none; }
+main { max-width: 1200px; margin: 0 auto; padding: 0 2rem 4rem; }
+section.guide-section { padding-top: 3rem; }
+section.guide-section > h2 { border-bottom: 2px solid var(--color-primary-main); padding-bottom: 0.5rem; }
+.grid { display: grid; gap: 1rem; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); }
+.panel { border: 1px solid var(--color-neutral-300); border-radius: 8px; padding: 1rem; }
+.logo-frame { display: flex; align-items: center; justify-content: center; min-height: 160px; padding: 1rem; border: 1px solid var(--color-neutral-300); border-radius: 8px; }
+.logo-frame svg { max-width: 100%; height: auto; }
+.clear-space { display: inline-block; outline: 1px dashed var(--color-error-main); }
+.swatch { border: 1px solid var(--color-neutral-300); border-radius: 8px; overflow: hidden; }
+.swatch-chip { height: 96px; padding: 0.5rem 0.75rem; font-weight: 600; display: flex; align-items: flex-end; }
+.swatch-meta { padding: 0.5rem 0.75rem; font-size: 0.875rem; }
+.swatch-meta code { font-family: var(--font-family-mono); }
+.badges { display: flex; flex-wrap: wrap; gap: 0.25rem; margin-top: 0.25rem; }
+.badge { display: inline-block; padding: 0 0.5rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600; border: 1px solid; }
+.badge--aaa, .badge--aa { color: #1B5E20; background: #E8F5E9; border-color: #1B5E20; }
+.badge--large { color: #8A4B00; background: #FFF3E0; border-color: #8A4B00; }
+.badge--fail { color: #B71C1C; background: #FFEBEE; border-color: #B71C1C; }
+table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid var(--color-neutral-300); vertical-align: top; }
+.specimen { display: grid; grid-template-columns: 160px 1fr; gap: 1rem; align-items: baseline; padding: 0.75rem 0; border-bottom: 1px solid var(--color-neutral-200); }
+.specimen-meta { font-size: 0.75rem; color: var(--color-neutral-600); font-family: var(--font-family-mono); }
+.spacing-row { display: grid; grid-template-columns: 80px 80px 1fr; gap: 1rem; align-items: center; padding: 0.25rem 0; }
+.spacing-bar { height: 1rem; background: var(--color-primary-light); border-left: 2px solid var(--color-primary-main); }
+.elevation-card { height: 96px; border-radius: 8px; background: #FFFFFF; display: flex; align-items: center; justify-content: center; }
+.preview-button { display: inline-block; border-radius: 4px; font-weight: 500; margin: 0 0.5rem 0.5rem 0; }
+.preview-input { display: block; width: 100%; margin-bottom: 0.5rem; font: inherit; }
+.preview-alert { padding: 0.75rem 1rem; border-radius: 4px; margin-bottom: 0.5rem; }
+.do-dont { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+.do { border-top: 4px solid var(--color-success-main); }
+.dont { border-top: 4px solid var(--color-error-main); }
+footer.site-footer { padding: 2rem; font-size: 0.75rem; color: var(--color-neutral-600); border-top: 1px solid var(--color-neutral-300); }
+`;
+
+const PRINT_STYLES = `
+@page { size: A4; margin: 16mm; }
+@media print {
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { font-size: 10pt; }
+  nav.toc { display: none; }
+  header.site-header { padding: 0 0 12mm; background: none; color: var(--color-neutral-900); border-bottom: 2px solid var(--color-primary-main); }
+  main { max-width: none; padding: 0; }
+  section.guide-section { padding-top: 0; break-before: page; }
+  .panel, .swatch, .logo-frame, .specimen, .elevation-card, tr { break-inside: avoid; }
+  .grid { grid-template-columns: repeat(3, 1fr); }
+  a { color: inherit; text-decoration: none; }
+  footer.site-footer { border-top: none; }
+}
+`;
+
+/**
+ * HTML 特殊文字をエスケープ
+ *
+ * @param {*} value - 値
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * コントラスト比のバッジ
+ *
+ * @param {string} foreground - 文字色
+ * @param {string} background - 背景色
+ * @param {string} [label] - バッジの前置き
+ * @returns {string}
+ */
+function contrastBadge(foreground, background, label = '') {
+  const result = evaluateContrast(foreground, background);
+  let level = 'fail';
+  let text = 'Fail';
+  if (result.aaa.normal) {
+    level = 'aaa';
+    text = 'AAA';
+  } else if (result.aa.normal) {
+    level = 'aa';
+    text = 'AA';
+  } else if (result.aa.large) {
+    level = 'large';
+    text = 'AA Large';
+  }
+
+  const prefix = label ? `${escapeHtml(label)} ` : '';
+  return `<span class="badge badge--${level}" title="${escapeHtml(`${foreground} on ${background}`)}">` +
+    `${prefix}${text} ${result.label}</span>`;
+}
+
+/**
+ * GuidelineSiteGenerator クラス
+ *
+ * BrandPipeline の brandPackage (または同じ形の各エージェント出力) から
+ * ブランドガイドラインの単一 HTML を生成する
+ */
+export class GuidelineSiteGenerator {
+  /**
+   * @param {Object} [options] - 生成設定
+   * @param {LogoRenderer} [options.renderer] - ロゴ描画に使うレンダラー
+   * @param {DesignTokenExporter} [options.tokenExporter] - サイトのテーマ変数に使うエクスポーター
+   * @param {string} [options.lang] - html 要素の lang 属性
+   */
+  constructor(options = {}) {
+    this.renderer = options.renderer || new LogoRenderer();
+    this.tokenExporter = options.tokenExporter || new DesignTokenExporter();
+    this.lang = options.lang || 'ja';
+  }
+
+  /**
+   * ガイドラインサイトの HTML を生成
+   *
+   * @param {Object} brandPackage - ブランドパッケージ
+   * @param {Object} brandPackage.visual - VisualAgent の出力 (viGuideline / visualSystem)
+   * @param {Object} [brandPackage.copy] - CopyAgent の出力 (voiceGuide / toneMap)
+   * @param {Object} [brandPackage.logo] - LogoAgent の出力 (selectedConcept / concepts)
+   * @param {Object} [brandPackage.estack] - E:Stack 構造
+   * @returns {string} HTML ドキュメント
+   */
+  generate(brandPackage) {
+    const { visual, copy, logo, estack } = brandPackage || {};
+    const foundation = visual?.viGuideline?.visualSystem?.foundation || visual?.visualSystem?.foundation;
+    if (!foundation) {
+      throw new Error('ビジュアルシステム (visual) が必要です');
+    }
+
+    const viGuideline = visual.viGuideline || {};
+    const components = viGuideline.visualSystem?.components || visual.visualSystem?.components || {};
+    const concept = logo?.selectedConcept || logo?.concepts?.[0] || null;
+    const brandName = viGuideline.overview?.brandName || estack?.expression?.brandName ||
+      concept?.textPlacement?.brandName || 'Brand';
+
+    const sections = [
+      [GuidelineSection.LOGO, concept && this._renderLogoSection(concept, logo)],
+      [GuidelineSection.COLOR, this._renderColorSection(foundation.color)],
+      [GuidelineSection.TYPOGRAPHY, this._renderTypographySection(foundation.typography)],
+      [GuidelineSection.SPACING, this._renderSpacingSection(foundation.spacing, foundation.elevation)],
+      [GuidelineSection.COMPONENTS, this._renderComponentsSection(components)],
+      [GuidelineSection.VOICE, copy?.voiceGuide && this._renderVoiceSection(copy.voiceGuide, copy.toneMap)]
+    ].filter(([, html]) => html);
+
+    const tokens = this.tokenExporter.export(visual, TokenFormat.CSS);
+    const purpose = viGuideline.overview?.purpose || estack?.foundation?.purpose || '';
+    const values = viGuideline.brandIdentity?.values || estack?.foundation?.values || [];
+
+    return [
+      '<!DOCTYPE html>',
+      `<html lang="${escapeHtml(this.lang)}">`,
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escapeHtml(brandName)} ブランドガイドライン</title>`,
+      `<style>\n${tokens}${SITE_STYLES}${PRINT_STYLES}</style>`,
+      '</head>',
+      '<body>',
+      '<header class="site-header">',
+      `<h1>${escapeHtml(brandName)} ブランドガイドライン</h1>`,
+      purpose ? `<p class="purpose">${escapeHtml(purpose)}</p>` : '',
+      values.length ? `<ul class="values">${values.map(value => `<li>${escapeHtml(value)}</li>`).join('')}</ul>` : '',
+      '</header>',
+      '<nav class="toc">',
+      ...sections.map(([id]) => `<a href="#${id}">${SECTION_TITLES[id]}</a>`),
+      '</nav>',
+      '<main>',
+      ...sections.map(([id, html]) =>
+        `<section class="guide-section" id="${id}">\n<h2>${SECTION_TITLES[id]}</h2>\n${html}\n</section>`
+      ),
+      '</main>',
+      '<footer class="site-footer">',
+      `<p>${escapeHtml(brandName)} Visual Identity Guideline v${escapeHtml(viGuideline.overview?.version || '1.0')}` +
+        (viGuideline.overview?.lastUpdated ? ` / ${escapeHtml(viGuideline.overview.lastUpdated)}` : '') + '</p>',
+      '</footer>',
+      '</body>',
+      '</html>',
+      ''
+    ].filter(line => line !== '').join('\n');
+  }
+
+  /**
+   * `index.html` として保存
+   *
+   * @param {Object} brandPackage - ブランドパッケージ
+   * @param {string} directory - 出力ディレクトリ
+   * @returns {Promise<string>} 書き出したファイルパス
+   */
+  async save(brandPackage, directory) {
+    await fs.mkdir(directory, { recursive: true });
+    const filePath = path.join(directory, 'index.html');
+    await fs.writeFile(filePath, this.generate(brandPackage), 'utf-8');
+    return filePath;
+  }
+
+  /**
+   * ロゴセクション (バリアント・クリアスペース・使用ルール)
+   *
+   * @private
+   * @param {Object} concept - 採用コンセプト
+   * @param {Object} logo - LogoAgent の出力
+   * @returns {string}
+   */
+  _renderLogoSection(concept, logo) {
+    const artwork = concept.artwork || this.renderer.renderAll(concept);
+    const technical = concept.technical || {};
+    const variantLabels = {
+      [LogoVariant.FULL_COLOR]: 'フルカラー',
+      [LogoVariant.MONOCHROME]: 'モノクロ',
+      [LogoVariant.REVERSED]: '反転',
+      [LogoVariant.FAVICON]: 'ファビコン'
+    };
+
+    const variants = Object.entries(artwork).map(([variant, svg]) =>
+      `<figure class="panel"><div class="logo-frame">${svg}</div>` +
+      `<figcaption>${escapeHtml(variantLabels[variant] || variant)}</figcaption></figure>`
+    ).join('\n');
+
+    const rules = [
+      technical.minSize && `最小サイズ: ${technical.minSize} (マークの高さ)`,
+      technical.clearSpace && `クリアスペース: ${technical.clearSpace}`,
+      technical.backgrounds && `使用できる背景: ${technical.backgrounds.join(' / ')}`,
+      technical.format && `納品形式: ${technical.format.join(' / ')}`,
+      '比率を変えて伸縮しない',
+      '指定外の色・グラデーション・影を加えない',
+      '構成要素を回転・分解・再配置しない'
+    ].filter(Boolean);
+
+    const principles = logo?.designPrinciples;
+
+    return [
+      `<div class="grid">\n${variants}\n</div>`,
+      '<h3>クリアスペース</h3>',
+      `<div class="logo-frame"><span class="clear-space">${artwork[LogoVariant.FULL_COLOR] || Object.values(artwork)[0]}</span></div>`,
+      '<h3>使用ルール</h3>',
+      `<ul>${rules.map(rule => `<li>${escapeHtml(rule)}</li>`).join('')}</ul>`,
+      principles?.coreSymbolism ? `<p>${escapeHtml(principles.coreSymbolism)}</p>` : ''
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * カラーセクション (スウォッチ・コントラストバッジ・ペア一覧)
+   *
+   * @private
+   * @param {Object} color - foundation.color
+   * @returns {string}
+   */
+  _renderColorSection(color) {
+    const swatch = (name, hex, textColor) =>
+      '<div class="swatch">' +
+      `<div class="swatch-chip" style="background:${escapeHtml(hex)};color:${escapeHtml(textColor)}">${escapeHtml(name)}</div>` +
+      `<div class="swatch-meta"><code>${escapeHtml(hex)}</code><div class="badges">` +
+      contrastBadge('#FFFFFF', hex, 'White') + contrastBadge('#000000', hex, 'Black') +
+      '</div></div></div>';
+
+    const textOn = hex => evaluateContrast('#FFFFFF', hex).ratio >= evaluateContrast('#000000', hex).ratio
+      ? '#FFFFFF'
+      : '#000000';
+
+    const groups = [
+      ...Object.entries(color.palette || {}),
+      ...Object.entries(color.semantic || {})
+    ].map(([group, shades]) => {
+      const chips = Object.entries(shades)
+        .filter(([shade]) => shade !== 'contrast')
+        .map(([shade, hex]) => swatch(`${group} ${shade}`, hex, shades.contrast && shade === 'main' ? shades.contrast : textOn(hex)))
+        .join('\n');
+      const usage = color.usage?.[group];
+      return `<h3>${escapeHtml(group)}</h3>\n` +
+        (usage ? `<p>${escapeHtml(usage.use)} / 避ける: ${escapeHtml(usage.avoid)}</p>\n` : '') +
+        `<div class="grid">\n${chips}\n</div>`;
+    });
+
+    const pairs = color.accessibility?.pairs || [];
+    const pairTable = pairs.length
+      ? [
+        '<h3>コントラスト検証</h3>',
+        `<p>${escapeHtml(color.accessibility.wcagCompliance === 'none' ? 'WCAG 2.1 AA 未達のペアがあります' : `WCAG 2.1 ${color.accessibility.wcagCompliance} 準拠`)}</p>`,
+        '<table><thead><tr><th>ペア</th><th>前景</th><th>背景</th><th>判定</th></tr></thead><tbody>',
+        ...pairs.map(pair =>
+          `<tr><td>${escapeHtml(pair.id)}${pair.required ? '' : ' (参考)'}</td>` +
+          `<td><code>${escapeHtml(pair.foreground.color)}</code></td>` +
+          `<td><code>${escapeHtml(pair.background.color)}</code></td>` +
+          `<td>${contrastBadge(pair.foreground.color, pair.background.color)}</td></tr>`
+        ),
+        '</tbody></table>'
+      ]
+      : [];
+
+    const flagged = color.colorVision?.flagged || [];
+    const colorVision = flagged.length
+      ? [
+        '<h3>色覚多様性</h3>',
+        '<ul>',
+        ...flagged.map(pair =>
+          `<li>${escapeHtml(pair.pair.join(' / '))} は ${escapeHtml(pair.failingSimulations.join(', '))} で判別しにくいため、` +
+          'アイコンやラベルを併用すること</li>'
+        ),
+        '</ul>'
+      ]
+      : [];
+
+    return [...groups, ...pairTable, ...colorVision].join('\n');
+  }
+
+  /**
+   * タイポグラフィセクション (書体・タイプスケール見本)
+   *
+   * @private
+   * @param {Object} typography - foundation.typography
+   * @returns {string}
+   */
+  _renderTypographySection(typography = {}) {
+    const families = Object.entries(typography.fontFamily || {}).map(([name, stack]) =>
+      `<div class="panel"><div style="font-family:${escapeHtml(stack)};font-size:2rem">Aa あア</div>` +
+      `<div class="specimen-meta">${escapeHtml(name)}: ${escapeHtml(stack)}</div></div>`
+    ).join('\n');
+
+    const specimens = Object.entries(typography.typeScale || {}).map(([style, spec]) =>
+      '<div class="specimen">' +
+      `<div class="specimen-meta">${escapeHtml(style)}<br>${escapeHtml(spec.size)} / ${escapeHtml(spec.lineHeight)} / ${escapeHtml(spec.weight)}` +
+      (typography.usage?.[style] ? `<br>${escapeHtml(typography.usage[style])}` : '') + '</div>' +
+      `<div style="font-size:${escapeHtml(spec.size)};line-height:${escapeHtml(spec.lineHeight)};font-weight:${escapeHtml(spec.weight)}">` +
+      'ブランドの声を、正確に届ける。 The quick brown fox</div>' +
+      '</div>'
+    ).join('\n');
+
+    return `<div class="grid">\n${families}\n</div>\n<h3>タイプスケール</h3>\n${specimens}`;
+  }
+
+  /**
+   * スペーシング・エレベーションセクション
+   *
+   * @private
+   * @param {Object} spacing - foundation.spacing
+   * @param {Object} elevation - foundation.elevation
+   * @returns {string}
+   */
+  _renderSpacingSection(spacing = {}, elevation = {}) {
+    const rows = Object.entries(spacing.scale || {}).map(([step, value]) =>
+      `<div class="spacing-row"><code>${escapeHtml(step)}</code><code>${escapeHtml(value)}</code>` +
+      `<div class="spacing-bar" style="width:${escapeHtml(value === '0' ? '0px' : value)}"></div></div>`
+    ).join('\n');
+
+    const levels = Object.entries(elevation.levels || {}).map(([level, shadow]) =>
+      `<div class="elevation-card" style="box-shadow:${escapeHtml(shadow)}">` +
+      `<span>${escapeHtml(level)}${elevation.usage?.[level] ? `: ${escapeHtml(elevation.usage[level])}` : ''}</span></div>`
+    ).join('\n');
+
+    return [
+      spacing.base ? `<p>ベースユニット: ${escapeHtml(spacing.base)}px</p>` : '',
+      rows,
+      levels ? `<h3>エレベーション</h3>\n<div class="grid">\n${levels}\n</div>` : ''
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * コンポーネントセクション (ボタン・入力・カード・アラートのプレビュー)
+   *
+   * @private
+   * @param {Object} components - visualSystem.components
+   * @returns {string}
+   */
+  _renderComponentsSection(components) {
+    const style = declarations => Object.entries(declarations)
+      .filter(([, value]) => value !== undefined)
+      .map(([property, value]) => `${property}:${value}`)
+      .join(';');
+
+    const parts = [];
+    const { buttons, inputs, cards, feedback } = components;
+
+    if (buttons) {
+      const padding = buttons.sizes?.medium?.padding || '8px 24px';
+      const previews = ['primary', 'secondary', 'outlined']
+        .filter(variant => buttons[variant])
+        .map(variant => {
+          const spec = buttons[variant];
+          return `<span class="preview-button" style="${escapeHtml(style({
+            background: spec.background,
+            color: spec.color,
+            border: spec.border || 'none',
+            'box-shadow': spec.elevation,
+            padding
+          }))}">${escapeHtml(variant)}</span>`;
+        });
+      parts.push('<h3>ボタン</h3>', `<div class="panel">${previews.join('')}</div>`);
+    }
+
+    if (inputs) {
+      const previews = ['default', 'focus', 'error'].filter(state => inputs[state]).map(state =>
+        `<input class="preview-input" type="text" value="${escapeHtml(state)}" readonly style="${escapeHtml(style({
+          background: inputs.default?.background,
+          padding: inputs.default?.padding,
+          'border-radius': inputs.default?.borderRadius,
+          border: inputs[state].border,
+          outline: inputs[state].outline
+        }))}">`
+      );
+      parts.push('<h3>入力フィールド</h3>', `<div class="panel">${previews.join('\n')}</div>`);
+    }
+
+    if (cards?.default) {
+      const spec = cards.default;
+      parts.push('<h3>カード</h3>', `<div class="grid"><div style="${escapeHtml(style({
+        background: spec.background,
+        border: spec.border,
+        'border-radius': spec.borderRadius,
+        padding: spec.padding,
+        'box-shadow': spec.elevation
+      }))}">カードのタイトルと本文</div></div>`);
+    }
+
+    if (feedback?.alerts) {
+      const alerts = Object.entries(feedback.alerts).map(([type, spec]) =>
+        `<div class="preview-alert" style="${escapeHtml(style({ background: spec.background, color: spec.color }))}">` +
+        `${escapeHtml(type)} ${contrastBadge(spec.color, spec.background)}</div>`
+      );
+      parts.push('<h3>アラート</h3>', alerts.join('\n'));
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * ボイス & トーンセクション (Do / Don't・例文・トーンマップ)
+   *
+   * @private
+   * @param {Object} voiceGuide - CopyAgent の voiceGuide
+   * @param {Object} [toneMap] - CopyAgent の toneMap
+   * @returns {string}
+   */
+  _renderVoiceSection(voiceGuide, toneMap) {
+    const list = items => `<ul>${(items || []).map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    const { summary = {}, guidelines = {}, examples = {} } = voiceGuide;
+    const tonality = toneMap || voiceGuide.tonalityMap || {};
+
+    const style = Object.entries(guidelines.linguisticStyle || {}).map(([key, value]) =>
+      `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`
+    ).join('');
+
+    const contexts = Object.entries(tonality.contexts || {}).map(([context, tone]) =>
+      `<tr><td>${escapeHtml(context)}</td><td>${escapeHtml(tone.energy)}</td><td>${escapeHtml(tone.formality)}</td>` +
+      `<td>${escapeHtml(tone.emotion)}</td><td>${escapeHtml(tone.focus)}</td></tr>`
+    ).join('\n');
+
+    return [
+      summary.personality ? `<p>${escapeHtml(summary.personality)}</p>` : '',
+      '<div class="do-dont">',
+      `<div class="panel do"><h3>Do</h3>${list(guidelines.dos)}${list(examples.good)}</div>`,
+      `<div class="panel dont"><h3>Don't</h3>${list(guidelines.donts)}${list(examples.bad)}</div>`,
+      '</div>',
+      style ? `<h3>言語スタイル</h3>\n<table><tbody>${style}</tbody></table>` : '',
+      contexts
+        ? '<h3>トーンマップ</h3>\n<table><thead><tr><th>場面</th><th>エネルギー</th><th>フォーマル度</th><th>感情</th><th>焦点</th></tr></thead>' +
+          `<tbody>\n${contexts}\n</tbody></table>`
+        : '',
+      tonality.guidelines ? list(tonality.guidelines) : ''
+    ].filter(Boolean).join('\n');
+  }
+}
+
+export default GuidelineSiteGenerator;
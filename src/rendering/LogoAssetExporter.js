@@ -0,0 +1,369 @@
+/**
+ * @file LogoAssetExporter.js
+ * @description ロゴコンセプトからブランド納品用のアセットパック (ZIP) を生成
+ * @responsibilities
+ * - マークの PNG 書き出し (標準サイズ × フルカラー / モノクロ / 反転)
+ * - favicon.ico・Apple touch icon・Android アダプティブアイコン・manifest.json の生成
+ * - 技術仕様 (minSize / clearSpace) の強制
+ * - README 付き ZIP へのパッケージング
+ *
+ * @module LogoAssetExporter
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { LogoRenderer, LogoVariant } from './LogoRenderer.js';
+import { artworkExtent, rasterizeIcon, solidBitmap } from './Rasterizer.js';
+import { encodePNG, encodeICO, createZip } from './BinaryFormats.js';
+
+/**
+ * 既定の書き出しサイズ (px)
+ */
+export const DEFAULT_LOGO_SIZES = [16, 32, 64, 128, 256, 512];
+export const DEFAULT_FAVICON_SIZES = [16, 32, 48];
+
+const APPLE_TOUCH_SIZE = 180;
+const MANIFEST_SIZES = [192, 512];
+
+/**
+ * Android アダプティブアイコン: 108dp のレイヤー (xxxhdpi = 4x) のうち中央 66dp がセーフゾーン
+ */
+const ANDROID_LAYER_SIZE = 432;
+const ANDROID_SAFE_ZONE = 66 / 108;
+
+/**
+ * LogoAgent._defineTechnicalSpecs の既定値
+ */
+const DEFAULT_SPECS = {
+  minSize: '16px',
+  clearSpace: 'minimum 1x logo height'
+};
+
+/**
+ * 技術仕様を数値に変換
+ *
+ * @param {Object} [technical] - concept.technical
+ * @returns {{minSize: number, clearSpace: number}} minSize は px、clearSpace はマーク高さに対する倍率
+ */
+function parseTechnicalSpecs(technical = {}) {
+  const minSize = parseFloat(technical.minSize ?? DEFAULT_SPECS.minSize);
+  const clearSpaceMatch = String(technical.clearSpace ?? DEFAULT_SPECS.clearSpace).match(/(\d+(?:\.\d+)?)\s*x/i);
+
+  if (!Number.isFinite(minSize) || minSize <= 0) {
+    throw new Error(`技術仕様の minSize を解釈できません: ${technical.minSize}`);
+  }
+  if (!clearSpaceMatch) {
+    throw new Error(`技術仕様の clearSpace を解釈できません: ${technical.clearSpace}`);
+  }
+
+  return { minSize, clearSpace: Number(clearSpaceMatch[1]) };
+}
+
+/**
+ * LogoAssetExporter クラス
+ *
+ * LogoAgent のコンセプト 1 件から、Web / iOS / Android 向けのアイコン一式と
+ * マーク・ロックアップの画像を書き出す
+ */
+export class LogoAssetExporter {
+  /**
+   * @param {Object} [options] - エクスポーター設定
+   * @param {LogoRenderer} [options.renderer] - SVG / アイコンシーンのレンダラー
+   * @param {Array<number>} [options.logoSizes] - マーク PNG の高さ (px)
+   * @param {Array<number>} [options.faviconSizes] - favicon.ico に格納するサイズ (px)
+   * @param {string} [options.iconBackground] - 不透明なアイコン (Apple / maskable / Android) の背景色
+   */
+  constructor(options = {}) {
+    this.renderer = options.renderer || new LogoRenderer();
+    this.logoSizes = options.logoSizes || DEFAULT_LOGO_SIZES;
+    this.faviconSizes = options.faviconSizes || DEFAULT_FAVICON_SIZES;
+    this.iconBackground = options.iconBackground || '#FFFFFF';
+  }
+
+  /**
+   * アセット一式を生成
+   *
+   * @param {Object} concept - LogoAgent のロゴコンセプト
+   * @returns {Array<{path: string, data: Buffer|string, description: string}>}
+   */
+  buildAssets(concept) {
+    const specs = parseTechnicalSpecs(concept?.technical);
+    const id = concept?.id || 'logo';
+    const assets = [];
+
+    // ロックアップ (ブランド名入り) はフォントを埋め込めないため SVG で納品
+    const lockups = this.renderer.renderAll(concept, [
+      LogoVariant.FULL_COLOR,
+      LogoVariant.MONOCHROME,
+      LogoVariant.REVERSED
+    ]);
+    for (const [variant, svg] of Object.entries(lockups)) {
+      assets.push({ path: `svg/${id}-${variant}.svg`, data: svg, description: `ロックアップ (${variant})` });
+    }
+
+    assets.push(...this._buildLogoPNGs(concept, id, specs));
+    assets.push(...this._buildWebIcons(concept, specs));
+    assets.push(...this._buildAndroidIcons(concept, specs));
+
+    return assets;
+  }
+
+  /**
+   * README 付きの ZIP アーカイブを生成
+   *
+   * @param {Object} concept - ロゴコンセプト
+   * @returns {Buffer}
+   */
+  createPackage(concept) {
+    const assets = this.buildAssets(concept);
+    const readme = this._buildReadme(concept, assets);
+
+    return createZip([
+      { name: 'README.md', data: readme },
+      ...assets.map(asset => ({ name: asset.path, data: asset.data }))
+    ]);
+  }
+
+  /**
+   * ZIP アーカイブを保存
+   *
+   * @param {Object} concept - ロゴコンセプト
+   * @param {string} filePath - 出力先 (.zip)
+   * @returns {Promise<string>} 書き出したファイルパス
+   */
+  async save(concept, filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, this.createPackage(concept));
+    return filePath;
+  }
+
+  /**
+   * マーク PNG (クリアスペース込み)
+   *
+   * サイズは描画されるマークの外接矩形の一辺を指し、キャンバスは各辺に clearSpace 倍の余白を加えた大きさになる
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {string} id - ファイル名の接頭辞
+   * @param {Object} specs - 技術仕様
+   * @returns {Array<Object>}
+   */
+  _buildLogoPNGs(concept, id, specs) {
+    const assets = [];
+
+    for (const variant of [LogoVariant.FULL_COLOR, LogoVariant.MONOCHROME, LogoVariant.REVERSED]) {
+      const scene = this.renderer.iconScene(concept, variant);
+      for (const mark of this.logoSizes) {
+        this._assertMinSize(mark, specs, `png/${variant}`);
+        const canvas = Math.ceil(mark * (1 + specs.clearSpace * 2));
+        const padding = (canvas - mark) / 2 / canvas;
+
+        assets.push({
+          path: `png/${id}-${variant}-${mark}.png`,
+          data: encodePNG(rasterizeIcon(scene, { size: canvas, padding, fit: 'artwork' })),
+          description: `マーク ${mark}px (${variant}, ${canvas}x${canvas} クリアスペース込み)`
+        });
+      }
+    }
+
+    return assets;
+  }
+
+  /**
+   * favicon / Apple touch icon / Web App Manifest 用アイコン
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Object} specs - 技術仕様
+   * @returns {Array<Object>}
+   */
+  _buildWebIcons(concept, specs) {
+    const scene = this.renderer.iconScene(concept, LogoVariant.FULL_COLOR);
+    const drawn = artworkExtent(scene) / scene.size;
+    const primary = concept.styling?.colorPalette?.primary || '#000000';
+
+    // 小さいファビコンは余白を削ってでもマークを最小サイズ以上に保つ
+    const favicons = this.faviconSizes.map(size => {
+      const padding = Math.max(0, Math.min(size * 0.06, (size - specs.minSize) / 2)) / size;
+      this._assertMinSize(size * (1 - padding * 2), specs, `favicon ${size}px`);
+      return { size, png: encodePNG(rasterizeIcon(scene, { size, padding, fit: 'artwork' })) };
+    });
+
+    // アプリアイコンはプラットフォームのセーフゾーンに合わせてシーン枠ごと収める
+    const icon = (size, padding, background) => {
+      this._assertMinSize(size * (1 - padding * 2) * drawn, specs, `icon ${size}px`);
+      return encodePNG(rasterizeIcon(scene, { size, padding, background }));
+    };
+
+    const [small, large] = MANIFEST_SIZES;
+    const manifest = {
+      icons: [
+        { src: `/icon-${small}.png`, sizes: `${small}x${small}`, type: 'image/png' },
+        { src: `/icon-${large}.png`, sizes: `${large}x${large}`, type: 'image/png' },
+        { src: `/maskable-${large}.png`, sizes: `${large}x${large}`, type: 'image/png', purpose: 'maskable' }
+      ],
+      theme_color: primary,
+      background_color: this.iconBackground
+    };
+
+    return [
+      {
+        path: 'favicon/favicon.ico',
+        data: encodeICO(favicons),
+        description: `favicon (${this.faviconSizes.map(size => `${size}px`).join(' / ')})`
+      },
+      {
+        path: 'favicon/icon.svg',
+        data: this.renderer.render(concept, LogoVariant.FAVICON),
+        description: 'SVG favicon'
+      },
+      {
+        path: 'favicon/apple-touch-icon.png',
+        data: icon(APPLE_TOUCH_SIZE, 0.12, this.iconBackground),
+        description: `Apple touch icon (${APPLE_TOUCH_SIZE}px, 不透明)`
+      },
+      {
+        path: `favicon/icon-${small}.png`,
+        data: icon(small, 0.06, null),
+        description: `Web App Manifest (${small}px)`
+      },
+      {
+        path: `favicon/icon-${large}.png`,
+        data: icon(large, 0.06, null),
+        description: `Web App Manifest (${large}px)`
+      },
+      {
+        // maskable のセーフゾーンは直径 80% の円
+        path: `favicon/maskable-${large}.png`,
+        data: icon(large, 0.1, this.iconBackground),
+        description: `Web App Manifest maskable (${large}px)`
+      },
+      {
+        path: 'favicon/manifest.json',
+        data: `${JSON.stringify(manifest, null, 2)}\n`,
+        description: 'manifest.json の icons / theme_color スニペット'
+      }
+    ];
+  }
+
+  /**
+   * Android アダプティブアイコン (前景・背景・モノクロの 3 レイヤー)
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Object} specs - 技術仕様
+   * @returns {Array<Object>}
+   */
+  _buildAndroidIcons(concept, specs) {
+    const padding = (1 - ANDROID_SAFE_ZONE) / 2;
+
+    const layer = variant => {
+      const scene = this.renderer.iconScene(concept, variant);
+      this._assertMinSize(
+        ANDROID_LAYER_SIZE * ANDROID_SAFE_ZONE * (artworkExtent(scene) / scene.size),
+        specs,
+        `android/${variant}`
+      );
+      return encodePNG(rasterizeIcon(scene, { size: ANDROID_LAYER_SIZE, padding, background: null }));
+    };
+
+    const adaptiveIcon = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">',
+      '    <background android:drawable="@mipmap/ic_launcher_background"/>',
+      '    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>',
+      '    <monochrome android:drawable="@mipmap/ic_launcher_monochrome"/>',
+      '</adaptive-icon>',
+      ''
+    ].join('\n');
+
+    return [
+      {
+        path: 'android/mipmap-anydpi-v26/ic_launcher.xml',
+        data: adaptiveIcon,
+        description: 'アダプティブアイコン定義'
+      },
+      {
+        path: 'android/mipmap-xxxhdpi/ic_launcher_foreground.png',
+        data: layer(LogoVariant.FULL_COLOR),
+        description: `前景レイヤー (${ANDROID_LAYER_SIZE}px, セーフゾーン 66dp)`
+      },
+      {
+        path: 'android/mipmap-xxxhdpi/ic_launcher_background.png',
+        data: encodePNG(solidBitmap(ANDROID_LAYER_SIZE, this.iconBackground)),
+        description: `背景レイヤー (${this.iconBackground})`
+      },
+      {
+        path: 'android/mipmap-xxxhdpi/ic_launcher_monochrome.png',
+        data: layer(LogoVariant.MONOCHROME),
+        description: 'テーマアイコン用モノクロレイヤー'
+      }
+    ];
+  }
+
+  /**
+   * マークの表示サイズが minSize 以上かを検証
+   *
+   * @private
+   * @param {number} markSize - 描画されるマークの外接矩形の一辺 (px)
+   * @param {Object} specs - 技術仕様
+   * @param {string} label - 書き出し対象
+   */
+  _assertMinSize(markSize, specs, label) {
+    if (markSize < specs.minSize) {
+      throw new Error(
+        `${label}: ロゴの表示サイズ ${Number(markSize.toFixed(2))}px が最小サイズ ${specs.minSize}px を下回ります`
+      );
+    }
+  }
+
+  /**
+   * README を生成
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Array<Object>} assets - アセット一覧
+   * @returns {string}
+   */
+  _buildReadme(concept, assets) {
+    const specs = parseTechnicalSpecs(concept.technical);
+    const brandName = concept.textPlacement?.brandName || 'Brand';
+
+    return [
+      `# ${brandName} ロゴアセット (${concept.id || 'logo'})`,
+      '',
+      '## 使用ルール',
+      '',
+      `- 最小サイズ: マークの高さ ${specs.minSize}px 未満で使用しないこと`,
+      `- クリアスペース: マークの周囲に高さの ${specs.clearSpace} 倍以上の余白を確保すること`,
+      '- `png/` のマーク画像はクリアスペース込みで書き出し済み (ファイル名の数値はマークの高さ)',
+      '- アプリアイコン・favicon は各プラットフォームのセーフゾーンに従って配置している',
+      '- ブランド名入りのロックアップは `svg/` を使用すること (PNG はマークのみ)',
+      '',
+      '## ファイル一覧',
+      '',
+      '| ファイル | 内容 |',
+      '| --- | --- |',
+      ...assets.map(asset => `| \`${asset.path}\` | ${asset.description} |`),
+      '',
+      '## Web への組み込み',
+      '',
+      '`favicon/` の中身をサイトのルートに配置し、`<head>` に以下を追加する。',
+      '',
+      '```html',
+      '<link rel="icon" href="/favicon.ico" sizes="any">',
+      '<link rel="icon" href="/icon.svg" type="image/svg+xml">',
+      '<link rel="apple-touch-icon" href="/apple-touch-icon.png">',
+      '<link rel="manifest" href="/manifest.json">',
+      '```',
+      '',
+      '## Android への組み込み',
+      '',
+      '`android/` の中身を `app/src/main/res/` にコピーする。',
+      ''
+    ].join('\n');
+  }
+}
+
+export default LogoAssetExporter;
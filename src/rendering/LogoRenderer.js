@@ -0,0 +1,628 @@
+/**
+ * @file LogoRenderer.js
+ * @description LogoAgent のコンセプトを SVG ロゴとして描画するレンダラー
+ * @responsibilities
+ * - ShapeType ジオメトリ・方向性・プロポーションから SVG を生成
+ * - アイコン / ブランド名の配置 (right / below) とカラーパレットの適用
+ * - フルカラー・モノクロ・反転・ファビコンのバリアント生成
+ * - 同じコンセプトからは常に同じ SVG を出力 (乱数・時刻を使わない)
+ *
+ * @module LogoRenderer
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { WCAG_CONTRAST, contrastRatio } from '../utils/ColorUtils.js';
+
+/**
+ * ロゴバリアント
+ * @enum {string}
+ */
+export const LogoVariant = {
+  FULL_COLOR: 'full-color',
+  MONOCHROME: 'monochrome',
+  REVERSED: 'reversed',
+  FAVICON: 'favicon'
+};
+
+/**
+ * アイコンに重ねる形状の上限 (それ以上は小さくなりすぎて判別できない)
+ */
+const MAX_ICON_LAYERS = 3;
+
+/**
+ * 内側レイヤーの半径比
+ */
+const LAYER_SCALES = [1, 0.55, 0.3];
+
+/**
+ * アイコン枠に対する外形半径の比 (45° 回転した正方形の対角 0.8√2·r も枠に収まる)
+ */
+const ICON_EXTENT = 0.88;
+
+/**
+ * 方向性ごとのアイコン回転角 (度)
+ */
+const ORIENTATION_ROTATION = {
+  horizontal: 0,
+  vertical: 0,
+  diagonal: -45
+};
+
+/**
+ * LogoAgent のタイポグラフィ指定と font-family の対応
+ */
+const FONT_STACKS = {
+  'Sans-serif': '\'Inter\', \'Helvetica Neue\', Arial, sans-serif',
+  'Rounded Sans-serif': '\'Nunito\', \'Arial Rounded MT Bold\', sans-serif'
+};
+
+const FONT_WEIGHTS = {
+  bold: 700,
+  medium: 500,
+  regular: 400
+};
+
+/**
+ * 数値を小数点以下 2 桁に丸めて文字列化
+ *
+ * @param {number} value - 数値
+ * @returns {string}
+ */
+function fmt(value) {
+  return String(Number(value.toFixed(2)) || 0);
+}
+
+/**
+ * XML 特殊文字をエスケープ
+ *
+ * @param {string} text - テキスト
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 属性オブジェクトを SVG 要素に変換
+ *
+ * @param {string} tag - 要素名
+ * @param {Object} attributes - 属性 (undefined は省略)
+ * @returns {string}
+ */
+function element(tag, attributes) {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}="${typeof value === 'number' ? fmt(value) : value}"`)
+    .join(' ');
+  return `<${tag} ${attrs}/>`;
+}
+
+/**
+ * ブランド名の描画幅を概算 (全角 1em / 半角 0.6em)
+ *
+ * @param {string} text - テキスト
+ * @param {number} fontSize - フォントサイズ
+ * @returns {number}
+ */
+function estimateTextWidth(text, fontSize) {
+  let em = 0;
+  for (const char of text) {
+    em += char.codePointAt(0) > 0x2E7F ? 1 : 0.6;
+  }
+  return em * fontSize;
+}
+
+/**
+ * 形状ごとのプリミティブ生成関数: (cx, cy, r, style) => Array<Primitive>
+ *
+ * プリミティブは SVG 出力と Rasterizer で共有する中間表現
+ * - circle: { cx, cy, r }
+ * - rect: { x, y, width, height, rx? }
+ * - polygon: { points: [[x, y], ...] }
+ * - polyline: { points, strokeWidth, cap, d? } (d は SVG 出力用のパス表現)
+ */
+const SHAPE_BUILDERS = {
+  circle: (cx, cy, r) => [{ shape: 'circle', cx, cy, r }],
+
+  dot: (cx, cy, r) => [{ shape: 'circle', cx, cy, r: r * 0.3 }],
+
+  square: (cx, cy, r, style) => {
+    const side = r * 1.6;
+    return [{
+      shape: 'rect',
+      x: cx - side / 2,
+      y: cy - side / 2,
+      width: side,
+      height: side,
+      rx: style.precise ? undefined : side * 0.08
+    }];
+  },
+
+  triangle: (cx, cy, r) => {
+    const half = r * Math.sin(Math.PI / 3);
+    return [{ shape: 'polygon', points: [[cx, cy - r], [cx + half, cy + r / 2], [cx - half, cy + r / 2]] }];
+  },
+
+  grid: (cx, cy, r) => {
+    const side = r * 1.6;
+    const cell = side / 3;
+    const size = cell * 0.7;
+    const cells = [];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        cells.push({
+          shape: 'rect',
+          x: cx - side / 2 + col * cell + (cell - size) / 2,
+          y: cy - side / 2 + row * cell + (cell - size) / 2,
+          width: size,
+          height: size
+        });
+      }
+    }
+    return cells;
+  },
+
+  line: (cx, cy, r, style) => [stroke([[cx - r * 0.9, cy], [cx + r * 0.9, cy]], style)],
+
+  wave: (cx, cy, r, style) => {
+    // 二次ベジェ 4 区間 (上下交互) を SVG ではそのまま、ラスタ用には折れ線で近似
+    const segment = (r * 1.8) / 4;
+    const amplitude = r * 0.3;
+    const startX = cx - r * 0.9;
+    const points = [[startX, cy]];
+    for (let k = 0; k < 4; k++) {
+      const control = (k % 2 === 0 ? -2 : 2) * amplitude;
+      for (let step = 1; step <= 8; step++) {
+        const t = step / 8;
+        points.push([startX + segment * (k + t), cy + 2 * (1 - t) * t * control]);
+      }
+    }
+    const d = `M${fmt(startX)} ${fmt(cy)} ` +
+      `q${fmt(segment / 2)} ${fmt(-amplitude * 2)} ${fmt(segment)} 0 ` +
+      `t${fmt(segment)} 0 t${fmt(segment)} 0 t${fmt(segment)} 0`;
+    return [{ ...stroke(points, style), d }];
+  },
+
+  spiral: (cx, cy, r, style) => {
+    const turns = 2.5;
+    const steps = 60;
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const angle = t * turns * 2 * Math.PI;
+      points.push([cx + Math.cos(angle) * r * 0.9 * t, cy + Math.sin(angle) * r * 0.9 * t]);
+    }
+    return [stroke(points, style)];
+  }
+};
+
+/**
+ * 線プリミティブを生成
+ *
+ * @param {Array<Array<number>>} points - 折れ線の頂点
+ * @param {Object} style - 線幅・端点
+ * @returns {Object}
+ */
+function stroke(points, style) {
+  return { shape: 'polyline', points, strokeWidth: style.strokeWidth, cap: style.rounded ? 'round' : 'butt' };
+}
+
+/**
+ * プリミティブを SVG 要素に変換
+ *
+ * @param {Object} primitive - プリミティブ
+ * @param {string} color - 塗り / 線の色
+ * @returns {string}
+ */
+function primitiveToSVG(primitive, color) {
+  switch (primitive.shape) {
+    case 'circle':
+      return element('circle', { cx: primitive.cx, cy: primitive.cy, r: primitive.r, fill: color });
+
+    case 'rect':
+      return element('rect', {
+        x: primitive.x,
+        y: primitive.y,
+        width: primitive.width,
+        height: primitive.height,
+        rx: primitive.rx,
+        fill: color
+      });
+
+    case 'polygon':
+      return element('polygon', {
+        points: primitive.points.map(([x, y]) => `${fmt(x)},${fmt(y)}`).join(' '),
+        fill: color
+      });
+
+    default: {
+      const strokeAttributes = {
+        fill: 'none',
+        stroke: color,
+        'stroke-width': primitive.strokeWidth,
+        'stroke-linecap': primitive.cap,
+        'stroke-linejoin': primitive.cap === 'round' ? 'round' : 'miter'
+      };
+      if (primitive.points.length === 2 && !primitive.d) {
+        const [[x1, y1], [x2, y2]] = primitive.points;
+        return element('line', { x1, y1, x2, y2, ...strokeAttributes });
+      }
+      const d = primitive.d || `M${primitive.points.map(([x, y]) => `${fmt(x)} ${fmt(y)}`).join(' L')}`;
+      return element('path', { d, ...strokeAttributes });
+    }
+  }
+}
+
+/**
+ * LogoRenderer クラス
+ *
+ * LogoAgent の concepts[] の各要素を入力に SVG 文字列を生成する
+ */
+export class LogoRenderer {
+  /**
+   * @param {Object} [options] - レンダラー設定
+   * @param {string} [options.monochromeColor] - モノクロ版のインク色
+   * @param {string} [options.reversedColor] - 反転版のインク色
+   * @param {number} [options.faviconSize] - ファビコンの出力サイズ (px)
+   */
+  constructor(options = {}) {
+    this.monochromeColor = options.monochromeColor || '#000000';
+    this.reversedColor = options.reversedColor || '#FFFFFF';
+    this.faviconSize = options.faviconSize || 32;
+  }
+
+  /**
+   * コンセプトを SVG に描画
+   *
+   * @param {Object} concept - LogoAgent のロゴコンセプト
+   * @param {string} [variant] - LogoVariant
+   * @returns {string} SVG ドキュメント
+   */
+  render(concept, variant = LogoVariant.FULL_COLOR) {
+    if (!Object.values(LogoVariant).includes(variant)) {
+      throw new Error(`未対応のロゴバリアントです: ${variant}`);
+    }
+
+    const shapes = this._shapesOf(concept);
+    const layout = variant === LogoVariant.FAVICON
+      ? this._faviconLayout()
+      : this._lockupLayout(concept);
+    const colors = this._resolveColors(concept, variant);
+    const id = `${String(concept.id || 'logo').replace(/[^A-Za-z0-9_-]/g, '-')}-${variant}`;
+    const brandName = concept.textPlacement?.brandName || '';
+
+    const body = [];
+    if (colors.background) {
+      body.push(element('rect', { width: layout.width, height: layout.height, fill: colors.background }));
+    }
+    body.push(this._renderIcon(concept, shapes, layout, colors, id, variant));
+    if (layout.text) {
+      body.push(this._renderText(concept, layout.text, colors.text));
+    }
+
+    const title = `${brandName || 'Logo'} (${variant})`;
+    const size = variant === LogoVariant.FAVICON
+      ? { width: this.faviconSize, height: this.faviconSize }
+      : { width: layout.width, height: layout.height };
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${fmt(layout.width)} ${fmt(layout.height)}" ` +
+        `width="${fmt(size.width)}" height="${fmt(size.height)}" role="img" aria-labelledby="${id}-title">`,
+      `  <title id="${id}-title">${escapeXml(title)}</title>`,
+      ...body.map(line => `  ${line}`),
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * アイコン (マーク) 部分のみのシーンを取得
+   *
+   * (0, 0)-(size, size) の正方形にマークが収まる座標系で、
+   * Rasterizer など SVG 以外の出力先がそのまま描画できる形にする
+   *
+   * @param {Object} concept - ロゴコンセプト
+   * @param {string} [variant] - LogoVariant
+   * @param {number} [size] - 座標系の一辺
+   * @returns {{size: number, rotation: Object|null, background: string|null, layers: Array<Object>}}
+   */
+  iconScene(concept, variant = LogoVariant.FULL_COLOR, size = 100) {
+    if (!Object.values(LogoVariant).includes(variant)) {
+      throw new Error(`未対応のロゴバリアントです: ${variant}`);
+    }
+
+    const center = size / 2;
+    const icon = { cx: center, cy: center, r: center * ICON_EXTENT };
+    const colors = this._resolveColors(concept, variant);
+
+    return {
+      size,
+      rotation: this._rotationOf(concept, icon),
+      background: colors.background,
+      layers: this._iconLayers(concept, this._shapesOf(concept), icon, colors, variant)
+    };
+  }
+
+  /**
+   * 複数バリアントを一括描画
+   *
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Array<string>} [variants] - 省略時は technical.variants または全バリアント
+   * @returns {Object<string, string>} バリアント → SVG
+   */
+  renderAll(concept, variants) {
+    const targets = variants || concept?.technical?.variants || Object.values(LogoVariant);
+    return Object.fromEntries(targets.map(variant => [variant, this.render(concept, variant)]));
+  }
+
+  /**
+   * バリアントを `<concept.id>-<variant>.svg` として保存
+   *
+   * @param {Object} concept - ロゴコンセプト
+   * @param {string} directory - 出力ディレクトリ
+   * @param {Array<string>} [variants] - 出力するバリアント
+   * @returns {Promise<Array<string>>} 書き出したファイルパス
+   */
+  async save(concept, directory, variants) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const written = [];
+    for (const [variant, svg] of Object.entries(this.renderAll(concept, variants))) {
+      const filePath = path.join(directory, `${concept.id || 'logo'}-${variant}.svg`);
+      await fs.writeFile(filePath, svg, 'utf-8');
+      written.push(filePath);
+    }
+
+    return written;
+  }
+
+  /**
+   * アイコン + ブランド名のロックアップ配置
+   *
+   * textPlacement.position が 'below' なら縦積み、それ以外は横並び。
+   * キャンバスは proportion を基準にし、ブランド名が収まらない場合のみ横に広げる
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @returns {Object}
+   */
+  _lockupLayout(concept) {
+    const baseHeight = concept.proportion?.height || 100;
+    const baseWidth = concept.proportion?.width || baseHeight * 1.5;
+    const padding = baseHeight * 0.12;
+    const brandName = concept.textPlacement?.brandName || '';
+
+    if (!brandName) {
+      const iconSize = baseHeight - padding * 2;
+      return {
+        width: baseWidth,
+        height: baseHeight,
+        icon: { cx: baseWidth / 2, cy: baseHeight / 2, r: iconSize / 2 }
+      };
+    }
+
+    if (concept.textPlacement?.position === 'below') {
+      const fontSize = baseHeight * 0.16;
+      const gap = baseHeight * 0.06;
+      const iconSize = baseHeight - padding * 2 - gap - fontSize;
+      const width = Math.max(baseWidth, estimateTextWidth(brandName, fontSize) + padding * 2);
+
+      return {
+        width,
+        height: baseHeight,
+        icon: { cx: width / 2, cy: padding + iconSize / 2, r: iconSize / 2 },
+        text: { x: width / 2, y: padding + iconSize + gap + fontSize / 2, fontSize, anchor: 'middle', value: brandName }
+      };
+    }
+
+    const iconSize = baseHeight - padding * 2;
+    const fontSize = iconSize * 0.4;
+    const gap = iconSize * 0.25;
+    const textX = padding + iconSize + gap;
+    const width = Math.max(baseWidth, textX + estimateTextWidth(brandName, fontSize) + padding);
+
+    return {
+      width,
+      height: baseHeight,
+      icon: { cx: padding + iconSize / 2, cy: baseHeight / 2, r: iconSize / 2 },
+      text: { x: textX, y: baseHeight / 2, fontSize, anchor: 'start', value: brandName }
+    };
+  }
+
+  /**
+   * ファビコン配置 (アイコンのみ・正方形)
+   *
+   * @private
+   * @returns {Object}
+   */
+  _faviconLayout() {
+    return {
+      width: 100,
+      height: 100,
+      icon: { cx: 50, cy: 50, r: 50 * ICON_EXTENT }
+    };
+  }
+
+  /**
+   * バリアントごとの配色
+   *
+   * 反転版は白インクが読めるならブランドの primary を、読めなければ黒を背景にする
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {string} variant - LogoVariant
+   * @returns {{layers: Array<string>, text: string, background: string|null, knockout: boolean}}
+   */
+  _resolveColors(concept, variant) {
+    const palette = concept.styling?.colorPalette || {};
+    const primary = palette.primary || '#000000';
+    const secondary = palette.secondary || '#FFFFFF';
+
+    switch (variant) {
+      case LogoVariant.MONOCHROME:
+        return { layers: [this.monochromeColor], text: this.monochromeColor, background: null, knockout: true };
+
+      case LogoVariant.REVERSED: {
+        const background = contrastRatio(this.reversedColor, primary) >= WCAG_CONTRAST.AA.large
+          ? primary
+          : '#000000';
+        return { layers: [this.reversedColor], text: this.reversedColor, background, knockout: true };
+      }
+
+      default:
+        return { layers: [primary, secondary], text: primary, background: null, knockout: false };
+    }
+  }
+
+  /**
+   * コンセプトの形状を検証して取得
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @returns {Array<string>}
+   */
+  _shapesOf(concept) {
+    const shapes = concept?.geometry?.baseShapes || concept?.shapes;
+    if (!Array.isArray(shapes) || shapes.length === 0) {
+      throw new Error('ロゴコンセプトに形状 (geometry.baseShapes) がありません');
+    }
+    for (const shape of shapes) {
+      if (!SHAPE_BUILDERS[shape]) {
+        throw new Error(`未対応の図形タイプです: ${shape}`);
+      }
+    }
+    return shapes;
+  }
+
+  /**
+   * 方向性によるアイコンの回転
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Object} icon - アイコンの中心
+   * @returns {{angle: number, cx: number, cy: number}|null}
+   */
+  _rotationOf(concept, icon) {
+    const angle = ORIENTATION_ROTATION[concept.geometry?.orientation] || 0;
+    return angle ? { angle, cx: icon.cx, cy: icon.cy } : null;
+  }
+
+  /**
+   * アイコンの形状レイヤーを構築
+   *
+   * 1 色のバリアントでは奇数レイヤーを直下のレイヤーのくり抜き (knockout) として扱い、
+   * 背景色に依存しない 1 色のマークにする
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Array<string>} shapes - ShapeType の配列
+   * @param {Object} icon - アイコンの中心と半径
+   * @param {Object} colors - 配色
+   * @param {string} variant - LogoVariant
+   * @returns {Array<{color: string, primitives: Array<Object>, knockout: Array<Object>|null}>}
+   */
+  _iconLayers(concept, shapes, icon, colors, variant) {
+    const { cx, cy } = icon;
+    const r = icon.r * (variant === LogoVariant.FAVICON || concept.geometry?.scale === 'large' ? 1 : 0.88);
+    const maxLayers = variant === LogoVariant.FAVICON ? 2 : MAX_ICON_LAYERS;
+    const layerShapes = shapes.slice(0, maxLayers);
+    const heavy = concept.styling?.lineStyle?.weight === 'heavy';
+    const baseStyle = {
+      precise: concept.geometry?.precision === 'high',
+      rounded: (concept.styling?.lineStyle?.endings || 'rounded') === 'rounded'
+    };
+    // 内側レイヤーの線が細くなりすぎないよう、外形の 5% を下限にする
+    const build = (index) => {
+      const layerRadius = r * LAYER_SCALES[index];
+      const strokeWidth = Math.max(layerRadius * (heavy ? 0.16 : 0.1), r * 0.05);
+      return SHAPE_BUILDERS[layerShapes[index]](cx, cy, layerRadius, { ...baseStyle, strokeWidth });
+    };
+
+    const layers = [];
+    if (colors.knockout) {
+      for (let index = 0; index < layerShapes.length; index += 2) {
+        layers.push({
+          color: colors.layers[0],
+          primitives: build(index),
+          knockout: index + 1 < layerShapes.length ? build(index + 1) : null
+        });
+      }
+    } else {
+      layerShapes.forEach((_shape, index) => layers.push({
+        color: colors.layers[index % colors.layers.length],
+        primitives: build(index),
+        knockout: null
+      }));
+    }
+
+    return layers;
+  }
+
+  /**
+   * アイコンの SVG 描画
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Array<string>} shapes - ShapeType の配列
+   * @param {Object} layout - 配置
+   * @param {Object} colors - 配色
+   * @param {string} id - 要素 ID の接頭辞
+   * @param {string} variant - LogoVariant
+   * @returns {string}
+   */
+  _renderIcon(concept, shapes, layout, colors, id, variant) {
+    const { cx, cy, r } = layout.icon;
+    const parts = [];
+
+    this._iconLayers(concept, shapes, layout.icon, colors, variant).forEach((layer, index) => {
+      const ink = layer.primitives.map(primitive => primitiveToSVG(primitive, layer.color)).join('');
+      if (!layer.knockout) {
+        parts.push(ink);
+        return;
+      }
+
+      const maskId = `${id}-knockout-${index * 2}`;
+      const extent = r * 2;
+      parts.push(
+        `<mask id="${maskId}">` +
+        element('rect', { x: cx - extent, y: cy - extent, width: extent * 2, height: extent * 2, fill: '#FFFFFF' }) +
+        layer.knockout.map(primitive => primitiveToSVG(primitive, '#000000')).join('') +
+        '</mask>',
+        `<g mask="url(#${maskId})">${ink}</g>`
+      );
+    });
+
+    const rotation = this._rotationOf(concept, layout.icon);
+    const transform = rotation ? ` transform="rotate(${rotation.angle} ${fmt(cx)} ${fmt(cy)})"` : '';
+
+    return `<g id="${id}-icon"${transform}>${parts.join('')}</g>`;
+  }
+
+  /**
+   * ブランド名の描画
+   *
+   * @private
+   * @param {Object} concept - ロゴコンセプト
+   * @param {Object} text - テキスト配置
+   * @param {string} color - 文字色
+   * @returns {string}
+   */
+  _renderText(concept, text, color) {
+    const typography = concept.styling?.typography || {};
+    const family = FONT_STACKS[typography.family] || FONT_STACKS['Sans-serif'];
+    const weight = FONT_WEIGHTS[typography.weight] || FONT_WEIGHTS.medium;
+
+    return `<text x="${fmt(text.x)}" y="${fmt(text.y)}" font-family="${family}" font-weight="${weight}" ` +
+      `font-size="${fmt(text.fontSize)}" fill="${color}" text-anchor="${text.anchor}" ` +
+      `dominant-baseline="central">${escapeXml(text.value)}</text>`;
+  }
+}
+
+export default LogoRenderer;
@@ -0,0 +1,412 @@
+/**
+ * @file Rasterizer.js
+ * @description LogoRenderer のアイコンシーンを RGBA ビットマップに描画する純 JS ラスタライザー
+ * @responsibilities
+ * - circle / rect / polygon / polyline プリミティブの塗り判定
+ * - サブピクセルサンプリングによるアンチエイリアス
+ * - 回転・余白・背景色の適用とくり抜き (knockout) レイヤーの合成
+ * - 描画されるマークの外接矩形の計測
+ *
+ * @module Rasterizer
+ * @version 1.0.0
+ */
+
+import { hexToRgb } from '../utils/ColorUtils.js';
+
+/**
+ * 出力サイズごとの 1 軸あたりサンプル数 (小さいアイコンほど多くサンプリングする)
+ *
+ * @param {number} size - 出力サイズ (px)
+ * @returns {number}
+ */
+function defaultSamples(size) {
+  if (size <= 64) return 4;
+  if (size <= 256) return 3;
+  return 2;
+}
+
+/**
+ * 点が角丸矩形の内側か
+ *
+ * @param {Object} rect - rect プリミティブ
+ * @param {number} x - X 座標
+ * @param {number} y - Y 座標
+ * @returns {boolean}
+ */
+function insideRect(rect, x, y) {
+  if (x < rect.x || x > rect.x + rect.width || y < rect.y || y > rect.y + rect.height) {
+    return false;
+  }
+  const radius = Math.min(rect.rx || 0, rect.width / 2, rect.height / 2);
+  if (radius <= 0) {
+    return true;
+  }
+  const dx = Math.max(rect.x + radius - x, 0, x - (rect.x + rect.width - radius));
+  const dy = Math.max(rect.y + radius - y, 0, y - (rect.y + rect.height - radius));
+  return dx * dx + dy * dy <= radius * radius;
+}
+
+/**
+ * 点が多角形の内側か (even-odd)
+ *
+ * @param {Array<Array<number>>} points - 頂点
+ * @param {number} x - X 座標
+ * @param {number} y - Y 座標
+ * @returns {boolean}
+ */
+function insidePolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 点が線分 (太さ付き) の内側か
+ *
+ * @param {Object} segment - { ax, ay, bx, by, half, startCap, endCap }
+ * @param {number} x - X 座標
+ * @param {number} y - Y 座標
+ * @returns {boolean}
+ */
+function insideSegment(segment, x, y) {
+  const { ax, ay, bx, by, half } = segment;
+  const vx = bx - ax;
+  const vy = by - ay;
+  const lengthSquared = vx * vx + vy * vy;
+  let t = lengthSquared === 0 ? 0 : ((x - ax) * vx + (y - ay) * vy) / lengthSquared;
+
+  // butt キャップの端点は線分の外に伸ばさない
+  if ((t < 0 && !segment.startCap) || (t > 1 && !segment.endCap)) {
+    return false;
+  }
+  t = Math.max(0, Math.min(1, t));
+
+  const dx = x - (ax + vx * t);
+  const dy = y - (ay + vy * t);
+  return dx * dx + dy * dy <= half * half;
+}
+
+/**
+ * プリミティブを判定単位 (形状 + 外接矩形) に分解
+ *
+ * 折れ線は線分ごとに分けて、判定範囲を線の周囲だけに絞る
+ *
+ * @param {Object} primitive - プリミティブ
+ * @returns {Array<{bounds: Array<number>, contains: Function}>}
+ */
+function toHitTargets(primitive) {
+  switch (primitive.shape) {
+    case 'circle': {
+      const { cx, cy, r } = primitive;
+      return [{
+        bounds: [cx - r, cy - r, cx + r, cy + r],
+        contains: (x, y) => (x - cx) ** 2 + (y - cy) ** 2 <= r * r
+      }];
+    }
+
+    case 'rect':
+      return [{
+        bounds: [primitive.x, primitive.y, primitive.x + primitive.width, primitive.y + primitive.height],
+        contains: (x, y) => insideRect(primitive, x, y)
+      }];
+
+    case 'polygon': {
+      const xs = primitive.points.map(([x]) => x);
+      const ys = primitive.points.map(([, y]) => y);
+      return [{
+        bounds: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+        contains: (x, y) => insidePolygon(primitive.points, x, y)
+      }];
+    }
+
+    case 'polyline': {
+      const half = primitive.strokeWidth / 2;
+      const round = primitive.cap === 'round';
+      const last = primitive.points.length - 2;
+      return primitive.points.slice(0, -1).map(([ax, ay], index) => {
+        const [bx, by] = primitive.points[index + 1];
+        // 中間の継ぎ目は常に丸めて隙間を作らない
+        const segment = { ax, ay, bx, by, half, startCap: round || index > 0, endCap: round || index < last };
+        return {
+          bounds: [Math.min(ax, bx) - half, Math.min(ay, by) - half, Math.max(ax, bx) + half, Math.max(ay, by) + half],
+          contains: (x, y) => insideSegment(segment, x, y)
+        };
+      });
+    }
+
+    default:
+      throw new Error(`未対応のプリミティブです: ${primitive.shape}`);
+  }
+}
+
+/**
+ * シーンの回転 (scene.rotation) をかける関数
+ *
+ * @param {Object} scene - アイコンシーン
+ * @returns {{rotate: Function, unrotate: Function}}
+ */
+function createRotation(scene) {
+  const angle = ((scene.rotation?.angle || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const cx = scene.rotation?.cx || 0;
+  const cy = scene.rotation?.cy || 0;
+
+  return {
+    rotate: (x, y) => [cx + (x - cx) * cos - (y - cy) * sin, cy + (x - cx) * sin + (y - cy) * cos],
+    unrotate: (x, y) => [cx + (x - cx) * cos + (y - cy) * sin, cy - (x - cx) * sin + (y - cy) * cos]
+  };
+}
+
+/**
+ * シーン座標 → サブサンプル座標の変換
+ *
+ * @param {Object} scene - アイコンシーン
+ * @param {number} scale - シーン 1 単位あたりのサブサンプル数
+ * @param {number} originX - 回転後のシーン原点の X (サブサンプル)
+ * @param {number} [originY] - 回転後のシーン原点の Y (省略時は originX)
+ * @returns {{toGrid: Function, toScene: Function}}
+ */
+function createTransform(scene, scale, originX, originY = originX) {
+  const { rotate, unrotate } = createRotation(scene);
+
+  return {
+    toGrid: (x, y) => {
+      const [rx, ry] = rotate(x, y);
+      return [originX + rx * scale, originY + ry * scale];
+    },
+    toScene: (gx, gy) => unrotate((gx - originX) / scale, (gy - originY) / scale)
+  };
+}
+
+/**
+ * 実際に描画されるマークの外接矩形 (回転後のシーン座標)
+ *
+ * シーン枠ではなくプリミティブの広がりで測るため、最小サイズの判定や
+ * マークを出力サイズいっぱいに描く際の基準になる。角丸や butt キャップは外側に見積もる
+ *
+ * @param {Object} scene - アイコンシーン
+ * @returns {Array<number>|null} [minX, minY, maxX, maxY] (描画するものがなければ null)
+ */
+export function artworkBounds(scene) {
+  const { rotate } = createRotation(scene);
+  const extents = [];
+  const add = ([x, y], radius) => extents.push([x - radius, y - radius, x + radius, y + radius]);
+
+  for (const primitive of scene.layers.flatMap(layer => layer.primitives)) {
+    switch (primitive.shape) {
+      case 'circle':
+        add(rotate(primitive.cx, primitive.cy), primitive.r);
+        break;
+      case 'rect': {
+        const { x, y, width, height } = primitive;
+        for (const corner of [[x, y], [x + width, y], [x, y + height], [x + width, y + height]]) {
+          add(rotate(...corner), 0);
+        }
+        break;
+      }
+      case 'polygon':
+        primitive.points.forEach(point => add(rotate(...point), 0));
+        break;
+      case 'polyline':
+        primitive.points.forEach(point => add(rotate(...point), primitive.strokeWidth / 2));
+        break;
+      default:
+        throw new Error(`未対応のプリミティブです: ${primitive.shape}`);
+    }
+  }
+
+  if (extents.length === 0) {
+    return null;
+  }
+  return [
+    Math.min(...extents.map(([x]) => x)),
+    Math.min(...extents.map(([, y]) => y)),
+    Math.max(...extents.map(([, , x]) => x)),
+    Math.max(...extents.map(([, , , y]) => y))
+  ];
+}
+
+/**
+ * 描画されるマークの一辺 (外接矩形の長辺, シーン座標)
+ *
+ * @param {Object} scene - アイコンシーン
+ * @returns {number}
+ */
+export function artworkExtent(scene) {
+  const bounds = artworkBounds(scene);
+  return bounds ? Math.max(bounds[2] - bounds[0], bounds[3] - bounds[1]) : 0;
+}
+
+/**
+ * プリミティブ群をサブサンプルのマスクに塗る
+ *
+ * @param {Uint8Array} mask - サブサンプルのマスク
+ * @param {number} gridSize - マスクの一辺
+ * @param {Array<Object>} primitives - プリミティブ
+ * @param {Object} transform - 座標変換
+ */
+function fillMask(mask, gridSize, primitives, transform) {
+  for (const target of primitives.flatMap(toHitTargets)) {
+    const [x0, y0, x1, y1] = target.bounds;
+    const corners = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]].map(([x, y]) => transform.toGrid(x, y));
+    const minX = Math.max(0, Math.floor(Math.min(...corners.map(([x]) => x))));
+    const maxX = Math.min(gridSize - 1, Math.ceil(Math.max(...corners.map(([x]) => x))));
+    const minY = Math.max(0, Math.floor(Math.min(...corners.map(([, y]) => y))));
+    const maxY = Math.min(gridSize - 1, Math.ceil(Math.max(...corners.map(([, y]) => y))));
+
+    for (let gy = minY; gy <= maxY; gy++) {
+      for (let gx = minX; gx <= maxX; gx++) {
+        const index = gy * gridSize + gx;
+        if (mask[index]) continue;
+        const [x, y] = transform.toScene(gx + 0.5, gy + 0.5);
+        if (target.contains(x, y)) {
+          mask[index] = 1;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * マークの外接矩形を一辺 inner の正方形の中央に収める変換
+ *
+ * @param {Object} scene - アイコンシーン
+ * @param {number} inner - 余白の内側の一辺 (サブサンプル)
+ * @param {number} offset - 左上の余白 (サブサンプル)
+ * @returns {{toGrid: Function, toScene: Function}}
+ */
+function fitArtwork(scene, inner, offset) {
+  const bounds = artworkBounds(scene);
+  if (!bounds || artworkExtent(scene) === 0) {
+    return createTransform(scene, inner / scene.size, offset);
+  }
+  const [minX, minY, maxX, maxY] = bounds;
+  const scale = inner / artworkExtent(scene);
+  return createTransform(
+    scene,
+    scale,
+    offset + (inner - (maxX - minX) * scale) / 2 - minX * scale,
+    offset + (inner - (maxY - minY) * scale) / 2 - minY * scale
+  );
+}
+
+/**
+ * アイコンシーンを正方形の RGBA ビットマップに描画
+ *
+ * @param {Object} scene - LogoRenderer.iconScene() の戻り値
+ * @param {Object} options - 描画設定
+ * @param {number} options.size - 出力サイズ (px)
+ * @param {number} [options.padding] - 各辺の余白 (出力サイズに対する比率, 0〜0.5)
+ * @param {string} [options.fit='scene'] - 余白の内側に収めるもの ('scene': シーン枠, 'artwork': 描画されるマークの外接矩形)
+ * @param {string|null} [options.background] - 背景色 (省略時はシーンの背景、なければ透明)
+ * @param {number} [options.samples] - 1 軸あたりのサンプル数
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function rasterizeIcon(scene, options) {
+  const { size, padding = 0 } = options;
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`出力サイズが不正です: ${size}`);
+  }
+  if (padding < 0 || padding >= 0.5) {
+    throw new Error(`余白の比率は 0 以上 0.5 未満で指定してください: ${padding}`);
+  }
+
+  const samples = options.samples || defaultSamples(size);
+  const gridSize = size * samples;
+  const offset = gridSize * padding;
+  const transform = options.fit === 'artwork'
+    ? fitArtwork(scene, gridSize - offset * 2, offset)
+    : createTransform(scene, (gridSize - offset * 2) / scene.size, offset);
+  const background = options.background === undefined ? scene.background : options.background;
+
+  // 乗算済みアルファで合成
+  const pixels = new Float32Array(size * size * 4);
+  if (background) {
+    const { r, g, b } = hexToRgb(background);
+    for (let i = 0; i < pixels.length; i += 4) {
+      pixels[i] = r / 255;
+      pixels[i + 1] = g / 255;
+      pixels[i + 2] = b / 255;
+      pixels[i + 3] = 1;
+    }
+  }
+
+  const perPixel = samples * samples;
+  for (const layer of scene.layers) {
+    const mask = new Uint8Array(gridSize * gridSize);
+    fillMask(mask, gridSize, layer.primitives, transform);
+    if (layer.knockout) {
+      const knockout = new Uint8Array(gridSize * gridSize);
+      fillMask(knockout, gridSize, layer.knockout, transform);
+      for (let i = 0; i < mask.length; i++) {
+        mask[i] &= knockout[i] ^ 1;
+      }
+    }
+
+    const { r, g, b } = hexToRgb(layer.color);
+    for (let py = 0; py < size; py++) {
+      for (let px = 0; px < size; px++) {
+        let covered = 0;
+        for (let sy = 0; sy < samples; sy++) {
+          const row = (py * samples + sy) * gridSize + px * samples;
+          for (let sx = 0; sx < samples; sx++) {
+            covered += mask[row + sx];
+          }
+        }
+        if (covered === 0) continue;
+
+        const alpha = covered / perPixel;
+        const i = (py * size + px) * 4;
+        pixels[i] = (r / 255) * alpha + pixels[i] * (1 - alpha);
+        pixels[i + 1] = (g / 255) * alpha + pixels[i + 1] * (1 - alpha);
+        pixels[i + 2] = (b / 255) * alpha + pixels[i + 2] * (1 - alpha);
+        pixels[i + 3] = alpha + pixels[i + 3] * (1 - alpha);
+      }
+    }
+  }
+
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = pixels[i + 3];
+    if (alpha === 0) continue;
+    data[i] = Math.round((pixels[i] / alpha) * 255);
+    data[i + 1] = Math.round((pixels[i + 1] / alpha) * 255);
+    data[i + 2] = Math.round((pixels[i + 2] / alpha) * 255);
+    data[i + 3] = Math.round(alpha * 255);
+  }
+
+  return { width: size, height: size, data };
+}
+
+/**
+ * 単色で塗りつぶした正方形ビットマップ (Android アダプティブアイコンの背景レイヤー等)
+ *
+ * @param {number} size - 出力サイズ (px)
+ * @param {string} color - 塗り色
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function solidBitmap(size, color) {
+  const { r, g, b } = hexToRgb(color);
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+  return { width: size, height: size, data };
+}
+
+export default {
+  artworkBounds,
+  artworkExtent,
+  rasterizeIcon,
+  solidBitmap
+};
@@ -0,0 +1,356 @@
+/**
+ * @file ApiServer.js
+ * @description ブランド構築パイプラインを公開する HTTP API サーバー
+ * @responsibilities
+ * - POST /brands: BrandPipeline によるブランドパッケージ生成
+ * - GET /workflows/:id: CoordinatorAgent のワークフロー状態取得
+ * - POST /evaluate: ZeroHumanApproval による提案評価
+ * - GET /health: 各エージェントの healthCheck() 集約
+ *
+ * @module ApiServer
+ * @version 1.0.0
+ */
+
+import http from 'http';
+import { BrandPipeline } from '../orchestration/BrandPipeline.js';
+import { CoordinatorAgent } from '../agents/support/CoordinatorAgent.js';
+
+/**
+ * リクエストボディの最大サイズ (bytes)
+ */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * ステータスコード付きエラー
+ *
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * ApiServer クラス
+ *
+ * フロントエンドからクラスを直接 import せずに
+ * パイプライン・ワークフロー・評価を利用するための HTTP インターフェース
+ */
+export class ApiServer {
+  /**
+   * @param {Object} options - サーバー設定
+   * @param {Object} options.logger - ロガー
+   * @param {number} [options.port] - 待ち受けポート (既定: PORT 環境変数または 3000)
+   * @param {string} [options.host] - 待ち受けホスト
+   * @param {Object} [options.knowledge] - ナレッジベース
+   * @param {BrandPipeline} [options.pipeline] - 差し替え用パイプライン
+   * @param {CoordinatorAgent} [options.coordinator] - 差し替え用コーディネーター
+   * @param {Object} [options.approval] - 差し替え用 ZeroHumanApproval (初期化済み)
+   */
+  constructor(options = {}) {
+    if (!options.logger) {
+      throw new Error('ロガーが設定されていません');
+    }
+
+    this.logger = options.logger;
+    this.port = options.port ?? Number(process.env.PORT || 3000);
+    this.host = options.host;
+
+    this.pipeline = options.pipeline || new BrandPipeline({
+      logger: this.logger,
+      knowledge: options.knowledge
+    });
+    this.coordinator = options.coordinator || new CoordinatorAgent({ logger: this.logger });
+    this.approval = options.approval || null;
+
+    this.routes = [
+      { method: 'GET', pattern: /^\/health$/, handler: () => this.handleHealth() },
+      { method: 'POST', pattern: /^\/brands$/, handler: (req) => this.handleCreateBrand(req) },
+      { method: 'GET', pattern: /^\/workflows\/([^/]+)$/, handler: (req, params) => this.handleGetWorkflow(params[0]) },
+      { method: 'POST', pattern: /^\/evaluate$/, handler: (req) => this.handleEvaluate(req) }
+    ];
+
+    // handleRequest の想定外の例外で未処理の reject になるとプロセスごと落ちるため 500 を返す
+    this.server = http.createServer((req, res) => this.handleRequest(req, res).catch(error => {
+      this.logger.error(`[ApiServer] ${req.method} ${req.url} 処理中の例外`, { error: error.message });
+
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        this.sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }));
+    this.startedAt = null;
+  }
+
+  /**
+   * サーバー起動
+   *
+   * @returns {Promise<number>} 実際の待ち受けポート
+   */
+  async start() {
+    await this.pipeline.initialize();
+    await this.coordinator.initialize();
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.startedAt = Date.now();
+    this.port = this.server.address().port;
+    this.logger.info(`[ApiServer] 起動しました: port ${this.port}`);
+
+    return this.port;
+  }
+
+  /**
+   * サーバー停止
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server.listening) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+
+    if (this.approval && typeof this.approval.close === 'function') {
+      await this.approval.close();
+    }
+
+    this.logger.info('[ApiServer] 停止しました');
+  }
+
+  /**
+   * リクエスト振り分け
+   *
+   * @param {http.IncomingMessage} req - リクエスト
+   * @param {http.ServerResponse} res - レスポンス
+   */
+  async handleRequest(req, res) {
+    let pathname = req.url;
+
+    try {
+      try {
+        ({ pathname } = new URL(req.url, 'http://localhost'));
+      } catch {
+        throw new HttpError(400, `Malformed request target: ${req.url}`);
+      }
+
+      const matches = this.routes
+        .map(route => ({ route, match: pathname.match(route.pattern) }))
+        .filter(({ match }) => match);
+
+      if (matches.length === 0) {
+        throw new HttpError(404, `Not found: ${pathname}`);
+      }
+
+      const found = matches.find(({ route }) => route.method === req.method);
+
+      if (!found) {
+        res.setHeader('Allow', matches.map(({ route }) => route.method).join(', '));
+        throw new HttpError(405, `Method not allowed: ${req.method} ${pathname}`);
+      }
+
+      let params;
+      try {
+        params = found.match.slice(1).map(decodeURIComponent);
+      } catch {
+        throw new HttpError(400, `Malformed URL path: ${pathname}`);
+      }
+
+      const { status, body } = await found.route.handler(req, params);
+      this.sendJson(res, status, body);
+    } catch (error) {
+      const status = error.status || 500;
+
+      if (status >= 500) {
+        this.logger.error(`[ApiServer] ${req.method} ${pathname} 失敗`, { error: error.message });
+      }
+
+      this.sendJson(res, status, { error: error.message });
+    }
+  }
+
+  /**
+   * GET /health
+   *
+   * @returns {Promise<Object>} 200 (全エージェント正常) または 503
+   */
+  async handleHealth() {
+    const agents = {};
+
+    for (const [stage, agent] of Object.entries(this.pipeline.agents)) {
+      try {
+        agents[stage] = await agent.healthCheck();
+      } catch (error) {
+        agents[stage] = { healthy: false, error: error.message };
+      }
+    }
+
+    const healthy = Object.values(agents).every(agent => agent.healthy);
+
+    return {
+      status: healthy ? 200 : 503,
+      body: {
+        status: healthy ? 'ok' : 'degraded',
+        agents,
+        uptime: this.startedAt ? Date.now() - this.startedAt : 0,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * POST /brands
+   *
+   * ボディ: { hearing, business?, existing?, requirements? }
+   *
+   * @param {http.IncomingMessage} req - リクエスト
+   * @returns {Promise<Object>} 201 とブランドパッケージ
+   */
+  async handleCreateBrand(req) {
+    const body = await this.readJson(req);
+
+    if (!body.hearing && !body.existing) {
+      throw new HttpError(400, 'hearing or existing is required');
+    }
+
+    const result = await this.pipeline.run({
+      hearing: body.hearing,
+      business: body.business,
+      existing: body.existing,
+      requirements: body.requirements
+    });
+
+    return { status: 201, body: result };
+  }
+
+  /**
+   * GET /workflows/:id
+   *
+   * @param {string} workflowId - ワークフロー ID
+   * @returns {Object} 200 とワークフロー状態、または 404
+   */
+  handleGetWorkflow(workflowId) {
+    const status = this.coordinator.getWorkflowStatus(workflowId);
+
+    if (!status) {
+      throw new HttpError(404, `Workflow not found: ${workflowId}`);
+    }
+
+    return { status: 200, body: status };
+  }
+
+  /**
+   * POST /evaluate
+   *
+   * ボディ: { proposal, rubrics?, proposalId? }
+   *
+   * @param {http.IncomingMessage} req - リクエスト
+   * @returns {Promise<Object>} 200 と評価結果
+   */
+  async handleEvaluate(req) {
+    const body = await this.readJson(req);
+
+    if (!body.proposal || typeof body.proposal !== 'object') {
+      throw new HttpError(400, 'proposal is required');
+    }
+
+    const approval = await this.getApproval();
+    const result = await approval.evaluate(body.proposal, {
+      rubrics: body.rubrics,
+      proposalId: body.proposalId
+    });
+
+    return { status: 200, body: result };
+  }
+
+  /**
+   * ZeroHumanApproval を初回利用時に初期化
+   *
+   * モジュール読み込み時にファイルロガーが起動するため動的 import する
+   *
+   * @returns {Promise<Object>} 初期化済み ZeroHumanApproval
+   */
+  async getApproval() {
+    if (!this.approval) {
+      const { ZeroHumanApproval } = await import('../evaluation/ZeroHumanApproval.js');
+      const approval = new ZeroHumanApproval();
+      await approval.initialize();
+      this.approval = approval;
+    }
+
+    return this.approval;
+  }
+
+  /**
+   * JSON ボディ読み込み
+   *
+   * @param {http.IncomingMessage} req - リクエスト
+   * @returns {Promise<Object>} パース済みボディ (空の場合は {})
+   * @throws {HttpError} JSON でない、またはオブジェクトでない場合は 400
+   */
+  async readJson(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+
+      if (size > MAX_BODY_SIZE) {
+        throw new HttpError(413, 'Request body too large');
+      }
+
+      chunks.push(chunk);
+    }
+
+    const raw = Buffer.concat(chunks).toString('utf-8');
+
+    if (raw.trim() === '') {
+      return {};
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'JSON body must be an object');
+    }
+
+    return body;
+  }
+
+  /**
+   * JSON レスポンス送信
+   *
+   * @param {http.ServerResponse} res - レスポンス
+   * @param {number} status - ステータスコード
+   * @param {Object} body - レスポンスボディ
+   */
+  sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+}
+
+export default ApiServer;
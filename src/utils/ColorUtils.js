@@ -0,0 +1,412 @@
+/**
+ * @file ColorUtils.js
+ * @description カラー変換と WCAG 2.1 コントラスト計算ユーティリティ
+ * @responsibilities
+ * - HEX / RGB / HSL 相互変換
+ * - 相対輝度とコントラスト比の算出 (WCAG 2.1)
+ * - AA / AAA (通常テキスト・大きいテキスト) の判定
+ * - 色覚多様性 (P / D / T 型) のシミュレーション
+ * - CIELAB 変換と CIEDE2000 色差
+ *
+ * @module ColorUtils
+ * @version 1.0.0
+ */
+
+/**
+ * WCAG 2.1 コントラスト比の基準値
+ * @enum {Object}
+ */
+export const WCAG_CONTRAST = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+/**
+ * 色覚シミュレーションの種類
+ * @enum {string}
+ */
+export const CVDType = {
+  PROTANOPIA: 'protanopia',     // 1 型 (赤)
+  DEUTERANOPIA: 'deuteranopia', // 2 型 (緑)
+  TRITANOPIA: 'tritanopia'      // 3 型 (青)
+};
+
+/**
+ * Machado et al. (2009) の重度 1.0 シミュレーション行列 (線形 RGB に適用)
+ */
+const CVD_MATRICES = {
+  [CVDType.PROTANOPIA]: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  [CVDType.DEUTERANOPIA]: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  [CVDType.TRITANOPIA]: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]
+};
+
+/**
+ * D65 白色点 (CIELAB 変換用)
+ */
+const D65 = { x: 0.95047, y: 1, z: 1.08883 };
+
+/**
+ * HEX カラーを RGB に変換
+ *
+ * #RGB / #RRGGBB 形式に対応
+ *
+ * @param {string} hex - HEX カラー
+ * @returns {{r: number, g: number, b: number}} 0-255
+ * @throws {Error} 不正な HEX の場合
+ */
+export function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+
+  if (!match) {
+    throw new Error(`不正なカラー値です: ${hex}`);
+  }
+
+  const value = match[1].length === 3
+    ? match[1].split('').map(c => c + c).join('')
+    : match[1];
+
+  return {
+    r: parseInt(value.slice(0, 2), 16),
+    g: parseInt(value.slice(2, 4), 16),
+    b: parseInt(value.slice(4, 6), 16)
+  };
+}
+
+/**
+ * RGB を HEX カラー (#RRGGBB 大文字) に変換
+ *
+ * @param {{r: number, g: number, b: number}} rgb - 0-255
+ * @returns {string}
+ */
+export function rgbToHex({ r, g, b }) {
+  const channel = (value) => Math.round(Math.min(255, Math.max(0, value)))
+    .toString(16)
+    .padStart(2, '0');
+
+  return `#${channel(r)}${channel(g)}${channel(b)}`.toUpperCase();
+}
+
+/**
+ * RGB を HSL に変換
+ *
+ * @param {{r: number, g: number, b: number}} rgb - 0-255
+ * @returns {{h: number, s: number, l: number}} h: 0-360, s/l: 0-100
+ */
+export function rgbToHsl({ r, g, b }) {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+
+  if (max === min) {
+    return { h: 0, s: 0, l: l * 100 };
+  }
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+
+  switch (max) {
+    case rn:
+      h = (gn - bn) / d + (gn < bn ? 6 : 0);
+      break;
+    case gn:
+      h = (bn - rn) / d + 2;
+      break;
+    default:
+      h = (rn - gn) / d + 4;
+  }
+
+  return { h: h * 60, s: s * 100, l: l * 100 };
+}
+
+/**
+ * HSL を RGB に変換
+ *
+ * @param {{h: number, s: number, l: number}} hsl - h: 0-360, s/l: 0-100
+ * @returns {{r: number, g: number, b: number}} 0-255
+ */
+export function hslToRgb({ h, s, l }) {
+  const sn = s / 100;
+  const ln = l / 100;
+
+  if (sn === 0) {
+    return { r: ln * 255, g: ln * 255, b: ln * 255 };
+  }
+
+  const q = ln < 0.5 ? ln * (1 + sn) : ln + sn - ln * sn;
+  const p = 2 * ln - q;
+  const hn = (((h % 360) + 360) % 360) / 360;
+
+  const hueToChannel = (t) => {
+    let tn = t;
+    if (tn < 0) tn += 1;
+    if (tn > 1) tn -= 1;
+    if (tn < 1 / 6) return p + (q - p) * 6 * tn;
+    if (tn < 1 / 2) return q;
+    if (tn < 2 / 3) return p + (q - p) * (2 / 3 - tn) * 6;
+    return p;
+  };
+
+  return {
+    r: hueToChannel(hn + 1 / 3) * 255,
+    g: hueToChannel(hn) * 255,
+    b: hueToChannel(hn - 1 / 3) * 255
+  };
+}
+
+/**
+ * HSL の明度を増減
+ *
+ * @param {string} hex - HEX カラー
+ * @param {number} amount - 明度の増減量 (ポイント、-100〜100)
+ * @returns {string} HEX カラー
+ */
+export function adjustLightness(hex, amount) {
+  const hsl = rgbToHsl(hexToRgb(hex));
+  const l = Math.min(100, Math.max(0, hsl.l + amount));
+
+  return rgbToHex(hslToRgb({ ...hsl, l }));
+}
+
+/**
+ * 相対輝度 (WCAG 2.1 定義)
+ *
+ * @param {string} hex - HEX カラー
+ * @returns {number} 0 (黒) 〜 1 (白)
+ */
+export function relativeLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+
+  return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
+}
+
+/**
+ * sRGB チャンネル (0-255) を線形値 (0-1) に変換
+ *
+ * @param {number} value - sRGB チャンネル
+ * @returns {number}
+ */
+function toLinear(value) {
+  const c = value / 255;
+  return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * 線形値 (0-1) を sRGB チャンネル (0-255) に変換
+ *
+ * @param {number} value - 線形値
+ * @returns {number}
+ */
+function fromLinear(value) {
+  const c = Math.min(1, Math.max(0, value));
+  return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+/**
+ * コントラスト比
+ *
+ * @param {string} foreground - 前景色 (HEX)
+ * @param {string} background - 背景色 (HEX)
+ * @returns {number} 1 〜 21
+ */
+export function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground);
+  const l2 = relativeLuminance(background);
+
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * コントラスト比と WCAG 判定
+ *
+ * 判定は丸める前の比で行う (WCAG は四捨五入を認めない)
+ *
+ * @param {string} foreground - 前景色 (HEX)
+ * @param {string} background - 背景色 (HEX)
+ * @returns {{ratio: number, label: string, aa: {normal: boolean, large: boolean}, aaa: {normal: boolean, large: boolean}}}
+ */
+export function evaluateContrast(foreground, background) {
+  const ratio = contrastRatio(foreground, background);
+  const rounded = Math.floor(ratio * 100) / 100;
+
+  return {
+    ratio: rounded,
+    label: `${rounded}:1`,
+    aa: {
+      normal: ratio >= WCAG_CONTRAST.AA.normal,
+      large: ratio >= WCAG_CONTRAST.AA.large
+    },
+    aaa: {
+      normal: ratio >= WCAG_CONTRAST.AAA.normal,
+      large: ratio >= WCAG_CONTRAST.AAA.large
+    }
+  };
+}
+
+/**
+ * 色覚多様性のシミュレーション
+ *
+ * @param {string} hex - HEX カラー
+ * @param {CVDType} type - シミュレーション種別
+ * @returns {string} シミュレーション後の HEX カラー
+ * @throws {Error} 未知の種別の場合
+ */
+export function simulateColorVision(hex, type) {
+  const matrix = CVD_MATRICES[type];
+
+  if (!matrix) {
+    throw new Error(`未知の色覚シミュレーション種別: ${type}`);
+  }
+
+  const { r, g, b } = hexToRgb(hex);
+  const linear = [toLinear(r), toLinear(g), toLinear(b)];
+  const [sr, sg, sb] = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+
+  return rgbToHex({ r: fromLinear(sr), g: fromLinear(sg), b: fromLinear(sb) });
+}
+
+/**
+ * HEX カラーを CIELAB (D65) に変換
+ *
+ * @param {string} hex - HEX カラー
+ * @returns {{L: number, a: number, b: number}}
+ */
+export function hexToLab(hex) {
+  const rgb = hexToRgb(hex);
+  const r = toLinear(rgb.r);
+  const g = toLinear(rgb.g);
+  const b = toLinear(rgb.b);
+
+  const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / D65.x;
+  const y = (0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / D65.y;
+  const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / D65.z;
+
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * CIEDE2000 色差
+ *
+ * Sharma, Wu, Dalal (2005) の実装ノートに準拠
+ *
+ * @param {{L: number, a: number, b: number}} lab1 - CIELAB
+ * @param {{L: number, a: number, b: number}} lab2 - CIELAB
+ * @returns {number} ΔE00
+ */
+export function ciede2000(lab1, lab2) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const deg = (r) => r * 180 / Math.PI;
+
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cBar = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(Math.pow(cBar, 7) / (Math.pow(cBar, 7) + Math.pow(25, 7))));
+
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => (b === 0 && a === 0 ? 0 : (deg(Math.atan2(b, a)) + 360) % 360);
+  const hp1 = hue(lab1.b, a1);
+  const hp2 = hue(lab2.b, a2);
+
+  const dL = lab2.L - lab1.L;
+  const dC = cp2 - cp1;
+  let dh = 0;
+  if (cp1 * cp2 !== 0) {
+    dh = hp2 - hp1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(rad(dh / 2));
+
+  const lBar = (lab1.L + lab2.L) / 2;
+  const cpBar = (cp1 + cp2) / 2;
+  let hBar = hp1 + hp2;
+  if (cp1 * cp2 !== 0) {
+    if (Math.abs(hp1 - hp2) <= 180) hBar = (hp1 + hp2) / 2;
+    else if (hp1 + hp2 < 360) hBar = (hp1 + hp2 + 360) / 2;
+    else hBar = (hp1 + hp2 - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos(rad(hBar - 30))
+    + 0.24 * Math.cos(rad(2 * hBar))
+    + 0.32 * Math.cos(rad(3 * hBar + 6))
+    - 0.20 * Math.cos(rad(4 * hBar - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((hBar - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(Math.pow(cpBar, 7) / (Math.pow(cpBar, 7) + Math.pow(25, 7)));
+  const sl = 1 + (0.015 * Math.pow(lBar - 50, 2)) / Math.sqrt(20 + Math.pow(lBar - 50, 2));
+  const sc = 1 + 0.045 * cpBar;
+  const sh = 1 + 0.015 * cpBar * t;
+  const rt = -Math.sin(rad(2 * dTheta)) * rc;
+
+  return Math.sqrt(
+    Math.pow(dL / sl, 2)
+    + Math.pow(dC / sc, 2)
+    + Math.pow(dH / sh, 2)
+    + rt * (dC / sc) * (dH / sh)
+  );
+}
+
+/**
+ * HEX カラー間の CIEDE2000 色差
+ *
+ * @param {string} hexA - HEX カラー
+ * @param {string} hexB - HEX カラー
+ * @returns {number} ΔE00
+ */
+export function deltaE2000(hexA, hexB) {
+  return ciede2000(hexToLab(hexA), hexToLab(hexB));
+}
+
+/**
+ * HSL の色相を回転
+ *
+ * @param {string} hex - HEX カラー
+ * @param {number} degrees - 回転角 (度)
+ * @returns {string} HEX カラー
+ */
+export function rotateHue(hex, degrees) {
+  const hsl = rgbToHsl(hexToRgb(hex));
+
+  return rgbToHex(hslToRgb({ ...hsl, h: (((hsl.h + degrees) % 360) + 360) % 360 }));
+}
+
+export default {
+  WCAG_CONTRAST,
+  CVDType,
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  hslToRgb,
+  adjustLightness,
+  relativeLuminance,
+  contrastRatio,
+  evaluateContrast,
+  simulateColorVision,
+  hexToLab,
+  ciede2000,
+  deltaE2000,
+  rotateHue
+};
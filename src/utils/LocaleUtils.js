@@ -0,0 +1,464 @@
+/**
+ * @file LocaleUtils.js
+ * @description 日本語 / 英語コピーのロケール処理ユーティリティ
+ * @responsibilities
+ * - ロケール判定と全角換算の文字数計測
+ * - 日本語の文末の丁寧さ (です・ます / 常体) の判定と変換
+ * - 言葉遊び (反復・擬音語・頭韻・脚韻) の検出
+ * - ロケール別の文化適合性 (culturalFit) レポートとロケール間の意味・言葉遊びの引き継ぎ検査
+ *
+ * @module LocaleUtils
+ * @version 1.0.0
+ */
+
+/**
+ * 対応ロケール
+ * @enum {string}
+ */
+export const Locale = {
+  JA: 'ja',
+  EN: 'en'
+};
+
+/**
+ * 日本語の丁寧さ
+ * @enum {string}
+ */
+export const Politeness = {
+  POLITE: 'polite', // です・ます調
+  PLAIN: 'plain'    // 常体 (だ・である / 辞書形)
+};
+
+const JAPANESE_SCRIPT = /[぀-ヿ㐀-鿿ｦ-ﾟ]/;
+const KANJI_RUN = /[㐀-鿿々]{8,}/;
+const HALF_WIDTH = /[ -~｡-ﾟ]/;
+const TRAILING_PUNCTUATION = /[。．.！!？?」』）)\s]+$/;
+
+/**
+ * 五段活用の語尾 (u 段 → i 段)
+ */
+const GODAN_STEMS = { う: 'い', く: 'き', ぐ: 'ぎ', す: 'し', つ: 'ち', ぬ: 'に', ぶ: 'び', む: 'み', る: 'り' };
+const GODAN_VOLITIONAL = { お: 'い', こ: 'き', ご: 'ぎ', そ: 'し', と: 'ち', の: 'に', ぼ: 'び', も: 'み', ろ: 'り' };
+
+/**
+ * 一段活用と判定する i 段・e 段の仮名 (る の直前)
+ */
+const ICHIDAN_KANA = 'いきぎしじちぢにひびぴみりえけげせぜてでねへべぺめれ';
+
+/**
+ * 例外: i 段・e 段 + る でも五段活用の動詞 / 漢字 + る でも一段活用の動詞
+ */
+const GODAN_RU_EXCEPTIONS = ['帰る', '走る', '知る', '入る', '切る', '要る', '限る', '減る', '滑る', '照る', '蹴る', '参る', 'しゃべる'];
+const ICHIDAN_KANJI_RU = ['見る', '居る', '寝る', '着る', '似る', '煮る', '出る', '得る', '経る'];
+
+/**
+ * i 段で終わる一段活用の語幹 (ます形 → 辞書形の変換用)
+ */
+const ICHIDAN_I_STEMS = ['でき', '生き', '起き', '信じ', '感じ', '見', '居', '着', '似', '借り', '降り', '浴び', '伸び', '満ち', '落ち', '閉じ', '過ぎ'];
+
+/**
+ * 語尾の変換表 (先頭から順に照合)
+ */
+const TO_POLITE = [
+  [/(ありがとう|おめでとう)$/, '$1ございます'],
+  [/ではない$/, 'ではありません'],
+  [/だろう$/, 'でしょう'],
+  [/である$/, 'です'],
+  [/だった$/, 'でした'],
+  [/だ$/, 'です'],
+  [/しない$/, 'しません'],
+  [/できない$/, 'できません'],
+  [/しよう$/, 'しましょう'],
+  [/する$/, 'します'],
+  [/(しい|たい|よい|いい|さい|きい|かい|ない)$/, '$1です']
+];
+
+const TO_PLAIN = [
+  [/(ありがとう|おめでとう)ございます$/, '$1'],
+  [/ではありません$/, 'ではない'],
+  [/でしょう$/, 'だろう'],
+  [/でした$/, 'だった'],
+  [/(しい|たい|よい|いい|さい|きい|かい|ない)です$/, '$1'],
+  [/です$/, 'だ'],
+  [/しません$/, 'しない'],
+  [/できません$/, 'できない'],
+  [/しましょう$/, 'しよう'],
+  [/します$/, 'する'],
+  [/できます$/, 'できる']
+];
+
+/**
+ * 和製英語など、英語では意味が変わる語
+ */
+const FALSE_FRIENDS = {
+  naive: '英語では「世間知らず」の意味 (日本語の「繊細」ではない)',
+  mansion: '英語では「大邸宅」の意味 (集合住宅は apartment / condo)',
+  claim: '英語では「主張・請求」の意味 (苦情は complaint)',
+  tension: '英語では「緊張・対立」の意味 (盛り上がりは excitement)',
+  salaryman: '英語圏では日本特有の俗語として受け取られる',
+  skinship: '英語では通じない和製英語'
+};
+
+const EN_STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'we', 'our', 'you', 'your', 'is', 'are', 'be', 'it', 'let\'s', 'by', 'at', 'as']);
+
+/**
+ * 問題の重み (score = 1 - Σ重み)
+ */
+const ISSUE_WEIGHTS = { major: 0.5, minor: 0.2 };
+
+/**
+ * テキストのロケールを判定 (仮名・漢字を含めば日本語)
+ *
+ * @param {string} text - テキスト
+ * @returns {Locale}
+ */
+export function detectLocale(text) {
+  return JAPANESE_SCRIPT.test(text || '') ? Locale.JA : Locale.EN;
+}
+
+/**
+ * 全角換算の文字数 (半角英数・記号・半角カナは 0.5 文字)
+ *
+ * @param {string} text - テキスト
+ * @returns {number}
+ */
+export function measureFullWidth(text) {
+  return [...(text || '')].reduce((sum, char) => sum + (HALF_WIDTH.test(char) ? 0.5 : 1), 0);
+}
+
+/**
+ * 英語の音節数 (母音のまとまりで近似)
+ *
+ * @param {string} text - テキスト
+ * @returns {number}
+ */
+export function countSyllables(text) {
+  return englishWords(text).reduce((sum, word) => {
+    const groups = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').match(/[aeiouy]+/g);
+    return sum + Math.max(1, groups ? groups.length : 0);
+  }, 0);
+}
+
+/**
+ * コピーの長さとリズムを全角換算で計測
+ *
+ * 日本語とコピーの評価しきい値を共有するため、英語は 1 語 = 全角 2.5 文字、
+ * 1 音節 = 1.5 拍 (全角 1 文字 ≒ 1 拍) に換算する
+ *
+ * @param {string} text - テキスト
+ * @param {Locale} [locale] - ロケール (省略時は判定)
+ * @returns {{locale: string, length: number, beats: number}}
+ */
+export function measureCopy(text, locale = detectLocale(text)) {
+  if (locale === Locale.JA) {
+    const length = measureFullWidth(text);
+    return { locale, length, beats: length };
+  }
+  return {
+    locale,
+    length: englishWords(text).length * 2.5,
+    beats: countSyllables(text) * 1.5
+  };
+}
+
+/**
+ * 英単語に分割 (小文字・記号除去)
+ *
+ * @param {string} text - テキスト
+ * @returns {string[]}
+ */
+function englishWords(text) {
+  return (text || '').toLowerCase().match(/[a-z][a-z']*/g) || [];
+}
+
+/**
+ * 文に分割 (末尾の句読点付き)
+ *
+ * @param {string} text - テキスト
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+  return (text.match(/[^。！？!?]+[。！？!?」』]*/g) || []).filter(sentence => sentence.trim());
+}
+
+/**
+ * 文末の丁寧さを判定
+ *
+ * @param {string} sentence - 1 文
+ * @returns {Politeness|null} 体言止めなど判定できない場合は null
+ */
+function sentencePoliteness(sentence) {
+  const body = sentence.replace(TRAILING_PUNCTUATION, '');
+  if (/(です|ます|ました|でした|ません|ましょう|ください|でしょう)$/.test(body)) {
+    return Politeness.POLITE;
+  }
+  if (/(だ|である|だった|ではない|だろう|よう|[うくぐすつぬぶむる]|[おこごそとのぼもろ]う|ない)$/.test(body)) {
+    return Politeness.PLAIN;
+  }
+  return null;
+}
+
+/**
+ * テキストの丁寧さを判定
+ *
+ * @param {string} text - テキスト
+ * @returns {'polite'|'plain'|'mixed'|'neutral'}
+ */
+export function detectPoliteness(text) {
+  const levels = new Set(splitSentences(text || '').map(sentencePoliteness).filter(Boolean));
+  if (levels.size === 0) return 'neutral';
+  if (levels.size > 1) return 'mixed';
+  return [...levels][0];
+}
+
+/**
+ * 常体の文末をです・ます調に変換
+ *
+ * @param {string} body - 句読点を除いた文
+ * @returns {string}
+ */
+function toPolite(body) {
+  for (const [pattern, replacement] of TO_POLITE) {
+    if (pattern.test(body)) return body.replace(pattern, replacement);
+  }
+
+  // 意向形 (始めよう → 始めましょう、進もう → 進みましょう)
+  const volitional = body.match(/(.)(よう|う)$/);
+  if (volitional?.[2] === 'よう' && ICHIDAN_KANA.includes(volitional[1])) {
+    return `${body.slice(0, -2)}ましょう`;
+  }
+  if (volitional?.[2] === 'う' && GODAN_VOLITIONAL[volitional[1]]) {
+    return `${body.slice(0, -2)}${GODAN_VOLITIONAL[volitional[1]]}ましょう`;
+  }
+
+  // 辞書形 (つくる → つくります、届ける → 届けます)
+  const last = body.slice(-1);
+  if (last === 'る') {
+    const before = body.slice(-2, -1);
+    const ichidan = ICHIDAN_KANJI_RU.some(verb => body.endsWith(verb)) ||
+      (ICHIDAN_KANA.includes(before) && !GODAN_RU_EXCEPTIONS.some(verb => body.endsWith(verb)));
+    return ichidan ? `${body.slice(0, -1)}ます` : `${body.slice(0, -1)}ります`;
+  }
+  if (GODAN_STEMS[last] && /[぀-ゟ㐀-鿿]/.test(body.slice(-2, -1))) {
+    return `${body.slice(0, -1)}${GODAN_STEMS[last]}ます`;
+  }
+
+  return body;
+}
+
+/**
+ * です・ます調の文末を常体に変換
+ *
+ * @param {string} body - 句読点を除いた文
+ * @returns {string}
+ */
+function toPlain(body) {
+  for (const [pattern, replacement] of TO_PLAIN) {
+    if (pattern.test(body)) return body.replace(pattern, replacement);
+  }
+
+  const match = body.match(/^(.*?)(ましょう|ます)$/);
+  if (!match) return body;
+
+  const [, stem, ending] = match;
+  const last = stem.slice(-1);
+  const ichidan = ICHIDAN_I_STEMS.some(known => stem.endsWith(known)) || 'えけげせぜてでねへべぺめれ'.includes(last);
+  if (ichidan) {
+    return `${stem}${ending === 'ます' ? 'る' : 'よう'}`;
+  }
+
+  const godan = Object.entries(GODAN_STEMS).find(([, stemKana]) => stemKana === last);
+  if (!godan) return body;
+  if (ending === 'ます') {
+    return `${stem.slice(0, -1)}${godan[0]}`;
+  }
+  const volitional = Object.entries(GODAN_VOLITIONAL).find(([, stemKana]) => stemKana === last);
+  return `${stem.slice(0, -1)}${volitional[0]}う`;
+}
+
+/**
+ * 日本語テキストの文末を指定の丁寧さに揃える
+ *
+ * 体言止めや未対応の活用はそのまま残す
+ *
+ * @param {string} text - テキスト
+ * @param {Politeness} level - 丁寧さ
+ * @returns {string}
+ */
+export function applyPoliteness(text, level) {
+  if (!Object.values(Politeness).includes(level)) {
+    throw new Error(`未知の丁寧さです: ${level}`);
+  }
+
+  return splitSentences(text).map(sentence => {
+    const trailing = sentence.match(TRAILING_PUNCTUATION)?.[0] || '';
+    const body = sentence.slice(0, sentence.length - trailing.length);
+    if (!body || sentencePoliteness(sentence) === level) {
+      return sentence;
+    }
+    return `${level === Politeness.POLITE ? toPolite(body) : toPlain(body)}${trailing}`;
+  }).join('');
+}
+
+/**
+ * 言葉遊びを検出
+ *
+ * - ja: 反復 (「ワクワク」などの擬音語・同じ語句の繰り返し)
+ * - en: 頭韻・脚韻・語の反復
+ *
+ * @param {string} text - テキスト
+ * @param {Locale} [locale] - ロケール (省略時は判定)
+ * @returns {Array<{type: string, match: string}>}
+ */
+export function findWordplay(text, locale = detectLocale(text)) {
+  const found = [];
+
+  if (locale === Locale.JA) {
+    const onomatopoeia = text.match(/([぀-ヿ]{2})\1/);
+    if (onomatopoeia) {
+      found.push({ type: 'onomatopoeia', match: onomatopoeia[0] });
+    }
+    const repetition = text.replace(onomatopoeia?.[0] || '\0', '').match(/([぀-ヿ㐀-鿿]{2,}).+?\1/);
+    if (repetition) {
+      found.push({ type: 'repetition', match: repetition[1] });
+    }
+    return found;
+  }
+
+  const words = englishWords(text).filter(word => !EN_STOPWORDS.has(word) && word.length >= 3);
+  for (let i = 1; i < words.length; i++) {
+    if (words[i][0] === words[i - 1][0] && !/[aeiou]/.test(words[i][0])) {
+      found.push({ type: 'alliteration', match: `${words[i - 1]} ${words[i]}` });
+      break;
+    }
+  }
+  for (let i = 0; i < words.length; i++) {
+    const rhyme = words.slice(i + 1).find(word => word !== words[i] && word.slice(-3) === words[i].slice(-3));
+    if (rhyme) {
+      found.push({ type: 'rhyme', match: `${words[i]} / ${rhyme}` });
+      break;
+    }
+  }
+  const repeated = words.find((word, i) => words.indexOf(word) !== i);
+  if (repeated) {
+    found.push({ type: 'repetition', match: repeated });
+  }
+
+  return found;
+}
+
+/**
+ * ロケール別の文化適合性を評価
+ *
+ * @param {string} text - テキスト
+ * @param {Locale} [locale] - ロケール (省略時は判定)
+ * @param {Object} [options] - 評価設定
+ * @param {Politeness} [options.politeness] - 期待する丁寧さ (ja)
+ * @param {string} [options.kind] - 'tagline' | 'coreMessage'
+ * @returns {{locale: string, level: string, score: number, issues: Array<{type: string, severity: string, message: string}>}}
+ */
+export function assessCulturalFit(text, locale = detectLocale(text), options = {}) {
+  const issues = [];
+  const issue = (type, severity, message) => issues.push({ type, severity, message });
+
+  if (locale === Locale.JA) {
+    const latin = (text.match(/[A-Za-z]/g) || []).length;
+    if (latin * 0.5 > measureFullWidth(text) * 0.3) {
+      issue('mixed-script', 'minor', '英字の比率が高く、日本語として読みにくい');
+    }
+    if (KANJI_RUN.test(text)) {
+      issue('kanji-density', 'minor', '漢字が 8 文字以上続き、硬く読みにくい');
+    }
+    const politeness = detectPoliteness(text);
+    if (politeness === 'mixed') {
+      issue('mixed-politeness', 'major', '文末の「です・ます」調と常体が混在している');
+    } else if (options.politeness && politeness !== 'neutral' && politeness !== options.politeness) {
+      issue('politeness-mismatch', 'minor', `文末が指定の丁寧さ (${options.politeness}) と異なる`);
+    }
+    if (/(しろ|せよ|なさい|[えけげせぜてでねへべぺめれ]ろ)[。！!]?$/.test(text)) {
+      issue('imperative', 'minor', '命令形は日本語の広告コピーでは高圧的に受け取られやすい');
+    }
+    if (options.kind === 'tagline' && measureFullWidth(text) > 20) {
+      issue('too-long', 'minor', `タグラインが全角 ${measureFullWidth(text)} 文字で 20 文字を超えている`);
+    }
+  } else {
+    if (JAPANESE_SCRIPT.test(text)) {
+      issue('untranslated', 'major', '英語コピーに日本語が残っている');
+    }
+    for (const word of englishWords(text)) {
+      if (FALSE_FRIENDS[word]) {
+        issue('false-friend', 'major', `"${word}": ${FALSE_FRIENDS[word]}`);
+      }
+    }
+    if (/\b[A-Z]{4,}\b/.test(text)) {
+      issue('shouting', 'minor', 'すべて大文字の語は英語圏では叫んでいる印象になる');
+    }
+    if (/[!！]{2,}/.test(text)) {
+      issue('exclamation', 'minor', '感嘆符の連続は英語圏では誇張と受け取られやすい');
+    }
+    const maxWords = options.kind === 'tagline' ? 8 : 25;
+    if (englishWords(text).length > maxWords) {
+      issue('too-long', 'minor', `${englishWords(text).length} 語で ${maxWords} 語を超えている`);
+    }
+  }
+
+  const score = Math.max(0, 1 - issues.reduce((sum, { severity }) => sum + ISSUE_WEIGHTS[severity], 0));
+  const level = score >= 0.8 ? 'high' : score >= 0.5 ? 'moderate' : 'low';
+
+  return { locale, level, score: Math.round(score * 100) / 100, issues };
+}
+
+/**
+ * ロケール間で意味と言葉遊びが引き継がれているかを検査
+ *
+ * Values は各ロケールの Foundation で同じ順序に並んでいる前提で対応付ける
+ *
+ * @param {{locale: string, text: string, foundation: Object}} source - 元のコピー
+ * @param {{locale: string, text: string, foundation: Object}} target - 対応する別ロケールのコピー
+ * @returns {Array<{type: string, message: string}>}
+ */
+export function checkCrossLocale(source, target) {
+  const issues = [];
+  const contains = (copy, term) => Boolean(term) &&
+    (copy.locale === Locale.EN ? copy.text.toLowerCase().includes(String(term).toLowerCase()) : copy.text.includes(term));
+
+  // 言葉遊びは翻訳すると失われやすい
+  const targetTypes = new Set(findWordplay(target.text, target.locale).map(({ type }) => type));
+  for (const { type, match } of findWordplay(source.text, source.locale)) {
+    if (!targetTypes.has(type)) {
+      issues.push({
+        type: 'wordplay-lost',
+        message: `${source.locale} の言葉遊び (${type}: ${match}) が ${target.locale} に引き継がれていない`
+      });
+    }
+  }
+
+  // Values の対応 (片方だけに現れる価値語は意味のずれ)
+  const sourceValues = source.foundation?.values || [];
+  const targetValues = target.foundation?.values || [];
+  sourceValues.forEach((value, i) => {
+    const translated = targetValues[i];
+    if (translated && contains(source, value) !== contains(target, translated)) {
+      const [present, missing] = contains(source, value)
+        ? [`${source.locale}「${value}」`, `${target.locale}「${translated}」`]
+        : [`${target.locale}「${translated}」`, `${source.locale}「${value}」`];
+      issues.push({ type: 'meaning-drift', message: `${present} に対応する ${missing} が含まれていない` });
+    }
+  });
+
+  return issues;
+}
+
+export default {
+  Locale,
+  Politeness,
+  detectLocale,
+  measureFullWidth,
+  countSyllables,
+  measureCopy,
+  detectPoliteness,
+  applyPoliteness,
+  findWordplay,
+  assessCulturalFit,
+  checkCrossLocale
+};
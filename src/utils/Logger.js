@@ -82,11 +82,13 @@ export class Logger {
    */
   _startBufferFlush() {
     // 10 秒ごとにバッファをファイルに書き込み
+    // (モジュールレベルのロガーがプロセスの終了を妨げないよう unref する)
     this.flushInterval = setInterval(() => {
       this.flush().catch(err => {
         console.error('ログフラッシュエラー:', err);
       });
     }, 10000);
+    this.flushInterval.unref();
   }
 
   /**
@@ -0,0 +1,48 @@
+/**
+ * テスト用の評価バックエンド
+ *
+ * Rubric の全評価項目に同じスコアを返す。delay ミリ秒待ってから応答し、
+ * 最初の failures 回は失敗、hang: true なら応答しない。available: false なら利用不可として扱われる
+ */
+
+import { EvaluatorBackend } from '../../src/evaluation/EvaluatorBackends.js';
+
+export class FixedScoreBackend extends EvaluatorBackend {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.name - モデル名
+   * @param {number} [options.score=92] - 返すスコア
+   * @param {number} [options.delay=0] - 応答までの待機時間 (ms)
+   * @param {number} [options.failures=0] - 失敗させる呼び出し回数
+   * @param {boolean} [options.hang=false] - 応答しない
+   * @param {boolean} [options.available=true] - isAvailable() の戻り値
+   */
+  constructor(options) {
+    super(options);
+    this.score = options.score ?? 92;
+    this.delay = options.delay || 0;
+    this.failures = options.failures || 0;
+    this.hang = options.hang || false;
+    this.available = options.available ?? true;
+    this.calls = 0;
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  async evaluate({ rubrics }) {
+    this.calls++;
+    if (this.hang) return new Promise(() => {});
+    if (this.delay > 0) await new Promise(resolve => setTimeout(resolve, this.delay));
+    if (this.calls <= this.failures) throw new Error(`${this.name} unavailable`);
+
+    const evaluation = {};
+    for (const [rubricName, rubric] of Object.entries(rubrics)) {
+      evaluation[rubricName] = Object.fromEntries(
+        Object.keys(rubric.properties).map(criterion => [criterion, { score: this.score, reason: this.name }])
+      );
+    }
+    return { ...evaluation, overall: this.score };
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * ApiServer ユニットテスト
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { ApiServer } from '../../src/server/ApiServer.js';
+import { CoordinatorAgent } from '../../src/agents/support/CoordinatorAgent.js';
+import { AgentState } from '../../src/agents/base/BaseAgent.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const TEST_DIR = path.join(process.cwd(), 'tests/fixtures/api_server_test');
+
+const HEARING = {
+  purpose: '信頼できる技術で未来をつくる',
+  values: ['誠実さ', '革新性'],
+  notAxis: ['妥協'],
+  targetAudience: { description: '中小企業の経営者' },
+  tone: { voice: 'professional' },
+  positioning: '信頼できる DX パートナー'
+};
+
+describe('ApiServer', () => {
+  let server;
+  let baseUrl;
+  let evaluated;
+
+  const request = async (method, pathname, body) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : body && JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    // CoordinatorAgent の console 出力はテストランナーのシリアライズを壊すため抑制
+    mock.method(console, 'log', () => {});
+
+    const logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    evaluated = [];
+
+    server = new ApiServer({
+      logger,
+      port: 0,
+      host: '127.0.0.1',
+      coordinator: new CoordinatorAgent({
+        logger,
+        registryPath: path.join(TEST_DIR, 'agent_registry.json'),
+        workflowLogPath: path.join(TEST_DIR, 'workflows.json')
+      }),
+      approval: {
+        async evaluate(proposal, options) {
+          evaluated.push({ proposal, options });
+          return { brandName: proposal.brandName, approvalDecision: { status: 'AUTO_APPROVED' } };
+        }
+      }
+    });
+
+    const port = await server.start();
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    mock.restoreAll();
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should report healthy agents', async () => {
+    const { status, body } = await request('GET', '/health');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ok');
+    assert.deepStrictEqual(Object.keys(body.agents), Object.keys(server.pipeline.agents));
+  });
+
+  it('should return 503 when an agent is unhealthy', async () => {
+    server.pipeline.agents.logo.state = AgentState.ERROR;
+
+    const { status, body } = await request('GET', '/health');
+
+    assert.strictEqual(status, 503);
+    assert.strictEqual(body.status, 'degraded');
+    assert.strictEqual(body.agents.logo.healthy, false);
+  });
+
+  it('should build a brand package', async () => {
+    const { status, body } = await request('POST', '/brands', { hearing: HEARING });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.brandPackage.estack.foundation.purpose, HEARING.purpose);
+    assert.ok(body.brandPackage.copy.taglines.length > 0);
+  });
+
+  it('should reject invalid brand requests', async () => {
+    assert.strictEqual((await request('POST', '/brands', {})).status, 400);
+
+    const invalid = await request('POST', '/brands', '{ not json');
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /Invalid JSON body/);
+
+    for (const body of ['null', '[]', '42']) {
+      const notObject = await request('POST', '/brands', body);
+      assert.strictEqual(notObject.status, 400);
+      assert.match(notObject.body.error, /JSON body must be an object/);
+    }
+    assert.strictEqual((await request('POST', '/evaluate', 'null')).status, 400);
+  });
+
+  it('should return workflow status', async () => {
+    const workflow = await server.coordinator.createWorkflow({
+      name: 'api',
+      steps: [{ id: 'structure', type: 'brand_structure' }]
+    });
+
+    const found = await request('GET', `/workflows/${workflow.id}`);
+    assert.strictEqual(found.status, 200);
+    assert.strictEqual(found.body.id, workflow.id);
+    assert.strictEqual(found.body.status, 'created');
+
+    const missing = await request('GET', '/workflows/WF-missing');
+    assert.strictEqual(missing.status, 404);
+
+    const malformed = await request('GET', '/workflows/%E0%A4%A');
+    assert.strictEqual(malformed.status, 400);
+    assert.match(malformed.body.error, /Malformed URL path/);
+  });
+
+  it('should evaluate proposals', async () => {
+    const { status, body } = await request('POST', '/evaluate', {
+      proposal: { brandName: 'Acme' },
+      rubrics: ['BrandConsistencyRubric']
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.approvalDecision.status, 'AUTO_APPROVED');
+    assert.deepStrictEqual(evaluated[0].options.rubrics, ['BrandConsistencyRubric']);
+    assert.strictEqual((await request('POST', '/evaluate', {})).status, 400);
+  });
+
+  it('should reject malformed request targets and keep serving', async () => {
+    // fetch は URL を正規化するため http.request で生のリクエストターゲットを送る
+    const { status, body } = await new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}/health`, { path: '//' }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /Malformed request target/);
+    assert.strictEqual((await request('GET', '/health')).status, 200);
+  });
+
+  it('should answer unknown routes and methods', async () => {
+    assert.strictEqual((await request('GET', '/unknown')).status, 404);
+    assert.strictEqual((await request('DELETE', '/health')).status, 405);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * BrandCopyLinter ユニットテスト
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { BrandCopyLinter, LintRule, LintSeverity } from '../../src/protocols/BrandCopyLinter.js';
+import { lintFiles, formatResults } from '../../src/cli/brand-lint.js';
+import { CopyAgent } from '../../src/agents/core/CopyAgent.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'brand_lint_test');
+
+const ESTACK = {
+  foundation: {
+    purpose: '誠実な対話で信頼を築く',
+    values: ['誠実', '品質'],
+    notAxis: ['妥協', '安さ']
+  },
+  structure: {
+    tone: { voice: 'professional' }
+  }
+};
+
+const summarize = diagnostics => diagnostics.map(d => `${d.line}:${d.column} ${d.rule} ${d.excerpt}`);
+
+describe('BrandCopyLinter', () => {
+  let copy;
+  let linter;
+
+  before(async () => {
+    const logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    copy = await new CopyAgent({ logger }).process({ estack: ESTACK, target: 'voice' });
+    linter = BrandCopyLinter.fromBrandPackage({ copy, estack: ESTACK }, { logger });
+  });
+
+  after(async () => {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  it('should flag banned phrasing with line and column positions', () => {
+    const result = linter.lint('品質には自信があります。\n決して妥協せず、安さより価値を届けます。');
+
+    assert.deepStrictEqual(summarize(result.diagnostics), [
+      '2:4 banned-phrase 妥協',
+      '2:9 banned-phrase 安さ'
+    ]);
+    assert.deepStrictEqual(result.diagnostics[0], {
+      rule: LintRule.BANNED_PHRASE,
+      severity: LintSeverity.ERROR,
+      message: '禁止表現「妥協」が含まれています (NOT Axis (ブランドが否定する価値))',
+      line: 2,
+      column: 4,
+      endLine: 2,
+      endColumn: 6,
+      excerpt: '妥協'
+    });
+    assert.strictEqual(result.passed, false);
+
+    const custom = BrandCopyLinter.fromBrandPackage({ copy }, {
+      bannedPhrases: [{ phrase: 'Cheap', reason: '価格訴求はしない' }]
+    });
+    assert.deepStrictEqual(
+      custom.lint('A cheap plan').diagnostics.map(d => [d.column, d.message]),
+      [[3, '禁止表現「cheap」が含まれています (価格訴求はしない)']]
+    );
+  });
+
+  it('should report tone drift against the toneMap context', () => {
+    const text = '障害が発生しました！\nすぐ直るので安心してほしいっす🙏 最高のサポート体制です。';
+
+    const crisis = linter.lint(text, { context: 'crisis' });
+    assert.deepStrictEqual(summarize(crisis.diagnostics.filter(d => d.rule === LintRule.TONE_DRIFT)), [
+      '1:10 tone-drift ！',
+      '2:14 tone-drift っす',
+      '2:16 tone-drift 🙏',
+      '2:19 tone-drift 最高'
+    ]);
+    assert.match(crisis.diagnostics.find(d => d.excerpt === 'っす').message, /コンテキスト「crisis」は formal なトーン/);
+
+    // marketing は高エネルギーなので感嘆符と絵文字は許容される
+    const marketing = linter.lint(text, { context: 'marketing' });
+    assert.deepStrictEqual(
+      summarize(marketing.diagnostics.filter(d => d.rule === LintRule.TONE_DRIFT)),
+      ['2:14 tone-drift っす']
+    );
+
+    assert.throws(() => linter.lint(text, { context: 'press' }), /未知のコンテキストです: press/);
+  });
+
+  it('should enforce linguisticStyle and clarity', () => {
+    const longSentence = 'この新しいプラットフォームは、既存の業務システムとの連携、データの一元管理、' +
+      'そして各種セキュリティ要件への確実な対応を、導入初期から同時に実現するために設計されています。';
+    const result = linter.lint([
+      '私たちは約束を守ります。品質こそが信頼の基盤だ。',
+      '本当ですか？？ 詳しくはこちら.',
+      longSentence
+    ].join('\n'));
+
+    assert.deepStrictEqual(summarize(result.diagnostics), [
+      '1:13 linguistic-style 品質こそが信頼の基盤だ。',
+      '2:6 linguistic-style ？？',
+      '2:16 linguistic-style .',
+      `3:1 clarity ${longSentence}`
+    ]);
+    assert.match(result.diagnostics[0].message, /「です・ます」調に揃えてください/);
+    assert.strictEqual(result.diagnostics[2].severity, LintSeverity.INFO);
+    assert.match(result.diagnostics[3].message, /明瞭性が低い文です \(complex, \d+ 文字\)/);
+    assert.strictEqual(result.passed, true);
+
+    // 会話的な短文の Voice では 40 文字以上の文を指摘する
+    const friendly = new BrandCopyLinter({
+      voiceDesign: { ...copy.voiceDesign, linguisticStyle: { sentenceStructure: '会話的な短文' } }
+    });
+    const sentence = 'いつものお店の味をそのまま、ご自宅でも毎日気軽に楽しんでいただけるようになりました。';
+    assert.deepStrictEqual(summarize(friendly.lint(sentence).diagnostics), [`1:1 linguistic-style ${sentence}`]);
+  });
+
+  it('should lint files and format diagnostics for the CLI', async () => {
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+    const clean = path.join(OUTPUT_DIR, 'clean.md');
+    const dirty = path.join(OUTPUT_DIR, 'dirty.md');
+    await fs.writeFile(clean, '品質には自信があります。', 'utf-8');
+    await fs.writeFile(dirty, '# お知らせ\n妥協のない品質です。', 'utf-8');
+
+    const results = await lintFiles(linter, [clean, dirty], { context: 'announcement' });
+    assert.deepStrictEqual(results.map(result => [result.filePath, result.errorCount]), [[clean, 0], [dirty, 1]]);
+
+    const output = formatResults(results).split('\n');
+    assert.deepStrictEqual(output, [
+      `${dirty}:2:1  error    禁止表現「妥協」が含まれています (NOT Axis (ブランドが否定する価値))  banned-phrase`,
+      '❌ 1 件 (error 1 / warning 0 / info 0)'
+    ]);
+    assert.strictEqual(formatResults([results[0]]), '✅ 1 ファイルに問題はありません');
+  });
+});
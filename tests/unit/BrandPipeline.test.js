@@ -0,0 +1,114 @@
+/**
+ * BrandPipeline ユニットテスト
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { BrandPipeline, PipelineStage } from '../../src/orchestration/BrandPipeline.js';
+import { BaseAgent, AgentType } from '../../src/agents/base/BaseAgent.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const HEARING_INPUT = {
+  hearing: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実さ', '革新性', '顧客第一'],
+    notAxis: ['妥協', '停滞'],
+    targetAudience: { description: '中小企業の経営者' },
+    tone: { voice: 'professional' },
+    positioning: '中小企業向けの信頼できる DX パートナー'
+  }
+};
+
+describe('BrandPipeline', () => {
+  let logger;
+  let pipeline;
+
+  beforeEach(() => {
+    logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    pipeline = new BrandPipeline({ logger });
+  });
+
+  it('should require a logger', () => {
+    assert.throws(() => new BrandPipeline(), /ロガー/);
+  });
+
+  it('should produce a combined brand package', async () => {
+    const result = await pipeline.run(HEARING_INPUT);
+    const { brandPackage } = result;
+
+    assert.ok(result.runId.startsWith('RUN-'));
+    assert.strictEqual(brandPackage.estack.foundation.purpose, HEARING_INPUT.hearing.purpose);
+    assert.ok(brandPackage.copy.taglines.length > 0);
+    assert.ok(brandPackage.logo.concepts.length > 0);
+    assert.ok(brandPackage.logo.selectedConcept);
+    assert.ok(brandPackage.visual.viGuideline);
+    assert.ok(brandPackage.evaluation.tagline.bestCandidate);
+    assert.ok(brandPackage.evaluation.logoConcept.bestCandidate);
+  });
+
+  it('should pass the selected logo concept palette to VisualAgent', async () => {
+    const { brandPackage } = await pipeline.run(HEARING_INPUT);
+
+    assert.strictEqual(
+      brandPackage.visual.visualSystem.foundation.color.palette.primary.main,
+      brandPackage.logo.selectedConcept.styling.colorPalette.primary
+    );
+  });
+
+  it('should record timings and trace ids for every stage', async () => {
+    const { stages, metadata } = await pipeline.run(HEARING_INPUT);
+
+    const stageNames = new Set(stages.map(s => s.stage));
+    for (const stage of Object.values(PipelineStage)) {
+      assert.ok(stageNames.has(stage), `missing stage: ${stage}`);
+    }
+
+    for (const record of stages) {
+      assert.strictEqual(record.status, 'completed');
+      assert.ok(record.traceId, `missing trace id: ${record.stage}`);
+      assert.ok(record.duration >= 0);
+    }
+
+    assert.strictEqual(metadata.stageCount, stages.length);
+  });
+
+  it('should keep trace ids separate for concurrent runs', async () => {
+    const traced = [];
+    pipeline.agents.copy.on('completed', ({ traceId }) => traced.push(traceId));
+
+    const runs = await Promise.all([pipeline.run(HEARING_INPUT), pipeline.run(HEARING_INPUT)]);
+
+    for (const { runId, stages } of runs) {
+      for (const record of stages) {
+        assert.ok(record.traceId.startsWith(`${runId}/${record.stage}`), `${record.traceId} is not from ${runId}`);
+      }
+    }
+    assert.deepStrictEqual(
+      traced.sort(),
+      runs.map(({ stages }) => stages.find(record => record.stage === 'copy').traceId).sort()
+    );
+  });
+
+  it('should report the failing stage', async () => {
+    class FailingCopyAgent extends BaseAgent {
+      constructor(options) {
+        super({ ...options, type: AgentType.COPY });
+      }
+
+      async process() {
+        throw new Error('copy failure');
+      }
+    }
+
+    const failing = new BrandPipeline({
+      logger,
+      agents: { copy: new FailingCopyAgent({ logger }) }
+    });
+
+    const stageFailures = [];
+    failing.on('stageFailed', ({ stage }) => stageFailures.push(stage));
+
+    await assert.rejects(() => failing.run(HEARING_INPUT), /copy - copy failure/);
+    assert.deepStrictEqual(stageFailures, [PipelineStage.COPY]);
+  });
+});
@@ -0,0 +1,503 @@
+/**
+ * @file CoordinatorAgent.test.js
+ * @description Unit tests for CoordinatorAgent workflow execution
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CoordinatorAgent, StepTimeoutError } from '../../src/agents/support/CoordinatorAgent.js';
+import { Logger } from '../../src/utils/Logger.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+// テスト用の一時ディレクトリ
+const TEST_DIR = path.join(process.cwd(), 'tests/fixtures/coordinator_test');
+const TEST_REGISTRY = path.join(TEST_DIR, 'agent_registry.json');
+const TEST_WORKFLOW_LOG = path.join(TEST_DIR, 'workflows.json');
+
+const TEST_REGISTRY_CONTENT = {
+  version: '1.0',
+  agents: [
+    { name: 'StructureAgent', file_name: 'StructureAgent', category: 'core', status: 'registered' },
+    { name: 'CopyAgent', file_name: 'CopyAgent', category: 'core', status: 'registered' },
+    { name: 'LogoAgent', file_name: 'LogoAgent', category: 'core', status: 'registered' }
+  ]
+};
+
+const HEARING = {
+  purpose: '信頼できる技術で未来をつくる',
+  values: ['誠実さ', '革新性'],
+  notAxis: ['妥協'],
+  targetAudience: { description: '中小企業の経営者' },
+  tone: { voice: 'professional' },
+  positioning: '信頼できる DX パートナー'
+};
+
+// step id / depends_on / step_id 導入前の形式で保存されたワークフロー (1 ステップ目まで完了)
+const LEGACY_WORKFLOW = {
+  id: 'WF-legacy',
+  name: 'legacy',
+  description: '',
+  created_at: '2025-01-01T00:00:00.000Z',
+  status: 'running',
+  started_at: '2025-01-01T00:00:01.000Z',
+  steps: ['a', 'b', 'c'].map(name => ({ name, type: 'logo_design', params: { label: name } })),
+  current_step: 1,
+  results: [
+    { step_index: 0, step_name: 'a', timestamp: '2025-01-01T00:00:02.000Z', success: true, result: { label: 'a' }, error: null }
+  ],
+  metadata: {}
+};
+
+describe('CoordinatorAgent', () => {
+  let coordinator;
+
+  beforeEach(async () => {
+    // CoordinatorAgent の console 出力はテストランナーのシリアライズを壊すため抑制
+    mock.method(console, 'log', () => {});
+
+    await fs.mkdir(TEST_DIR, { recursive: true });
+    await fs.writeFile(TEST_REGISTRY, JSON.stringify(TEST_REGISTRY_CONTENT), 'utf-8');
+
+    coordinator = new CoordinatorAgent({
+      registryPath: TEST_REGISTRY,
+      workflowLogPath: TEST_WORKFLOW_LOG,
+      logger: new Logger({ name: 'TestLogger', console: false, file: false })
+    });
+    await coordinator.initialize();
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+
+    try {
+      await fs.rm(TEST_DIR, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('Step References', () => {
+    it('should replace whole-value references with the referenced value', () => {
+      const context = { steps: { structure: { result: { estack: { foundation: { purpose: 'p' } } } } } };
+      const resolved = coordinator.resolveStepReferences(
+        { estack: '{{steps.structure.result.estack}}', note: 'purpose: {{steps.structure.result.estack.foundation.purpose}}' },
+        context
+      );
+
+      assert.deepEqual(resolved.estack, { foundation: { purpose: 'p' } });
+      assert.equal(resolved.note, 'purpose: p');
+    });
+
+    it('should reject unresolved references', () => {
+      assert.throws(
+        () => coordinator.resolveStepReferences('{{steps.missing.result}}', { steps: {} }),
+        /Unresolved step reference/
+      );
+    });
+  });
+
+  describe('Workflow Execution', () => {
+    it('should instantiate agents and pass outputs between steps', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'brand',
+        steps: [
+          { id: 'structure', name: 'Structure', type: 'brand_structure', params: { hearing: HEARING } },
+          { id: 'copy', name: 'Copy', type: 'copywriting', params: { estack: '{{steps.structure.result.estack}}' } }
+        ]
+      });
+
+      const executed = await coordinator.executeWorkflow(workflow.id);
+
+      assert.equal(executed.status, 'completed');
+      assert.equal(executed.results.length, 2);
+      assert.equal(executed.results[0].agent, 'StructureAgent');
+      assert.equal(executed.results[0].result.estack.foundation.purpose, HEARING.purpose);
+      assert.equal(executed.results[1].agent, 'CopyAgent');
+      assert.ok(executed.results[1].result.taglines.length > 0);
+      assert.equal(executed.results[1].result.simulated, undefined);
+    });
+
+    it('should default step ids to step names', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'ids',
+        steps: [{ name: 'structure', type: 'brand_structure' }, { type: 'logo_design' }]
+      });
+
+      assert.deepEqual(workflow.steps.map(s => s.id), ['structure', 'step_2']);
+    });
+
+    it('should fail the workflow when an agent throws', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'failing',
+        steps: [{ id: 'copy', name: 'Copy', type: 'copywriting', params: {} }]
+      });
+
+      await assert.rejects(() => coordinator.executeWorkflow(workflow.id), /Step failed: Copy - E:Stack 構造が必要です$/);
+      assert.equal(coordinator.getWorkflowStatus(workflow.id).status, 'failed');
+    });
+
+    it('should use injected agent classes', async () => {
+      class StubLogoAgent {
+        constructor(options) {
+          this.options = options;
+        }
+
+        async execute(input) {
+          return { echoed: input.value, hasLogger: Boolean(this.options.logger) };
+        }
+      }
+
+      coordinator.options.agentClasses.LogoAgent = StubLogoAgent;
+
+      const workflow = await coordinator.createWorkflow({
+        name: 'stub',
+        steps: [{ id: 'logo', name: 'Logo', type: 'logo_design', params: { value: 42 } }]
+      });
+
+      const executed = await coordinator.executeWorkflow(workflow.id);
+      assert.deepEqual(executed.results[0].result, { echoed: 42, hasLogger: true });
+    });
+  });
+
+  describe('DAG Workflows', () => {
+    let running;
+    let peak;
+
+    // delay ミリ秒待機し、同時実行数の最大値を記録するスタブ
+    class DelayAgent {
+      async execute(input) {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, input.delay));
+        running--;
+        return { label: input.label };
+      }
+    }
+
+    beforeEach(() => {
+      running = 0;
+      peak = 0;
+      coordinator.options.agentClasses.LogoAgent = DelayAgent;
+    });
+
+    const step = (id, delay, dependsOn) => ({
+      id,
+      name: id,
+      type: 'logo_design',
+      params: { delay, label: id },
+      ...(dependsOn ? { depends_on: dependsOn } : {})
+    });
+
+    it('should keep sequential dependencies for steps without depends_on', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'sequential',
+        steps: [step('a', 1), step('b', 1), step('c', 1)]
+      });
+
+      assert.deepEqual(workflow.steps.map(s => s.depends_on), [[], ['a'], ['b']]);
+    });
+
+    it('should reject missing dependencies and cycles at creation', async () => {
+      await assert.rejects(
+        () => coordinator.createWorkflow({ name: 'missing', steps: [step('a', 1, ['ghost'])] }),
+        /depends on unknown step 'ghost'/
+      );
+
+      await assert.rejects(
+        () => coordinator.createWorkflow({
+          name: 'cycle',
+          steps: [step('a', 1, ['c']), step('b', 1, ['a']), step('c', 1, ['b'])]
+        }),
+        /dependency cycle: a → c → b → a/
+      );
+
+      assert.equal(coordinator.workflows.length, 0);
+    });
+
+    it('should run independent branches concurrently up to the limit', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'fan-out',
+        max_concurrency: 2,
+        steps: [
+          step('root', 1, []),
+          step('b1', 30, ['root']),
+          step('b2', 30, ['root']),
+          step('b3', 30, ['root']),
+          step('join', 1, ['b1', 'b2', 'b3'])
+        ]
+      });
+
+      const executed = await coordinator.executeWorkflow(workflow.id);
+      const order = executed.results.map(r => r.step_id);
+
+      assert.equal(executed.status, 'completed');
+      assert.equal(peak, 2);
+      assert.equal(order[0], 'root');
+      assert.equal(order[order.length - 1], 'join');
+    });
+
+    it('should report the critical path and branch timings', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'diamond',
+        steps: [
+          step('start', 1, []),
+          step('slow', 60, ['start']),
+          step('fast', 1, ['start']),
+          step('end', 1, ['slow', 'fast'])
+        ]
+      });
+
+      const executed = await coordinator.executeWorkflow(workflow.id);
+      const criticalPath = coordinator.computeCriticalPath(executed);
+      const report = coordinator.generateWorkflowReport(executed);
+
+      assert.deepEqual(criticalPath.steps, ['start', 'slow', 'end']);
+      assert.equal(coordinator.getWorkflowBranches(executed).length, 2);
+      assert.match(report, /Critical Path: start → slow → end/);
+      assert.match(report, /start → fast → end: \d+\.\ds/);
+    });
+
+    it('should report workflows saved before step ids existed', async () => {
+      await fs.writeFile(TEST_WORKFLOW_LOG, JSON.stringify([LEGACY_WORKFLOW]), 'utf-8');
+      await coordinator.loadWorkflows();
+
+      const report = coordinator.generateWorkflowReport(coordinator.workflows[0]);
+
+      assert.match(report, /Critical Path: a/);
+      assert.match(report, /a → b → c: 0\.0s/);
+      assert.match(report, /\[1\] a/);
+    });
+  });
+
+  describe('Resumable Workflows', () => {
+    let calls;
+
+    class RecordingAgent {
+      async execute(input) {
+        calls.push(input.label);
+        return { label: input.label };
+      }
+    }
+
+    const createCoordinator = (options = {}) => new CoordinatorAgent({
+      registryPath: TEST_REGISTRY,
+      workflowLogPath: TEST_WORKFLOW_LOG,
+      agentClasses: { LogoAgent: RecordingAgent },
+      logger: new Logger({ name: 'TestLogger', console: false, file: false }),
+      ...options
+    });
+
+    // 2 ステップ目の途中でプロセスが落ちた状態のワークフローログを作る
+    const simulateCrash = async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'long-run',
+        steps: ['a', 'b', 'c'].map(id => ({ id, name: id, type: 'logo_design', params: { label: id } }))
+      });
+
+      workflow.status = 'running';
+      workflow.started_at = new Date().toISOString();
+      workflow.results.push({ step_index: 0, step_id: 'a', step_name: 'a', success: true, result: { label: 'a' }, duration: 5 });
+      workflow.current_step = 1;
+      await coordinator.saveWorkflows();
+
+      return workflow.id;
+    };
+
+    beforeEach(() => {
+      calls = [];
+    });
+
+    it('should restore running workflows into activeWorkflows on load', async () => {
+      const workflowId = await simulateCrash();
+
+      const restarted = createCoordinator();
+      await restarted.initialize();
+
+      assert.ok(restarted.activeWorkflows.has(workflowId));
+    });
+
+    it('should skip completed steps and record the resume', async () => {
+      const workflowId = await simulateCrash();
+
+      const restarted = createCoordinator();
+      await restarted.initialize();
+      const resumed = await restarted.resumeWorkflow(workflowId);
+
+      assert.equal(resumed.status, 'completed');
+      assert.deepEqual(calls, ['b', 'c']);
+      assert.deepEqual(resumed.results.map(r => r.step_id), ['a', 'b', 'c']);
+      assert.equal(resumed.metadata.resumes.length, 1);
+      assert.equal(resumed.metadata.resumes[0].previous_status, 'running');
+      assert.deepEqual(resumed.metadata.resumes[0].skipped_steps, ['a']);
+      assert.equal(restarted.getWorkflowStatus(workflowId).resume_count, 1);
+    });
+
+    it('should resume interrupted workflows on startup', async () => {
+      const workflowId = await simulateCrash();
+
+      const restarted = createCoordinator({ resumeOnStartup: true });
+      await restarted.initialize();
+
+      assert.equal(restarted.getWorkflowStatus(workflowId).status, 'completed');
+      assert.deepEqual(calls, ['b', 'c']);
+
+      const persisted = JSON.parse(await fs.readFile(TEST_WORKFLOW_LOG, 'utf-8'));
+      assert.equal(persisted.find(w => w.id === workflowId).status, 'completed');
+    });
+
+    it('should skip steps completed in logs written before step ids existed', async () => {
+      await fs.writeFile(TEST_WORKFLOW_LOG, JSON.stringify([LEGACY_WORKFLOW]), 'utf-8');
+
+      const restarted = createCoordinator({ resumeOnStartup: true });
+      await restarted.initialize();
+
+      const resumed = restarted.workflows[0];
+      assert.equal(resumed.status, 'completed');
+      assert.deepEqual(calls, ['b', 'c']);
+      assert.deepEqual(resumed.results.map(r => r.step_id), ['a', 'b', 'c']);
+      assert.deepEqual(resumed.metadata.resumes[0].skipped_steps, ['a']);
+    });
+
+    it('should persist the running status before the first step finishes', async () => {
+      const statuses = [];
+      coordinator.options.agentClasses.LogoAgent = class {
+        async execute() {
+          const persisted = JSON.parse(await fs.readFile(TEST_WORKFLOW_LOG, 'utf-8'));
+          statuses.push(persisted[0].status);
+          return {};
+        }
+      };
+
+      const workflow = await coordinator.createWorkflow({
+        name: 'crash-early',
+        steps: [{ id: 'a', name: 'a', type: 'logo_design', params: {} }]
+      });
+      await coordinator.executeWorkflow(workflow.id);
+
+      assert.deepEqual(statuses, ['running']);
+    });
+
+    it('should rerun failed steps and refuse completed workflows', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'retry',
+        steps: [{ id: 'copy', name: 'Copy', type: 'copywriting', params: {} }]
+      });
+      await assert.rejects(() => coordinator.executeWorkflow(workflow.id), /Step failed/);
+
+      coordinator.options.agentClasses.CopyAgent = RecordingAgent;
+      const resumed = await coordinator.resumeWorkflow(workflow.id);
+
+      assert.equal(resumed.status, 'completed');
+      assert.equal(resumed.results.length, 1);
+      assert.equal(resumed.metadata.resumes[0].discarded_results, 1);
+      await assert.rejects(() => coordinator.resumeWorkflow(workflow.id), /already completed/);
+    });
+  });
+
+  describe('Retry, Timeout and Compensation', () => {
+    let attempts;
+    let log;
+
+    // params.failures 回失敗してから成功し、params.delay ミリ秒待機するスタブ
+    class FlakyAgent {
+      async execute(input) {
+        attempts[input.label] = (attempts[input.label] || 0) + 1;
+        log.push(input.label);
+
+        if (input.delay) {
+          await new Promise(resolve => setTimeout(resolve, input.delay));
+        }
+
+        if (attempts[input.label] <= (input.failures || 0)) {
+          const error = new Error(`${input.label} failed`);
+          error.code = input.code || 'ECONNRESET';
+          throw error;
+        }
+
+        return { label: input.label };
+      }
+    }
+
+    beforeEach(() => {
+      attempts = {};
+      log = [];
+      coordinator.options.agentClasses.LogoAgent = FlakyAgent;
+    });
+
+    const step = (id, params, extra = {}) => ({
+      id,
+      name: id,
+      type: 'logo_design',
+      params: { label: id, ...params },
+      ...extra
+    });
+
+    it('should retry with exponential backoff until the step succeeds', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'retry',
+        steps: [step('flaky', { failures: 2 }, { retry: { max_attempts: 3, backoff_ms: 1 } })]
+      });
+
+      const executed = await coordinator.executeWorkflow(workflow.id);
+
+      assert.equal(executed.status, 'completed');
+      assert.equal(executed.results[0].attempts, 3);
+      assert.equal(coordinator.getRetryDelay(coordinator.getRetryPolicy(workflow.steps[0]), 3), 4);
+      assert.deepEqual(coordinator.getStatistics().retries, { total: 2, retried_steps: 1 });
+      assert.match(coordinator.generateWorkflowReport(executed), /Attempts: 3 \(2 retries\)/);
+    });
+
+    it('should not retry errors outside retryable_errors', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'non-retryable',
+        steps: [step('flaky', { failures: 2, code: 'EINVAL' }, {
+          retry: { max_attempts: 3, backoff_ms: 1, retryable_errors: ['ECONNRESET', 'StepTimeoutError'] }
+        })]
+      });
+
+      await assert.rejects(() => coordinator.executeWorkflow(workflow.id), /flaky failed/);
+      assert.equal(attempts.flaky, 1);
+    });
+
+    it('should fail steps that exceed timeout_ms', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'timeout',
+        steps: [step('slow', { delay: 100 }, { timeout_ms: 10 })]
+      });
+
+      await assert.rejects(() => coordinator.executeWorkflow(workflow.id), /Step timed out after 10ms: slow/);
+      assert.equal(new StepTimeoutError('slow', 10).name, 'StepTimeoutError');
+    });
+
+    it('should run compensations in reverse order when the workflow fails', async () => {
+      const workflow = await coordinator.createWorkflow({
+        name: 'saga',
+        steps: [
+          step('reserve', {}, { compensate: 'release' }),
+          step('charge', {}, { compensate: 'refund' }),
+          step('ship', { failures: 1 })
+        ],
+        compensations: [
+          { id: 'release', type: 'logo_design', params: { label: 'release' } },
+          { id: 'refund', type: 'logo_design', params: { label: 'refund' } }
+        ]
+      });
+
+      await assert.rejects(() => coordinator.executeWorkflow(workflow.id), /ship failed/);
+
+      const failed = coordinator.activeWorkflows.get(workflow.id);
+      assert.deepEqual(log, ['reserve', 'charge', 'ship', 'refund', 'release']);
+      assert.deepEqual(failed.compensations.map(c => c.compensation_id), ['refund', 'release']);
+      assert.deepEqual(coordinator.getStatistics().compensations, { total: 2, succeeded: 2, failed: 0 });
+      assert.match(coordinator.generateWorkflowReport(failed), /Compensations:[\s\S]*refund \(for charge\)/);
+    });
+
+    it('should reject unknown compensation references', async () => {
+      await assert.rejects(
+        () => coordinator.createWorkflow({ name: 'bad', steps: [step('a', {}, { compensate: 'undo' })] }),
+        /unknown compensation 'undo'/
+      );
+    });
+  });
+});
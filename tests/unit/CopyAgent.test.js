@@ -0,0 +1,218 @@
+/**
+ * CopyAgent ユニットテスト
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CopyAgent, CopyChannel, ToneStrategy } from '../../src/agents/core/CopyAgent.js';
+import { Logger } from '../../src/utils/Logger.js';
+import { Locale, Politeness } from '../../src/utils/LocaleUtils.js';
+
+const LOCALIZED_FOUNDATION = {
+  en: {
+    purpose: 'build the future with technology you can trust',
+    values: ['Integrity', 'Innovation', 'Customer first']
+  }
+};
+
+const ESTACK = {
+  foundation: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実さ', '革新性', '顧客第一'],
+    notAxis: ['妥協']
+  },
+  structure: {
+    tone: { voice: 'professional' },
+    positioning: '中小企業向けの信頼できる DX パートナー'
+  }
+};
+
+describe('CopyAgent', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = new CopyAgent({ logger: new Logger({ name: 'TestLogger', console: false, file: false }) });
+  });
+
+  describe('Channel adaptation', () => {
+    it('should produce scored variants for every channel within the hard limits', async () => {
+      const { channelCopy, toneMap, coreMessages } = await agent.process({ estack: ESTACK, target: 'channels' });
+
+      assert.deepStrictEqual(Object.keys(channelCopy), Object.values(CopyChannel));
+      assert.deepStrictEqual(coreMessages, []);
+
+      for (const [channel, variants] of Object.entries(channelCopy)) {
+        assert.deepStrictEqual(
+          variants.map(variant => variant.strategy),
+          [ToneStrategy.DECLARATIVE, ToneStrategy.ASPIRATIONAL, ToneStrategy.IMPERATIVE]
+        );
+        for (const variant of variants) {
+          assert.strictEqual(variant.channel, channel);
+          assert.ok(variant.withinLimits, `${variant.id} exceeds its limits`);
+          assert.deepStrictEqual(Object.keys(variant.fields), Object.keys(variant.limits));
+          assert.deepStrictEqual(variant.tone, toneMap.contexts[variant.context]);
+          assert.deepStrictEqual(
+            Object.keys(variant.characteristics),
+            ['clarity', 'memorability', 'rhythm', 'emotionalResonance', 'culturalFit']
+          );
+        }
+      }
+
+      const [email] = channelCopy[CopyChannel.EMAIL];
+      assert.deepStrictEqual(email.limits, { subject: 40, preview: 90 });
+      assert.strictEqual(email.fields.subject, '誠実さの実現！');
+      assert.strictEqual(email.characteristics.clarity, 'very-clear');
+
+      const [x] = channelCopy[CopyChannel.X];
+      assert.strictEqual(x.fields.text, [
+        '誠実さの実現！',
+        '信頼できる技術で未来をつくる！',
+        '詳しくはプロフィールのリンクから！',
+        '#誠実さ #革新性'
+      ].join('\n'));
+      // X は CJK を 2 文字として数える
+      assert.strictEqual(x.lengths.text, 96);
+    });
+
+    it('should follow the tone of each channel context', async () => {
+      const { channelCopy } = await agent.process({ estack: ESTACK, target: 'channels' });
+
+      // marketing (energy: high) は感嘆符、education / announcement は句点で締める
+      assert.match(channelCopy[CopyChannel.INSTAGRAM][0].fields.caption, /未来をつくる！/);
+      assert.match(channelCopy[CopyChannel.APP_STORE][0].fields.description, /^信頼できる技術で未来をつくる。\n\n/);
+      assert.strictEqual(channelCopy[CopyChannel.PUSH][0].fields.body, '信頼できる技術で未来をつくる。');
+
+      // フォーマルな Voice では絵文字を使わず、カジュアルな Voice では常体の行動喚起になる
+      const formal = await agent.process({
+        estack: { ...ESTACK, foundation: { ...ESTACK.foundation, purpose: '品質で応える', values: ['品質'] } },
+        target: 'channels',
+        channels: [CopyChannel.INSTAGRAM]
+      });
+      assert.doesNotMatch(formal.channelCopy[CopyChannel.INSTAGRAM][0].fields.caption, /✨/);
+      assert.match(channelCopy[CopyChannel.INSTAGRAM][0].fields.caption, /^誠実さの実現 ✨/);
+
+      const casual = await agent.process({
+        estack: { ...ESTACK, foundation: { ...ESTACK.foundation, purpose: '毎日を楽しく', values: ['遊び心'] }, structure: { tone: { voice: 'friendly' } } },
+        target: 'channels',
+        channels: [CopyChannel.LINKEDIN]
+      });
+      assert.match(casual.channelCopy[CopyChannel.LINKEDIN][0].fields.text, /コメントで感想を聞かせてね。/);
+    });
+
+    it('should drop optional parts and truncate to respect hard limits', async () => {
+      const purpose = '中小企業の現場で働くすべての人が、'.repeat(8) + '安心して挑戦できる未来をつくる';
+      const { channelCopy } = await agent.process({
+        estack: { ...ESTACK, foundation: { ...ESTACK.foundation, purpose } },
+        target: 'channels',
+        channels: [CopyChannel.X, CopyChannel.EMAIL, CopyChannel.PUSH],
+        requirements: { hashtags: ['#DX 推進'] }
+      });
+
+      const x = channelCopy[CopyChannel.X][0];
+      assert.ok(x.truncated);
+      assert.ok(x.lengths.text <= 280);
+      assert.doesNotMatch(x.fields.text, /#/, 'hashtags are dropped first');
+
+      const push = channelCopy[CopyChannel.PUSH][0];
+      assert.strictEqual(push.lengths.body, 150);
+      assert.ok(push.fields.body.endsWith('…'));
+
+      const short = await agent.process({ estack: ESTACK, target: 'channels', channels: [CopyChannel.X], requirements: { hashtags: ['#DX 推進'] } });
+      assert.match(short.channelCopy[CopyChannel.X][0].fields.text, /#DX推進 #誠実さ$/);
+    });
+
+    it('should reject unknown channels and skip adaptation for other targets', async () => {
+      await assert.rejects(
+        () => agent.process({ estack: ESTACK, target: 'channels', channels: ['tiktok'] }),
+        /未対応のチャネルです: tiktok/
+      );
+
+      const { channelCopy } = await agent.process({ estack: ESTACK, target: 'tagline' });
+      assert.deepStrictEqual(channelCopy, {});
+    });
+  });
+
+  describe('Localization', () => {
+    it('should generate copy per locale with politeness and cultural fit reports', async () => {
+      const { localized, crossLocale, taglines, metadata } = await agent.process({
+        estack: ESTACK,
+        target: 'all',
+        channels: [],
+        locales: [Locale.JA, Locale.EN],
+        politeness: Politeness.POLITE,
+        localizedFoundation: LOCALIZED_FOUNDATION
+      });
+
+      assert.deepStrictEqual(metadata.locales, [Locale.JA, Locale.EN]);
+      assert.deepStrictEqual(localized.ja.coreMessages.map(message => message.content), [
+        '信頼できる技術で未来をつくります',
+        '誠実さを実現し、信頼できる技術で未来をつくります',
+        '信頼できる技術で未来をつくるを、共に実現しましょう'
+      ]);
+      assert.strictEqual(localized.ja.politeness, Politeness.POLITE);
+      assert.strictEqual(localized.ja.culturalFit.level, 'high');
+
+      assert.deepStrictEqual(localized.en.taglines.map(tagline => tagline.content), [
+        'Integrity, delivered.',
+        'Together, we build the future with technology you can trust.',
+        'Let\'s build the future with technology you can trust.'
+      ]);
+      assert.strictEqual(localized.en.politeness, null);
+      assert.deepStrictEqual(localized.en.culturalFit.items.find(item => item.id === 'en-tagline-2').issues.map(issue => issue.type), ['too-long']);
+      assert.strictEqual(localized.en.culturalFit.score, 0.93);
+
+      // 既定の出力は従来どおり日本語で、文字数は全角換算
+      assert.strictEqual(taglines[0].content, '誠実さの実現');
+      assert.strictEqual(localized.ja.taglines[0].characteristics.length, 6);
+      assert.ok(crossLocale.every(pair => pair.carriesOver));
+      assert.strictEqual(crossLocale.length, 6);
+    });
+
+    it('should flag taglines whose meaning or wordplay does not carry over', async () => {
+      const { crossLocale } = await agent.process({
+        estack: { ...ESTACK, foundation: { ...ESTACK.foundation, purpose: 'ワクワクする革新性で未来をつくる' } },
+        target: 'tagline',
+        locales: [Locale.JA, Locale.EN],
+        localizedFoundation: { en: { purpose: 'shape an exciting future', values: ['Honesty', 'Innovation'] } }
+      });
+
+      const [declarative, aspirational] = crossLocale;
+      assert.strictEqual(declarative.carriesOver, true);
+      assert.strictEqual(aspirational.carriesOver, false);
+      assert.deepStrictEqual(aspirational.issues.map(issue => issue.type), ['wordplay-lost', 'meaning-drift']);
+      assert.match(aspirational.issues[0].message, /onomatopoeia: ワクワク/);
+      assert.match(aspirational.issues[1].message, /ja「革新性」 に対応する en「Innovation」 が含まれていない/);
+    });
+
+    it('should default politeness from the voice and require foundations for other locales', async () => {
+      const casual = await agent.process({
+        estack: { ...ESTACK, structure: { tone: { voice: 'friendly' } } },
+        target: 'coreMessage',
+        locales: [Locale.JA]
+      });
+      assert.strictEqual(casual.localized.ja.politeness, Politeness.PLAIN);
+      assert.deepStrictEqual(casual.localized.ja.taglines, []);
+
+      await assert.rejects(
+        () => agent.process({ estack: ESTACK, target: 'tagline', locales: [Locale.EN] }),
+        /ロケール en の Foundation/
+      );
+      await assert.rejects(
+        () => agent.process({
+          estack: { ...ESTACK, foundation: { ...ESTACK.foundation, purpose: 'build trust through technology', values: [] } },
+          target: 'tagline',
+          locales: [Locale.EN]
+        }),
+        /ロケール en の Foundation/
+      );
+      await assert.rejects(
+        () => agent.process({ estack: ESTACK, target: 'tagline', locales: ['fr'] }),
+        /未対応のロケールです: fr/
+      );
+
+      const { localized, crossLocale } = await agent.process({ estack: ESTACK, target: 'tagline' });
+      assert.deepStrictEqual(localized, {});
+      assert.deepStrictEqual(crossLocale, []);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * DesignTokenExporter ユニットテスト
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { DesignTokenExporter, TokenFormat } from '../../src/protocols/DesignTokenExporter.js';
+import { VisualAgent } from '../../src/agents/core/VisualAgent.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'design_tokens_test');
+
+const estackWith = (values, voice) => ({
+  foundation: { purpose: '信頼できる技術で未来をつくる', values, notAxis: [] },
+  structure: { tone: { voice } }
+});
+
+describe('DesignTokenExporter', () => {
+  const exporter = new DesignTokenExporter();
+  let visual;
+  let alternate;
+
+  before(async () => {
+    const agent = new VisualAgent({ logger: new Logger({ name: 'TestLogger', console: false, file: false }) });
+    visual = await agent.process({ estack: estackWith(['誠実'], 'professional') });
+    alternate = await agent.process({ estack: estackWith(['革新'], 'innovative') });
+  });
+
+  after(async () => {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  it('should keep token names stable when values change', () => {
+    const tokens = exporter.extractTokens(visual);
+    const names = tokens.map(token => token.name);
+
+    assert.deepStrictEqual(exporter.extractTokens(alternate).map(token => token.name), names);
+    assert.deepStrictEqual(exporter.extractTokens(visual.viGuideline), tokens);
+    assert.notStrictEqual(
+      tokens.find(token => token.name === 'color-primary-main').value,
+      exporter.extractTokens(alternate).find(token => token.name === 'color-primary-main').value
+    );
+
+    // 数値キーは数値順
+    const spacing = names.filter(name => name.startsWith('spacing-'));
+    assert.deepStrictEqual(spacing.slice(0, 4), ['spacing-0', 'spacing-1', 'spacing-2', 'spacing-3']);
+    assert.ok(names.includes('typography-h1-line-height'));
+    assert.ok(names.includes('component-button-primary-background'));
+    assert.ok(names.includes('shadow-5'));
+    assert.throws(() => exporter.extractTokens({}), /foundation/);
+  });
+
+  it('should export CSS custom properties and SCSS maps', () => {
+    const css = new DesignTokenExporter({ prefix: 'brand' }).export(visual, TokenFormat.CSS);
+    const primary = visual.visualSystem.foundation.color.palette.primary.main;
+
+    assert.match(css, /^\/\* Generated by DesignTokenExporter/);
+    assert.ok(css.includes(`  --brand-color-primary-main: ${primary};`));
+    assert.ok(css.includes('  --brand-font-letter-spacing-tight: -0.02em;'));
+
+    const scss = exporter.export(visual, TokenFormat.SCSS);
+    assert.ok(scss.includes(`$color-primary-main: ${primary};`));
+    assert.match(scss, /\$font-family-primary: \("Inter", -apple-system, BlinkMacSystemFont, sans-serif\);/);
+    assert.match(scss, /\$color: \(\n {2}'accent-contrast': \$color-accent-contrast,/);
+    assert.match(scss, /'primary-main': \$color-primary-main/);
+  });
+
+  it('should build a Tailwind theme.extend config', () => {
+    const { theme } = exporter.toTailwindConfig(exporter.extractTokens(visual));
+    const { palette } = visual.visualSystem.foundation.color;
+
+    assert.strictEqual(theme.extend.colors.primary.DEFAULT, palette.primary.main);
+    assert.strictEqual(theme.extend.colors.neutral['900'], '#212121');
+    assert.deepStrictEqual(theme.extend.fontSize.h1, ['2.5rem', { lineHeight: '1.2', fontWeight: '700' }]);
+    assert.deepStrictEqual(theme.extend.fontFamily.mono, ['"Roboto Mono"', 'monospace']);
+    assert.deepStrictEqual(Object.keys(theme.extend.screens), ['sm', 'md', 'lg', 'xl']);
+    assert.strictEqual(theme.extend.spacing['4'], '1rem');
+
+    assert.match(exporter.export(visual, TokenFormat.TAILWIND), /module\.exports = \{\n {2}"theme"/);
+  });
+
+  it('should export Style Dictionary and W3C design tokens', () => {
+    const tokens = exporter.extractTokens(visual);
+
+    const styleDictionary = exporter.toStyleDictionary(tokens);
+    assert.deepStrictEqual(styleDictionary.spacing['4'], { value: '1rem', type: 'dimension' });
+
+    const w3c = JSON.parse(exporter.export(visual, TokenFormat.W3C));
+    assert.deepStrictEqual(w3c.color.primary.main, {
+      $type: 'color',
+      $value: visual.visualSystem.foundation.color.palette.primary.main
+    });
+    assert.deepStrictEqual(w3c.font.family.primary.$value, ['Inter', '-apple-system', 'BlinkMacSystemFont', 'sans-serif']);
+    assert.deepStrictEqual(w3c.spacing['0'], { $type: 'dimension', $value: '0px' });
+    assert.deepStrictEqual(w3c.shadow['1'].$value[0], {
+      color: '#0000001F',
+      offsetX: '0px',
+      offsetY: '1px',
+      blur: '3px',
+      spread: '0px'
+    });
+    assert.deepStrictEqual(w3c.component.input.default.padding, { $value: '12px 16px' });
+  });
+
+  it('should write every format to a directory', async () => {
+    const written = await exporter.save(visual, OUTPUT_DIR);
+
+    assert.deepStrictEqual(written.map(file => path.basename(file)), [
+      'tokens.css',
+      '_tokens.scss',
+      'tailwind.config.js',
+      'tokens.style-dictionary.json',
+      'tokens.json'
+    ]);
+    assert.strictEqual(
+      await fs.readFile(path.join(OUTPUT_DIR, 'tokens.css'), 'utf-8'),
+      exporter.export(visual, TokenFormat.CSS)
+    );
+    assert.throws(() => exporter.export(visual, 'less'), /未対応のトークン形式/);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * EStackDiff ユニットテスト
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EStackDiff, ChangeType, MergePreference } from '../../src/protocols/EStackDiff.js';
+
+const BASE = {
+  foundation: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実さ', '革新性'],
+    notAxis: ['妥協']
+  },
+  structure: {
+    persona: { description: '中小企業の経営者' },
+    tone: { voice: 'professional', style: '落ち着いた' },
+    positioning: '信頼できる DX パートナー'
+  },
+  expression: {
+    coreMessage: '技術で経営の不安を確信に変える',
+    tagline: null
+  },
+  metadata: { processedAt: '2026-01-01T00:00:00.000Z' }
+};
+
+const revise = (changes) => {
+  const copy = structuredClone(BASE);
+  changes(copy);
+  return copy;
+};
+
+describe('EStackDiff', () => {
+  const differ = new EStackDiff();
+
+  it('should report nested changes layer by layer', () => {
+    const revised = revise(estack => {
+      estack.foundation.values = ['誠実さ', '挑戦'];
+      estack.foundation.notAxis.push('誇張');
+      estack.structure.tone.voice = 'friendly';
+      estack.structure.positioning = '伴走型 DX パートナー';
+      estack.expression.tagline = '未来を、信頼で。';
+      estack.metadata.processedAt = '2026-02-01T00:00:00.000Z';
+    });
+
+    const diff = differ.diff(BASE, revised);
+
+    assert.strictEqual(diff.hasChanges, true);
+    assert.deepStrictEqual(diff.highlights.valuesAdded, ['挑戦']);
+    assert.deepStrictEqual(diff.highlights.valuesRemoved, ['革新性']);
+    assert.deepStrictEqual(diff.highlights.notAxisAdded, ['誇張']);
+    assert.deepStrictEqual(diff.highlights.toneChanges[0].path, ['structure', 'tone', 'voice']);
+    assert.strictEqual(diff.highlights.positioningChanges[0].after, '伴走型 DX パートナー');
+    assert.strictEqual(diff.layers.expression[0].type, ChangeType.ADDED);
+    assert.deepStrictEqual(diff.summary, { added: 3, removed: 1, changed: 2 });
+    assert.ok(diff.changes.every(change => change.layer !== 'metadata'));
+
+    const text = differ.format(diff);
+    assert.match(text, /\+ foundation\.values: 挑戦/);
+    assert.match(text, /~ structure\.tone\.voice: professional → friendly/);
+  });
+
+  it('should report no changes for identical structures', () => {
+    const diff = differ.diff(BASE, structuredClone(BASE));
+
+    assert.strictEqual(diff.hasChanges, false);
+    assert.strictEqual(differ.format(diff), '変更なし');
+  });
+
+  it('should merge non-overlapping edits and combine value sets', () => {
+    const ours = revise(estack => {
+      estack.structure.positioning = '伴走型 DX パートナー';
+      estack.foundation.values.push('挑戦');
+    });
+    const theirs = revise(estack => {
+      estack.structure.tone.style = '温かい';
+      estack.foundation.values = ['誠実さ', '革新性', '顧客第一'];
+      estack.foundation.notAxis = [];
+    });
+
+    const { merged, hasConflicts } = differ.merge(BASE, ours, theirs);
+
+    assert.strictEqual(hasConflicts, false);
+    assert.strictEqual(merged.structure.positioning, '伴走型 DX パートナー');
+    assert.strictEqual(merged.structure.tone.style, '温かい');
+    assert.deepStrictEqual(merged.foundation.values, ['誠実さ', '革新性', '挑戦', '顧客第一']);
+    assert.deepStrictEqual(merged.foundation.notAxis, []);
+  });
+
+  it('should flag conflicting edits and apply the preferred side', () => {
+    const ours = revise(estack => { estack.structure.tone.voice = 'friendly'; });
+    const theirs = revise(estack => {
+      estack.structure.tone.voice = 'formal';
+      estack.metadata.processedAt = '2026-03-01T00:00:00.000Z';
+    });
+
+    const result = differ.merge(BASE, ours, theirs);
+
+    assert.strictEqual(result.hasConflicts, true);
+    assert.deepStrictEqual(result.conflicts[0].path, ['structure', 'tone', 'voice']);
+    assert.strictEqual(result.conflicts[0].base, 'professional');
+    assert.strictEqual(result.merged.structure.tone.voice, 'friendly');
+    assert.strictEqual(result.merged.metadata.processedAt, '2026-03-01T00:00:00.000Z');
+
+    const preferTheirs = differ.merge(BASE, ours, theirs, { prefer: MergePreference.THEIRS });
+    assert.strictEqual(preferTheirs.merged.structure.tone.voice, 'formal');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * EStackSerializer ユニットテスト
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { EStackSerializer, EStackFormat } from '../../src/protocols/EStackSerializer.js';
+import { StructureAgent } from '../../src/agents/core/StructureAgent.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const TEST_DIR = path.join(process.cwd(), 'tests/fixtures/estack_serializer_test');
+
+const HEARING = {
+  purpose: '信頼できる技術で未来をつくる',
+  values: ['誠実さ', '革新性'],
+  notAxis: ['妥協'],
+  targetAudience: { description: '中小企業の経営者' },
+  tone: { voice: 'professional', style: '落ち着いた', range: ['カジュアル', 'フォーマル'] },
+  positioning: '信頼できる DX パートナー',
+  coreMessage: '技術で経営の不安を確信に変える'
+};
+
+describe('EStackSerializer', () => {
+  let serializer;
+  let estack;
+
+  before(async () => {
+    const logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    const agent = new StructureAgent({ logger });
+    serializer = new EStackSerializer({ agent });
+    ({ estack } = await agent.execute({ hearing: HEARING }));
+  });
+
+  it('should round-trip through YAML', () => {
+    const text = serializer.toYAML(estack);
+    const parsed = serializer.fromYAML(text);
+
+    assert.match(text, /^# E:Stack Method v5.1/);
+    assert.ok(text.indexOf('foundation:') < text.indexOf('structure:'));
+    assert.deepStrictEqual(parsed.estack, estack);
+    assert.strictEqual(parsed.validation.isValid, true);
+  });
+
+  it('should round-trip through the Markdown brand book', () => {
+    const text = serializer.toMarkdown(estack, { title: 'Acme' });
+    const parsed = serializer.fromMarkdown(text);
+
+    assert.match(text, /# Brand Book: Acme/);
+    assert.match(text, /## Foundation[\s\S]*### NOT Axis\n\n- 妥協/);
+    assert.match(text, /### Persona\n\n- \*\*description\*\*: 中小企業の経営者/);
+    assert.match(text, /```yaml\nvoice: professional/);
+    assert.strictEqual(parsed.title, 'Acme');
+    assert.deepStrictEqual(parsed.estack, estack);
+  });
+
+  it('should round-trip strings that look like lists and empty collections through Markdown', () => {
+    const edgeCases = {
+      ...estack,
+      structure: { ...estack.structure, positioning: '_未設定_', range: [] },
+      expression: {
+        ...estack.expression,
+        tagline: '- dash tagline',
+        coreMessage: '- 一行目\n- 二行目',
+        visualIdentity: {}
+      }
+    };
+
+    const parsed = serializer.fromMarkdown(serializer.toMarkdown(edgeCases));
+
+    assert.deepStrictEqual(parsed.estack, edgeCases);
+  });
+
+  it('should report validation warnings for edited files', () => {
+    const edited = [
+      '# Brand Book',
+      '',
+      '## Foundation',
+      '',
+      '### Purpose',
+      '',
+      '_未設定_',
+      '',
+      '### Values',
+      '',
+      '- 誠実さ',
+      '',
+      '## Marketing',
+      '',
+      'ignored'
+    ].join('\n');
+
+    const parsed = serializer.fromMarkdown(edited);
+
+    assert.strictEqual(parsed.estack.foundation.purpose, null);
+    assert.deepStrictEqual(parsed.estack.foundation.values, ['誠実さ']);
+    assert.strictEqual(parsed.validation.isValid, false);
+    assert.ok(parsed.warnings.some(w => w.includes('不明なレイヤー "Marketing"')));
+    assert.ok(parsed.warnings.some(w => w.includes('Foundation Layer が不完全です')));
+    assert.ok(parsed.warnings.some(w => w.includes('Structure Layer が不完全です')));
+  });
+
+  it('should reject malformed YAML', () => {
+    assert.throws(() => serializer.fromYAML('foundation: [unclosed'), /E:Stack YAML の構文エラー/);
+    assert.throws(() => serializer.fromYAML('- a\n- b'), /Object である必要があります/);
+
+    assert.throws(
+      () => serializer.fromMarkdown('---\ntitle: [unclosed\n---\n# Brand Book\n'),
+      /E:Stack Markdown のフロントマターの構文エラー/
+    );
+    assert.throws(
+      () => serializer.fromMarkdown('## Foundation\n\n### Values\n\n```yaml\n[unclosed\n```\n'),
+      /E:Stack Markdown の構文エラー \(foundation\.values\)/
+    );
+  });
+
+  it('should pick the format from the file extension', async () => {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+
+    try {
+      for (const file of ['brand.yaml', 'brand.md']) {
+        const filePath = path.join(TEST_DIR, file);
+        await serializer.save(filePath, estack);
+        const loaded = await serializer.load(filePath);
+        assert.deepStrictEqual(loaded.estack, estack);
+      }
+
+      assert.strictEqual(serializer.parse(serializer.toYAML(estack), EStackFormat.YAML).validation.isValid, true);
+      await assert.rejects(() => serializer.save(path.join(TEST_DIR, 'brand.txt'), estack), /拡張子/);
+    } finally {
+      await fs.rm(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+});
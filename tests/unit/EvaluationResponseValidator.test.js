@@ -0,0 +1,88 @@
+/**
+ * EvaluationResponseValidator ユニットテスト
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  EvaluationResponseValidator,
+  ValidationIssueType,
+  averageCriterionScore
+} from '../../src/evaluation/EvaluationResponseValidator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RUBRICS_PATH = path.join(__dirname, '../../src/evaluation/schemas/rubrics.json');
+
+describe('EvaluationResponseValidator', () => {
+  let validator;
+
+  before(async () => {
+    validator = new EvaluationResponseValidator(JSON.parse(await fs.readFile(RUBRICS_PATH, 'utf-8')));
+  });
+
+  it('should coerce scores and restructure flattened responses without invalidating them', () => {
+    const { valid, evaluation, issues, missingCriteria } = validator.validate({
+      foundationAlignment: { score: '85', reason: '整合している', strengths: '明確な Purpose' },
+      structureCoherence: { score: 120, reason: 12 },
+      expressionQuality: 64,
+      overallConsistency: { score: -5, reason: '弱い', weaknesses: ['トーンの揺れ'] },
+      overall: '150',
+      summary: 'GPT スタイル'
+    }, ['BrandConsistencyRubric']);
+
+    assert.deepStrictEqual(evaluation.BrandConsistencyRubric.foundationAlignment, {
+      score: 85, reason: '整合している', strengths: ['明確な Purpose']
+    });
+    assert.strictEqual(evaluation.BrandConsistencyRubric.structureCoherence.score, 100);
+    assert.strictEqual(evaluation.BrandConsistencyRubric.structureCoherence.reason, '12');
+    assert.strictEqual(evaluation.BrandConsistencyRubric.overallConsistency.score, 0);
+    assert.strictEqual(evaluation.overall, 100);
+    assert.strictEqual(evaluation.summary, 'GPT スタイル');
+    assert.deepStrictEqual(missingCriteria, []);
+
+    // スコアのみの expressionQuality は reason が無いため補正できない
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(
+      issues.filter(issue => !issue.coerced).map(issue => [issue.path, issue.type]),
+      [['BrandConsistencyRubric.expressionQuality.reason', ValidationIssueType.MISSING_FIELD]]
+    );
+    assert.deepStrictEqual(
+      [...new Set(issues.filter(issue => issue.coerced).map(issue => issue.type))],
+      [ValidationIssueType.RESTRUCTURED, ValidationIssueType.INVALID_TYPE, ValidationIssueType.OUT_OF_RANGE]
+    );
+    assert.strictEqual(averageCriterionScore(evaluation), (85 + 100 + 64 + 0) / 4);
+  });
+
+  it('should report missing rubrics, missing criteria and non-numeric scores', () => {
+    const result = validator.validate({
+      BrandConsistencyRubric: {
+        foundationAlignment: { score: 'high', reason: '...' },
+        structureCoherence: { score: 80, reason: '...' }
+      }
+    }, ['BrandConsistencyRubric', 'CreativeInnovationRubric']);
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.evaluation.BrandConsistencyRubric.foundationAlignment, { reason: '...' });
+    assert.deepStrictEqual(result.missingCriteria, [
+      'BrandConsistencyRubric.expressionQuality',
+      'BrandConsistencyRubric.overallConsistency',
+      'CreativeInnovationRubric.originality',
+      'CreativeInnovationRubric.memorability',
+      'CreativeInnovationRubric.differentiation',
+      'CreativeInnovationRubric.emotionalImpact'
+    ]);
+    assert.deepStrictEqual(result.issues.map(issue => issue.type), [
+      ValidationIssueType.INVALID_TYPE,
+      ValidationIssueType.MISSING_CRITERION,
+      ValidationIssueType.MISSING_CRITERION,
+      ValidationIssueType.MISSING_RUBRIC
+    ]);
+
+    const notObject = validator.validate('評価できません', ['BrandConsistencyRubric']);
+    assert.strictEqual(notObject.issues[0].type, ValidationIssueType.NOT_AN_OBJECT);
+    assert.strictEqual(notObject.missingCriteria.length, 4);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * EvaluatorBackends ユニットテスト
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  EvaluatorBackendType,
+  HeuristicEvaluatorBackend,
+  RecordedEvaluatorBackend,
+  createEvaluatorBackend,
+  registerEvaluatorBackend,
+  resolveEvaluatorBackends,
+  fingerprintRequest
+} from '../../src/evaluation/EvaluatorBackends.js';
+import { MultiModelEvaluator } from '../../src/evaluation/MultiModelEvaluator.js';
+import { ZeroHumanApproval } from '../../src/evaluation/ZeroHumanApproval.js';
+import { AutoImprover } from '../../src/evaluation/AutoImprover.js';
+import { MockLLMProvider } from '../../src/llm/MockLLMProvider.js';
+import { FixedScoreBackend } from '../helpers/FixedScoreBackend.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/evaluator_backends_test');
+
+const PROPOSAL = {
+  brandName: 'Verinova',
+  tagline: '誠実さの実現',
+  foundation: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実さ', '革新性']
+  }
+};
+
+describe('EvaluatorBackends', () => {
+  before(async () => {
+    await fs.mkdir(FIXTURE_DIR, { recursive: true });
+  });
+
+  after(async () => {
+    await fs.rm(FIXTURE_DIR, { recursive: true, force: true });
+  });
+
+  it('should score rubric criteria deterministically with EvaluationAgent heuristics', async () => {
+    const evaluator = new MultiModelEvaluator({ backends: [EvaluatorBackendType.HEURISTIC], threshold: 70 });
+    const result = await evaluator.evaluate(PROPOSAL, ['BrandConsistencyRubric', 'CreativeInnovationRubric']);
+
+    const [heuristic] = result.evaluations;
+    assert.strictEqual(heuristic.model, 'heuristic');
+    assert.deepStrictEqual(heuristic.BrandConsistencyRubric.foundationAlignment.strengths, ['consistency', 'authenticity']);
+    assert.strictEqual(heuristic.BrandConsistencyRubric.structureCoherence.score, 90);
+    assert.strictEqual(heuristic.CreativeInnovationRubric.originality.score, 70);
+    assert.strictEqual(heuristic.overall, 75);
+    // 統合スコアは rubrics.json の Rubric の重み × criterionWeights による加重平均
+    assert.strictEqual(result.score.overall, 75.71);
+    assert.strictEqual(result.approved, true);
+    // 重み未設定のモデルは既定の重みの平均
+    assert.strictEqual(result.score.breakdown[0].weight, (0.35 + 0.35 + 0.3) / 3);
+
+    assert.deepStrictEqual(await evaluator.evaluate(PROPOSAL, ['BrandConsistencyRubric', 'CreativeInnovationRubric']), result);
+  });
+
+  it('should map results by model name rather than completion order', async () => {
+    const evaluator = new MultiModelEvaluator({
+      backends: {
+        slow: new FixedScoreBackend({ name: 'slow', score: 60, delay: 20 }),
+        fast: new FixedScoreBackend({ name: 'fast', score: 90 }),
+        heuristic: EvaluatorBackendType.HEURISTIC,
+        mock: { type: EvaluatorBackendType.MOCK, seed: 1 }
+      },
+      weights: { slow: 1, fast: 1, heuristic: 1, mock: 1 }
+    });
+
+    const { evaluations } = await evaluator.evaluate(PROPOSAL);
+
+    assert.deepStrictEqual(evaluations.map(e => [e.model, e.overall]).slice(0, 2), [['slow', 60], ['fast', 90]]);
+    assert.deepStrictEqual(evaluations.map(e => e.model), ['slow', 'fast', 'heuristic', 'mock']);
+    assert.strictEqual(evaluator.backends.mock.provider.name, 'mock');
+
+    assert.throws(() => createEvaluatorBackend('unknown'), /Unknown evaluator backend: unknown/);
+    registerEvaluatorBackend('fixed', options => new FixedScoreBackend({ score: 50, ...options }));
+    assert.strictEqual(resolveEvaluatorBackends('fixed, heuristic').fixed.score, 50);
+  });
+
+  it('should record responses once and replay them without the source', async () => {
+    const file = path.join(FIXTURE_DIR, 'evaluations.json');
+    const source = new MockLLMProvider({ name: 'claude' });
+    const recorder = new RecordedEvaluatorBackend({
+      name: 'claude',
+      file,
+      source: createEvaluatorBackend(EvaluatorBackendType.CLAUDE, { provider: source })
+    });
+
+    const recorded = await new MultiModelEvaluator({ backends: [recorder], threshold: 0 }).evaluate(PROPOSAL);
+    await recorder.save();
+    assert.strictEqual(source.calls.length, 1);
+
+    const stored = JSON.parse(await fs.readFile(file, 'utf-8'));
+    assert.deepStrictEqual(Object.keys(stored), [fingerprintRequest(PROPOSAL, ['BrandConsistencyRubric'])]);
+
+    const replay = new MultiModelEvaluator({
+      backends: { claude: { type: EvaluatorBackendType.RECORDED, file } },
+      threshold: 0,
+      retries: 0
+    });
+    assert.deepStrictEqual(await replay.evaluate(PROPOSAL), recorded);
+    await assert.rejects(
+      () => replay.evaluate({ ...PROPOSAL, tagline: '別の提案' }),
+      /No recorded evaluation for claude/
+    );
+  });
+
+  it('should run ZeroHumanApproval and AutoImprover without API keys', async () => {
+    const protocol = new ZeroHumanApproval({
+      approvalThreshold: 70,
+      enableHistory: false,
+      backends: [EvaluatorBackendType.HEURISTIC, new HeuristicEvaluatorBackend({ name: 'heuristic-2' })]
+    });
+    await protocol.initialize();
+
+    const result = await protocol.evaluate(PROPOSAL);
+    assert.strictEqual(result.approvalDecision.status, 'AUTO_APPROVED');
+    assert.deepStrictEqual(result.evaluation.score.breakdown.map(b => b.model), ['heuristic', 'heuristic-2']);
+
+    const improver = new AutoImprover({ provider: new MockLLMProvider(), backends: [EvaluatorBackendType.HEURISTIC], targetScore: 70 });
+    const improvement = await improver.improve(PROPOSAL);
+    assert.strictEqual(improvement.success, true);
+    assert.strictEqual(improvement.attempts, 0);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * GuidelineSiteGenerator ユニットテスト
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { GuidelineSiteGenerator, GuidelineSection } from '../../src/rendering/GuidelineSiteGenerator.js';
+import { BrandPipeline } from '../../src/orchestration/BrandPipeline.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'guideline_site_test');
+
+const HEARING_INPUT = {
+  hearing: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実さ', '革新性', '顧客第一'],
+    notAxis: ['妥協', '停滞'],
+    targetAudience: { description: '中小企業の経営者' },
+    tone: { voice: 'professional' },
+    positioning: '中小企業向けの信頼できる DX パートナー'
+  }
+};
+
+describe('GuidelineSiteGenerator', () => {
+  const generator = new GuidelineSiteGenerator();
+  let brandPackage;
+
+  before(async () => {
+    const logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    ({ brandPackage } = await new BrandPipeline({ logger }).run(HEARING_INPUT));
+  });
+
+  after(async () => {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  it('should build a self-contained page with every section', () => {
+    const html = generator.generate(brandPackage);
+
+    assert.match(html, /^<!DOCTYPE html>\n<html lang="ja">/);
+    assert.doesNotMatch(html, /<(link|script)\b|src="http/);
+    for (const section of Object.values(GuidelineSection)) {
+      assert.ok(html.includes(`<section class="guide-section" id="${section}">`), section);
+      assert.ok(html.includes(`<a href="#${section}">`), section);
+    }
+
+    // テーマはデザイントークンの CSS 変数、PDF 用に印刷スタイルを同梱
+    const primary = brandPackage.visual.visualSystem.foundation.color.palette.primary.main;
+    assert.ok(html.includes(`--color-primary-main: ${primary};`));
+    assert.match(html, /@page \{ size: A4;/);
+    assert.match(html, /@media print \{[\s\S]*nav\.toc \{ display: none; \}/);
+  });
+
+  it('should show contrast badges, specimens, spacing and component previews', () => {
+    const html = generator.generate(brandPackage);
+    const { foundation } = brandPackage.visual.visualSystem;
+
+    // #212121 は白文字で AAA、#F5F5F5 は白文字で不合格
+    assert.match(html, /<span class="badge badge--aaa" title="#FFFFFF on #212121">White AAA 16\.\d+:1<\/span>/);
+    assert.match(html, /<span class="badge badge--fail" title="#FFFFFF on #F5F5F5">White Fail 1\.\d+:1<\/span>/);
+    for (const pair of foundation.color.accessibility.pairs) {
+      assert.ok(html.includes(`<td>${pair.id}`), pair.id);
+    }
+    assert.ok(html.includes(`font-size:${foundation.typography.typeScale.h1.size}`));
+    assert.ok(html.includes(`<div class="spacing-bar" style="width:${foundation.spacing.scale['4']}">`));
+    assert.match(html, /<span class="preview-button" style="background:[^"]+">primary<\/span>/);
+    assert.match(html, /<div class="preview-alert"[^>]*>error <span class="badge/);
+  });
+
+  it('should include logo artwork, usage rules and voice guidance', () => {
+    const html = generator.generate(brandPackage);
+    const concept = brandPackage.logo.selectedConcept;
+    const { voiceGuide } = brandPackage.copy;
+
+    assert.ok(html.includes(concept.artwork['full-color']));
+    assert.ok(html.includes(`最小サイズ: ${concept.technical.minSize}`));
+    assert.ok(html.includes('<div class="panel do"><h3>Do</h3>'));
+    assert.ok(voiceGuide.guidelines.dos.every(item => html.includes(`<li>${item}</li>`)));
+    assert.match(html, /<th>場面<\/th>[\s\S]*<td>crisis<\/td>/);
+  });
+
+  it('should omit optional sections, escape text and require a visual system', async () => {
+    const { visual } = brandPackage;
+    const html = generator.generate({
+      visual: {
+        ...visual,
+        viGuideline: { ...visual.viGuideline, overview: { ...visual.viGuideline.overview, brandName: '<script>Acme & Co' } }
+      }
+    });
+    assert.ok(!html.includes(`id="${GuidelineSection.LOGO}"`));
+    assert.ok(!html.includes(`id="${GuidelineSection.VOICE}"`));
+    assert.doesNotMatch(html, /<script>/);
+    assert.ok(html.includes('<h1>&lt;script&gt;Acme &amp; Co ブランドガイドライン</h1>'));
+
+    assert.throws(() => generator.generate({ copy: brandPackage.copy }), /ビジュアルシステム/);
+
+    const written = await generator.save(brandPackage, OUTPUT_DIR);
+    assert.strictEqual(written, path.join(OUTPUT_DIR, 'index.html'));
+    assert.match(await fs.readFile(written, 'utf-8'), /ブランドガイドライン<\/title>/);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * LLMProvider ユニットテスト
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { LLMProvider, LLMProviderError } from '../../src/llm/LLMProvider.js';
+import { MockLLMProvider } from '../../src/llm/MockLLMProvider.js';
+import { AnthropicProvider } from '../../src/llm/AnthropicProvider.js';
+import { OpenAIProvider } from '../../src/llm/OpenAIProvider.js';
+import { GeminiProvider } from '../../src/llm/GeminiProvider.js';
+import { createLLMProvider } from '../../src/llm/LLMProviderFactory.js';
+import { PromptTemplateId, renderPrompt, generateVariations } from '../../src/llm/PromptTemplates.js';
+import { CopyAgent } from '../../src/agents/core/CopyAgent.js';
+import { ExpressionAgent } from '../../src/agents/core/ExpressionAgent.js';
+import { LogoAgent } from '../../src/agents/core/LogoAgent.js';
+import { MultiModelEvaluator } from '../../src/evaluation/MultiModelEvaluator.js';
+import { AutoImprover } from '../../src/evaluation/AutoImprover.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const ESTACK = {
+  foundation: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実', '革新', '成長'],
+    notAxis: ['妥協']
+  },
+  structure: {
+    persona: { description: '中小企業の経営者' },
+    tone: { voice: 'professional' },
+    positioning: '中小企業向けの信頼できる DX パートナー'
+  }
+};
+
+const VARIABLES = {
+  foundation: ESTACK.foundation,
+  structure: ESTACK.structure,
+  count: 3,
+  strategies: ['declarative', 'aspirational']
+};
+
+describe('LLMProvider', () => {
+  describe('MockLLMProvider', () => {
+    it('should return identical variations for identical requests', async () => {
+      const first = await generateVariations(new MockLLMProvider(), PromptTemplateId.TAGLINE_VARIATIONS, VARIABLES);
+      const second = await generateVariations(new MockLLMProvider(), PromptTemplateId.TAGLINE_VARIATIONS, VARIABLES);
+
+      assert.strictEqual(first.length, 3);
+      assert.deepStrictEqual(first, second);
+      assert.deepStrictEqual(first.map(v => v.strategy), ['declarative', 'aspirational', 'declarative']);
+    });
+
+    it('should vary output with the seed and use fixed responses when given', async () => {
+      const request = renderPrompt(PromptTemplateId.CORE_MESSAGE_VARIATIONS, VARIABLES);
+      const texts = new Set();
+      for (let seed = 0; seed < 5; seed++) {
+        texts.add((await new MockLLMProvider({ seed }).complete(request)).text);
+      }
+      assert.ok(texts.size > 1);
+
+      const fixed = new MockLLMProvider({
+        responses: { [PromptTemplateId.CORE_MESSAGE_VARIATIONS]: { variations: [{ content: '固定案' }] } }
+      });
+      const variations = await generateVariations(fixed, PromptTemplateId.CORE_MESSAGE_VARIATIONS, VARIABLES);
+      assert.deepStrictEqual(variations, [{ content: '固定案', strategy: 'llm', rationale: '' }]);
+      assert.strictEqual(fixed.calls[0].template, PromptTemplateId.CORE_MESSAGE_VARIATIONS);
+    });
+
+    it('should reject empty prompts and non-JSON responses', async () => {
+      const provider = new MockLLMProvider({ responses: { [PromptTemplateId.TAGLINE_VARIATIONS]: 'not json' } });
+
+      await assert.rejects(() => provider.complete({ prompt: '' }), LLMProviderError);
+      await assert.rejects(
+        () => generateVariations(provider, PromptTemplateId.TAGLINE_VARIATIONS, VARIABLES),
+        /JSON/
+      );
+    });
+  });
+
+  describe('Remote providers', () => {
+    it('should map requests to each SDK client and share the same prompt', async () => {
+      const request = renderPrompt(PromptTemplateId.TAGLINE_VARIATIONS, VARIABLES);
+      const seen = {};
+
+      const anthropic = new AnthropicProvider({
+        client: {
+          messages: {
+            create: async (params) => {
+              seen.anthropic = params;
+              return { content: [{ type: 'text', text: '{"variations":[]}' }] };
+            }
+          }
+        }
+      });
+      const openai = new OpenAIProvider({
+        client: {
+          chat: {
+            completions: {
+              create: async (params) => {
+                seen.openai = params;
+                return { choices: [{ message: { content: '{"variations":[]}' } }] };
+              }
+            }
+          }
+        }
+      });
+      const gemini = new GeminiProvider({
+        client: {
+          getGenerativeModel: (config) => ({
+            generateContent: async (prompt) => {
+              seen.gemini = { config, prompt };
+              return { response: { text: () => '```json\n{"variations":[]}\n```' } };
+            }
+          })
+        }
+      });
+
+      for (const provider of [anthropic, openai, gemini]) {
+        assert.deepStrictEqual(await provider.completeJSON(request), { variations: [] });
+      }
+
+      assert.strictEqual(seen.anthropic.system, request.system);
+      assert.strictEqual(seen.anthropic.messages[0].content, request.prompt);
+      assert.strictEqual(seen.openai.messages[1].content, request.prompt);
+      assert.deepStrictEqual(seen.openai.response_format, { type: 'json_object' });
+      assert.strictEqual(seen.gemini.prompt, request.prompt);
+      assert.strictEqual(seen.gemini.config.generationConfig.responseMimeType, 'application/json');
+    });
+
+    it('should wrap client failures and report missing credentials', async () => {
+      const failing = new AnthropicProvider({
+        client: { messages: { create: async () => { throw new Error('overloaded'); } } }
+      });
+      await assert.rejects(() => failing.complete({ prompt: 'hi' }), (error) => {
+        assert.ok(error instanceof LLMProviderError);
+        assert.strictEqual(error.provider, 'anthropic');
+        assert.match(error.message, /overloaded/);
+        return true;
+      });
+
+      const unconfigured = new OpenAIProvider({ apiKey: '', client: null });
+      if (!process.env.OPENAI_API_KEY) {
+        assert.strictEqual(unconfigured.isAvailable(), false);
+        await assert.rejects(() => unconfigured.complete({ prompt: 'hi' }), /API キー/);
+      }
+    });
+
+    it('should create providers by name', () => {
+      assert.ok(createLLMProvider('mock') instanceof MockLLMProvider);
+      assert.ok(createLLMProvider('Gemini', { client: {} }) instanceof GeminiProvider);
+      assert.throws(() => createLLMProvider('unknown'), /未知の LLM プロバイダー/);
+      assert.throws(() => new (class extends LLMProvider {})().name, /name/);
+    });
+
+    it('should extract JSON from fenced or prefixed responses', () => {
+      assert.deepStrictEqual(LLMProvider.parseJSON('結果:\n{"a": 1}\n以上'), { a: 1 });
+      assert.deepStrictEqual(LLMProvider.parseJSON('```\n[1, 2]\n```'), [1, 2]);
+      assert.throws(() => LLMProvider.parseJSON('なし'), /JSON/);
+    });
+  });
+
+  describe('Creative agents', () => {
+    let logger;
+
+    beforeEach(() => {
+      logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    });
+
+    it('should keep template-only output when no provider is configured', async () => {
+      const agent = new CopyAgent({ logger });
+      const result = await agent.process({ estack: ESTACK });
+
+      assert.strictEqual(result.taglines.length, 3);
+      assert.ok(result.taglines.every(t => t.source === 'template'));
+      assert.strictEqual(result.metadata.llm, null);
+    });
+
+    it('should append scored LLM variations to CopyAgent output', async () => {
+      const agent = new CopyAgent({ logger, llm: new MockLLMProvider(), llmVariations: 2 });
+      const result = await agent.process({ estack: ESTACK });
+
+      const llmTaglines = result.taglines.filter(t => t.source === 'llm');
+      assert.strictEqual(result.taglines.length, 5);
+      assert.strictEqual(llmTaglines.length, 2);
+      assert.strictEqual(llmTaglines[0].id, 'tagline-llm-1');
+      assert.ok(llmTaglines[0].characteristics.rhythm);
+      assert.strictEqual(result.coreMessages.filter(m => m.source === 'llm').length, 2);
+      assert.deepStrictEqual(result.metadata.llm, { provider: 'mock', model: 'mock-1', generated: 4, errors: [] });
+    });
+
+    it('should fall back to templates when the provider fails', async () => {
+      const llm = new MockLLMProvider({
+        responses: { [PromptTemplateId.TAGLINE_VARIATIONS]: () => { throw new Error('rate limited'); } }
+      });
+      const agent = new CopyAgent({ logger, llm });
+      const result = await agent.process({ estack: ESTACK, target: 'tagline' });
+
+      assert.strictEqual(result.taglines.length, 3);
+      assert.strictEqual(result.metadata.llm.generated, 0);
+      assert.match(result.metadata.llm.errors[0], /rate limited/);
+    });
+
+    it('should add LLM branches to ExpressionAgent and metaphors to LogoAgent', async () => {
+      const llm = new MockLLMProvider();
+      const expression = await new ExpressionAgent({ logger, llm }).process({ estack: ESTACK });
+
+      assert.strictEqual(expression.expressions.tagline.filter(b => b.source === 'llm').length, 3);
+      assert.ok(expression.expressions.visualConcept.every(b => b.source === 'template'));
+      assert.strictEqual(llm.calls[0].template, PromptTemplateId.CORE_MESSAGE_VARIATIONS);
+
+      const logo = await new LogoAgent({ logger, llm }).process({ estack: ESTACK });
+      const metaphors = logo.symbolism.metaphorVariations;
+
+      assert.strictEqual(metaphors.length, 4);
+      assert.strictEqual(metaphors[0].source, 'template');
+      assert.ok(metaphors.slice(1).every(m => m.source === 'llm' && m.content.length > 0));
+    });
+  });
+
+  describe('Evaluation', () => {
+    const proposal = { brandName: 'Test', foundation: ESTACK.foundation };
+
+    it('should evaluate offline with mock providers per model', async () => {
+      const evaluator = new MultiModelEvaluator({
+        providers: {
+          claude: new MockLLMProvider({ name: 'claude' }),
+          gpt: new MockLLMProvider({ name: 'gpt', seed: 1 })
+        },
+        threshold: 0
+      });
+
+      const result = await evaluator.evaluate(proposal);
+
+      assert.strictEqual(result.approved, true);
+      assert.deepStrictEqual(result.evaluations.map(e => e.model), ['claude', 'gpt']);
+      assert.ok(result.evaluations[0].BrandConsistencyRubric.foundationAlignment.score >= 70);
+      assert.ok(result.score.overall > 0);
+      assert.deepStrictEqual(await evaluator.evaluate(proposal), result);
+    });
+
+    it('should generate improvements through the shared template', async () => {
+      const provider = new MockLLMProvider();
+      const improver = new AutoImprover({
+        provider,
+        evaluator: new MultiModelEvaluator({ providers: { claude: new MockLLMProvider() } })
+      });
+      const evaluation = await improver.evaluator.evaluate(proposal);
+
+      const improved = await improver.generateImprovement(proposal, evaluation, ['BrandConsistencyRubric'], 1);
+
+      assert.deepStrictEqual(improved, proposal);
+      assert.strictEqual(provider.calls[0].template, PromptTemplateId.PROPOSAL_IMPROVEMENT);
+      assert.strictEqual(provider.calls[0].prompt, improver.buildImprovementPrompt(proposal, evaluation, [], 1));
+    });
+  });
+});
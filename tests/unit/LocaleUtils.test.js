@@ -0,0 +1,84 @@
+/**
+ * LocaleUtils ユニットテスト
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  Locale,
+  Politeness,
+  detectLocale,
+  measureFullWidth,
+  measureCopy,
+  detectPoliteness,
+  applyPoliteness,
+  findWordplay,
+  assessCulturalFit,
+  checkCrossLocale
+} from '../../src/utils/LocaleUtils.js';
+
+describe('LocaleUtils', () => {
+  it('should detect locale and measure length in full-width characters', () => {
+    assert.strictEqual(detectLocale('信頼できる技術'), Locale.JA);
+    assert.strictEqual(detectLocale('Integrity, delivered.'), Locale.EN);
+
+    assert.strictEqual(measureFullWidth('未来をつくる'), 6);
+    assert.strictEqual(measureFullWidth('DX で未来を'), 5.5);
+    assert.deepStrictEqual(measureCopy('Let\'s build the future.'), { locale: Locale.EN, length: 10, beats: 7.5 });
+  });
+
+  it('should convert sentence endings between polite and plain forms', () => {
+    const cases = [
+      ['信頼できる技術で未来をつくる', '信頼できる技術で未来をつくります'],
+      ['価値を届ける。', '価値を届けます。'],
+      ['未来を、共に実現しよう！', '未来を、共に実現しましょう！'],
+      ['前へ進もう', '前へ進みましょう'],
+      ['安心だ。妥協しない。', '安心です。妥協しません。'],
+      ['道を走る', '道を走ります']
+    ];
+    for (const [plain, polite] of cases) {
+      assert.strictEqual(applyPoliteness(plain, Politeness.POLITE), polite);
+      assert.strictEqual(applyPoliteness(polite, Politeness.PLAIN), plain);
+    }
+
+    // 体言止めは変えない
+    assert.strictEqual(applyPoliteness('誠実さの実現', Politeness.POLITE), '誠実さの実現');
+    assert.strictEqual(detectPoliteness('誠実さの実現'), 'neutral');
+    assert.strictEqual(detectPoliteness('未来をつくります。技術は大切だ。'), 'mixed');
+    assert.throws(() => applyPoliteness('未来', 'keigo'), /未知の丁寧さです: keigo/);
+  });
+
+  it('should report cultural fit issues per locale', () => {
+    assert.deepStrictEqual(assessCulturalFit('誠実さの実現', Locale.JA, { kind: 'tagline' }), {
+      locale: Locale.JA,
+      level: 'high',
+      score: 1,
+      issues: []
+    });
+
+    const mixed = assessCulturalFit('未来をつくります。技術は大切だ。', Locale.JA, { politeness: Politeness.POLITE });
+    assert.strictEqual(mixed.level, 'moderate');
+    assert.deepStrictEqual(mixed.issues.map(issue => issue.type), ['mixed-politeness']);
+
+    const english = assessCulturalFit('A NAIVE idea!!', Locale.EN, { kind: 'tagline' });
+    assert.strictEqual(english.level, 'low');
+    assert.deepStrictEqual(english.issues.map(issue => issue.type), ['false-friend', 'shouting', 'exclamation']);
+    assert.deepStrictEqual(
+      assessCulturalFit('誠実さ, delivered.', Locale.EN).issues.map(issue => issue.type),
+      ['untranslated']
+    );
+  });
+
+  it('should flag wordplay and values that do not carry over between locales', () => {
+    assert.deepStrictEqual(findWordplay('ワクワクする未来'), [{ type: 'onomatopoeia', match: 'ワクワク' }]);
+    assert.deepStrictEqual(findWordplay('Make it, shake it'), [{ type: 'rhyme', match: 'make / shake' }]);
+    assert.deepStrictEqual(findWordplay('Build bold brands'), [{ type: 'alliteration', match: 'build bold' }]);
+
+    const issues = checkCrossLocale(
+      { locale: Locale.JA, text: 'ワクワクする誠実さ', foundation: { values: ['誠実さ', '革新性'] } },
+      { locale: Locale.EN, text: 'Exciting innovation', foundation: { values: ['Integrity', 'Innovation'] } }
+    );
+    assert.deepStrictEqual(issues.map(issue => issue.type), ['wordplay-lost', 'meaning-drift', 'meaning-drift']);
+    assert.match(issues[1].message, /ja「誠実さ」 に対応する en「Integrity」 が含まれていない/);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * LogoAssetExporter / Rasterizer / BinaryFormats ユニットテスト
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { LogoAssetExporter } from '../../src/rendering/LogoAssetExporter.js';
+import { LogoRenderer, LogoVariant } from '../../src/rendering/LogoRenderer.js';
+import { artworkBounds, rasterizeIcon } from '../../src/rendering/Rasterizer.js';
+import { crc32, encodePNG, encodeICO, createZip } from '../../src/rendering/BinaryFormats.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'logo_assets_test');
+
+const CONCEPT = {
+  id: 'form-2',
+  geometry: { baseShapes: ['circle', 'square'], orientation: 'horizontal', scale: 'large', precision: 'high' },
+  proportion: { height: 100, width: 200 },
+  textPlacement: { brandName: 'Acme', position: 'right' },
+  styling: {
+    colorPalette: { primary: '#1A237E', secondary: '#C0C0C0', accent: '#FFFFFF' },
+    lineStyle: { weight: 'medium', endings: 'rounded' },
+    typography: { family: 'Sans-serif', weight: 'bold' }
+  },
+  technical: { minSize: '16px', clearSpace: 'minimum 1x logo height' }
+};
+
+/**
+ * PNG をデコード (フィルタ 0 のみ対応)
+ */
+function readPNG(buffer) {
+  assert.strictEqual(buffer.subarray(1, 4).toString('ascii'), 'PNG');
+  const width = buffer.readUInt32BE(16);
+  const height = buffer.readUInt32BE(20);
+  const idat = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString('ascii');
+    const chunk = buffer.subarray(offset + 4, offset + 8 + length);
+    assert.strictEqual(buffer.readUInt32BE(offset + 8 + length), crc32(chunk), `${type} CRC`);
+    if (type === 'IDAT') idat.push(buffer.subarray(offset + 8, offset + 8 + length));
+    offset += length + 12;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    assert.strictEqual(raw[y * (width * 4 + 1)], 0);
+    data.set(raw.subarray(y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1)), y * width * 4);
+  }
+  return { width, height, data };
+}
+
+/**
+ * ZIP を中央ディレクトリから読み出す
+ */
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.strictEqual(buffer.readUInt32LE(end), 0x06054B50);
+  const count = buffer.readUInt16LE(end + 10);
+  const files = new Map();
+  for (let i = 0, offset = buffer.readUInt32LE(end + 16); i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressed = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf-8');
+    const start = local + 30 + buffer.readUInt16LE(local + 26);
+    const payload = buffer.subarray(start, start + compressed);
+    const data = method === 8 ? zlib.inflateRawSync(payload) : payload;
+    assert.strictEqual(crc32(data), buffer.readUInt32LE(offset + 16), `${name} CRC`);
+    files.set(name, data);
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+const pixel = ({ width, data }, x, y) => Array.from(data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+
+/**
+ * 不透明度が半分以上のピクセルの外接矩形の一辺 (px)
+ */
+function drawnExtent(bitmap) {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      if (pixel(bitmap, x, y)[3] >= 128) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  return Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) + 1;
+}
+
+describe('LogoAssetExporter', () => {
+  after(async () => {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  describe('BinaryFormats', () => {
+    it('should encode PNG, ICO and ZIP containers', () => {
+      assert.strictEqual(crc32(Buffer.from('123456789')), 0xCBF43926);
+
+      const bitmap = { width: 2, height: 1, data: new Uint8Array([255, 0, 0, 255, 0, 0, 255, 128]) };
+      const png = encodePNG(bitmap);
+      assert.deepStrictEqual(readPNG(png), bitmap);
+      assert.throws(() => encodePNG({ width: 3, height: 3, data: new Uint8Array(4) }), /サイズが一致しません/);
+
+      const ico = encodeICO([{ size: 16, png }, { size: 256, png }]);
+      assert.deepStrictEqual([ico.readUInt16LE(2), ico.readUInt16LE(4)], [1, 2]);
+      assert.deepStrictEqual([ico[6], ico[22]], [16, 0]);
+      assert.strictEqual(ico.readUInt32LE(6 + 12), 6 + 32);
+      assert.ok(ico.subarray(38).subarray(0, png.length).equals(png));
+
+      const entries = [{ name: 'README.md', data: 'hello '.repeat(100) }, { name: 'icon.png', data: png }];
+      const zip = createZip(entries);
+      assert.ok(zip.equals(createZip(entries)), 'zip output should be byte-for-byte stable');
+      const files = readZip(zip);
+      assert.strictEqual(files.get('README.md').toString(), 'hello '.repeat(100));
+      assert.ok(files.get('icon.png').equals(png));
+    });
+  });
+
+  describe('Rasterizer', () => {
+    const renderer = new LogoRenderer();
+
+    it('should rasterize shapes with anti-aliasing, padding and knockouts', () => {
+      const circle = renderer.iconScene({ ...CONCEPT, geometry: { baseShapes: ['circle'], scale: 'large' } });
+      const bitmap = rasterizeIcon(circle, { size: 32 });
+
+      assert.deepStrictEqual(pixel(bitmap, 16, 16), [0x1A, 0x23, 0x7E, 255]);
+      assert.deepStrictEqual(pixel(bitmap, 0, 0), [0, 0, 0, 0]);
+      assert.ok(
+        bitmap.data.some((value, index) => index % 4 === 3 && value > 0 && value < 255),
+        'edges should be anti-aliased'
+      );
+
+      const padded = rasterizeIcon(circle, { size: 32, padding: 0.25 });
+      assert.strictEqual(pixel(padded, 16, 6)[3], 0);
+
+      // モノクロは内側の正方形がくり抜かれ、反転版は背景色で塗られる
+      const mono = rasterizeIcon(renderer.iconScene(CONCEPT, LogoVariant.MONOCHROME), { size: 32 });
+      assert.deepStrictEqual(pixel(mono, 16, 16), [0, 0, 0, 0]);
+      assert.deepStrictEqual(pixel(mono, 16, 4), [0, 0, 0, 255]);
+
+      const reversed = rasterizeIcon(renderer.iconScene(CONCEPT, LogoVariant.REVERSED), { size: 32 });
+      assert.deepStrictEqual(pixel(reversed, 0, 0), [0x1A, 0x23, 0x7E, 255]);
+      assert.deepStrictEqual(pixel(reversed, 16, 4), [255, 255, 255, 255]);
+
+      assert.throws(() => rasterizeIcon(circle, { size: 32, padding: 0.5 }), /余白/);
+    });
+
+    it('should apply the orientation rotation', () => {
+      const line = { ...CONCEPT, geometry: { baseShapes: ['line'], scale: 'large' } };
+      const flat = rasterizeIcon(renderer.iconScene(line), { size: 32 });
+      const diagonal = rasterizeIcon(
+        renderer.iconScene({ ...line, geometry: { ...line.geometry, orientation: 'diagonal' } }),
+        { size: 32 }
+      );
+
+      assert.ok(pixel(flat, 6, 16)[3] > 0);
+      assert.strictEqual(pixel(flat, 9, 22)[3], 0);
+      assert.strictEqual(pixel(diagonal, 6, 16)[3], 0);
+      assert.ok(pixel(diagonal, 9, 22)[3] > 0);
+    });
+  });
+
+  describe('Asset pack', () => {
+    const exporter = new LogoAssetExporter({ logoSizes: [16, 32], faviconSizes: [16, 32] });
+
+    it('should package PNGs, icons, manifest and README into a stable zip', () => {
+      const zip = exporter.createPackage(CONCEPT);
+      const files = readZip(zip);
+
+      assert.deepStrictEqual([...files.keys()], [
+        'README.md',
+        'svg/form-2-full-color.svg',
+        'svg/form-2-monochrome.svg',
+        'svg/form-2-reversed.svg',
+        'png/form-2-full-color-16.png',
+        'png/form-2-full-color-32.png',
+        'png/form-2-monochrome-16.png',
+        'png/form-2-monochrome-32.png',
+        'png/form-2-reversed-16.png',
+        'png/form-2-reversed-32.png',
+        'favicon/favicon.ico',
+        'favicon/icon.svg',
+        'favicon/apple-touch-icon.png',
+        'favicon/icon-192.png',
+        'favicon/icon-512.png',
+        'favicon/maskable-512.png',
+        'favicon/manifest.json',
+        'android/mipmap-anydpi-v26/ic_launcher.xml',
+        'android/mipmap-xxxhdpi/ic_launcher_foreground.png',
+        'android/mipmap-xxxhdpi/ic_launcher_background.png',
+        'android/mipmap-xxxhdpi/ic_launcher_monochrome.png'
+      ]);
+      assert.ok(zip.equals(exporter.createPackage(CONCEPT)));
+
+      // クリアスペース 1x → マーク 16px は 48px キャンバス
+      const mark = readPNG(files.get('png/form-2-full-color-16.png'));
+      assert.deepStrictEqual([mark.width, mark.height], [48, 48]);
+      assert.strictEqual(pixel(mark, 15, 24)[3], 0);
+      assert.strictEqual(pixel(mark, 24, 24)[3], 255);
+
+      const ico = files.get('favicon/favicon.ico');
+      assert.deepStrictEqual([ico.readUInt16LE(4), ico[6], ico[22]], [2, 16, 32]);
+
+      const touch = readPNG(files.get('favicon/apple-touch-icon.png'));
+      assert.deepStrictEqual([touch.width, pixel(touch, 0, 0)], [180, [255, 255, 255, 255]]);
+      assert.strictEqual(readPNG(files.get('android/mipmap-xxxhdpi/ic_launcher_foreground.png')).width, 432);
+
+      const manifest = JSON.parse(files.get('favicon/manifest.json'));
+      assert.strictEqual(manifest.theme_color, '#1A237E');
+      assert.deepStrictEqual(manifest.icons.map(icon => icon.purpose), [undefined, undefined, 'maskable']);
+
+      const readme = files.get('README.md').toString();
+      assert.match(readme, /^# Acme ロゴアセット \(form-2\)/);
+      assert.match(readme, /マークの高さ 16px 未満で使用しないこと/);
+      assert.match(readme, /\| `favicon\/favicon\.ico` \| favicon \(16px \/ 32px\) \|/);
+    });
+
+    it('should enforce the minimum size and clear-space specs', () => {
+      assert.throws(
+        () => new LogoAssetExporter({ logoSizes: [8] }).buildAssets(CONCEPT),
+        /png\/full-color: ロゴの表示サイズ 8px が最小サイズ 16px を下回ります/
+      );
+      assert.throws(
+        () => new LogoAssetExporter({ logoSizes: [16], faviconSizes: [12] }).buildAssets(CONCEPT),
+        /favicon 12px/
+      );
+      assert.throws(
+        () => exporter.buildAssets({ ...CONCEPT, technical: { clearSpace: 'generous' } }),
+        /clearSpace を解釈できません/
+      );
+
+      const halfSpace = new LogoAssetExporter({ logoSizes: [16], faviconSizes: [16] }).buildAssets({
+        ...CONCEPT,
+        technical: { minSize: '16px', clearSpace: '0.5x mark height' }
+      });
+      const mark = readPNG(halfSpace.find(asset => asset.path === 'png/form-2-full-color-16.png').data);
+      assert.strictEqual(mark.width, 32);
+    });
+
+    it('should size marks and favicons by the artwork actually drawn', () => {
+      // scale: medium はシーン枠の 77.44% しか描かない
+      const medium = { ...CONCEPT, geometry: { ...CONCEPT.geometry, scale: 'medium' } };
+      assert.deepStrictEqual(
+        artworkBounds(new LogoRenderer().iconScene(medium)).map(value => Number(value.toFixed(2))),
+        [11.28, 11.28, 88.72, 88.72]
+      );
+
+      const assets = new LogoAssetExporter({ logoSizes: [16], faviconSizes: [16] }).buildAssets(medium);
+      const mark = readPNG(assets.find(asset => asset.path === 'png/form-2-full-color-16.png').data);
+      assert.strictEqual(mark.width, 48);
+      assert.strictEqual(drawnExtent(mark), 16);
+
+      const ico = assets.find(asset => asset.path === 'favicon/favicon.ico').data;
+      const favicon = readPNG(ico.subarray(ico.readUInt32LE(18), ico.readUInt32LE(18) + ico.readUInt32LE(14)));
+      assert.strictEqual(drawnExtent(favicon), 16);
+
+      // アプリアイコンはセーフゾーンを保つため、描画サイズで最小サイズを判定する
+      assert.throws(
+        () => new LogoAssetExporter({ logoSizes: [256], faviconSizes: [256] }).buildAssets({
+          ...medium,
+          technical: { minSize: '170px', clearSpace: '1x' }
+        }),
+        /icon 180px: ロゴの表示サイズ 105.94px が最小サイズ 170px を下回ります/
+      );
+    });
+
+    it('should save the zip to disk', async () => {
+      const target = path.join(OUTPUT_DIR, 'acme-logo.zip');
+      const written = await new LogoAssetExporter({ logoSizes: [16], faviconSizes: [16] }).save(CONCEPT, target);
+
+      assert.strictEqual(written, target);
+      assert.ok(readZip(await fs.readFile(target)).has('README.md'));
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * LogoRenderer ユニットテスト
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { LogoRenderer, LogoVariant } from '../../src/rendering/LogoRenderer.js';
+import { LogoAgent, ShapeType } from '../../src/agents/core/LogoAgent.js';
+import { contrastRatio } from '../../src/utils/ColorUtils.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'logo_renderer_test');
+
+const ESTACK = {
+  foundation: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['革新', '誠実', '成長'],
+    notAxis: []
+  },
+  structure: { tone: { voice: 'professional' } },
+  expression: { brandName: 'Acme & Co' }
+};
+
+/**
+ * 自己終了タグ以外の開始・終了タグが対応しているかを検査
+ */
+function assertWellFormed(svg) {
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" viewBox="[\d. ]+"/);
+  const stack = [];
+  for (const [, closing, name, selfClosing] of svg.matchAll(/<(\/?)([a-zA-Z]+)[^>]*?(\/?)>/g)) {
+    if (selfClosing) continue;
+    if (closing) {
+      assert.strictEqual(stack.pop(), name, `unbalanced </${name}>`);
+    } else {
+      stack.push(name);
+    }
+  }
+  assert.deepStrictEqual(stack, []);
+}
+
+const concept = (overrides = {}) => ({
+  id: 'form-1',
+  geometry: { baseShapes: [ShapeType.CIRCLE], orientation: 'horizontal', scale: 'moderate', precision: 'high' },
+  proportion: { height: 100, width: 200 },
+  textPlacement: { brandName: 'Acme', position: 'right' },
+  styling: {
+    colorPalette: { primary: '#1A237E', secondary: '#C0C0C0', accent: '#FFFFFF' },
+    lineStyle: { weight: 'medium', endings: 'rounded' },
+    typography: { family: 'Sans-serif', weight: 'bold' }
+  },
+  ...overrides
+});
+
+describe('LogoRenderer', () => {
+  const renderer = new LogoRenderer();
+
+  after(async () => {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  it('should render every LogoAgent concept deterministically', async () => {
+    const logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    const first = await new LogoAgent({ logger }).process({ estack: ESTACK });
+    const second = await new LogoAgent({ logger }).process({ estack: ESTACK });
+
+    assert.strictEqual(first.concepts.length, 3);
+    for (const [index, logo] of first.concepts.entries()) {
+      assert.deepStrictEqual(Object.keys(logo.artwork), logo.technical.variants);
+      assert.deepStrictEqual(logo.artwork, second.concepts[index].artwork);
+      Object.values(logo.artwork).forEach(assertWellFormed);
+    }
+
+    // 革新 → triangle、dynamic なリズムは斜め配置
+    const [primaryFocus] = first.concepts;
+    assert.match(primaryFocus.artwork[LogoVariant.FULL_COLOR], /<polygon points="[^"]+" fill="#FF5722"\/>/);
+    assert.match(primaryFocus.artwork[LogoVariant.FULL_COLOR], /transform="rotate\(-45 50 50\)"/);
+    assert.match(primaryFocus.artwork[LogoVariant.FULL_COLOR], /<title id="form-1-full-color-title">Acme &amp; Co \(full-color\)<\/title>/);
+
+    const disabled = await new LogoAgent({ logger, renderArtwork: false }).process({ estack: ESTACK });
+    assert.strictEqual(disabled.concepts[0].artwork, undefined);
+  });
+
+  it('should draw each shape type and layer compound shapes', () => {
+    for (const shape of Object.values(ShapeType)) {
+      assertWellFormed(renderer.render(concept({
+        geometry: { baseShapes: [shape], orientation: 'horizontal', scale: 'large' }
+      })));
+    }
+
+    const svg = renderer.render(concept({
+      geometry: { baseShapes: ['square', 'circle', 'wave', 'dot'], orientation: 'horizontal', scale: 'large', precision: 'high' }
+    }));
+    assert.match(svg, /<rect x="[\d.]+" y="[\d.]+" width="[\d.]+" height="[\d.]+" fill="#1A237E"\/>/);
+    assert.match(svg, /<circle cx="50" cy="50" r="20.9" fill="#C0C0C0"\/>/);
+    assert.match(svg, /<path d="M[^"]+" fill="none" stroke="#1A237E"/);
+    // 4 つ目以降の形状は描かない
+    assert.strictEqual((svg.match(/<circle /g) || []).length, 1);
+
+    assert.throws(() => renderer.render(concept({ geometry: { baseShapes: ['hexagon'] } })), /未対応の図形タイプ/);
+    assert.throws(() => renderer.render({ id: 'empty' }), /geometry\.baseShapes/);
+    assert.throws(() => renderer.render(concept(), 'sepia'), /未対応のロゴバリアント/);
+  });
+
+  it('should place the brand name right or below and widen the canvas to fit it', () => {
+    const right = renderer.render(concept());
+    assert.match(right, /viewBox="0 0 200 100"/);
+    assert.match(right, /<text x="107" y="50" [^>]*font-weight="700"[^>]*text-anchor="start"[^>]*>Acme<\/text>/);
+
+    const below = renderer.render(concept({ textPlacement: { brandName: 'Acme', position: 'below' } }));
+    assert.match(below, /<text x="100" y="80" [^>]*text-anchor="middle"/);
+
+    const long = renderer.render(concept({ textPlacement: { brandName: 'Acme Interstellar Logistics', position: 'right' } }));
+    const [, width] = long.match(/viewBox="0 0 ([\d.]+) 100"/);
+    assert.ok(Number(width) > 200);
+
+    const iconOnly = renderer.render(concept({ textPlacement: {} }));
+    assert.doesNotMatch(iconOnly, /<text/);
+    assert.match(iconOnly, /<circle cx="100" cy="50"/);
+  });
+
+  it('should produce one-color monochrome and reversed variants', () => {
+    const compound = concept({
+      geometry: { baseShapes: ['circle', 'triangle'], orientation: 'horizontal', scale: 'large' }
+    });
+
+    const mono = renderer.render(compound, LogoVariant.MONOCHROME);
+    assertWellFormed(mono);
+    assert.match(mono, /<mask id="form-1-monochrome-knockout-0">/);
+    assert.match(mono, /<g mask="url\(#form-1-monochrome-knockout-0\)"><circle [^>]*fill="#000000"\/><\/g>/);
+    assert.doesNotMatch(mono, /#1A237E|#C0C0C0/);
+
+    // 濃い primary は反転版の背景に使い、淡い primary は黒背景にする
+    const reversed = renderer.render(compound, LogoVariant.REVERSED);
+    assert.match(reversed, /<rect width="200" height="100" fill="#1A237E"\/>/);
+    assert.match(reversed, /<text [^>]*fill="#FFFFFF"/);
+
+    const pale = concept({ styling: { colorPalette: { primary: '#FFC107' } } });
+    const paleReversed = renderer.render(pale, LogoVariant.REVERSED);
+    assert.ok(contrastRatio('#FFFFFF', '#FFC107') < 3);
+    assert.match(paleReversed, /<rect width="200" height="100" fill="#000000"\/>/);
+  });
+
+  it('should render a square icon-only favicon', () => {
+    const favicon = renderer.render(concept({
+      geometry: { baseShapes: ['circle', 'square', 'dot'], orientation: 'vertical', scale: 'moderate' }
+    }), LogoVariant.FAVICON);
+
+    assertWellFormed(favicon);
+    assert.match(favicon, /viewBox="0 0 100 100" width="32" height="32"/);
+    assert.doesNotMatch(favicon, /<text/);
+    assert.match(favicon, /<circle cx="50" cy="50" r="44" fill="#1A237E"\/>/);
+    // 16px でも判別できるよう 2 レイヤーまで
+    assert.strictEqual((favicon.match(/<circle /g) || []).length, 1);
+  });
+
+  it('should save each variant as an SVG file', async () => {
+    const written = await renderer.save(concept(), OUTPUT_DIR, [LogoVariant.FULL_COLOR, LogoVariant.FAVICON]);
+
+    assert.deepStrictEqual(written.map(file => path.basename(file)), ['form-1-full-color.svg', 'form-1-favicon.svg']);
+    assert.strictEqual(
+      await fs.readFile(written[1], 'utf-8'),
+      renderer.render(concept(), LogoVariant.FAVICON)
+    );
+  });
+});
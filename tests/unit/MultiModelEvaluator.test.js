@@ -0,0 +1,325 @@
+/**
+ * MultiModelEvaluator ユニットテスト
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LLMEvaluatorBackend } from '../../src/evaluation/EvaluatorBackends.js';
+import { MultiModelEvaluator } from '../../src/evaluation/MultiModelEvaluator.js';
+import { ZeroHumanApproval } from '../../src/evaluation/ZeroHumanApproval.js';
+import { EvaluationHistory } from '../../src/evaluation/EvaluationHistory.js';
+import { MockLLMProvider } from '../../src/llm/MockLLMProvider.js';
+import { PromptTemplateId } from '../../src/llm/PromptTemplates.js';
+import { FixedScoreBackend } from '../helpers/FixedScoreBackend.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/multi_model_evaluator_test');
+
+const PROPOSAL = { brandName: 'Verinova', tagline: '誠実さの実現' };
+
+/**
+ * @param {Object<string, Object>} specs - モデル名 → FixedScoreBackend 設定
+ * @param {Object} [options] - MultiModelEvaluator 設定
+ * @returns {MultiModelEvaluator}
+ */
+function createEvaluator(specs, options = {}) {
+  const backends = Object.fromEntries(
+    Object.entries(specs).map(([name, spec]) => [name, new FixedScoreBackend({ name, ...spec })])
+  );
+  return new MultiModelEvaluator({ backends, timeout: 50, retryDelay: 0, threshold: 90, ...options });
+}
+
+describe('MultiModelEvaluator', () => {
+  describe('Fault tolerance', () => {
+    it('should retry failed models and time out models that do not respond', async () => {
+      const evaluator = createEvaluator({
+        claude: {},
+        gpt: { failures: 1 },
+        gemini: { hang: true }
+      });
+
+      const result = await evaluator.evaluate(PROPOSAL);
+
+      assert.deepStrictEqual(result.evaluations.map(e => e.model), ['claude', 'gpt']);
+      assert.strictEqual(evaluator.backends.gpt.calls, 2);
+      assert.deepStrictEqual(result.missing, [
+        { model: 'gemini', error: 'gemini timed out after 50ms', attempts: 2 }
+      ]);
+      assert.deepStrictEqual(result.quorum, { required: 2, expected: 3, available: 2, met: true });
+      assert.strictEqual(result.approved, true);
+      // 全モデルが一致していても欠けたモデルがあれば信頼度を下げる
+      assert.strictEqual(result.score.agreement, 1);
+      assert.strictEqual(result.score.coverage, 0.67);
+      assert.strictEqual(result.score.confidence, 'medium');
+      assert.match(evaluator.generateReport(result), /Quorum: 2\/3 models \(required: 2\)\n[\s\S]*gemini: MISSING \(gemini timed out after 50ms\)/);
+    });
+
+    it('should withhold the verdict below quorum and fail when every model fails', async () => {
+      const evaluator = createEvaluator({
+        claude: {},
+        gpt: { failures: 5 },
+        gemini: { failures: 5 }
+      }, { retries: 0 });
+
+      const result = await evaluator.evaluate(PROPOSAL);
+
+      assert.strictEqual(result.score.overall, 92);
+      assert.strictEqual(result.approved, false);
+      assert.deepStrictEqual(result.quorum, { required: 2, expected: 3, available: 1, met: false });
+      assert.deepStrictEqual(result.missing.map(m => [m.model, m.attempts]), [['gpt', 1], ['gemini', 1]]);
+      assert.strictEqual(result.score.confidence, 'low');
+
+      const lenient = createEvaluator({ claude: {}, gpt: { failures: 5 } }, { retries: 0, quorum: 1 });
+      assert.strictEqual((await lenient.evaluate(PROPOSAL)).approved, true);
+
+      // 構成モデル数より大きい quorum を黙って下げない
+      const strict = createEvaluator({ claude: {} }, { quorum: 2 });
+      const single = await strict.evaluate(PROPOSAL);
+      assert.deepStrictEqual(single.quorum, { required: 2, expected: 1, available: 1, met: false });
+      assert.strictEqual(single.approved, false);
+
+      const broken = createEvaluator({ claude: { failures: 5 }, gpt: { hang: true } }, { retries: 0 });
+      await assert.rejects(
+        () => broken.evaluate(PROPOSAL),
+        /Evaluation failed: All models failed: claude \(claude unavailable\), gpt \(gpt timed out after 50ms\)/
+      );
+    });
+
+    it('should skip unavailable backends without calling them and report them apart from failures', async () => {
+      const evaluator = createEvaluator({ claude: {}, gpt: {}, gemini: { available: false } });
+
+      const result = await evaluator.evaluate(PROPOSAL);
+
+      assert.strictEqual(evaluator.backends.gemini.calls, 0);
+      assert.deepStrictEqual(result.evaluations.map(e => e.model), ['claude', 'gpt']);
+      assert.deepStrictEqual(result.missing, []);
+      assert.deepStrictEqual(result.skipped, [{ model: 'gemini', reason: 'unavailable' }]);
+      // 構成済みのモデルとしてクォーラムの分母には含める
+      assert.deepStrictEqual(result.quorum, { required: 2, expected: 3, available: 2, met: true });
+      assert.strictEqual(result.score.confidence, 'medium');
+      assert.match(evaluator.generateReport(result), /gemini: SKIPPED \(unavailable\)/);
+
+      const protocol = new ZeroHumanApproval({
+        enableHistory: false,
+        evaluator: createEvaluator({ claude: {}, gpt: { failures: 5 }, gemini: { available: false } }, { retries: 0 })
+      });
+      await protocol.initialize();
+      const { approvalDecision } = await protocol.evaluate(PROPOSAL);
+      assert.deepStrictEqual(approvalDecision.criteria.quorum.skippedModels, ['gemini']);
+      assert.match(approvalDecision.reasoning, /1\/3 でクォーラム 2 に達していません \(欠落: gpt \/ 利用不可: gemini\)/);
+
+      const none = createEvaluator({ claude: { available: false } });
+      await assert.rejects(() => none.evaluate(PROPOSAL), /No AI models available \(unavailable: claude\)/);
+      assert.strictEqual(none.backends.claude.calls, 0);
+    });
+
+    it('should refuse AUTO_APPROVED in ZeroHumanApproval when the quorum is not met', async () => {
+      const protocol = new ZeroHumanApproval({
+        enableHistory: false,
+        evaluator: createEvaluator({ claude: {}, gpt: { failures: 5 }, gemini: { failures: 5 } }, { retries: 0 })
+      });
+      await protocol.initialize();
+
+      const { approvalDecision } = await protocol.evaluate(PROPOSAL);
+
+      assert.strictEqual(approvalDecision.autoApproved, false);
+      assert.strictEqual(approvalDecision.status, 'CONDITIONAL_APPROVAL');
+      assert.deepStrictEqual(approvalDecision.criteria.quorum, { required: 2, actual: 1, missingModels: ['gpt', 'gemini'], skippedModels: [], met: false });
+      assert.match(approvalDecision.reasoning, /1\/3 でクォーラム 2 に達していません \(欠落: gpt, gemini\)/);
+
+      protocol.evaluator = createEvaluator({ claude: {}, gpt: {}, gemini: { failures: 5 } }, { retries: 0 });
+      assert.strictEqual((await protocol.evaluate(PROPOSAL)).approvalDecision.status, 'AUTO_APPROVED');
+    });
+  });
+
+  describe('Schema validation', () => {
+    it('should coerce responses and repair malformed ones once through the model', async () => {
+      const provider = new MockLLMProvider({
+        name: 'gpt',
+        responses: {
+          [PromptTemplateId.PROPOSAL_EVALUATION]: {
+            foundationAlignment: { score: 140, reason: '...' },
+            structureCoherence: { score: '80', reason: '...' }
+          }
+        }
+      });
+      const evaluator = new MultiModelEvaluator({
+        backends: { gpt: new LLMEvaluatorBackend({ name: 'gpt', provider }) },
+        threshold: 0
+      });
+
+      const result = await evaluator.evaluate(PROPOSAL);
+      const [gpt] = result.evaluations;
+
+      assert.deepStrictEqual(provider.calls.map(call => call.template), [
+        PromptTemplateId.PROPOSAL_EVALUATION,
+        PromptTemplateId.PROPOSAL_EVALUATION_REPAIR
+      ]);
+      assert.match(provider.calls[1].prompt, /- BrandConsistencyRubric\.expressionQuality の評価がありません/);
+      assert.strictEqual(gpt.validation.valid, true);
+      assert.strictEqual(gpt.validation.repaired, true);
+      assert.deepStrictEqual(
+        gpt.validation.initialIssues.map(issue => issue.type),
+        ['restructured', 'out-of-range', 'invalid-type', 'missing-criterion', 'missing-criterion']
+      );
+      assert.deepStrictEqual(Object.keys(gpt.BrandConsistencyRubric), [
+        'foundationAlignment', 'structureCoherence', 'expressionQuality', 'overallConsistency'
+      ]);
+      assert.deepStrictEqual(result.validationFailures, []);
+    });
+
+    it('should send unparseable responses back for a repair and drop models that stay unparseable', async () => {
+      const truncated = '{"BrandConsistencyRubric": {"foundationAlignment": {"score": 80,';
+      const provider = new MockLLMProvider({
+        name: 'gpt',
+        responses: { [PromptTemplateId.PROPOSAL_EVALUATION]: truncated }
+      });
+      const evaluator = new MultiModelEvaluator({
+        backends: { gpt: new LLMEvaluatorBackend({ name: 'gpt', provider }) },
+        threshold: 0
+      });
+
+      const result = await evaluator.evaluate(PROPOSAL);
+      const [gpt] = result.evaluations;
+
+      assert.deepStrictEqual(provider.calls.map(call => call.template), [
+        PromptTemplateId.PROPOSAL_EVALUATION,
+        PromptTemplateId.PROPOSAL_EVALUATION_REPAIR
+      ]);
+      assert.ok(provider.calls[1].prompt.includes(truncated));
+      assert.match(provider.calls[1].prompt, /- 応答を JSON としてパースできません/);
+      assert.strictEqual(gpt.validation.valid, true);
+      assert.strictEqual(gpt.validation.repaired, true);
+      assert.deepStrictEqual(gpt.validation.initialIssues.map(issue => issue.type), ['unparseable']);
+      assert.deepStrictEqual(result.validationFailures, []);
+
+      const broken = new MockLLMProvider({
+        name: 'gpt',
+        responses: {
+          [PromptTemplateId.PROPOSAL_EVALUATION]: truncated,
+          [PromptTemplateId.PROPOSAL_EVALUATION_REPAIR]: truncated
+        }
+      });
+      const partial = createEvaluator({ claude: {} }, { retries: 0, threshold: 0 });
+      partial.backends.gpt = new LLMEvaluatorBackend({ name: 'gpt', provider: broken });
+
+      const dropped = await partial.evaluate(PROPOSAL);
+
+      assert.deepStrictEqual(dropped.evaluations.map(e => e.model), ['claude']);
+      assert.deepStrictEqual(dropped.missing.map(m => m.model), ['gpt']);
+      assert.match(dropped.missing[0].error, /gpt returned unparseable JSON after a repair/);
+      assert.deepStrictEqual(dropped.validationFailures.map(({ model, repaired, issues }) => [model, repaired, issues.map(issue => issue.type)]), [
+        ['gpt', true, ['unparseable']]
+      ]);
+      assert.strictEqual(dropped.validationFailures[0].missingCriteria.length, 4);
+    });
+
+    it('should record responses that are still invalid after the repair', async () => {
+      const evaluator = createEvaluator({ claude: {}, gpt: {} }, { threshold: 0 });
+      evaluator.backends.gpt.evaluate = async () => ({
+        BrandConsistencyRubric: { foundationAlignment: { score: 95, reason: '...' } },
+        overall: 95
+      });
+      let repairs = 0;
+      evaluator.backends.gpt.repair = async ({ response }) => {
+        repairs++;
+        return response;
+      };
+
+      const result = await evaluator.evaluate(PROPOSAL);
+
+      assert.strictEqual(repairs, 1);
+      assert.deepStrictEqual(result.evaluations.map(e => [e.model, e.validation.valid]), [['claude', true], ['gpt', false]]);
+      assert.deepStrictEqual(result.validationFailures.map(({ model, repaired, missingCriteria }) => ({ model, repaired, missingCriteria })), [{
+        model: 'gpt',
+        repaired: true,
+        missingCriteria: [
+          'BrandConsistencyRubric.structureCoherence',
+          'BrandConsistencyRubric.expressionQuality',
+          'BrandConsistencyRubric.overallConsistency'
+        ]
+      }]);
+      assert.strictEqual(result.validationFailures[0].issues.length, 3);
+      assert.strictEqual(result.evaluations[1].overall, 95);
+    });
+  });
+
+  describe('Weighting and calibration', () => {
+    before(async () => {
+      await fs.mkdir(FIXTURE_DIR, { recursive: true });
+    });
+
+    after(async () => {
+      await fs.rm(FIXTURE_DIR, { recursive: true, force: true });
+    });
+
+    it('should weight criteria and models from rubrics.json', async () => {
+      const evaluator = createEvaluator({ claude: { score: 90 }, gpt: { score: 80 } }, { threshold: 0 });
+      await evaluator.loadRubrics();
+
+      // foundationAlignment / overallConsistency は 1.5 倍
+      assert.strictEqual(evaluator.weightedScore({
+        BrandConsistencyRubric: {
+          foundationAlignment: { score: 100 },
+          structureCoherence: { score: 50 },
+          expressionQuality: { score: 50 },
+          overallConsistency: { score: 100 }
+        }
+      }), 80);
+
+      const result = await evaluator.evaluate(PROPOSAL);
+
+      assert.strictEqual(result.score.overall, 85);
+      assert.deepStrictEqual(result.score.weights.models, { claude: 0.35, gpt: 0.35 });
+      assert.strictEqual(result.score.weights.criteria['BrandConsistencyRubric.foundationAlignment'], 0.45);
+      assert.strictEqual(result.score.calibration, null);
+      assert.deepStrictEqual(result.score.breakdown.map(({ raw, calibrated, calibrationApplied }) => [raw, calibrated, calibrationApplied]), [
+        [90, 90, false],
+        [80, 80, false]
+      ]);
+    });
+
+    it('should z-normalize each model against its own score history', async () => {
+      const history = new EvaluationHistory({ storageDir: FIXTURE_DIR, autoSave: false });
+      const claude = [88, 90, 92, 88, 92];
+      const gpt = [78, 80, 82, 78, 82];
+      for (let i = 0; i < claude.length; i++) {
+        await history.addRecord({
+          type: 'single_evaluation',
+          evaluation: {
+            breakdown: [
+              { model: 'claude', score: claude[i] },
+              { model: 'gpt', raw: gpt[i], score: 85 },
+              ...(i < 2 ? [{ model: 'gemini', score: 60 }] : [])
+            ]
+          }
+        });
+      }
+
+      // claude は一貫して 10 点高く採点する
+      const evaluator = createEvaluator(
+        { claude: { score: 90 }, gpt: { score: 80 }, gemini: { score: 70 } },
+        { threshold: 85, calibration: { history } }
+      );
+      const result = await evaluator.evaluate(PROPOSAL);
+
+      assert.deepStrictEqual(result.score.breakdown.map(({ model, raw, calibrated, calibrationApplied }) => [model, raw, calibrated, calibrationApplied]), [
+        ['claude', 90, 85, true],
+        ['gpt', 80, 85, true],
+        // 履歴が minSamples (5) 未満のモデルは較正しない
+        ['gemini', 70, 70, false]
+      ]);
+      assert.strictEqual(result.score.overall, 80.5);
+      assert.deepStrictEqual(result.score.calibration, { method: 'z-score', minSamples: 5, applied: true });
+
+      const report = evaluator.generateReport(result);
+      assert.match(report, /Calibration: z-score/);
+      assert.match(report, /claude: 90\.00 → 85\.00 \(weight: 0\.35\)/);
+      assert.match(report, /gemini: 70\.00 → 70\.00 \(uncalibrated\) \(weight: 0\.3\)/);
+      assert.match(report, /BrandConsistencyRubric\.overallConsistency: 0\.45/);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * NamingAgent ユニットテスト
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { NamingAgent, NamingStrategy } from '../../src/agents/core/NamingAgent.js';
+import { CollisionRisk } from '../../src/protocols/TrademarkScreener.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'naming_test');
+const MARKS_FILE = path.join(OUTPUT_DIR, 'marks.txt');
+
+const ESTACK = {
+  foundation: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実さ', '革新性', '顧客第一']
+  },
+  structure: {
+    tone: { voice: 'professional' },
+    positioning: '中小企業向けの信頼できる DX パートナー'
+  }
+};
+
+describe('NamingAgent', () => {
+  let agent;
+
+  before(async () => {
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+    await fs.writeFile(MARKS_FILE, 'Vernova\nTrueCare\ntrustworks.com\n', 'utf-8');
+  });
+
+  after(async () => {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    agent = new NamingAgent({
+      logger: new Logger({ name: 'TestLogger', console: false, file: false }),
+      marksFile: MARKS_FILE
+    });
+  });
+
+  it('should derive candidates from values, the logo metaphor and expression symbolism', async () => {
+    const { candidates, sources } = await agent.process({ estack: ESTACK });
+
+    assert.deepStrictEqual(sources.values, ESTACK.foundation.values);
+    assert.match(sources.metaphor, /誠実さを核とし/);
+    assert.ok(sources.symbolism.includes('前進の矢印'));
+
+    const byStrategy = strategy => candidates.filter(candidate => candidate.strategy === strategy).map(candidate => candidate.name);
+    assert.deepStrictEqual(byStrategy(NamingStrategy.COINED).sort(), ['Novacura', 'Vericura', 'Verinova']);
+    assert.deepStrictEqual(byStrategy(NamingStrategy.COMPOUND).sort(), ['NovaCare', 'TrueCare', 'TrueNova']);
+    assert.deepStrictEqual(byStrategy(NamingStrategy.METAPHORICAL).sort(), ['Arrow', 'TrueArrow', 'TrustForward']);
+    assert.deepStrictEqual(byStrategy(NamingStrategy.DESCRIPTIVE).sort(), ['FutureLabs', 'TechPartners', 'TrustWorks']);
+
+    const coined = candidates.find(candidate => candidate.name === 'Vericura');
+    assert.deepStrictEqual(coined.sources, ['誠実さ', '顧客第一']);
+    assert.match(coined.rationale, /veri.*cura/);
+  });
+
+  it('should score candidates and push collisions with local marks to the end', async () => {
+    const { candidates, recommended, screening } = await agent.process({ estack: ESTACK, domains: ['arrow.com'] });
+
+    assert.deepStrictEqual(screening, { source: MARKS_FILE, marks: 2, domains: 2, skipped: 0 });
+    for (const candidate of candidates) {
+      assert.deepStrictEqual(Object.keys(candidate.scores), ['pronounceability', 'length', 'memorability', 'distinctiveness', 'overall']);
+      assert.ok(Object.values(candidate.scores).every(score => score >= 0 && score <= 100));
+    }
+
+    const risky = candidates.filter(candidate => candidate.screening.risk === CollisionRisk.HIGH).map(candidate => candidate.name);
+    assert.deepStrictEqual(risky, ['Verinova', 'TrueCare', 'Arrow', 'TrustWorks']);
+    assert.deepStrictEqual(candidates.slice(-risky.length).map(candidate => candidate.name), risky);
+    assert.strictEqual(candidates.find(candidate => candidate.name === 'Verinova').screening.collisions[0].value, 'Vernova');
+    assert.ok(candidates.find(candidate => candidate.name === 'Arrow').screening.domainTaken);
+
+    assert.strictEqual(recommended.length, 3);
+    assert.ok(recommended.every(name => !risky.includes(name)));
+    assert.strictEqual(recommended[0], candidates[0].name);
+
+    // 短く子音が連続しない名前ほど発音しやすい
+    const score = name => candidates.find(candidate => candidate.name === name).scores;
+    assert.ok(score('NovaCare').pronounceability > score('TechPartners').pronounceability);
+    assert.ok(score('NovaCare').length > score('TechPartners').length);
+  });
+
+  it('should limit strategies and reject unknown ones', async () => {
+    const { candidates } = await agent.process({ estack: ESTACK, strategies: [NamingStrategy.COINED] });
+    assert.ok(candidates.every(candidate => candidate.strategy === NamingStrategy.COINED));
+
+    await assert.rejects(
+      () => agent.process({ estack: ESTACK, strategies: ['acronym'] }),
+      /未知のネーミング戦略です: acronym/
+    );
+    await assert.rejects(() => agent.process({}), /E:Stack 構造が必要です/);
+  });
+});
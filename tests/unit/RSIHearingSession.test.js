@@ -0,0 +1,146 @@
+/**
+ * RSIHearingSession ユニットテスト
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { Readable, PassThrough } from 'stream';
+import { RSIHearingSession } from '../../src/orchestration/RSIHearingSession.js';
+import { StructureAgent, ESTACK_FIELD_SOURCES } from '../../src/agents/core/StructureAgent.js';
+import { runTerminalSession } from '../../src/cli/rsi-hearing.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+describe('RSIHearingSession', () => {
+  let logger;
+
+  beforeEach(() => {
+    logger = new Logger({ name: 'TestLogger', console: false, file: false });
+  });
+
+  it('should list missing fields in priority order', () => {
+    const session = new RSIHearingSession({
+      logger,
+      input: { hearing: { values: ['誠実さ'], targetAudience: { description: '経営者' } } }
+    });
+
+    const fields = session.getQuestions().map(q => q.field);
+
+    assert.deepStrictEqual(fields, [
+      'foundation.purpose',
+      'foundation.notAxis',
+      'structure.positioning',
+      'structure.tone',
+      'expression.coreMessage',
+      'expression.tagline',
+      'expression.visualIdentity'
+    ]);
+    assert.strictEqual(session.nextQuestion().field, 'foundation.purpose');
+  });
+
+  it('should recompute completeness after each answer and stop at the threshold', () => {
+    const session = new RSIHearingSession({ logger });
+    const completeEvents = [];
+    session.on('complete', event => completeEvents.push(event));
+
+    const answers = {
+      'foundation.purpose': '信頼できる技術で未来をつくる',
+      'foundation.values': '誠実さ、革新性, 顧客第一',
+      'foundation.notAxis': '妥協',
+      'structure.persona': '中小企業の経営者',
+      'structure.positioning': '信頼できる DX パートナー',
+      'structure.tone': 'professional',
+      'expression.coreMessage': '技術で経営の不安を確信に変える'
+    };
+
+    let previous = session.completeness;
+    let question;
+
+    while ((question = session.nextQuestion())) {
+      const state = session.answer(question.field, answers[question.field]);
+      assert.ok(state.completeness > previous);
+      previous = state.completeness;
+    }
+
+    assert.ok(session.isComplete);
+    assert.ok(session.completeness >= 0.7);
+    assert.strictEqual(session.history.length, 7);
+    assert.strictEqual(completeEvents.length, 1);
+    assert.strictEqual(session.nextQuestion(), null);
+
+    const input = session.toInput();
+    assert.deepStrictEqual(input.existing.foundation.values, ['誠実さ', '革新性', '顧客第一']);
+    assert.deepStrictEqual(input.existing.structure.persona, { description: '中小企業の経営者' });
+    assert.deepStrictEqual(input.existing.structure.tone, { voice: 'professional' });
+  });
+
+  it('should skip questions and reject empty or unknown answers', () => {
+    const session = new RSIHearingSession({ logger });
+
+    assert.strictEqual(session.skip('foundation.purpose').field, 'foundation.values');
+    assert.throws(() => session.answer('foundation.values', '  '), /回答が空です/);
+    assert.throws(() => session.answer('foundation.unknown', 'x'), /未知のヒアリング項目/);
+  });
+
+  it('should only count input aliases that StructureAgent actually maps', async () => {
+    const agent = new StructureAgent({ logger });
+
+    for (const [layer, fields] of Object.entries(ESTACK_FIELD_SOURCES)) {
+      for (const [field, sources] of Object.entries(fields)) {
+        for (const [source, keys] of Object.entries(sources)) {
+          for (const key of keys) {
+            const input = { [source]: { [key]: '入力値' } };
+            const estack = await agent._mapToEStack(input);
+
+            assert.ok(!agent.evaluateCompleteness(input).missingFields.includes(`${layer}.${field}`));
+            assert.ok(estack[layer][field]?.length > 0, `${source}.${key} is not mapped to ${layer}.${field}`);
+          }
+        }
+      }
+    }
+  });
+
+  it('should run StructureAgent without RSI inference once complete', async () => {
+    const session = new RSIHearingSession({
+      logger,
+      input: {
+        hearing: {
+          purpose: '信頼できる技術で未来をつくる',
+          values: ['誠実さ'],
+          notAxis: ['妥協'],
+          targetAudience: { description: '経営者' },
+          tone: { voice: 'professional' },
+          coreMessage: '技術で経営の不安を確信に変える'
+        }
+      }
+    });
+
+    session.answer(session.nextQuestion().field, '信頼できる DX パートナー');
+    assert.ok(session.isComplete);
+
+    const result = await session.finalize();
+
+    assert.strictEqual(result.metadata.rsiMode, false);
+    assert.strictEqual(result.estack.structure.positioning, '信頼できる DX パートナー');
+    assert.deepStrictEqual(result.metadata.hearing.answered, ['structure.positioning']);
+  });
+
+  it('should drive a terminal session from line input', async () => {
+    const session = new RSIHearingSession({
+      logger,
+      input: { hearing: { values: ['誠実さ'], notAxis: ['妥協'], tone: { voice: 'professional' } } }
+    });
+    const output = new PassThrough();
+    let transcript = '';
+    output.on('data', chunk => { transcript += chunk; });
+
+    const result = await runTerminalSession(session, {
+      input: Readable.from(['信頼できる技術で未来をつくる\n', '\n', '信頼できる DX パートナー\n', '技術で未来を\n', '未来を、信頼で。\n']),
+      output
+    });
+
+    assert.deepStrictEqual(result, { completed: true, aborted: false });
+    assert.deepStrictEqual([...session.skipped], ['structure.persona']);
+    assert.match(transcript, /スキップしました/);
+    assert.match(transcript, /完全性 78% に達しました/);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * ReviewQueue ユニットテスト
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ReviewQueue, ReviewStatus, ReviewEventType } from '../../src/evaluation/ReviewQueue.js';
+import { EvaluationHistory } from '../../src/evaluation/EvaluationHistory.js';
+import { MultiModelEvaluator } from '../../src/evaluation/MultiModelEvaluator.js';
+import { ZeroHumanApproval } from '../../src/evaluation/ZeroHumanApproval.js';
+import { FixedScoreBackend } from '../helpers/FixedScoreBackend.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/review_queue_test');
+
+const RESULT = {
+  proposalId: 'proposal_1',
+  brandName: 'Verinova',
+  evaluation: { score: { overall: 91, breakdown: [{ model: 'claude', raw: 95, calibrated: 91, weight: 0.35 }] } },
+  approvalDecision: { status: 'CONDITIONAL_APPROVAL', reasoning: '人間によるレビューを推奨します。' }
+};
+
+describe('ReviewQueue', () => {
+  let clock;
+  let storageDir;
+  let count = 0;
+
+  const createQueue = (options = {}) => new ReviewQueue({
+    storageDir,
+    now: () => new Date(clock),
+    escalationChain: ['brand-lead', 'director'],
+    ...options
+  });
+  const advanceHours = hours => {
+    clock += hours * 60 * 60 * 1000;
+  };
+
+  before(async () => {
+    await fs.mkdir(FIXTURE_DIR, { recursive: true });
+  });
+
+  after(async () => {
+    await fs.rm(FIXTURE_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clock = Date.parse('2026-01-05T09:00:00.000Z');
+    storageDir = path.join(FIXTURE_DIR, `queue_${++count}`);
+  });
+
+  it('should claim, reassign and decide reviews with an audit trail that persists', async () => {
+    const queue = createQueue();
+    const { id } = await queue.enqueue(RESULT, { assignee: 'alice' });
+
+    await assert.rejects(() => queue.claim(id, 'bob'), /is assigned to alice/);
+    await queue.reassign(id, 'bob', { by: 'alice', comment: '休暇のため' });
+    await queue.claim(id, 'bob');
+    await assert.rejects(() => queue.claim(id, 'carol'), /already claimed by bob/);
+    await assert.rejects(() => queue.approve(id, 'carol'), /must be claimed by carol/);
+    await assert.rejects(() => queue.reject(id, 'bob'), /A comment is required/);
+
+    advanceHours(2);
+    const item = await queue.approve(id, 'bob', 'トーンの揺れは許容範囲');
+
+    assert.strictEqual(item.status, ReviewStatus.APPROVED);
+    assert.deepStrictEqual(item.decision, {
+      status: ReviewStatus.APPROVED,
+      reviewer: 'bob',
+      comment: 'トーンの揺れは許容範囲',
+      decidedAt: '2026-01-05T11:00:00.000Z',
+      withinSla: true
+    });
+    assert.deepStrictEqual(item.events.map(event => [event.type, event.actor]), [
+      [ReviewEventType.ENQUEUED, 'system'],
+      [ReviewEventType.REASSIGNED, 'alice'],
+      [ReviewEventType.CLAIMED, 'bob'],
+      [ReviewEventType.APPROVED, 'bob']
+    ]);
+    assert.deepStrictEqual(item.events[1], {
+      type: ReviewEventType.REASSIGNED, actor: 'alice', at: '2026-01-05T09:00:00.000Z', from: 'alice', to: 'bob', comment: '休暇のため'
+    });
+    await assert.rejects(() => queue.reject(id, 'bob', '再検討'), /is already approved/);
+
+    // 別インスタンスから読み込める
+    const reloaded = createQueue();
+    assert.deepStrictEqual(await reloaded.get(id), item);
+    assert.deepStrictEqual(await reloaded.list({ status: ReviewStatus.PENDING }), []);
+    await assert.rejects(() => reloaded.get('review_missing'), /Review item not found: review_missing/);
+  });
+
+  it('should escalate overdue reviews along the escalation chain', async () => {
+    const queue = createQueue({ slaHours: 24, escalationSlaHours: 8 });
+    const { id } = await queue.enqueue(RESULT, { assignee: 'alice' });
+    await queue.claim(id, 'alice');
+
+    advanceHours(24);
+    assert.deepStrictEqual(await queue.checkSla(), []);
+
+    advanceHours(1);
+    assert.deepStrictEqual((await queue.list({ overdue: true })).map(item => item.id), [id]);
+    const [first] = await queue.checkSla();
+    assert.strictEqual(first.escalationLevel, 1);
+    assert.strictEqual(first.assignee, 'brand-lead');
+    assert.strictEqual(first.status, ReviewStatus.PENDING);
+    assert.strictEqual(first.dueAt, '2026-01-06T18:00:00.000Z');
+
+    advanceHours(9);
+    await queue.checkSla();
+    advanceHours(9);
+    const [third] = await queue.checkSla();
+    assert.strictEqual(third.escalationLevel, 3);
+    assert.strictEqual(third.assignee, 'director');
+    assert.deepStrictEqual(
+      third.events.filter(event => event.type === ReviewEventType.ESCALATED).map(event => [event.from, event.to]),
+      [['alice', 'brand-lead'], ['brand-lead', 'director'], ['director', 'director']]
+    );
+
+    await queue.claim(id, 'director');
+    advanceHours(9);
+    const rejected = await queue.reject(id, 'director', 'Foundation との整合性が不十分');
+    assert.strictEqual(rejected.decision.withinSla, false);
+  });
+
+  it('should use the default SLAs when options are passed as undefined', async () => {
+    const queue = createQueue({ slaHours: undefined, escalationSlaHours: undefined, escalationChain: undefined });
+    const item = await queue.enqueue(RESULT, { assignee: 'alice' });
+
+    assert.strictEqual(item.dueAt, '2026-01-06T09:00:00.000Z');
+    advanceHours(25);
+    const [escalated] = await queue.checkSla();
+    assert.strictEqual(escalated.dueAt, '2026-01-06T18:00:00.000Z');
+  });
+
+  it('should keep a review open when writing the decision to the history fails', async () => {
+    let failures = 1;
+    const history = {
+      addReviewDecision: async () => {
+        if (failures-- > 0) throw new Error('history unavailable');
+        return 'record_1';
+      }
+    };
+    const queue = createQueue({ history });
+    const { id } = await queue.enqueue(RESULT, { assignee: 'alice' });
+    await queue.claim(id, 'alice');
+
+    await assert.rejects(() => queue.approve(id, 'alice', 'OK'), /history unavailable/);
+    const open = await queue.get(id);
+    assert.strictEqual(open.status, ReviewStatus.CLAIMED);
+    assert.strictEqual(open.decision, null);
+    assert.ok(!open.events.some(event => event.type === ReviewEventType.APPROVED));
+
+    const approved = await queue.approve(id, 'alice', 'OK');
+    assert.strictEqual(approved.status, ReviewStatus.APPROVED);
+    assert.strictEqual(approved.decision.historyRecordId, 'record_1');
+    assert.strictEqual(approved.events.filter(event => event.type === ReviewEventType.APPROVED).length, 1);
+  });
+
+  it('should queue CONDITIONAL_APPROVAL results and write decisions back into EvaluationHistory', async () => {
+    const history = new EvaluationHistory({ storageDir: path.join(storageDir, 'history') });
+    const protocol = new ZeroHumanApproval({
+      approvalThreshold: 80,
+      consensusThreshold: 0.95,
+      history,
+      reviewQueue: createQueue({ history }),
+      evaluator: new MultiModelEvaluator({
+        backends: [new FixedScoreBackend({ name: 'claude', score: 98 }), new FixedScoreBackend({ name: 'gpt', score: 80 })]
+      })
+    });
+    await protocol.initialize();
+
+    const result = await protocol.evaluate({ brandName: 'Verinova' }, { proposalId: 'proposal_42', reviewer: 'alice' });
+
+    assert.strictEqual(result.approvalDecision.status, 'CONDITIONAL_APPROVAL');
+    assert.strictEqual(result.review.assignee, 'alice');
+    assert.strictEqual(result.review.status, ReviewStatus.PENDING);
+
+    await protocol.reviewQueue.claim(result.review.id, 'alice');
+    const item = await protocol.reviewQueue.reject(result.review.id, 'alice', 'スコアのばらつきが大きい');
+
+    const [evaluationRecord] = await history.getHistory({ type: 'single_evaluation' });
+    const [reviewRecord] = await history.getHistory({ type: 'human_review' });
+
+    assert.strictEqual(item.evaluationRecordId, evaluationRecord.id);
+    assert.strictEqual(item.decision.historyRecordId, reviewRecord.id);
+    assert.deepStrictEqual(evaluationRecord.review, {
+      reviewId: item.id,
+      status: ReviewStatus.REJECTED,
+      reviewer: 'alice',
+      decidedAt: item.decision.decidedAt
+    });
+    assert.strictEqual(reviewRecord.proposalId, 'proposal_42');
+    assert.strictEqual(reviewRecord.modelEvaluation.score, result.evaluation.score.overall);
+    assert.deepStrictEqual(reviewRecord.modelEvaluation.breakdown.map(entry => entry.model), ['claude', 'gpt']);
+    assert.strictEqual(reviewRecord.decision.comment, 'スコアのばらつきが大きい');
+
+    // レビュー判断はスコア統計に混ぜない
+    const stats = await history.getStatistics();
+    assert.strictEqual(stats.scoreStatistics.average, result.evaluation.score.overall);
+    assert.deepStrictEqual(stats.reviewDecisions, { approved: 0, rejected: 1 });
+
+    // 保存済みの履歴にも反映されている
+    const saved = JSON.parse(await fs.readFile(path.join(storageDir, 'history', 'history.json'), 'utf-8'));
+    assert.strictEqual(saved.find(record => record.id === evaluationRecord.id).review.status, ReviewStatus.REJECTED);
+  });
+});
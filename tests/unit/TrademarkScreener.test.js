@@ -0,0 +1,99 @@
+/**
+ * TrademarkScreener ユニットテスト
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  TrademarkScreener,
+  CollisionRisk,
+  levenshtein,
+  phoneticKey,
+  normalizeMark
+} from '../../src/protocols/TrademarkScreener.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'trademark_test');
+
+describe('TrademarkScreener', () => {
+  before(async () => {
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+  });
+
+  after(async () => {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  it('should normalize marks and compute edit distance and phonetic keys', () => {
+    assert.strictEqual(normalizeMark('www.Trust-Works.co.jp'), 'trustworks');
+    assert.strictEqual(normalizeMark('Trust Works'), 'trustworks');
+    assert.strictEqual(levenshtein('verinova', 'vernova'), 1);
+
+    // 綴りが違っても音が同じなら同じキーになる
+    assert.strictEqual(phoneticKey('Phonix'), phoneticKey('Fonix'));
+    assert.strictEqual(phoneticKey('Quickly'), phoneticKey('Kwikly'));
+    assert.strictEqual(phoneticKey('Verinova'), phoneticKey('Vernova'));
+    assert.notStrictEqual(phoneticKey('Orbit'), phoneticKey('Arrow'));
+  });
+
+  it('should flag spelling, phonetic and domain collisions by risk', () => {
+    const screener = new TrademarkScreener({ marks: ['Vernova', 'Phonix', 'TrueCares'], domains: ['trustworks.com'] });
+
+    const phonetic = screener.screen('Fonix');
+    assert.strictEqual(phonetic.risk, CollisionRisk.HIGH);
+    assert.deepStrictEqual(phonetic.collisions[0], {
+      value: 'Phonix',
+      type: 'mark',
+      spelling: 0.67,
+      phonetic: 1,
+      similarity: 0.9,
+      risk: CollisionRisk.HIGH
+    });
+
+    const domain = screener.screen('TrustWorks');
+    assert.strictEqual(domain.domainTaken, true);
+    assert.strictEqual(domain.similarity, 1);
+
+    assert.strictEqual(screener.screen('TrueCare').risk, CollisionRisk.HIGH);
+    assert.deepStrictEqual(screener.screen('Orbit'), { similarity: 0.23, risk: CollisionRisk.LOW, domainTaken: false, collisions: [] });
+  });
+
+  it('should screen non-Latin marks by their NFKC-normalized spelling', () => {
+    assert.strictEqual(normalizeMark('ソニー'), 'ソニー');
+    assert.strictEqual(normalizeMark('ｿﾆｰ'), 'ソニー');
+    assert.strictEqual(normalizeMark('ＴＲＵＳＴ Works'), 'trustworks');
+    assert.strictEqual(phoneticKey('ソニー'), '');
+
+    const screener = new TrademarkScreener({ marks: ['ソニー', 'Vernova', '★☆★'] });
+    assert.deepStrictEqual(screener.size, { marks: 2, domains: 0 });
+    assert.deepStrictEqual(screener.skipped, ['★☆★']);
+
+    const exact = screener.screen('ｿﾆｰ');
+    assert.strictEqual(exact.risk, CollisionRisk.HIGH);
+    assert.deepStrictEqual(exact.collisions[0], {
+      value: 'ソニー',
+      type: 'mark',
+      spelling: 1,
+      phonetic: 0,
+      similarity: 1,
+      risk: CollisionRisk.HIGH
+    });
+    assert.strictEqual(screener.screen('ソニーズ').risk, CollisionRisk.MODERATE);
+    assert.strictEqual(screener.screen('Sony').risk, CollisionRisk.LOW);
+  });
+
+  it('should load marks and domains from local text and JSON files', async () => {
+    const textFile = path.join(OUTPUT_DIR, 'marks.txt');
+    await fs.writeFile(textFile, '# 登録商標\nVernova\nOrbit  # 図形商標\n\ntrustworks.com\n', 'utf-8');
+    const fromText = await TrademarkScreener.fromFile(textFile);
+    assert.deepStrictEqual(fromText.size, { marks: 2, domains: 1 });
+    assert.strictEqual(fromText.screen('Orbit').risk, CollisionRisk.HIGH);
+
+    const jsonFile = path.join(OUTPUT_DIR, 'marks.json');
+    await fs.writeFile(jsonFile, JSON.stringify({ marks: ['Vernova'], domains: ['novacare.io'] }), 'utf-8');
+    const fromJson = await TrademarkScreener.fromFile(jsonFile);
+    assert.deepStrictEqual(fromJson.size, { marks: 1, domains: 1 });
+    assert.strictEqual(fromJson.screen('NovaCare').domainTaken, true);
+  });
+});
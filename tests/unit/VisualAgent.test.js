@@ -0,0 +1,176 @@
+/**
+ * VisualAgent ユニットテスト
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { VisualAgent } from '../../src/agents/core/VisualAgent.js';
+import {
+  CVDType,
+  contrastRatio,
+  evaluateContrast,
+  adjustLightness,
+  ciede2000,
+  deltaE2000,
+  simulateColorVision
+} from '../../src/utils/ColorUtils.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const ESTACK = {
+  foundation: {
+    purpose: '信頼できる技術で未来をつくる',
+    values: ['誠実', '品質'],
+    notAxis: []
+  },
+  structure: {
+    tone: { voice: 'professional' },
+    positioning: '信頼できる DX パートナー'
+  }
+};
+
+describe('VisualAgent', () => {
+  describe('ColorUtils', () => {
+    it('should compute WCAG contrast ratios', () => {
+      assert.strictEqual(contrastRatio('#FFFFFF', '#000000'), 21);
+      assert.strictEqual(contrastRatio('#fff', '#FFFFFF'), 1);
+
+      // #777777 on white is 4.478:1 — just below AA
+      const grey = evaluateContrast('#777777', '#FFFFFF');
+      assert.strictEqual(grey.label, '4.47:1');
+      assert.deepStrictEqual(grey.aa, { normal: false, large: true });
+
+      const dark = evaluateContrast('#595959', '#FFFFFF');
+      assert.deepStrictEqual(dark.aa, { normal: true, large: true });
+      assert.deepStrictEqual(dark.aaa, { normal: true, large: true });
+    });
+
+    it('should lighten and darken in HSL space', () => {
+      assert.strictEqual(adjustLightness('#808080', 100), '#FFFFFF');
+      assert.strictEqual(adjustLightness('#808080', -100), '#000000');
+      assert.ok(contrastRatio(adjustLightness('#1976D2', -20), '#FFFFFF') > contrastRatio('#1976D2', '#FFFFFF'));
+      assert.throws(() => adjustLightness('blue', 10), /不正なカラー値/);
+    });
+
+    it('should match CIEDE2000 reference data', () => {
+      // Sharma, Wu, Dalal (2005) test pairs 1, 7 and 25
+      assert.strictEqual(ciede2000({ L: 50, a: 2.6772, b: -79.7751 }, { L: 50, a: 0, b: -82.7485 }).toFixed(4), '2.0425');
+      assert.strictEqual(ciede2000({ L: 50, a: 0, b: 0 }, { L: 50, a: -1, b: 2 }).toFixed(4), '2.3669');
+      assert.strictEqual(ciede2000({ L: 50, a: 2.5, b: 0 }, { L: 73, a: 25, b: -18 }).toFixed(4), '27.1492');
+      assert.ok(deltaE2000('#FF0000', '#FF0000') < 1e-9);
+    });
+
+    it('should simulate color vision deficiencies', () => {
+      // 赤と緑は 1 型・2 型で近づき、3 型では離れたまま
+      const normal = deltaE2000('#F44336', '#4CAF50');
+      const red = (type) => simulateColorVision('#F44336', type);
+      const green = (type) => simulateColorVision('#4CAF50', type);
+
+      assert.ok(deltaE2000(red(CVDType.DEUTERANOPIA), green(CVDType.DEUTERANOPIA)) < normal / 5);
+      assert.ok(deltaE2000(red(CVDType.TRITANOPIA), green(CVDType.TRITANOPIA)) > 30);
+      assert.ok(deltaE2000(simulateColorVision('#808080', CVDType.PROTANOPIA), '#808080') < 1);
+      assert.throws(() => simulateColorVision('#808080', 'achromatopsia'), /未知の色覚/);
+    });
+  });
+
+  describe('Color accessibility', () => {
+    let logger;
+
+    beforeEach(() => {
+      logger = new Logger({ name: 'TestLogger', console: false, file: false });
+    });
+
+    it('should measure every pair and auto-adjust failing shades to AA', async () => {
+      const agent = new VisualAgent({ logger });
+      const { visualSystem, guidelines } = await agent.process({ estack: ESTACK });
+      const { palette, semantic, accessibility } = visualSystem.foundation.color;
+
+      // 信頼 → primary #1976D2 / secondary #64B5F6 / accent #FFC107
+      assert.strictEqual(palette.accent.main, '#FFC107');
+      assert.notStrictEqual(palette.primary.light, palette.primary.main);
+
+      const textPairs = accessibility.pairs.filter(pair => pair.required);
+      assert.ok(textPairs.length > 0);
+      assert.ok(textPairs.every(pair => pair.aa.normal), 'all text pairs should pass AA');
+      assert.ok(['AA', 'AAA'].includes(accessibility.wcagCompliance));
+
+      // secondary #64B5F6 は白テキストで 2.3:1 程度 → 黒に切り替え
+      const secondaryContrast = accessibility.adjustments.find(a => a.path === 'palette.secondary.contrast');
+      assert.deepStrictEqual([secondaryContrast.from, secondaryContrast.to], ['#FFFFFF', '#000000']);
+      assert.strictEqual(palette.secondary.contrast, '#000000');
+
+      // warning.dark #F57C00 は白背景で AA 未達 → 暗くする
+      assert.ok(contrastRatio(semantic.warning.dark, '#FFFFFF') >= 4.5);
+      assert.ok(accessibility.adjustments.some(a => a.path === 'semantic.warning.dark'));
+
+      // 非テキスト UI の参考ペアは準拠判定に含めず推奨事項で伝える
+      const accentUi = accessibility.pairs.find(pair => pair.id === 'accent.mainOnWhite');
+      assert.strictEqual(accentUi.passes, false);
+      assert.ok(accessibility.recommendations.some(r => r.includes('palette.accent.main')));
+
+      assert.strictEqual(accessibility.contrastRatios['primary.textOnMain'], evaluateContrast('#FFFFFF', '#1976D2').label);
+      assert.match(guidelines.accessibility.wcag, /準拠/);
+    });
+
+    it('should report failures honestly when auto-adjust is disabled', async () => {
+      const agent = new VisualAgent({ logger, autoAdjustContrast: false });
+      const { visualSystem, guidelines } = await agent.process({ estack: ESTACK });
+      const { accessibility } = visualSystem.foundation.color;
+
+      assert.strictEqual(accessibility.wcagCompliance, 'none');
+      assert.deepStrictEqual(accessibility.adjustments, []);
+      assert.ok(accessibility.summary.passingAA < accessibility.summary.required);
+      assert.ok(accessibility.recommendations.some(r => r.includes('palette.secondary.contrast on palette.secondary.main')));
+      assert.match(guidelines.accessibility.wcag, /未達/);
+    });
+
+    it('should flag semantic colors that collapse under CVD and suggest alternatives', async () => {
+      const agent = new VisualAgent({ logger });
+      const { visualSystem } = await agent.process({ estack: ESTACK });
+      const { colorVision, accessibility, semantic } = visualSystem.foundation.color;
+
+      assert.deepStrictEqual(Object.keys(colorVision.simulations), ['protanopia', 'deuteranopia', 'tritanopia']);
+      assert.strictEqual(colorVision.pairs.length, 6);
+      assert.strictEqual(colorVision.safe, false);
+      assert.strictEqual(accessibility.colorBlindSafe, false);
+
+      const successError = colorVision.flagged.find(p => p.pair.join() === 'success,error');
+      assert.deepStrictEqual(successError.failingSimulations, ['deuteranopia']);
+      assert.ok(successError.distances.normal > 50);
+      assert.ok(accessibility.recommendations.some(r => r.startsWith('success / error は deuteranopia で判別困難')));
+
+      // error の赤は維持し、success の代替色を提案
+      const [suggestion] = colorVision.suggestions;
+      assert.strictEqual(suggestion.target, 'success');
+      assert.strictEqual(suggestion.from, semantic.success.main);
+      for (const other of ['warning', 'error', 'info']) {
+        for (const type of Object.values(CVDType)) {
+          const distance = deltaE2000(
+            simulateColorVision(suggestion.to, type),
+            simulateColorVision(semantic[other].main, type)
+          );
+          assert.ok(distance >= colorVision.threshold, `${other} under ${type}: ${distance}`);
+        }
+      }
+    });
+
+    it('should treat the palette as safe under a lower distance threshold', async () => {
+      const agent = new VisualAgent({ logger, cvdMinDistance: 5 });
+      const { visualSystem } = await agent.process({ estack: ESTACK });
+
+      assert.strictEqual(visualSystem.foundation.color.colorVision.safe, true);
+      assert.deepStrictEqual(visualSystem.foundation.color.colorVision.suggestions, []);
+    });
+
+    it('should fix logo palettes with white brand colors', async () => {
+      const agent = new VisualAgent({ logger });
+      const logoConcept = { styling: { colorPalette: { primary: '#000000', secondary: '#FFFFFF', accent: '#F5F5F5' } } };
+      const { visualSystem } = await agent.process({ estack: ESTACK, logoConcept });
+      const { palette, accessibility } = visualSystem.foundation.color;
+
+      assert.strictEqual(palette.secondary.main, '#FFFFFF');
+      assert.strictEqual(palette.secondary.contrast, '#000000');
+      assert.ok(contrastRatio(palette.secondary.dark, '#FFFFFF') >= 4.5);
+      assert.ok(accessibility.pairs.filter(pair => pair.required).every(pair => pair.passes));
+    });
+  });
+});